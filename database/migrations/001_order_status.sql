@@ -0,0 +1,32 @@
+-- Add the order status lifecycle, with its transition history, and the discount breakdown of sales.
+-- Run once on a database created from the original schema.sql:
+--   psql -U your_username -d your_database -f database/migrations/001_order_status.sql
+--
+-- Sales made before the lifecycle existed are taken as completed, and their subtotal is the sum of their items.
+
+BEGIN;
+
+ALTER TABLE sales
+    ADD COLUMN subtotal numeric(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN discount_percentage numeric(5,2) NOT NULL DEFAULT 0,
+    ADD COLUMN discount_amount numeric(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending','paid','roasting','ready','shipped','picked_up','completed','cancelled'));
+
+UPDATE sales s
+SET status = 'completed',
+    subtotal = COALESCE((SELECT SUM(si.quantity * si.price_at_sale) FROM sale_items si WHERE si.sale_id = s.sale_id), 0);
+
+CREATE TABLE sale_status_history (
+    history_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INT,
+    note TEXT,
+    changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- Record why, when and by whom a sale was voided.
+-- Run once, after 001_order_status.sql:
+--   psql -U your_username -d your_database -f database/migrations/002_void_sales.sql
+
+BEGIN;
+
+ALTER TABLE sales
+    ADD COLUMN void_reason TEXT,
+    ADD COLUMN voided_at timestamp with time zone,
+    ADD COLUMN voided_by integer,
+    ADD CONSTRAINT fk_sales_voided_by FOREIGN KEY (voided_by)
+        REFERENCES public.users (user_id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL;
+
+COMMIT;
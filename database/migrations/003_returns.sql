@@ -0,0 +1,24 @@
+-- Add returns of sale items and the amount refunded on each sale.
+-- Run once, after 002_void_sales.sql:
+--   psql -U your_username -d your_database -f database/migrations/003_returns.sql
+
+BEGIN;
+
+ALTER TABLE sales ADD COLUMN refunded_amount numeric(12,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE returns (
+    return_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    sale_item_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    refund_amount NUMERIC(12,2) NOT NULL CHECK (refund_amount >= 0),
+    restocked BOOLEAN NOT NULL DEFAULT FALSE,
+    reason TEXT,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_item_id) REFERENCES sale_items(sale_item_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Add admin-managed promo codes and their redemptions.
+-- Run once, after 003_returns.sql:
+--   psql -U your_username -d your_database -f database/migrations/004_promo_codes.sql
+
+BEGIN;
+
+CREATE TABLE promo_codes (
+    promo_code_id SERIAL PRIMARY KEY,
+    code VARCHAR(40) NOT NULL UNIQUE,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent','fixed')),
+    discount_value NUMERIC(10,2) NOT NULL CHECK (discount_value > 0),
+    min_order_value NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (min_order_value >= 0),
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    max_uses INT CHECK (max_uses > 0),
+    max_uses_per_customer INT CHECK (max_uses_per_customer > 0),
+    product_types TEXT[],
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percent' OR discount_value <= 100),
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+ALTER TABLE sales
+    ADD COLUMN promo_code_id integer,
+    ADD CONSTRAINT fk_sales_promo_code FOREIGN KEY (promo_code_id)
+        REFERENCES promo_codes (promo_code_id) ON DELETE SET NULL;
+
+CREATE TABLE promo_code_redemptions (
+    redemption_id SERIAL PRIMARY KEY,
+    promo_code_id INT NOT NULL,
+    sale_id INT NOT NULL UNIQUE,
+    user_id INT,
+    discount_amount NUMERIC(12,2) NOT NULL CHECK (discount_amount >= 0),
+    redeemed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promo_code_id) REFERENCES promo_codes(promo_code_id),
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Add configurable tax rates and the tax charged on sales and their items.
+-- Run once, after 004_promo_codes.sql:
+--   psql -U your_username -d your_database -f database/migrations/005_tax_rates.sql
+
+BEGIN;
+
+ALTER TABLE sales
+    ADD COLUMN tax_amount numeric(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN prices_include_tax boolean NOT NULL DEFAULT false;
+
+ALTER TABLE sale_items
+    ADD COLUMN tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE tax_rates (
+    tax_rate_id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    product_type VARCHAR(50),
+    rate NUMERIC(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX tax_rates_active_product_type ON tax_rates (COALESCE(LOWER(product_type), '')) WHERE is_active;
+
+COMMIT;
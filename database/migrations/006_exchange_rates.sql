@@ -0,0 +1,34 @@
+-- Add USD/LBP exchange rates and payments against sales.
+-- Run once, after 005_tax_rates.sql:
+--   psql -U your_username -d your_database -f database/migrations/006_exchange_rates.sql
+
+BEGIN;
+
+ALTER TABLE sales
+    ADD COLUMN exchange_rate numeric(14,2),
+    ADD COLUMN paid_amount numeric(12,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE exchange_rates (
+    exchange_rate_id SERIAL PRIMARY KEY,
+    rate NUMERIC(14,2) NOT NULL CHECK (rate > 0),
+    effective_from TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE payments (
+    payment_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    currency VARCHAR(3) NOT NULL CHECK (currency IN ('USD','LBP')),
+    amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+    exchange_rate NUMERIC(14,2),
+    amount_usd NUMERIC(12,2) NOT NULL CHECK (amount_usd >= 0),
+    change_amount NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (change_amount >= 0),
+    received_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+COMMIT;
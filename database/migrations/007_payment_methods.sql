@@ -0,0 +1,12 @@
+-- Record how each payment was made.
+-- Run once, after 006_exchange_rates.sql:
+--   psql -U your_username -d your_database -f database/migrations/007_payment_methods.sql
+--
+-- Payments taken before methods existed were cash.
+
+BEGIN;
+
+ALTER TABLE payments
+    ADD COLUMN method VARCHAR(10) NOT NULL DEFAULT 'cash' CHECK (method IN ('cash','card','transfer'));
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- Add sequentially numbered invoices.
+-- Run once, after 007_payment_methods.sql:
+--   psql -U your_username -d your_database -f database/migrations/008_invoices.sql
+
+BEGIN;
+
+CREATE TABLE invoices (
+    invoice_id SERIAL PRIMARY KEY,
+    invoice_number INT NOT NULL UNIQUE,
+    sale_id INT NOT NULL UNIQUE,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id)
+);
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- Add idempotency keys for order creation.
+-- Run once, after 008_invoices.sql:
+--   psql -U your_username -d your_database -f database/migrations/009_idempotency_keys.sql
+
+BEGIN;
+
+CREATE TABLE idempotency_keys (
+    idempotency_key_id SERIAL PRIMARY KEY,
+    scope VARCHAR(50) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code INT,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMPTZ,
+    UNIQUE (scope, idempotency_key)
+);
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Add recurring subscriptions, their items and scheduled runs.
+-- Run once, after 010_carts.sql:
+--   psql -U your_username -d your_database -f database/migrations/011_subscriptions.sql
+
+BEGIN;
+
+CREATE TABLE subscriptions (
+    subscription_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly','biweekly','monthly')),
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active','paused','cancelled')),
+    next_run_date DATE NOT NULL,
+    out_of_stock_action VARCHAR(10) NOT NULL DEFAULT 'notify' CHECK (out_of_stock_action IN ('notify','substitute')),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMPTZ,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE subscription_items (
+    subscription_item_id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    product_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    UNIQUE (subscription_id, product_id),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+CREATE TABLE subscription_runs (
+    subscription_run_id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','created','skipped','failed')),
+    sale_id INT,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (subscription_id, run_date),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id)
+);
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Add backorder and pre-order policies, and the backordered units of sale items.
+-- Run once, after 011_subscriptions.sql:
+--   psql -U your_username -d your_database -f database/migrations/012_backorders.sql
+
+BEGIN;
+
+ALTER TABLE products
+    ADD COLUMN backorder_policy VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (backorder_policy IN ('none','backorder','preorder')),
+    ADD COLUMN expected_available_date DATE;
+
+ALTER TABLE sale_items
+    ADD COLUMN backordered_quantity INT NOT NULL DEFAULT 0 CHECK (backordered_quantity >= 0 AND backordered_quantity <= quantity);
+
+COMMIT;
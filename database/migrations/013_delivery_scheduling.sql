@@ -0,0 +1,55 @@
+-- Add delivery zones, time slots, the customer address book and the fulfillment details of sales.
+-- Run once, after 012_backorders.sql:
+--   psql -U your_username -d your_database -f database/migrations/013_delivery_scheduling.sql
+
+BEGIN;
+
+CREATE TABLE delivery_zones (
+    delivery_zone_id SERIAL PRIMARY KEY,
+    name VARCHAR(60) NOT NULL UNIQUE,
+    fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE time_slots (
+    time_slot_id SERIAL PRIMARY KEY,
+    fulfillment_type VARCHAR(10) NOT NULL CHECK (fulfillment_type IN ('delivery','pickup')),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    capacity INT NOT NULL CHECK (capacity > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+CREATE TABLE addresses (
+    address_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL,
+    label VARCHAR(40),
+    street TEXT NOT NULL,
+    city VARCHAR(60) NOT NULL,
+    delivery_zone_id INT,
+    phone_number VARCHAR(20),
+    notes TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(delivery_zone_id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX addresses_default_per_user ON addresses (user_id) WHERE is_default;
+
+ALTER TABLE sales
+    ADD COLUMN fulfillment_type VARCHAR(10) CHECK (fulfillment_type IN ('delivery','pickup')),
+    ADD COLUMN fulfillment_date date,
+    ADD COLUMN time_slot_id integer,
+    ADD COLUMN delivery_zone_id integer,
+    ADD COLUMN delivery_address TEXT,
+    ADD COLUMN delivery_fee numeric(12,2) NOT NULL DEFAULT 0 CHECK (delivery_fee >= 0),
+    ADD CONSTRAINT fk_sales_time_slot FOREIGN KEY (time_slot_id)
+        REFERENCES time_slots (time_slot_id) ON DELETE SET NULL,
+    ADD CONSTRAINT fk_sales_delivery_zone FOREIGN KEY (delivery_zone_id)
+        REFERENCES delivery_zones (delivery_zone_id) ON DELETE SET NULL;
+
+COMMIT;
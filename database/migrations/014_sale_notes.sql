@@ -0,0 +1,19 @@
+-- Add customer order notes and internal staff comments on sales.
+-- Run once, after 013_delivery_scheduling.sql:
+--   psql -U your_username -d your_database -f database/migrations/014_sale_notes.sql
+
+BEGIN;
+
+ALTER TABLE sales ADD COLUMN customer_notes TEXT;
+
+CREATE TABLE sale_comments (
+    sale_comment_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    user_id INT,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+COMMIT;
@@ -0,0 +1,38 @@
+-- Add loyalty accounts, their points ledger and the points redeemed on sales.
+-- Run once, after 014_sale_notes.sql:
+--   psql -U your_username -d your_database -f database/migrations/015_loyalty_points.sql
+--
+-- No points are given for sales completed before this migration; customers start earning with their next order.
+
+BEGIN;
+
+ALTER TABLE sales
+    ADD COLUMN loyalty_points_redeemed integer NOT NULL DEFAULT 0 CHECK (loyalty_points_redeemed >= 0),
+    ADD COLUMN loyalty_discount numeric(12,2) NOT NULL DEFAULT 0 CHECK (loyalty_discount >= 0);
+
+CREATE TABLE loyalty_accounts (
+    loyalty_account_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,
+    points_balance INT NOT NULL DEFAULT 0 CHECK (points_balance >= 0),
+    lifetime_points INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE loyalty_transactions (
+    loyalty_transaction_id SERIAL PRIMARY KEY,
+    loyalty_account_id INT NOT NULL,
+    sale_id INT,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('earn','redeem','reversal','restore','expire')),
+    points INT NOT NULL,
+    points_remaining INT NOT NULL DEFAULT 0 CHECK (points_remaining >= 0),
+    expires_at TIMESTAMPTZ,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (loyalty_account_id) REFERENCES loyalty_accounts(loyalty_account_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_loyalty_transactions_account ON loyalty_transactions (loyalty_account_id, loyalty_transaction_id);
+
+COMMIT;
@@ -0,0 +1,47 @@
+-- Add gift cards, their balance history and gift card payments.
+-- Run once, after 015_loyalty_points.sql:
+--   psql -U your_username -d your_database -f database/migrations/016_gift_cards.sql
+
+BEGIN;
+
+CREATE TABLE gift_cards (
+    gift_card_id SERIAL PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    initial_balance NUMERIC(12,2) NOT NULL CHECK (initial_balance > 0),
+    balance NUMERIC(12,2) NOT NULL CHECK (balance >= 0),
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active','void')),
+    recipient_name VARCHAR(100),
+    note TEXT,
+    issued_by INT,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    void_reason TEXT,
+    voided_at TIMESTAMPTZ,
+    voided_by INT,
+    FOREIGN KEY (issued_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (voided_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE gift_card_transactions (
+    gift_card_transaction_id SERIAL PRIMARY KEY,
+    gift_card_id INT NOT NULL,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('issue','redeem','void')),
+    amount NUMERIC(12,2) NOT NULL,
+    balance_after NUMERIC(12,2) NOT NULL CHECK (balance_after >= 0),
+    sale_id INT,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (gift_card_id) REFERENCES gift_cards(gift_card_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_gift_card_transactions_card ON gift_card_transactions (gift_card_id, gift_card_transaction_id);
+
+ALTER TABLE payments DROP CONSTRAINT payments_method_check;
+ALTER TABLE payments
+    ADD CONSTRAINT payments_method_check CHECK (method IN ('cash','card','transfer','gift_card')),
+    ADD COLUMN gift_card_id INT,
+    ADD CONSTRAINT fk_payments_gift_card FOREIGN KEY (gift_card_id)
+        REFERENCES gift_cards (gift_card_id) ON DELETE SET NULL;
+
+COMMIT;
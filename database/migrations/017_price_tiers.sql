@@ -0,0 +1,37 @@
+-- Add wholesale price lists, quantity price tiers and the list price and tier of sale items.
+-- Run once, after 016_gift_cards.sql:
+--   psql -U your_username -d your_database -f database/migrations/017_price_tiers.sql
+
+BEGIN;
+
+CREATE TABLE price_lists (
+    price_list_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE price_tiers (
+    price_tier_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    price_list_id INT,
+    min_quantity INT NOT NULL CHECK (min_quantity >= 1),
+    unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price > 0),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (price_list_id) REFERENCES price_lists(price_list_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX price_tiers_unique_step ON price_tiers (product_id, COALESCE(price_list_id, 0), min_quantity);
+
+ALTER TABLE users
+    ADD COLUMN price_list_id integer,
+    ADD CONSTRAINT fk_users_price_list FOREIGN KEY (price_list_id)
+        REFERENCES price_lists (price_list_id) ON DELETE SET NULL;
+
+ALTER TABLE sale_items
+    ADD COLUMN list_price DECIMAL(10, 2),
+    ADD COLUMN price_tier VARCHAR(120);
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Add product variants (bag size and grind), sold, carted and subscribed to by variant.
+-- Run once, after 017_price_tiers.sql:
+--   psql -U your_username -d your_database -f database/migrations/018_product_variants.sql
+--
+-- Existing products get no variants and keep selling from their inventory row.
+
+BEGIN;
+
+CREATE TABLE product_variants (
+    variant_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    weight_grams INT NOT NULL CHECK (weight_grams > 0),
+    grind VARCHAR(20) NOT NULL CHECK (grind IN ('whole bean','ground')),
+    unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price > 0),
+    quantity_in_stock INT NOT NULL DEFAULT 0 CHECK (quantity_in_stock >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, weight_grams, grind),
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+ALTER TABLE sale_items
+    ADD COLUMN variant_id INT,
+    ADD CONSTRAINT fk_sale_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id);
+
+-- A cart or subscription holds one line per product and variant
+ALTER TABLE cart_items
+    DROP CONSTRAINT cart_items_cart_id_product_id_key,
+    ADD COLUMN variant_id INT,
+    ADD CONSTRAINT fk_cart_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+CREATE UNIQUE INDEX cart_items_unique_line ON cart_items (cart_id, product_id, COALESCE(variant_id, 0));
+
+ALTER TABLE subscription_items
+    DROP CONSTRAINT subscription_items_subscription_id_product_id_key,
+    ADD COLUMN variant_id INT,
+    ADD CONSTRAINT fk_subscription_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+CREATE UNIQUE INDEX subscription_items_unique_line ON subscription_items (subscription_id, product_id, COALESCE(variant_id, 0));
+
+COMMIT;
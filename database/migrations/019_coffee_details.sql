@@ -0,0 +1,18 @@
+-- Add coffee details (origin, process, roast, tasting notes, brew methods) to products.
+-- Run once, after 018_product_variants.sql:
+--   psql -U your_username -d your_database -f database/migrations/019_coffee_details.sql
+
+BEGIN;
+
+ALTER TABLE products
+    ADD COLUMN origin_country VARCHAR(60),
+    ADD COLUMN origin_region VARCHAR(100),
+    ADD COLUMN farm VARCHAR(100),
+    ADD COLUMN varietal VARCHAR(100),
+    ADD COLUMN process VARCHAR(10) CHECK (process IN ('washed','natural','honey')),
+    ADD COLUMN altitude_masl INT CHECK (altitude_masl > 0),
+    ADD COLUMN roast_level VARCHAR(15) CHECK (roast_level IN ('light','medium-light','medium','medium-dark','dark')),
+    ADD COLUMN tasting_notes TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN brew_methods TEXT[] NOT NULL DEFAULT '{}';
+
+COMMIT;
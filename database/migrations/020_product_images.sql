@@ -0,0 +1,22 @@
+-- Add product images.
+-- Run once, after 019_coffee_details.sql:
+--   psql -U your_username -d your_database -f database/migrations/020_product_images.sql
+
+BEGIN;
+
+CREATE TABLE product_images (
+    image_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    storage_key VARCHAR(120) NOT NULL UNIQUE,
+    alt_text VARCHAR(150),
+    width INT NOT NULL CHECK (width > 0),
+    height INT NOT NULL CHECK (height > 0),
+    sort_order INT NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX product_images_one_primary ON product_images (product_id) WHERE is_primary;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- Give every product a slug, the URL name of its page (/products/<slug>).
+-- Run once, after 020_product_images.sql:
+--   psql -U your_username -d your_database -f database/migrations/021_product_slugs.sql
+--
+-- Existing products get their name's slug, like new ones do: lower-case letters and digits joined by hyphens,
+-- 'product-' in front of an all-digit one, and -2, -3, ... on later products with the same name.
+-- Accented letters are dropped rather than spelled out ("Café" becomes "caf"); fix those on the product's edit page.
+
+BEGIN;
+
+ALTER TABLE products ADD COLUMN slug VARCHAR(100);
+
+WITH named AS (
+    SELECT product_id,
+           COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(product_name), '[^a-z0-9]+', '-', 'g'), 80)), ''),
+                    'product') AS base
+    FROM products
+), numbered AS (
+    SELECT product_id,
+           CASE WHEN base ~ '^[0-9]+$' THEN 'product-' || base ELSE base END AS base,
+           ROW_NUMBER() OVER (PARTITION BY base ORDER BY product_id) AS n
+    FROM named
+)
+UPDATE products p
+SET slug = CASE WHEN numbered.n = 1 THEN numbered.base ELSE numbered.base || '-' || numbered.n END
+FROM numbered WHERE numbered.product_id = p.product_id;
+
+ALTER TABLE products
+    ALTER COLUMN slug SET NOT NULL,
+    ADD CONSTRAINT products_slug_key UNIQUE (slug),
+    ADD CONSTRAINT products_slug_check CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$' AND slug !~ '^[0-9]+$');
+
+COMMIT;
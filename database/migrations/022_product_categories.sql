@@ -0,0 +1,77 @@
+-- Replace the free-text products.product_type with managed, nestable categories.
+-- Run once, after 021_product_slugs.sql:
+--   psql -U your_username -d your_database -f database/migrations/022_product_categories.sql
+--
+-- Every product type becomes a top-level category. Spellings that differ only in case or spacing
+-- ("Beans", "beans ") become one category named after the most used spelling. Types that mean the same
+-- thing under different names ("Beans", "Coffee Beans") are left apart: merge them by deleting one
+-- category into the other, and nest categories, from the admin Categories page.
+-- Tax rates and promo codes that named a product type are moved to its category.
+
+BEGIN;
+
+CREATE TABLE categories (
+    category_id SERIAL PRIMARY KEY,
+    parent_id INT REFERENCES categories(category_id),
+    name VARCHAR(50) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (parent_id <> category_id)
+);
+
+CREATE UNIQUE INDEX categories_unique_name ON categories (COALESCE(parent_id, 0), LOWER(name));
+
+CREATE VIEW category_paths AS
+WITH RECURSIVE paths AS (
+    SELECT category_id, ARRAY[category_id] AS id_path, ARRAY[name::text] AS name_path
+    FROM categories WHERE parent_id IS NULL
+    UNION ALL
+    SELECT c.category_id, paths.id_path || c.category_id, paths.name_path || c.name::text
+    FROM categories c JOIN paths ON c.parent_id = paths.category_id
+)
+SELECT category_id, id_path, name_path FROM paths;
+
+-- Tidy the spellings first so that they can be matched to category names case-insensitively
+UPDATE products
+SET product_type = COALESCE(NULLIF(REGEXP_REPLACE(TRIM(product_type), '\s+', ' ', 'g'), ''), 'Uncategorized');
+UPDATE tax_rates
+SET product_type = NULLIF(REGEXP_REPLACE(TRIM(product_type), '\s+', ' ', 'g'), '');
+UPDATE promo_codes
+SET product_types = ARRAY(SELECT DISTINCT LOWER(REGEXP_REPLACE(TRIM(type), '\s+', ' ', 'g'))
+                          FROM unnest(product_types) AS type WHERE TRIM(type) <> '')
+WHERE product_types IS NOT NULL;
+
+-- One category per spelling group; types only used by tax rates or promo codes are kept too
+INSERT INTO categories (name)
+SELECT DISTINCT ON (LOWER(spelling)) spelling
+FROM (
+    SELECT product_type AS spelling, COUNT(*) AS uses FROM products GROUP BY product_type
+    UNION ALL
+    SELECT product_type, 0 FROM tax_rates WHERE product_type IS NOT NULL
+    UNION ALL
+    SELECT unnest(product_types), 0 FROM promo_codes
+) AS spellings
+ORDER BY LOWER(spelling), uses DESC, spelling;
+
+ALTER TABLE products ADD COLUMN category_id INT REFERENCES categories(category_id);
+UPDATE products p SET category_id = c.category_id
+FROM categories c WHERE LOWER(c.name) = LOWER(p.product_type);
+ALTER TABLE products ALTER COLUMN category_id SET NOT NULL;
+ALTER TABLE products DROP COLUMN product_type;
+CREATE INDEX idx_products_category ON products (category_id);
+
+ALTER TABLE tax_rates ADD COLUMN category_id INT REFERENCES categories(category_id);
+UPDATE tax_rates t SET category_id = c.category_id
+FROM categories c WHERE LOWER(c.name) = LOWER(t.product_type);
+DROP INDEX tax_rates_active_product_type;
+ALTER TABLE tax_rates DROP COLUMN product_type;
+CREATE UNIQUE INDEX tax_rates_active_category ON tax_rates (COALESCE(category_id, 0)) WHERE is_active;
+
+ALTER TABLE promo_codes ADD COLUMN category_ids INT[];
+UPDATE promo_codes pc
+SET category_ids = ARRAY(SELECT c.category_id FROM categories c
+                         WHERE LOWER(c.name) = ANY(pc.product_types) ORDER BY c.category_id)
+WHERE pc.product_types IS NOT NULL AND CARDINALITY(pc.product_types) > 0;
+ALTER TABLE promo_codes DROP COLUMN product_types;
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Allow 'refund' gift card transactions: payments credited back to a card when its sale is voided or refunded.
+-- Run once, after 022_product_categories.sql:
+--   psql -U your_username -d your_database -f database/migrations/023_gift_card_refunds.sql
+
+BEGIN;
+
+ALTER TABLE gift_card_transactions DROP CONSTRAINT gift_card_transactions_type_check;
+ALTER TABLE gift_card_transactions
+    ADD CONSTRAINT gift_card_transactions_type_check CHECK (type IN ('issue','redeem','refund','void'));
+
+COMMIT;
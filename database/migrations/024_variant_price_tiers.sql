@@ -0,0 +1,18 @@
+-- Price tiers for a product sold in variants are set per variant.
+-- Run once, after 023_gift_card_refunds.sql:
+--   psql -U your_username -d your_database -f database/migrations/024_variant_price_tiers.sql
+--
+-- Tiers already set on a product that has variants priced none of its lines. They are kept without a variant and
+-- still never apply; the product's edit page marks them so that they can be deleted and entered per variant.
+
+BEGIN;
+
+ALTER TABLE price_tiers
+    ADD COLUMN variant_id INT,
+    ADD CONSTRAINT fk_price_tiers_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+
+DROP INDEX price_tiers_unique_step;
+CREATE UNIQUE INDEX price_tiers_unique_step ON price_tiers (product_id, COALESCE(variant_id, 0), COALESCE(price_list_id, 0), min_quantity);
+
+COMMIT;
@@ -7,6 +7,8 @@ CREATE TABLE public.users
     phone_number text,
     password text,
     role text,
+    -- Wholesale price list the customer buys at (NULL: retail prices and public volume tiers only)
+    price_list_id integer,
     PRIMARY KEY (user_id),
     CONSTRAINT role_check CHECK (role IN ('admin', 'customer', 'guest')) NOT VALID
 );
@@ -14,24 +16,95 @@ CREATE TABLE public.users
 ALTER TABLE IF EXISTS public.users
     OWNER to postgres;
     
+-- Product categories, nested through parent_id (e.g. Coffee › Single Origin › Ethiopia)
+CREATE TABLE categories (
+    category_id SERIAL PRIMARY KEY,
+    parent_id INT REFERENCES categories(category_id),
+    name VARCHAR(50) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (parent_id <> category_id)
+);
+
+-- Categories under the same parent have different names, ignoring case
+CREATE UNIQUE INDEX categories_unique_name ON categories (COALESCE(parent_id, 0), LOWER(name));
+
+-- Each category with the IDs and names of its ancestors, from the top-level category down to itself
+CREATE VIEW category_paths AS
+WITH RECURSIVE paths AS (
+    SELECT category_id, ARRAY[category_id] AS id_path, ARRAY[name::text] AS name_path
+    FROM categories WHERE parent_id IS NULL
+    UNION ALL
+    SELECT c.category_id, paths.id_path || c.category_id, paths.name_path || c.name::text
+    FROM categories c JOIN paths ON c.parent_id = paths.category_id
+)
+SELECT category_id, id_path, name_path FROM paths;
+
 CREATE TABLE products (
     product_id SERIAL PRIMARY KEY,
     product_name VARCHAR(100) NOT NULL,
+    -- URL name of the product page (/products/<slug>); never all digits, which would read as a product_id
+    slug VARCHAR(100) NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$' AND slug !~ '^[0-9]+$'),
     description TEXT,
     unit_price NUMERIC(10,2) NOT NULL,
-    product_type VARCHAR(50) NOT NULL,
-    status VARCHAR(20) NOT NULL CHECK (status IN ('available','not available'))
+    category_id INT NOT NULL REFERENCES categories(category_id),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('available','not available')),
+    -- 'backorder' and 'preorder' accept orders beyond stock; the extra units wait for replenishment
+    backorder_policy VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (backorder_policy IN ('none','backorder','preorder')),
+    expected_available_date DATE,
+    -- Coffee details, all optional (merchandise leaves them empty); catalog filters and product search use them
+    origin_country VARCHAR(60),
+    origin_region VARCHAR(100),
+    farm VARCHAR(100),
+    varietal VARCHAR(100),
+    process VARCHAR(10) CHECK (process IN ('washed','natural','honey')),
+    altitude_masl INT CHECK (altitude_masl > 0),
+    roast_level VARCHAR(15) CHECK (roast_level IN ('light','medium-light','medium','medium-dark','dark')),
+    tasting_notes TEXT[] NOT NULL DEFAULT '{}',
+    brew_methods TEXT[] NOT NULL DEFAULT '{}'
 );
 
+CREATE INDEX idx_products_category ON products (category_id);
+
 
 CREATE TABLE public.sales
 (
     sale_id integer NOT NULL DEFAULT nextval('sales_sale_id_seq'::regclass),
     user_id integer,
     sale_date timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    subtotal numeric(12,2) NOT NULL DEFAULT 0,
+    discount_percentage numeric(5,2) NOT NULL DEFAULT 0,
+    discount_amount numeric(12,2) NOT NULL DEFAULT 0,
     total_amount numeric,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending','paid','roasting','ready','shipped','picked_up','completed','cancelled')),
+    void_reason TEXT,
+    voided_at timestamp with time zone,
+    voided_by integer,
+    refunded_amount numeric(12,2) NOT NULL DEFAULT 0,
+    promo_code_id integer,
+    tax_amount numeric(12,2) NOT NULL DEFAULT 0,
+    prices_include_tax boolean NOT NULL DEFAULT false,
+    exchange_rate numeric(14,2),
+    paid_amount numeric(12,2) NOT NULL DEFAULT 0,
+    -- How a web order is fulfilled; NULL for in-store and API sales without scheduling
+    fulfillment_type VARCHAR(10) CHECK (fulfillment_type IN ('delivery','pickup')),
+    fulfillment_date date,
+    time_slot_id integer,
+    delivery_zone_id integer,
+    delivery_address TEXT,
+    delivery_fee numeric(12,2) NOT NULL DEFAULT 0 CHECK (delivery_fee >= 0),
+    -- Note from the customer at checkout (e.g. grind preference), shown to staff and the customer
+    customer_notes TEXT,
+    -- Loyalty points redeemed at checkout and their value (included in discount_amount)
+    loyalty_points_redeemed integer NOT NULL DEFAULT 0 CHECK (loyalty_points_redeemed >= 0),
+    loyalty_discount numeric(12,2) NOT NULL DEFAULT 0 CHECK (loyalty_discount >= 0),
     CONSTRAINT sales_pkey PRIMARY KEY (sale_id),
     CONSTRAINT fk_sales_users FOREIGN KEY (user_id)
+        REFERENCES public.users (user_id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL,
+    CONSTRAINT fk_sales_voided_by FOREIGN KEY (voided_by)
         REFERENCES public.users (user_id) MATCH SIMPLE
         ON UPDATE NO ACTION
         ON DELETE SET NULL
@@ -43,6 +116,15 @@ CREATE TABLE sale_items (
     product_id INT NOT NULL,
     quantity INT NOT NULL CHECK (quantity > 0),
     price_at_sale DECIMAL(10, 2) NOT NULL CHECK (price_at_sale >= 0),
+    -- The product's retail price when sold, and the tier that set price_at_sale (NULL: retail price)
+    list_price DECIMAL(10, 2),
+    price_tier VARCHAR(120),
+    tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    -- Bag size and grind sold, for products sold in variants
+    variant_id INT,
+    -- Units ordered beyond stock; allocated (and taken from inventory) when the product is restocked
+    backordered_quantity INT NOT NULL DEFAULT 0 CHECK (backordered_quantity >= 0 AND backordered_quantity <= quantity),
     FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
 );
@@ -55,3 +137,405 @@ CREATE TABLE inventory (
     FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
 );
 
+-- Timestamped log of every order status transition
+CREATE TABLE sale_status_history (
+    history_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INT,
+    note TEXT,
+    changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Returned quantities of sale items and the refund issued for them
+CREATE TABLE returns (
+    return_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    sale_item_id INT NOT NULL,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    refund_amount NUMERIC(12,2) NOT NULL CHECK (refund_amount >= 0),
+    restocked BOOLEAN NOT NULL DEFAULT FALSE,
+    reason TEXT,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_item_id) REFERENCES sale_items(sale_item_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Admin-managed promo codes (percent or fixed amount off an order)
+CREATE TABLE promo_codes (
+    promo_code_id SERIAL PRIMARY KEY,
+    code VARCHAR(40) NOT NULL UNIQUE,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent','fixed')),
+    discount_value NUMERIC(10,2) NOT NULL CHECK (discount_value > 0),
+    min_order_value NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (min_order_value >= 0),
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    max_uses INT CHECK (max_uses > 0),
+    max_uses_per_customer INT CHECK (max_uses_per_customer > 0),
+    -- Only lines in these categories (or their subcategories) are discounted; NULL: every product
+    category_ids INT[],
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percent' OR discount_value <= 100),
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+ALTER TABLE sales
+    ADD CONSTRAINT fk_sales_promo_code FOREIGN KEY (promo_code_id)
+        REFERENCES promo_codes (promo_code_id) ON DELETE SET NULL;
+
+-- One row per sale that used a promo code; counts toward the code's usage caps
+CREATE TABLE promo_code_redemptions (
+    redemption_id SERIAL PRIMARY KEY,
+    promo_code_id INT NOT NULL,
+    sale_id INT NOT NULL UNIQUE,
+    user_id INT,
+    discount_amount NUMERIC(12,2) NOT NULL CHECK (discount_amount >= 0),
+    redeemed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promo_code_id) REFERENCES promo_codes(promo_code_id),
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Configurable tax (VAT) rates for a category and its subcategories; a NULL category_id is the default rate
+CREATE TABLE tax_rates (
+    tax_rate_id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    category_id INT REFERENCES categories(category_id),
+    rate NUMERIC(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one active rate per category, and one active default rate
+CREATE UNIQUE INDEX tax_rates_active_category ON tax_rates (COALESCE(category_id, 0)) WHERE is_active;
+
+-- USD to LBP exchange rates maintained by admins; the latest rate whose effective_from has passed is current
+CREATE TABLE exchange_rates (
+    exchange_rate_id SERIAL PRIMARY KEY,
+    rate NUMERIC(14,2) NOT NULL CHECK (rate > 0),
+    effective_from TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Payments against a sale, tendered in USD or LBP; amount_usd is what was applied to the sale.
+-- A sale paid with several tenders (split payment) has one row per tender; only cash gives change
+CREATE TABLE payments (
+    payment_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    method VARCHAR(10) NOT NULL DEFAULT 'cash' CHECK (method IN ('cash','card','transfer','gift_card')),
+    currency VARCHAR(3) NOT NULL CHECK (currency IN ('USD','LBP')),
+    amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+    exchange_rate NUMERIC(14,2),
+    amount_usd NUMERIC(12,2) NOT NULL CHECK (amount_usd >= 0),
+    change_amount NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (change_amount >= 0),
+    received_by INT,
+    -- Gift card the payment was taken from (method 'gift_card')
+    gift_card_id INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Invoices issued for sales; invoice_number is assigned on first download and runs without gaps
+CREATE TABLE invoices (
+    invoice_id SERIAL PRIMARY KEY,
+    invoice_number INT NOT NULL UNIQUE,
+    sale_id INT NOT NULL UNIQUE,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id)
+);
+
+-- Idempotency keys for order creation: the Idempotency-Key header on POST /api/sales and the one-time
+-- form token on the order form. The first request stores its response; a retry with the same key replays it
+CREATE TABLE idempotency_keys (
+    idempotency_key_id SERIAL PRIMARY KEY,
+    scope VARCHAR(50) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code INT,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMPTZ,
+    UNIQUE (scope, idempotency_key)
+);
+
+-- Shopping carts: one per customer (user_id) or per guest session (session_id).
+-- A guest's cart is merged into the customer's cart when they log in
+CREATE TABLE carts (
+    cart_id SERIAL PRIMARY KEY,
+    user_id INT UNIQUE,
+    session_id VARCHAR(255) UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (user_id IS NOT NULL OR session_id IS NOT NULL),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Products in a cart; prices are not stored, the cart always shows the product's (or variant's) current unit_price
+CREATE TABLE cart_items (
+    cart_item_id SERIAL PRIMARY KEY,
+    cart_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    added_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (cart_id) REFERENCES carts(cart_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+-- One line per product and variant in a cart
+CREATE UNIQUE INDEX cart_items_unique_line ON cart_items (cart_id, product_id, COALESCE(variant_id, 0));
+
+-- Recurring orders: a customer's product mix delivered on a schedule.
+-- The scheduler creates a sale for each active subscription whose next_run_date has come
+CREATE TABLE subscriptions (
+    subscription_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly','biweekly','monthly')),
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active','paused','cancelled')),
+    next_run_date DATE NOT NULL,
+    out_of_stock_action VARCHAR(10) NOT NULL DEFAULT 'notify' CHECK (out_of_stock_action IN ('notify','substitute')),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMPTZ,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE subscription_items (
+    subscription_item_id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX subscription_items_unique_line ON subscription_items (subscription_id, product_id, COALESCE(variant_id, 0));
+
+-- One row per subscription per due date: the sale it created, or why none was created.
+-- The UNIQUE constraint keeps a due date from being ordered twice; the note is shown to the customer
+CREATE TABLE subscription_runs (
+    subscription_run_id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','created','skipped','failed')),
+    sale_id INT,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (subscription_id, run_date),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id)
+);
+
+-- Delivery areas and the fee added to the total of orders delivered there
+CREATE TABLE delivery_zones (
+    delivery_zone_id SERIAL PRIMARY KEY,
+    name VARCHAR(60) NOT NULL UNIQUE,
+    fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily delivery or pickup windows; capacity is the number of orders per window per day
+CREATE TABLE time_slots (
+    time_slot_id SERIAL PRIMARY KEY,
+    fulfillment_type VARCHAR(10) NOT NULL CHECK (fulfillment_type IN ('delivery','pickup')),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    capacity INT NOT NULL CHECK (capacity > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- Customer address book; sales keep a copy of the address so later edits don't change past orders
+CREATE TABLE addresses (
+    address_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL,
+    label VARCHAR(40),
+    street TEXT NOT NULL,
+    city VARCHAR(60) NOT NULL,
+    delivery_zone_id INT,
+    phone_number VARCHAR(20),
+    notes TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(delivery_zone_id) ON DELETE SET NULL
+);
+
+-- At most one default address per customer
+CREATE UNIQUE INDEX addresses_default_per_user ON addresses (user_id) WHERE is_default;
+
+ALTER TABLE sales
+    ADD CONSTRAINT fk_sales_time_slot FOREIGN KEY (time_slot_id)
+        REFERENCES time_slots (time_slot_id) ON DELETE SET NULL,
+    ADD CONSTRAINT fk_sales_delivery_zone FOREIGN KEY (delivery_zone_id)
+        REFERENCES delivery_zones (delivery_zone_id) ON DELETE SET NULL;
+
+-- Internal staff comments on a sale; never shown to customers
+CREATE TABLE sale_comments (
+    sale_comment_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL,
+    user_id INT,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- One loyalty account per customer, created when they first earn points
+CREATE TABLE loyalty_accounts (
+    loyalty_account_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,
+    points_balance INT NOT NULL DEFAULT 0 CHECK (points_balance >= 0),
+    lifetime_points INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Points ledger. Earned and restored entries are lots: points_remaining is what is left of them to spend
+-- before expires_at; redemptions, reversals and expiries take from the oldest lots first
+CREATE TABLE loyalty_transactions (
+    loyalty_transaction_id SERIAL PRIMARY KEY,
+    loyalty_account_id INT NOT NULL,
+    sale_id INT,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('earn','redeem','reversal','restore','expire')),
+    points INT NOT NULL,
+    points_remaining INT NOT NULL DEFAULT 0 CHECK (points_remaining >= 0),
+    expires_at TIMESTAMPTZ,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (loyalty_account_id) REFERENCES loyalty_accounts(loyalty_account_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_loyalty_transactions_account ON loyalty_transactions (loyalty_account_id, loyalty_transaction_id);
+
+-- Gift cards sold over the counter; balance is what is left to spend (USD)
+CREATE TABLE gift_cards (
+    gift_card_id SERIAL PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    initial_balance NUMERIC(12,2) NOT NULL CHECK (initial_balance > 0),
+    balance NUMERIC(12,2) NOT NULL CHECK (balance >= 0),
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active','void')),
+    recipient_name VARCHAR(100),
+    note TEXT,
+    issued_by INT,
+    issued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    void_reason TEXT,
+    voided_at TIMESTAMPTZ,
+    voided_by INT,
+    FOREIGN KEY (issued_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (voided_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Every change to a gift card's balance: amount is positive when issued or refunded, negative when spent or voided
+CREATE TABLE gift_card_transactions (
+    gift_card_transaction_id SERIAL PRIMARY KEY,
+    gift_card_id INT NOT NULL,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('issue','redeem','refund','void')),
+    amount NUMERIC(12,2) NOT NULL,
+    balance_after NUMERIC(12,2) NOT NULL CHECK (balance_after >= 0),
+    sale_id INT,
+    created_by INT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (gift_card_id) REFERENCES gift_cards(gift_card_id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_id) REFERENCES sales(sale_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_gift_card_transactions_card ON gift_card_transactions (gift_card_id, gift_card_transaction_id);
+
+ALTER TABLE payments
+    ADD CONSTRAINT fk_payments_gift_card FOREIGN KEY (gift_card_id)
+        REFERENCES gift_cards (gift_card_id) ON DELETE SET NULL;
+
+-- Named price lists (e.g. café wholesale) assigned to customer accounts
+CREATE TABLE price_lists (
+    price_list_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Unit price of a product (or of one of its variants) from min_quantity units per order line;
+-- price_list_id NULL is a volume tier for everyone
+CREATE TABLE price_tiers (
+    price_tier_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    -- Bag size and grind the tier prices (NULL: the product itself, when it has no variants)
+    variant_id INT,
+    price_list_id INT,
+    min_quantity INT NOT NULL CHECK (min_quantity >= 1),
+    unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price > 0),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (price_list_id) REFERENCES price_lists(price_list_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX price_tiers_unique_step ON price_tiers (product_id, COALESCE(variant_id, 0), COALESCE(price_list_id, 0), min_quantity);
+
+ALTER TABLE users
+    ADD CONSTRAINT fk_users_price_list FOREIGN KEY (price_list_id)
+        REFERENCES price_lists (price_list_id) ON DELETE SET NULL;
+
+-- Bag sizes and grinds a product is sold in, each with its own price and stock.
+-- A product with variants is always ordered by variant; its inventory row is not used
+CREATE TABLE product_variants (
+    variant_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    weight_grams INT NOT NULL CHECK (weight_grams > 0),
+    grind VARCHAR(20) NOT NULL CHECK (grind IN ('whole bean','ground')),
+    unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price > 0),
+    quantity_in_stock INT NOT NULL DEFAULT 0 CHECK (quantity_in_stock >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, weight_grams, grind),
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+-- A variant that was sold cannot be deleted (deactivate it instead)
+ALTER TABLE sale_items
+    ADD CONSTRAINT fk_sale_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id);
+
+ALTER TABLE cart_items
+    ADD CONSTRAINT fk_cart_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+
+ALTER TABLE subscription_items
+    ADD CONSTRAINT fk_subscription_items_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+
+ALTER TABLE price_tiers
+    ADD CONSTRAINT fk_price_tiers_variant FOREIGN KEY (variant_id)
+        REFERENCES product_variants (variant_id) ON DELETE CASCADE;
+
+-- Product photos. Each upload is stored as a square thumbnail and a full-size WebP under storage_key
+-- (see src/utils/productImages.js); galleries show them by sort_order and listings use the primary one
+CREATE TABLE product_images (
+    image_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    storage_key VARCHAR(120) NOT NULL UNIQUE,
+    alt_text VARCHAR(150),
+    width INT NOT NULL CHECK (width > 0),
+    height INT NOT NULL CHECK (height > 0),
+    sort_order INT NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+-- At most one primary image per product
+CREATE UNIQUE INDEX product_images_one_primary ON product_images (product_id) WHERE is_primary;
@@ -9,11 +9,23 @@ import session from 'express-session';
 import flash from 'connect-flash';
 import { healthCheck } from './config/db.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { formatCurrency, convertFromUsd } from './utils/helpers.js';
+import { IMAGE_STORAGE_DIR, IMAGE_URL_PATH, IMAGE_CACHE_MAX_AGE_DAYS } from './config/images.js';
 import { UsersRoutes } from './routes/usersRoutes.js';
 import { ProductsRoutes } from './routes/productsRoutes.js';
 import { SalesRoutes } from './routes/SalesRoutes.js';
 import { SaleItemsRoutes } from './routes/SaleItemsRoutes.js';
 import { InventoryRoutes } from './routes/InventoryRoutes.js';
+import { PromoCodesRoutes } from './routes/promoCodesRoutes.js';
+import { TaxRatesRoutes } from './routes/taxRatesRoutes.js';
+import { ExchangeRatesRoutes } from './routes/exchangeRatesRoutes.js';
+import { CartRoutes } from './routes/cartRoutes.js';
+import { SubscriptionsRoutes } from './routes/subscriptionsRoutes.js';
+import { DeliveryZonesRoutes } from './routes/deliveryZonesRoutes.js';
+import { TimeSlotsRoutes } from './routes/timeSlotsRoutes.js';
+import { GiftCardsRoutes } from './routes/giftCardsRoutes.js';
+import { PriceListsRoutes } from './routes/priceListsRoutes.js';
+import { CategoriesRoutes } from './routes/categoriesRoutes.js';
 import chatbotRoute from './routes/chatbot.js';
 
 
@@ -54,6 +66,13 @@ app.set('layout', 'layouts/main');
 // Static files (CSS, JS, images)
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Uploaded product images: every upload gets a new file name, so a served file never changes
+app.use(IMAGE_URL_PATH, express.static(IMAGE_STORAGE_DIR, {
+  maxAge: `${IMAGE_CACHE_MAX_AGE_DAYS}d`,
+  immutable: true,
+  index: false
+}));
+
 // Make user and flash messages available to ALL views
 app.use((req, res, next) => {
   res.locals.currentUser = req.session.user || null;
@@ -62,6 +81,8 @@ app.use((req, res, next) => {
     error: req.flash('error'),
     info: req.flash('info')
   };
+  res.locals.formatCurrency = formatCurrency;
+  res.locals.convertFromUsd = convertFromUsd;
   next();
 });
 
@@ -80,6 +101,16 @@ app.use('/api/products', ProductsRoutes);
 app.use('/api/sales', SalesRoutes);
 app.use('/api/sale-items', SaleItemsRoutes);
 app.use('/api/inventory', InventoryRoutes);
+app.use('/api/promo-codes', PromoCodesRoutes);
+app.use('/api/tax-rates', TaxRatesRoutes);
+app.use('/api/exchange-rates', ExchangeRatesRoutes);
+app.use('/api/cart', CartRoutes);
+app.use('/api/subscriptions', SubscriptionsRoutes);
+app.use('/api/delivery-zones', DeliveryZonesRoutes);
+app.use('/api/time-slots', TimeSlotsRoutes);
+app.use('/api/gift-cards', GiftCardsRoutes);
+app.use('/api/price-lists', PriceListsRoutes);
+app.use('/api/categories', CategoriesRoutes);
 app.use('/api/chatbot', chatbotRoute);
 
 // ===== FRONTEND PAGES (new) =====
@@ -0,0 +1,14 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+// Load environment variables from .env file
+dotenv.config();
+// Seller details printed on PDF invoices and receipts
+export const BUSINESS = {
+    name: process.env.BUSINESS_NAME || 'Zeina Roastery',
+    address: process.env.BUSINESS_ADDRESS || 'Beirut, Lebanon',
+    phone: process.env.BUSINESS_PHONE || '',
+    email: process.env.BUSINESS_EMAIL || '',
+    vat_number: process.env.BUSINESS_VAT_NUMBER || ''
+};
+// Printed before the zero-padded invoice number, e.g. INV-000042
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV-';
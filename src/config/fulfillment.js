@@ -0,0 +1,7 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+// Load environment variables from .env file
+dotenv.config();
+// How many days ahead (FULFILLMENT_DAYS_AHEAD) customers can book a delivery or pickup slot, today included.
+const daysAhead = parseInt(process.env.FULFILLMENT_DAYS_AHEAD ?? '7', 10);
+export const FULFILLMENT_DAYS_AHEAD = Number.isNaN(daysAhead) ? 7 : Math.max(1, daysAhead);
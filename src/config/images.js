@@ -0,0 +1,23 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+// Load environment variables from .env file
+dotenv.config();
+// Directory uploaded images are written to (IMAGE_STORAGE_DIR); a relative path is taken from the project root.
+const projectRoot = fileURLToPath(new URL('../..', import.meta.url));
+export const IMAGE_STORAGE_DIR = path.resolve(projectRoot, process.env.IMAGE_STORAGE_DIR || 'uploads');
+// URL path the stored images are served under
+export const IMAGE_URL_PATH = '/uploads';
+// Largest file accepted per image, in megabytes (IMAGE_MAX_UPLOAD_MB), and how many images one upload may carry.
+const maxUploadMb = parseFloat(process.env.IMAGE_MAX_UPLOAD_MB ?? '8');
+export const IMAGE_MAX_UPLOAD_MB = Number.isNaN(maxUploadMb) || maxUploadMb <= 0 ? 8 : maxUploadMb;
+export const IMAGES_PER_UPLOAD = 10;
+// Sizes every upload is resized to: a square crop for listings and a full image bounded to the box, never enlarged.
+export const IMAGE_SIZES = {
+    thumb: { width: 400, height: 400, fit: 'cover' },
+    full: { width: 1600, height: 1600, fit: 'inside' }
+};
+// Stored files never change (each upload gets a new name), so browsers may cache them this long (IMAGE_CACHE_MAX_AGE_DAYS).
+const cacheDays = parseInt(process.env.IMAGE_CACHE_MAX_AGE_DAYS ?? '365', 10);
+export const IMAGE_CACHE_MAX_AGE_DAYS = Number.isNaN(cacheDays) ? 365 : Math.max(0, cacheDays);
@@ -0,0 +1,13 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+// Load environment variables from .env file
+dotenv.config();
+// Points earned per USD of a completed sale's total (LOYALTY_POINTS_PER_USD).
+const perUsd = parseFloat(process.env.LOYALTY_POINTS_PER_USD ?? '1');
+export const LOYALTY_POINTS_PER_USD = Number.isNaN(perUsd) ? 1 : Math.max(0, perUsd);
+// USD value of one point when redeemed at checkout (LOYALTY_POINT_VALUE).
+const pointValue = parseFloat(process.env.LOYALTY_POINT_VALUE ?? '0.01');
+export const LOYALTY_POINT_VALUE = Number.isNaN(pointValue) || pointValue <= 0 ? 0.01 : pointValue;
+// Days before earned points expire (LOYALTY_POINTS_EXPIRY_DAYS).
+const expiryDays = parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS ?? '365', 10);
+export const LOYALTY_POINTS_EXPIRY_DAYS = Number.isNaN(expiryDays) ? 365 : Math.max(1, expiryDays);
@@ -0,0 +1,8 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+// Load environment variables from .env file
+dotenv.config();
+// How often (in minutes) the server checks for subscriptions that are due (SUBSCRIPTION_CHECK_INTERVAL_MINUTES).
+// 0 turns the scheduler off; due subscriptions can still be run from the admin page or POST /api/subscriptions/run.
+const interval = parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL_MINUTES ?? '60', 10);
+export const SUBSCRIPTION_CHECK_INTERVAL_MINUTES = Number.isNaN(interval) ? 60 : Math.max(0, interval);
@@ -0,0 +1,7 @@
+// Use dotenv to manage environment variables
+import dotenv from "dotenv";
+// Load environment variables from .env file
+dotenv.config();
+// Whether catalogue prices already include tax (PRICES_INCLUDE_TAX=true)
+// or tax is added on top of them (default). Each sale records the mode it was created with.
+export const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
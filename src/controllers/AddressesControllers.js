@@ -0,0 +1,89 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * AddressesControllers — handlers for a customer's address book
+ * Common request pieces:
+ * - req.params.user_id: number|string (customer identifier)
+ * - req.params.address_id: number|string (address identifier)
+ * - req.body: { label, street, city, delivery_zone_id, phone_number, notes, is_default }
+ */
+export class AddressesControllers {
+    constructor(addressesService) {
+        this.addressesService = addressesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List a customer's addresses — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const addresses = await this.addressesService.listAddresses(req.params.user_id);
+            return res.json(addresses);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add an address to a customer's address book
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const address = await this.addressesService.createAddress(req.params.user_id, req.body);
+            return res.status(201).json(address);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update an address — req.params.user_id, req.params.address_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const address = await this.addressesService.updateAddress(req.params.user_id, req.params.address_id, req.body);
+            if (!address) {
+                return res.status(404).json({ message: "Address not found" });
+            }
+            return res.json(address);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Make an address the customer's default
+    setDefault = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const address = await this.addressesService.setDefault(req.params.user_id, req.params.address_id);
+            if (!address) {
+                return res.status(404).json({ message: "Address not found" });
+            }
+            return res.json(address);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete an address — req.params.user_id, req.params.address_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.addressesService.deleteAddress(req.params.user_id, req.params.address_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Address not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { validationResult } from 'express-validator';
+import { cartOwner } from '../utils/helpers.js';
+
+/**
+ * CartsControllers — handlers for the current session's shopping cart
+ * The cart belongs to the logged-in user, or to the session for guests.
+ * Common request pieces:
+ * - req.params.product_id: number|string (product in the cart)
+ * - req.params.sale_id: number|string (order to reorder)
+ * - req.body.product_id: number|string, req.body.quantity: number|string
+ * - req.body.variant_id (req.query.variant_id on DELETE): number|string (the line's bag size and grind, for products sold in variants)
+ * - req.body.promo_code: string (optional, at checkout)
+ * - req.body.fulfillment_type, fulfillment_date, time_slot_id, address_id (optional delivery or pickup booking at checkout)
+ * - req.body.customer_notes: string (optional note for the roastery, at checkout)
+ * - req.body.redeem_points: number (optional loyalty points to spend, at checkout)
+ * - Idempotency-Key header: string (optional on checkout; a retry returns the original sale)
+ */
+export class CartsControllers {
+    constructor(cartsService, idempotencyService) {
+        this.cartsService = cartsService;
+        this.idempotencyService = idempotencyService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // Get the cart — responds with items, item_count, subtotal and stock flags
+    get = async (req, res, next) => {
+        try {
+            const cart = await this.cartsService.getCart(cartOwner(req));
+            return res.json(cart);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add a product — expects req.body.product_id, optional req.body.quantity (default 1) and req.body.variant_id
+    addItem = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const cart = await this.cartsService.addItem(cartOwner(req), req.body.product_id, req.body.quantity ?? 1, req.body.variant_id);
+            return res.status(201).json(cart);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Change a product's quantity — req.params.product_id, req.body.quantity (0 removes it), req.body.variant_id
+    updateItem = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const cart = await this.cartsService.updateItem(cartOwner(req), req.params.product_id, req.body.quantity, req.body.variant_id);
+            if (!cart) {
+                return res.status(404).json({ message: "Product not in cart" });
+            }
+            return res.json(cart);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Remove a product — req.params.product_id, req.query.variant_id
+    removeItem = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const cart = await this.cartsService.removeItem(cartOwner(req), req.params.product_id, req.query.variant_id);
+            if (!cart) {
+                return res.status(404).json({ message: "Product not in cart" });
+            }
+            return res.json(cart);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Empty the cart
+    clear = async (req, res, next) => {
+        try {
+            const cart = await this.cartsService.clearCart(cartOwner(req));
+            return res.json(cart);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Copy a previous order into the cart — req.params.sale_id; responds with { cart, added, flagged }
+    reorder = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const result = await this.cartsService.reorder(cartOwner(req), req.params.sale_id);
+            if (!result) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.status(201).json(result);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Place the cart as a sale — optional req.body.promo_code and fulfillment booking; with an Idempotency-Key header a retry replays the original sale
+    checkout = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const owner = cartOwner(req);
+            const promoCode = req.body.promo_code || null;
+            const { fulfillment_type, fulfillment_date, time_slot_id, address_id } = req.body;
+            const fulfillment = fulfillment_type ? { fulfillment_type, fulfillment_date, time_slot_id, address_id } : null;
+            const customerNotes = req.body.customer_notes || null;
+            const redeemPoints = parseInt(req.body.redeem_points, 10) || 0;
+            const key = req.get('Idempotency-Key');
+            if (!key) {
+                const sale = await this.cartsService.checkout(owner, promoCode, fulfillment, customerNotes, redeemPoints);
+                return res.status(201).json(sale);
+            }
+
+            const result = await this.idempotencyService.execute('POST /api/cart/checkout', key, { user_id: owner.user_id, promo_code: promoCode, fulfillment, customer_notes: customerNotes, redeem_points: redeemPoints }, async () => ({
+                status_code: 201,
+                response: await this.cartsService.checkout(owner, promoCode, fulfillment, customerNotes, redeemPoints)
+            }));
+            if (result.outcome === 'in_progress') {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+            }
+            if (result.outcome === 'mismatch') {
+                return res.status(422).json({ message: 'Idempotency-Key was already used with a different request body' });
+            }
+            if (result.outcome === 'replayed') {
+                res.set('Idempotent-Replayed', 'true');
+            }
+            return res.status(result.status_code).json(result.response);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
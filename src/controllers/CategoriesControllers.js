@@ -0,0 +1,99 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * CategoriesControllers — CRUD and sales report handlers for product categories
+ * Common request pieces:
+ * - req.params.category_id: number|string (category identifier)
+ * - req.body: { name, parent_id, description }
+ * - req.query: { move_to } when deleting, { from, to } for the sales report
+ */
+export class CategoriesControllers {
+    constructor(categoriesService) {
+        this.categoriesService = categoriesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all categories in tree order — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const categories = await this.categoriesService.listCategories();
+            return res.json(categories);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Orders, units and item sales per category — req.query.from / req.query.to (YYYY-MM-DD)
+    salesReport = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const report = await this.categoriesService.getSalesReport({ from: req.query.from, to: req.query.to });
+            return res.json(report);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a single category by ID — req.params.category_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const category = await this.categoriesService.getCategoryById(req.params.category_id);
+            if (!category) {
+                return res.status(404).json({ message: "Category not found" });
+            }
+            return res.json(category);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a category
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const category = await this.categoriesService.createCategory(req.body);
+            return res.status(201).json(category);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a category — req.params.category_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const category = await this.categoriesService.updateCategory(req.params.category_id, req.body);
+            if (!category) {
+                return res.status(404).json({ message: "Category not found" });
+            }
+            return res.json(category);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a category, moving its products and subcategories to req.query.move_to if given
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.categoriesService.deleteCategory(req.params.category_id, req.query.move_to);
+            if (!deleted) {
+                return res.status(404).json({ message: "Category not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,87 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * DeliveryZonesControllers — CRUD handlers for delivery zones
+ * Common request pieces:
+ * - req.params.delivery_zone_id: number|string (delivery zone identifier)
+ * - req.body: { name, fee, is_active }
+ */
+export class DeliveryZonesControllers {
+    constructor(deliveryZonesService) {
+        this.deliveryZonesService = deliveryZonesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all delivery zones — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const deliveryZones = await this.deliveryZonesService.listDeliveryZones();
+            return res.json(deliveryZones);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a single delivery zone by ID — req.params.delivery_zone_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const zone = await this.deliveryZonesService.getDeliveryZoneById(req.params.delivery_zone_id);
+            if (!zone) {
+                return res.status(404).json({ message: "Delivery zone not found" });
+            }
+            return res.json(zone);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a delivery zone
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const zone = await this.deliveryZonesService.createDeliveryZone(req.body);
+            return res.status(201).json(zone);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a delivery zone — req.params.delivery_zone_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const zone = await this.deliveryZonesService.updateDeliveryZone(req.params.delivery_zone_id, req.body);
+            if (!zone) {
+                return res.status(404).json({ message: "Delivery zone not found" });
+            }
+            return res.json(zone);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a delivery zone — req.params.delivery_zone_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.deliveryZonesService.deleteDeliveryZone(req.params.delivery_zone_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Delivery zone not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,72 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * ExchangeRatesControllers — handlers for USD to LBP exchange rates
+ * Common request pieces:
+ * - req.params.exchange_rate_id: number|string (exchange rate identifier)
+ * - req.body: { rate, effective_from }
+ */
+export class ExchangeRatesControllers {
+    constructor(exchangeRatesService) {
+        this.exchangeRatesService = exchangeRatesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all exchange rates — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const rates = await this.exchangeRatesService.listExchangeRates();
+            return res.json(rates);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get the exchange rate currently in effect
+    current = async (req, res, next) => {
+        try {
+            const rate = await this.exchangeRatesService.getCurrentExchangeRate();
+            if (!rate) {
+                return res.status(404).json({ message: "No exchange rate set" });
+            }
+            return res.json(rate);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add an exchange rate
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const rate = await this.exchangeRatesService.createExchangeRate(req.body, req.session?.user?.user_id || null);
+            return res.status(201).json(rate);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete an exchange rate — req.params.exchange_rate_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.exchangeRatesService.deleteExchangeRate(req.params.exchange_rate_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Exchange rate not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
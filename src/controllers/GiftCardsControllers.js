@@ -0,0 +1,91 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * GiftCardsControllers — handlers for issuing, looking up and voiding gift cards
+ * Common request pieces:
+ * - req.params.gift_card_id: number|string (gift card identifier)
+ * - req.params.code: string (gift card code, case and dashes ignored)
+ * - req.query.q: string (optional search on code or recipient)
+ * - req.body: { amount, recipient_name, note } to issue, { reason } to void
+ */
+export class GiftCardsControllers {
+    constructor(giftCardsService) {
+        this.giftCardsService = giftCardsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List gift cards, optionally filtered by ?q= — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const giftCards = await this.giftCardsService.listGiftCards(req.query.q?.trim() || null);
+            return res.json(giftCards);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a gift card with its history by ID — req.params.gift_card_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const card = await this.giftCardsService.getGiftCardById(req.params.gift_card_id);
+            if (!card) {
+                return res.status(404).json({ message: "Gift card not found" });
+            }
+            return res.json(card);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Look up a gift card with its history by code — req.params.code
+    lookup = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const card = await this.giftCardsService.lookupGiftCard(req.params.code);
+            if (!card) {
+                return res.status(404).json({ message: "Gift card not found" });
+            }
+            return res.json(card);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Issue a gift card — the logged-in user (if any) is recorded as the issuer
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const issued_by = req.session?.user?.user_id || null;
+            const card = await this.giftCardsService.issueGiftCard(req.body, issued_by);
+            return res.status(201).json(card);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Void a gift card — req.params.gift_card_id, req.body.reason
+    void = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const voided_by = req.session?.user?.user_id || null;
+            const card = await this.giftCardsService.voidGiftCard(req.params.gift_card_id, req.body.reason, voided_by);
+            if (!card) {
+                return res.status(404).json({ message: "Gift card not found" });
+            }
+            return res.json(card);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
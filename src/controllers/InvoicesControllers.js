@@ -0,0 +1,39 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * InvoicesControllers — handlers for sale invoices
+ * Common request pieces:
+ * - req.params.sale_id: number|string (sale identifier)
+ */
+export class InvoicesControllers {
+    constructor(invoicesService) {
+        this.invoicesService = invoicesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // Download a sale's invoice as a PDF — req.params.sale_id
+    download = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const pdf = await this.invoicesService.renderPdf(req.params.sale_id, 'Invoice');
+            if (!pdf) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+            return res.send(pdf.buffer);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,36 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * LoyaltyAccountsControllers — handlers for a customer's loyalty points
+ * Common request pieces:
+ * - req.params.user_id: number|string (customer identifier)
+ * - req.query.limit: number|string (optional number of ledger entries, default 20)
+ */
+export class LoyaltyAccountsControllers {
+    constructor(loyaltyAccountsService) {
+        this.loyaltyAccountsService = loyaltyAccountsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // Get a customer's balance, next expiry and latest ledger entries — responds with Object
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+            const account = await this.loyaltyAccountsService.getAccount(req.params.user_id, limit);
+            return res.json(account);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
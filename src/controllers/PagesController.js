@@ -2,11 +2,31 @@
  * PagesController - Handles rendering of EJS pages
  * Reuses existing services - no code duplication
  */
+import { randomUUID } from 'crypto';
 import { UsersServices } from '../services/UsersServices.js';
 import { ProductsServices } from '../services/ProductsServices.js';
 import { SalesServices } from '../services/SalesServices.js';
 import { InventoryServices } from '../services/InventoryServices.js';
 import { SaleItemsServices } from '../services/SaleItemsServices.js';
+import { ReturnsServices } from '../services/ReturnsServices.js';
+import { PromoCodesServices } from '../services/PromoCodesServices.js';
+import { TaxRatesServices } from '../services/TaxRatesServices.js';
+import { ExchangeRatesServices } from '../services/ExchangeRatesServices.js';
+import { PaymentsServices } from '../services/PaymentsServices.js';
+import { SaleCommentsServices } from '../services/SaleCommentsServices.js';
+import { InvoicesServices } from '../services/InvoicesServices.js';
+import { IdempotencyKeysServices } from '../services/IdempotencyKeysServices.js';
+import { CartsServices } from '../services/CartsServices.js';
+import { SubscriptionsServices } from '../services/SubscriptionsServices.js';
+import { AddressesServices } from '../services/AddressesServices.js';
+import { DeliveryZonesServices } from '../services/DeliveryZonesServices.js';
+import { TimeSlotsServices } from '../services/TimeSlotsServices.js';
+import { LoyaltyAccountsServices } from '../services/LoyaltyAccountsServices.js';
+import { GiftCardsServices } from '../services/GiftCardsServices.js';
+import { PriceListsServices } from '../services/PriceListsServices.js';
+import { ProductVariantsServices } from '../services/ProductVariantsServices.js';
+import { ProductImagesServices } from '../services/ProductImagesServices.js';
+import { CategoriesServices } from '../services/CategoriesServices.js';
 import { WeatherService } from '../services/WeatherService.js';
 
 // Import repositories
@@ -15,6 +35,37 @@ import { ProductsRepository } from '../domain/repositories/ProductsRepository.js
 import { SalesRepository } from '../domain/repositories/SalesRepository.js';
 import { InventoryRepository } from '../domain/repositories/InventoryRepository.js';
 import { SaleItemsRepository } from '../domain/repositories/SaleItemsRepository.js';
+import { ReturnsRepository } from '../domain/repositories/ReturnsRepository.js';
+import { PromoCodesRepository } from '../domain/repositories/PromoCodesRepository.js';
+import { TaxRatesRepository } from '../domain/repositories/TaxRatesRepository.js';
+import { ExchangeRatesRepository } from '../domain/repositories/ExchangeRatesRepository.js';
+import { PaymentsRepository } from '../domain/repositories/PaymentsRepository.js';
+import { SaleCommentsRepository } from '../domain/repositories/SaleCommentsRepository.js';
+import { InvoicesRepository } from '../domain/repositories/InvoicesRepository.js';
+import { IdempotencyKeysRepository } from '../domain/repositories/IdempotencyKeysRepository.js';
+import { CartsRepository } from '../domain/repositories/CartsRepository.js';
+import { SubscriptionsRepository } from '../domain/repositories/SubscriptionsRepository.js';
+import { AddressesRepository } from '../domain/repositories/AddressesRepository.js';
+import { DeliveryZonesRepository } from '../domain/repositories/DeliveryZonesRepository.js';
+import { TimeSlotsRepository } from '../domain/repositories/TimeSlotsRepository.js';
+import { LoyaltyAccountsRepository } from '../domain/repositories/LoyaltyAccountsRepository.js';
+import { GiftCardsRepository } from '../domain/repositories/GiftCardsRepository.js';
+import { PriceListsRepository } from '../domain/repositories/PriceListsRepository.js';
+import { ProductVariantsRepository } from '../domain/repositories/ProductVariantsRepository.js';
+import { ProductImagesRepository } from '../domain/repositories/ProductImagesRepository.js';
+import { CategoriesRepository } from '../domain/repositories/CategoriesRepository.js';
+import { SALE_STATUSES, CUSTOMER_NOTES_MAX_LENGTH } from '../domain/entities/Sales.js';
+import { SALE_COMMENT_MAX_LENGTH } from '../domain/entities/SaleComments.js';
+import { CURRENCIES } from '../domain/entities/ExchangeRates.js';
+import { PAYMENT_METHODS } from '../domain/entities/Payments.js';
+import { SUBSCRIPTION_FREQUENCIES } from '../domain/entities/Subscriptions.js';
+import { FULFILLMENT_TYPES } from '../domain/entities/TimeSlots.js';
+import { VARIANT_GRINDS } from '../domain/entities/ProductVariants.js';
+import { COFFEE_PROCESSES, ROAST_LEVELS, BREW_METHODS } from '../domain/entities/Products.js';
+import { PRICES_INCLUDE_TAX } from '../config/tax.js';
+import { IMAGE_MAX_UPLOAD_MB, IMAGES_PER_UPLOAD } from '../config/images.js';
+import { formatCurrency, cartOwner } from '../utils/helpers.js';
+import { groupTaxByRate } from '../utils/saleTotals.js';
 
 // Initialize services (reuse existing logic)
 const usersService = new UsersServices(new UsersRepository());
@@ -22,8 +73,47 @@ const productsService = new ProductsServices(new ProductsRepository());
 const salesService = new SalesServices(new SalesRepository());
 const inventoryService = new InventoryServices(new InventoryRepository());
 const saleItemsService = new SaleItemsServices(new SaleItemsRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+const promoCodesService = new PromoCodesServices(new PromoCodesRepository());
+const taxRatesService = new TaxRatesServices(new TaxRatesRepository());
+const exchangeRatesService = new ExchangeRatesServices(new ExchangeRatesRepository());
+const paymentsService = new PaymentsServices(new PaymentsRepository());
+const saleCommentsService = new SaleCommentsServices(new SaleCommentsRepository());
+const invoicesService = new InvoicesServices(new InvoicesRepository());
+const idempotencyService = new IdempotencyKeysServices(new IdempotencyKeysRepository());
+const cartsService = new CartsServices(new CartsRepository());
+const subscriptionsService = new SubscriptionsServices(new SubscriptionsRepository());
+const addressesService = new AddressesServices(new AddressesRepository());
+const deliveryZonesService = new DeliveryZonesServices(new DeliveryZonesRepository());
+const timeSlotsService = new TimeSlotsServices(new TimeSlotsRepository());
+const loyaltyService = new LoyaltyAccountsServices(new LoyaltyAccountsRepository());
+const giftCardsService = new GiftCardsServices(new GiftCardsRepository());
+const priceListsService = new PriceListsServices(new PriceListsRepository());
+const productVariantsService = new ProductVariantsServices(new ProductVariantsRepository());
+const productImagesService = new ProductImagesServices(new ProductImagesRepository());
+const categoriesService = new CategoriesServices(new CategoriesRepository());
 const weatherService = new WeatherService();
 
+// Stock at or below this shows as "only N left" on product pages
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Stock badge of a product page: what is on hand (the inventory row, or the active variants together),
+ * and for an empty shelf whether the product still takes backorders or pre-orders
+ * @returns {{ label: string, tone: string }} Badge text and Bootstrap colour
+ */
+function stockStatus(product, inventory, variants) {
+  if (product.status !== 'available') return { label: 'Not available', tone: 'secondary' };
+  const onHand = variants.length > 0
+    ? variants.reduce((sum, variant) => sum + variant.quantity_in_stock, 0)
+    : parseInt(inventory?.quantity_in_stock, 10) || 0;
+  if (onHand > LOW_STOCK_THRESHOLD) return { label: 'In stock', tone: 'success' };
+  if (onHand > 0) return { label: variants.length > 0 ? 'Low stock' : `Only ${onHand} left`, tone: 'warning' };
+  if (product.backorder_policy === 'preorder') return { label: 'Pre-order', tone: 'info' };
+  if (product.backorder_policy === 'backorder') return { label: 'Available on backorder', tone: 'info' };
+  return { label: 'Out of stock', tone: 'danger' };
+}
+
 export class PagesController {
   
   // ===== AUTHENTICATION =====
@@ -42,7 +132,8 @@ export class PagesController {
   };
 
   /**
-   * Handle user login authentication
+   * Handle user login authentication.
+   * A cart built while browsing as a guest is merged into the user's cart.
    * @param {Object} req - Express request object
    * @param {string} req.body.email - User email
    * @param {string} req.body.password - User password
@@ -55,6 +146,12 @@ export class PagesController {
       const result = await usersService.loginUser(email, password);
       
       req.session.user = result.user;
+      try {
+        await cartsService.mergeGuestCart(req.sessionID, result.user.user_id);
+      } catch (error) {
+        // The user can still log in; the guest cart stays with the session
+        console.error('Error:', error);
+      }
       req.flash('success', `Welcome back, ${result.user.first_name}!`);
       
       // Redirect based on role
@@ -90,26 +187,48 @@ export class PagesController {
   };
   
   /**
-   * Display detailed product information
+   * Display a product page: images, description and coffee details, price, stock, add to cart and related products.
+   * Pages live at /products/<slug>; a product ID (or a slug in other letter case) redirects there permanently.
    * @param {Object} req - Express request object
-   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.id - Product slug or product ID
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    * @returns {Promise<void>} Renders product details view
    */
   productDetails = async (req, res, next) => {
     try {
-      const productId = req.params.id;
-      const product = await this.productsService.getProductById(productId);
+      const byId = /^\d+$/.test(req.params.id);
+      const product = byId
+        ? await productsService.getProductById(req.params.id)
+        : await productsService.getProductBySlug(req.params.id);
       
       if (!product) {
         req.flash('error', 'Product not found');
         return res.redirect('/products');
       }
+      if (req.params.id !== product.slug) {
+        return res.redirect(301, `/products/${product.slug}`);
+      }
+
+      const [images, variants, inventory, related] = await Promise.all([
+        productImagesService.listImages(product.product_id),
+        productVariantsService.listActiveVariants([product.product_id]),
+        inventoryService.getInventoryByProduct(product.product_id),
+        productsService.getRelatedProducts(product)
+      ]);
+      const productVariants = variants[product.product_id] || [];
+      const relatedImages = await productImagesService.listPrimaryImages(related.map(p => p.product_id));
       
       res.render('products/details', {
         title: product.product_name,
-        product
+        metaDescription: product.description || [product.product_name, product.origin_country, product.roast_level && `${product.roast_level} roast`].filter(Boolean).join(', '),
+        product,
+        images,
+        variants: productVariants,
+        stock: stockStatus(product, inventory, productVariants),
+        related,
+        relatedImages,
+        showPrices: !!req.session.user // Show prices only if logged in, as in the catalog
       });
       
     } catch (error) {
@@ -197,8 +316,11 @@ export class PagesController {
 
       const lowStock = await inventoryService.getLowStockProducts(10);
 
+      // Voided/cancelled orders bring in no revenue; refunds are subtracted
+      const activeSales = allSales.filter(s => s.status !== 'cancelled');
+
       const stats = {
-        totalRevenue: allSales.reduce((sum, s) => sum + parseFloat(s.total_amount || 0), 0),
+        totalRevenue: activeSales.reduce((sum, s) => sum + (s.net_total || 0), 0),
         totalSales: allSales.length,
         totalProducts: products.length,
         lowStockCount: lowStock.length,
@@ -228,7 +350,7 @@ export class PagesController {
   };
 
   /**
-   * Render customer dashboard with personal order history and weather
+   * Render customer dashboard with personal order history, loyalty points and weather
    * @param {Object} req - Express request object
    * @param {string} [req.query.city] - Optional city for weather (default: 'Beirut, LB')
    * @param {Object} res - Express response object
@@ -243,17 +365,23 @@ export class PagesController {
       const mySales = allSales.filter(s => s.user_id === userId);
 
       const city = req.query.city || 'Beirut, LB';
-      const weather = await weatherService.fetchCurrentWeather(city);
+      const [weather, loyalty] = await Promise.all([
+        weatherService.fetchCurrentWeather(city),
+        userId ? loyaltyService.getAccount(userId, 0) : null
+      ]);
 
       const myStats = {
         totalOrders: mySales.length,
-        totalSpent: mySales.reduce((sum, s) => sum + parseFloat(s.total_amount || 0), 0),
+        totalSpent: mySales
+          .filter(s => s.status !== 'cancelled')
+          .reduce((sum, s) => sum + (s.net_total || 0), 0),
         recentOrders: mySales.slice(0, 5)
       };
 
       res.render('dashboard-customer', {
         title: 'My Dashboard',
         stats: myStats,
+        loyalty,
         weather: weather.data,
         weatherError: weather.error,
         weatherCity: city
@@ -267,21 +395,60 @@ export class PagesController {
   // ===== PRODUCTS =====
   
   /**
-   * Display public product catalog (prices hidden for guests)
+   * Display public product catalog (prices hidden for guests), filtered by category and by the coffee details
+   * in the query string. A category shows the products of its subcategories too.
    * @param {Object} req - Express request object
+   * @param {Object} req.query - { category (ID), q, origin, process, roast_level, brew_method, tasting_note }, all optional
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    * @returns {Promise<void>} Renders products catalog view
    */
   productsCatalog = async (req, res, next) => {
     try {
-      const products = await productsService.getAllProducts();
-      const availableProducts = products.filter(p => p.status === 'available');
+      const filters = Object.fromEntries(
+        ['category', 'q', 'origin', 'process', 'roast_level', 'brew_method', 'tasting_note'].map(key => [key, String(req.query[key] || '').trim()])
+      );
+      const categories = await categoriesService.listCategories();
+      const category = categories.find(c => String(c.category_id) === filters.category) || null;
+      if (!category) filters.category = '';
+
+      const [availableProducts, origins] = await Promise.all([
+        productsService.searchProducts({
+          categoryId: category?.category_id,
+          query: filters.q,
+          origin: filters.origin,
+          process: filters.process,
+          roastLevel: filters.roast_level,
+          brewMethod: filters.brew_method,
+          tastingNote: filters.tasting_note,
+          status: 'available',
+          limit: null
+        }),
+        productsService.getOrigins()
+      ]);
+      const productIds = availableProducts.map(p => p.product_id);
+      const [variants, images] = await Promise.all([
+        productVariantsService.listActiveVariants(productIds),
+        productImagesService.listPrimaryImages(productIds)
+      ]);
       
       res.render('products/catalog', {
-        title: 'Our Products',
+        title: category ? category.name : 'Our Products',
         products: availableProducts,
-        showPrices: !!req.session.user // Show prices only if logged in
+        variants,
+        images,
+        category,
+        // Breadcrumb down to the chosen category, and the next level of categories that have something to show
+        categoryTrail: category ? category.ancestor_ids.map(id => categories.find(c => c.category_id === id)) : [],
+        subcategories: categories.filter(c => c.parent_id === (category ? category.category_id : null) && c.available_count > 0),
+        filters,
+        filtering: Object.values(filters).some(Boolean),
+        origins,
+        processes: COFFEE_PROCESSES,
+        roastLevels: ROAST_LEVELS,
+        brewMethods: BREW_METHODS,
+        showPrices: !!req.session.user, // Show prices only if logged in
+        cart: req.session.user ? await cartsService.getCart(cartOwner(req)) : null
       });
       
     } catch (error) {
@@ -338,12 +505,23 @@ export class PagesController {
    * Render product creation form
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @returns {void} Renders product creation view
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders product creation view
    */
-  productsCreatePage = (req, res) => {
-    res.render('products/create', {
-      title: 'Add New Product'
-    });
+  productsCreatePage = async (req, res, next) => {
+    try {
+      res.render('products/create', {
+        title: 'Add New Product',
+        categories: await categoriesService.listCategories(),
+        processes: COFFEE_PROCESSES,
+        roastLevels: ROAST_LEVELS,
+        brewMethods: BREW_METHODS,
+        imageMaxUploadMb: IMAGE_MAX_UPLOAD_MB,
+        imagesPerUpload: IMAGES_PER_UPLOAD
+      });
+    } catch (error) {
+      next(error);
+    }
   };
 
   /**
@@ -353,14 +531,21 @@ export class PagesController {
    * @param {string} req.body.product_name - Product name
    * @param {string} [req.body.description] - Product description
    * @param {number} req.body.unit_price - Product price
-   * @param {string} req.body.product_type - Product type
+   * @param {number} req.body.category_id - Category ID
    * @param {string} req.body.status - Product status ('available' | 'not available')
+   * @param {string} [req.body.origin_country] - Coffee details (origin, farm, varietal, process, altitude_masl, roast_level,
+   *   tasting_notes comma-separated, brew_methods checkboxes), all optional
    * @param {number} [req.body.quantity_in_stock] - Initial stock quantity
+   * @param {Array} [req.files] - Product images (multipart form, parsed by productImagesUpload)
    * @param {Object} res - Express response object
-   * @returns {Promise<void>} Creates product and inventory, redirects to product list
+   * @returns {Promise<void>} Creates product, inventory and images, redirects to product list
    */
   productsCreate = async (req, res) => {
     try {
+      if (req.uploadError) {
+        throw new Error(req.uploadError);
+      }
+
       // Extract inventory quantity from request body
       const { quantity_in_stock, ...productData } = req.body;
       
@@ -383,6 +568,16 @@ export class PagesController {
           }
         }
       }
+
+      // Step 3: Add the images; the product stays if they fail, so send the admin to its gallery
+      if (req.files.length > 0) {
+        try {
+          await productImagesService.uploadImages(product.product_id, req.files);
+        } catch (error) {
+          req.flash('error', `Product created, but its images were not saved. ${error.message}`);
+          return res.redirect(`/admin/products/edit/${product.product_id}`);
+        }
+      }
       
       req.flash('success', 'Product and inventory created successfully');
       res.redirect('/admin/products');
@@ -393,7 +588,7 @@ export class PagesController {
   };
 
   /**
-   * Render product edit form with existing data
+   * Render product edit form with existing data, its images, its variants and its price tiers
    * @param {Object} req - Express request object
    * @param {string} req.params.id - Product ID
    * @param {Object} res - Express response object
@@ -408,13 +603,31 @@ export class PagesController {
         return res.redirect('/admin/products');
       }
       
-      // Get inventory for this product
-      const inventory = await inventoryService.getInventoryByProduct(product.product_id);
+      // Get inventory, images, variants, price tiers, the price lists a tier can belong to and the categories
+      const [inventory, images, variants, priceTiers, priceLists, categories] = await Promise.all([
+        inventoryService.getInventoryByProduct(product.product_id),
+        productImagesService.listImages(product.product_id),
+        productVariantsService.listVariants(product.product_id),
+        priceListsService.listTiersForProduct(product.product_id),
+        priceListsService.listPriceLists(),
+        categoriesService.listCategories()
+      ]);
       
       res.render('products/edit', {
         title: 'Edit Product',
         product,
-        inventory
+        categories,
+        inventory,
+        images,
+        imageMaxUploadMb: IMAGE_MAX_UPLOAD_MB,
+        imagesPerUpload: IMAGES_PER_UPLOAD,
+        variants,
+        variantGrinds: VARIANT_GRINDS,
+        processes: COFFEE_PROCESSES,
+        roastLevels: ROAST_LEVELS,
+        brewMethods: BREW_METHODS,
+        priceTiers,
+        priceLists
       });
       
     } catch (error) {
@@ -432,7 +645,8 @@ export class PagesController {
    */
   productsEdit = async (req, res) => {
     try {
-      await productsService.updateProduct(req.params.id, req.body);
+      // Unticked brew method checkboxes are not posted
+      await productsService.updateProduct(req.params.id, { brew_methods: [], ...req.body });
       req.flash('success', 'Product updated successfully');
       res.redirect('/admin/products');
     } catch (error) {
@@ -459,10 +673,258 @@ export class PagesController {
     }
   };
 
+  /**
+   * Add a variant (bag size and grind) to a product (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {Object} req.body - { weight_grams, grind, unit_price, quantity_in_stock }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the variant and redirects to the product edit form
+   */
+  productVariantsCreate = async (req, res) => {
+    try {
+      const variant = await productVariantsService.createVariant(Number(req.params.id), req.body);
+      req.flash('success', `Variant ${variant.variant_name} added`);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Update a product variant; a stock count fills waiting backorders first (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.variant_id - Variant ID
+   * @param {Object} req.body - { weight_grams, grind, unit_price, quantity_in_stock, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the variant and redirects to the product edit form
+   */
+  productVariantsEdit = async (req, res) => {
+    try {
+      // An unchecked "active" box is not posted
+      const variant = await productVariantsService.updateVariant(req.params.variant_id, { is_active: false, ...req.body });
+      if (!variant) {
+        req.flash('error', 'Variant not found');
+      } else {
+        const allocated = variant.allocations.reduce((sum, a) => sum + a.quantity, 0);
+        req.flash('success', allocated > 0
+          ? `Variant ${variant.variant_name} updated. ${allocated} unit(s) allocated to backorders on order(s) ${[...new Set(variant.allocations.map(a => `#${a.sale_id}`))].join(', ')}`
+          : `Variant ${variant.variant_name} updated`);
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Delete a product variant that was never sold (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.variant_id - Variant ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the variant and redirects to the product edit form
+   */
+  productVariantsDelete = async (req, res) => {
+    try {
+      const deleted = await productVariantsService.deleteVariant(req.params.variant_id);
+      req.flash(deleted ? 'success' : 'error', deleted ? 'Variant deleted' : 'Variant not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Upload images to the end of a product's gallery (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {Array} req.files - Images (multipart form, parsed by productImagesUpload)
+   * @param {Object} req.body - { alt_text } (optional, for all of them)
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Stores the images and redirects to the product edit form
+   */
+  productImagesUpload = async (req, res) => {
+    try {
+      if (req.uploadError) {
+        throw new Error(req.uploadError);
+      }
+      const images = await productImagesService.uploadImages(Number(req.params.id), req.files, req.body.alt_text);
+      req.flash('success', `${images.length} image(s) added`);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Change a product image's alt text (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.image_id - Image ID
+   * @param {Object} req.body - { alt_text }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the image and redirects to the product edit form
+   */
+  productImagesEdit = async (req, res) => {
+    try {
+      const image = await productImagesService.updateImage(req.params.image_id, req.body);
+      req.flash(image ? 'success' : 'error', image ? 'Image updated' : 'Image not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Make an image its product's primary image, shown in the catalog (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.image_id - Image ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Sets the primary image and redirects to the product edit form
+   */
+  productImagesSetPrimary = async (req, res) => {
+    try {
+      const image = await productImagesService.setPrimaryImage(req.params.image_id);
+      req.flash(image ? 'success' : 'error', image ? 'Primary image changed' : 'Image not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Move a product image one place earlier or later in its gallery (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.image_id - Image ID
+   * @param {Object} req.body - { direction: 'up' | 'down' }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Reorders the gallery and redirects to the product edit form
+   */
+  productImagesMove = async (req, res) => {
+    try {
+      const images = await productImagesService.moveImage(req.params.image_id, req.body.direction);
+      if (!images) {
+        req.flash('error', 'Image not found');
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Delete a product image and its files (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.image_id - Image ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the image and redirects to the product edit form
+   */
+  productImagesDelete = async (req, res) => {
+    try {
+      const deleted = await productImagesService.deleteImage(req.params.image_id);
+      req.flash(deleted ? 'success' : 'error', deleted ? 'Image deleted' : 'Image not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  // ===== CATEGORIES (Admin Only) =====
+
+  /**
+   * Display the category tree with forms to add, edit, merge and delete categories, and each category's sales
+   * over a date range (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - { from, to } (YYYY-MM-DD), optional; the last 30 days by default
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders categories view
+   */
+  categoriesList = async (req, res, next) => {
+    try {
+      const report = await categoriesService.getSalesReport({ from: req.query.from || undefined, to: req.query.to || undefined });
+      res.render('categories/list', {
+        title: 'Categories',
+        categories: report.categories,
+        from: report.from,
+        to: report.to
+      });
+    } catch (error) {
+      if (!req.query.from && !req.query.to) return next(error);
+      // A bad date range falls back to the default one
+      req.flash('error', error.message);
+      res.redirect('/admin/categories');
+    }
+  };
+
+  /**
+   * Handle category creation (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { name, parent_id (blank for a top-level category), description }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the category and redirects to the categories page
+   */
+  categoriesCreate = async (req, res) => {
+    try {
+      const category = await categoriesService.createCategory(req.body);
+      req.flash('success', `Category ${category.path} created`);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/categories');
+  };
+
+  /**
+   * Handle category update; a new parent moves its subcategories along (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Category ID
+   * @param {Object} req.body - { name, parent_id, description }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the category and redirects to the categories page
+   */
+  categoriesEdit = async (req, res) => {
+    try {
+      const category = await categoriesService.updateCategory(req.params.id, req.body);
+      req.flash(category ? 'success' : 'error', category ? `Category ${category.path} updated` : 'Category not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/categories');
+  };
+
+  /**
+   * Handle category deletion, moving its products and subcategories to another category when one is chosen (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Category ID
+   * @param {string} [req.body.move_to] - Category that takes over its products and subcategories
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the category and redirects to the categories page
+   */
+  categoriesDelete = async (req, res) => {
+    try {
+      const moved = await categoriesService.deleteCategory(req.params.id, req.body.move_to);
+      if (!moved) {
+        req.flash('error', 'Category not found');
+      } else if (moved.moved_products > 0 || moved.moved_subcategories > 0) {
+        req.flash('success', `Category deleted; ${moved.moved_products} product(s) and ${moved.moved_subcategories} subcategory(ies) moved`);
+      } else {
+        req.flash('success', 'Category deleted');
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/categories');
+  };
+
   // ===== SALES / ORDERS =====
   
   /**
-   * Render order creation page with available products
+   * Render order creation page with the user's cart and available products
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -470,12 +932,29 @@ export class PagesController {
    */
   salesCreatePage = async (req, res, next) => {
     try {
-      const products = await productsService.getAllProducts();
+      const [products, cart, addresses, deliverySlots, pickupSlots, loyalty] = await Promise.all([
+        productsService.getAllProducts(),
+        cartsService.getCart(cartOwner(req)),
+        addressesService.listAddresses(req.session.user.user_id),
+        timeSlotsService.getBookableSlots('delivery'),
+        timeSlotsService.getBookableSlots('pickup'),
+        loyaltyService.getAccount(req.session.user.user_id, 0)
+      ]);
       const availableProducts = products.filter(p => p.status === 'available');
+      const variants = await productVariantsService.listActiveVariants(availableProducts.map(p => p.product_id));
       
       res.render('sales/create', {
         title: 'Place Order',
-        products: availableProducts
+        products: availableProducts,
+        variants,
+        cart,
+        addresses,
+        deliverySlots,
+        pickupSlots,
+        loyalty,
+        notesMaxLength: CUSTOMER_NOTES_MAX_LENGTH,
+        // One-time token: submitting the same form twice returns the first order
+        formToken: randomUUID()
       });
       
     } catch (error) {
@@ -484,47 +963,74 @@ export class PagesController {
   };
 
   /**
-   * Handle order creation with items and optional discount
+   * Place the user's cart as an order, delivered or picked up in the chosen slot, with an optional promo code
+   * and loyalty points.
+   * The order is placed in one transaction: items are priced server-side, and if any line
+   * fails (or the promo code is not valid, or the slot is full) nothing is saved, the cart is kept
+   * and the error names the failing lines.
+   * The form's one-time token makes the submission idempotent: a double-submit or a retry
+   * redirects to the order that was already placed instead of creating another one.
    * @param {Object} req - Express request object
-   * @param {Array|string} req.body.items - Cart items [{product_id, quantity, price}]
-   * @param {number} [req.body.discount_percentage] - Optional discount percentage
+   * @param {string} [req.body.promo_code] - Optional promo code
+   * @param {string} req.body.fulfillment_type - 'delivery' or 'pickup'
+   * @param {string} [req.body.delivery_slot] - Chosen delivery slot as "YYYY-MM-DD|time_slot_id"
+   * @param {string} [req.body.pickup_slot] - Chosen pickup slot as "YYYY-MM-DD|time_slot_id"
+   * @param {string} [req.body.address_id] - Delivery address from the user's address book
+   * @param {string} [req.body.customer_notes] - Optional note for the roastery (e.g. grind preference)
+   * @param {string} [req.body.redeem_points] - Optional loyalty points to spend
+   * @param {string} req.body.form_token - One-time token rendered with the order form
    * @param {Object} res - Express response object
-   * @returns {Promise<void>} Creates sale with items and redirects to receipt
+   * @returns {Promise<void>} Checks out the cart and redirects to receipt
    */
   salesCreate = async (req, res) => {
     try {
-      const userId = req.session.user.user_id;
-      const { items, discount_percentage } = req.body;
-      
-      // items = [{ product_id, quantity, price }]
-      // Parse if it's JSON string
-      const cartItems = typeof items === 'string' ? JSON.parse(items) : items;
-      
-      if (!cartItems || cartItems.length === 0) {
-        req.flash('error', 'Please add at least one product');
+      const owner = cartOwner(req);
+      const { promo_code, form_token, fulfillment_type, address_id, customer_notes } = req.body;
+
+      if (!form_token) {
+        req.flash('error', 'Your order form has expired. Please place your order again.');
+        return res.redirect('/sales/create');
+      }
+      if (!FULFILLMENT_TYPES.includes(fulfillment_type)) {
+        req.flash('error', 'Choose delivery or pickup.');
         return res.redirect('/sales/create');
       }
 
-      // Step 1: Create sale
-      const sale = await salesService.createSale(userId);
-      
-      // Step 2: Add items
-      for (const item of cartItems) {
-        await saleItemsService.createSaleItem(
-          sale.sale_id,
-          item.product_id,
-          item.quantity,
-          item.price
-        );
+      const promoCode = promo_code && promo_code.trim() ? promo_code.trim() : null;
+      const [fulfillment_date, time_slot_id] = String(req.body[`${fulfillment_type}_slot`] || '').split('|');
+      const fulfillment = {
+        fulfillment_type,
+        fulfillment_date,
+        time_slot_id,
+        address_id: fulfillment_type === 'delivery' ? address_id : null
+      };
+      const customerNotes = customer_notes && customer_notes.trim() ? customer_notes.trim() : null;
+      const redeemPoints = parseInt(req.body.redeem_points, 10) || 0;
+      if (redeemPoints < 0) {
+        req.flash('error', 'Loyalty points to redeem cannot be negative.');
+        return res.redirect('/sales/create');
       }
 
-      // Step 3: Apply discount if provided
-      if (discount_percentage && discount_percentage > 0) {
-        await salesService.applyDiscount(sale.sale_id, parseFloat(discount_percentage));
+      const result = await idempotencyService.execute('sales/create', form_token, { user_id: owner.user_id, promo_code: promoCode, fulfillment, customer_notes: customerNotes, redeem_points: redeemPoints }, async () => {
+        const sale = await cartsService.checkout(owner, promoCode, fulfillment, customerNotes, redeemPoints);
+        return { status_code: 201, response: { sale_id: sale.sale_id } };
+      });
+
+      if (result.outcome === 'in_progress') {
+        req.flash('info', 'Your order is already being placed.');
+        return res.redirect('/sales/my-orders');
+      }
+      if (result.outcome === 'mismatch') {
+        req.flash('error', 'This order form was already used. Please place your order again.');
+        return res.redirect('/sales/create');
       }
 
-      req.flash('success', 'Order placed successfully!');
-      res.redirect(`/sales/${sale.sale_id}`);
+      if (result.outcome === 'replayed') {
+        req.flash('info', 'This order was already placed.');
+      } else {
+        req.flash('success', 'Order placed successfully!');
+      }
+      res.redirect(`/sales/${result.response.sale_id}`);
       
     } catch (error) {
       req.flash('error', error.message);
@@ -532,6 +1038,125 @@ export class PagesController {
     }
   };
 
+  // ===== CART =====
+
+  /**
+   * Add a product to the session's cart (guests included)
+   * @param {Object} req - Express request object
+   * @param {string} req.body.product_id - Product ID
+   * @param {string} [req.body.variant_id] - Bag size and grind, for products sold in variants
+   * @param {string} [req.body.quantity] - Quantity to add (default 1)
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Redirects back with a flash message
+   */
+  cartAdd = async (req, res) => {
+    try {
+      const cart = await cartsService.addItem(cartOwner(req), req.body.product_id, req.body.quantity || 1, req.body.variant_id);
+      req.flash('success', `Added to cart (${cart.item_count} item${cart.item_count === 1 ? '' : 's'})`);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('back');
+  };
+
+  /**
+   * Change the quantity of a product in the cart (0 removes it)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.product_id - Product ID
+   * @param {string} [req.body.variant_id] - The line's variant, if any
+   * @param {string} req.body.quantity - New quantity
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Redirects back with a flash message
+   */
+  cartUpdate = async (req, res) => {
+    try {
+      const cart = await cartsService.updateItem(cartOwner(req), req.params.product_id, req.body.quantity, req.body.variant_id);
+      if (!cart) {
+        req.flash('error', 'Product not in cart');
+      } else {
+        req.flash('success', 'Cart updated');
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('back');
+  };
+
+  /**
+   * Remove a product from the cart
+   * @param {Object} req - Express request object
+   * @param {string} req.params.product_id - Product ID
+   * @param {string} [req.body.variant_id] - The line's variant, if any
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Redirects back with a flash message
+   */
+  cartRemove = async (req, res) => {
+    try {
+      const cart = await cartsService.removeItem(cartOwner(req), req.params.product_id, req.body.variant_id);
+      if (!cart) {
+        req.flash('error', 'Product not in cart');
+      } else {
+        req.flash('success', 'Removed from cart');
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('back');
+  };
+
+  /**
+   * Empty the cart
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Redirects back with a flash message
+   */
+  cartClear = async (req, res) => {
+    try {
+      await cartsService.clearCart(cartOwner(req));
+      req.flash('success', 'Cart cleared');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('back');
+  };
+
+  /**
+   * Copy a previous order into the user's cart at current prices, then show the cart so the
+   * customer can adjust it before placing the order
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Sale/Order ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Redirects to the cart with what was added and what was flagged
+   */
+  reorder = async (req, res) => {
+    try {
+      const result = await cartsService.reorder(cartOwner(req), req.params.id);
+      if (!result) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/sales/my-orders');
+      }
+
+      const { added, flagged } = result;
+      if (added.length > 0) {
+        req.flash('success', `Added ${added.length} product${added.length === 1 ? '' : 's'} from order #${req.params.id} to your cart at current prices. Review and place your order.`);
+      } else {
+        req.flash('error', `Nothing from order #${req.params.id} could be added to your cart.`);
+      }
+      if (flagged.length > 0) {
+        const notes = flagged.map(line => {
+          if (line.reason === 'not_available') return `${line.product_name} is no longer available`;
+          if (line.reason === 'out_of_stock') return `${line.product_name} is out of stock`;
+          return `${line.product_name}: only ${line.added} of ${line.requested} added (stock is low)`;
+        });
+        req.flash('info', `${notes.join('; ')}.`);
+      }
+      res.redirect('/sales/create');
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect('/sales/my-orders');
+    }
+  };
+
   /**
    * Display customer's personal order history
    * @param {Object} req - Express request object
@@ -561,13 +1186,15 @@ export class PagesController {
    * @param {string} [req.query.startDate] - Start date filter (YYYY-MM-DD format)
    * @param {string} [req.query.endDate] - End date filter (YYYY-MM-DD format)
    * @param {string} [req.query.userId] - User ID filter
+   * @param {string} [req.query.status] - Order status filter (one of SALE_STATUSES)
+   * @param {string} [req.query.balance] - 'outstanding' for orders with a balance due, 'settled' for fully paid ones
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    * @returns {Promise<void>} Renders all orders view with filtering
    */
   allOrders = async (req, res, next) => {
     try {
-      const { startDate: startDateRaw, endDate: endDateRaw, userId } = req.query;
+      const { startDate: startDateRaw, endDate: endDateRaw, userId, status, balance } = req.query;
 
       // Normalize date input from <input type="date"> (YYYY-MM-DD) to DD/MM/YYYY expected by service
       const toDDMMYYYY = (isoDate) => {
@@ -607,79 +1234,1078 @@ export class PagesController {
         sales = sales.filter((s) => Number(s.user_id) === userIdNumber);
       }
 
-      res.render('sales/all-orders', {
-        title: 'All Orders',
-        sales,
+      // Optional filter by order status
+      if (status) {
+        if (!SALE_STATUSES.includes(status)) {
+          req.flash('error', 'Unknown order status.');
+          return res.redirect('/admin/sales');
+        }
+        sales = sales.filter((s) => s.status === status);
+      }
+
+      // Optional filter by payment balance
+      if (balance) {
+        if (!['outstanding', 'settled'].includes(balance)) {
+          req.flash('error', 'Unknown balance filter.');
+          return res.redirect('/admin/sales');
+        }
+        sales = sales.filter((s) => (balance === 'outstanding' ? s.balance_due > 0 : s.payment_status === 'paid'));
+      }
+
+      res.render('sales/all-orders', {
+        title: 'All Orders',
+        sales,
+        statuses: SALE_STATUSES,
         filters: {
           startDate: startDateRaw || '',
           endDate: endDateRaw || '',
-          userId: userId || ''
-        }
+          userId: userId || '',
+          status: status || '',
+          balance: balance || ''
+        },
+        totalBalanceDue: sales.reduce((sum, s) => sum + s.balance_due, 0)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Display order details and receipt
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Sale/Order ID
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders order receipt view with items
+   */
+  saleDetails = async (req, res, next) => {
+    try {
+      const saleId = req.params.id;
+      const userId = req.session.user.user_id;
+      const isAdmin = req.session.user.role === 'admin';
+      
+      const sale = await salesService.getSaleById(saleId);
+      if (!sale) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/sales');
+      }
+
+      // Check permission: customer can only view own sales
+      if (!isAdmin && sale.user_id !== userId) {
+        return res.status(403).render('403', { title: 'Access Denied' });
+      }
+
+      const [saleItems, statusHistory, returns, payments, promoCode, timeSlot, comments] = await Promise.all([
+        saleItemsService.getSaleItemsBySaleId(saleId),
+        salesService.getStatusHistory(saleId),
+        returnsService.getReturnsBySaleId(saleId),
+        paymentsService.getPaymentsBySaleId(saleId),
+        sale.promo_code_id ? promoCodesService.getPromoCodeById(sale.promo_code_id) : null,
+        sale.time_slot_id ? timeSlotsService.getTimeSlotById(sale.time_slot_id) : null,
+        // Internal comments never reach the customer's page
+        isAdmin ? saleCommentsService.getCommentsBySaleId(saleId) : []
+      ]);
+
+      // Units already returned per sale item, for the returned column and the return form
+      const returnedQuantities = returns.reduce((acc, r) => {
+        acc[r.sale_item_id] = (acc[r.sale_item_id] || 0) + r.quantity;
+        return acc;
+      }, {});
+
+      // Expected availability for lines still waiting on stock
+      const backorderedProducts = await Promise.all(
+        [...new Set(saleItems.filter(item => item.backordered_quantity > 0).map(item => item.product_id))]
+          .map(productId => productsService.getProductById(productId))
+      );
+      const backorderInfo = backorderedProducts.filter(Boolean).reduce((acc, p) => {
+        acc[p.product_id] = { policy: p.backorder_policy, expected_available_date: p.expected_available_date };
+        return acc;
+      }, {});
+      
+      res.render('sales/receipt', {
+        title: `Order #${saleId}`,
+        sale,
+        items: saleItems,
+        statusHistory,
+        returns,
+        returnedQuantities,
+        backorderInfo,
+        payments,
+        currencies: CURRENCIES,
+        paymentMethods: PAYMENT_METHODS,
+        promoCode,
+        timeSlot,
+        comments,
+        commentMaxLength: SALE_COMMENT_MAX_LENGTH,
+        taxBreakdown: groupTaxByRate(saleItems)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Download an order's receipt as a PDF; customers can only download their own orders
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Sale/Order ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Sends the PDF, or redirects with an error
+   */
+  saleReceiptPdf = async (req, res) => {
+    try {
+      const saleId = req.params.id;
+      const sale = await salesService.getSaleById(saleId);
+      if (!sale) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/sales/my-orders');
+      }
+      if (req.session.user.role !== 'admin' && sale.user_id !== req.session.user.user_id) {
+        return res.status(403).render('403', { title: 'Access Denied' });
+      }
+
+      const pdf = await invoicesService.renderPdf(saleId, 'Receipt');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+      res.send(pdf.buffer);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.id}`);
+    }
+  };
+
+  /**
+   * Apply a promo code to an existing order (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {string} req.body.code - Promo code to apply
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Applies the code and redirects to order details
+   */
+  applyOrderPromoCode = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      const { code } = req.body;
+      
+      const sale = await salesService.applyPromoCode(sale_id, code);
+      if (!sale) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/admin/sales');
+      }
+      req.flash('success', `Promo code ${code.trim().toUpperCase()} applied: $${sale.discount_amount.toFixed(2)} off`);
+      res.redirect(`/sales/${sale_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.sale_id}`);
+    }
+  };
+
+  /**
+   * Move an order to a new lifecycle status (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {string} req.body.status - Target status
+   * @param {string} [req.body.note] - Optional note recorded with the transition
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Changes status and redirects back to the referring page
+   */
+  updateOrderStatus = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      const { status, note } = req.body;
+
+      const sale = await salesService.changeStatus(sale_id, status, req.session.user.user_id, note);
+      if (!sale) {
+        req.flash('error', 'Order not found');
+      } else {
+        req.flash('success', `Order #${sale_id} is now ${status.replace('_', ' ')}`);
+      }
+      res.redirect('back');
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect('back');
+    }
+  };
+
+  /**
+   * Void (cancel) an order and return its items to inventory (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {string} req.body.reason - Why the order is being voided
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Voids the order and redirects to order details
+   */
+  voidOrder = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      const sale = await salesService.voidSale(sale_id, req.body.reason, req.session.user.user_id);
+      if (!sale) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/admin/sales');
+      }
+      req.flash('success', `Order #${sale_id} voided and its items returned to stock`);
+      res.redirect(`/sales/${sale_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.sale_id}`);
+    }
+  };
+
+  /**
+   * Return items of an order and refund them (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {Array} req.body.items - Lines as { sale_item_id, quantity }; lines with quantity 0 are ignored
+   * @param {string} [req.body.restock] - 'on' to put returned units back into inventory
+   * @param {string} [req.body.reason] - Why the items were returned
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Records the return and redirects to order details
+   */
+  createOrderReturn = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      // qs yields an object instead of an array once form indexes pass its array limit
+      const lines = Array.isArray(req.body.items) ? req.body.items : Object.values(req.body.items || {});
+      const items = lines.filter(item => parseInt(item.quantity, 10) > 0);
+      if (items.length === 0) {
+        req.flash('error', 'Choose a quantity for at least one item to return');
+        return res.redirect(`/sales/${sale_id}`);
+      }
+
+      const result = await returnsService.createReturn(sale_id, items, {
+        restock: req.body.restock === 'on',
+        reason: req.body.reason,
+        created_by: req.session.user.user_id
+      });
+      if (!result) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/admin/sales');
+      }
+      const credited = result.gift_cards.map(card => `$${card.amount.toFixed(2)} to gift card ${card.code}`);
+      req.flash('success', `Return recorded. Refunded $${result.refund_total.toFixed(2)}${credited.length ? ` (${credited.join(', ')})` : ''}`);
+      res.redirect(`/sales/${sale_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.sale_id}`);
+    }
+  };
+
+  /**
+   * Record a payment against an order, split across one or more tenders (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {Array} req.body.tenders - Tenders as { method, currency, amount, gift_card_code }; tenders without an amount are ignored
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Records the payment and redirects to order details with the change due and what is left on any gift card used
+   */
+  recordOrderPayment = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      // qs yields an object instead of an array once form indexes pass its array limit
+      const lines = Array.isArray(req.body.tenders) ? req.body.tenders : Object.values(req.body.tenders || {});
+      const tenders = lines.filter(tender => parseFloat(tender.amount) > 0);
+      if (tenders.length === 0) {
+        req.flash('error', 'Enter an amount for at least one tender');
+        return res.redirect(`/sales/${sale_id}`);
+      }
+
+      const result = await paymentsService.recordPayment(sale_id, tenders, {
+        received_by: req.session.user.user_id
+      });
+      if (!result) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/admin/sales');
+      }
+      let message = `Payment recorded. Balance due: ${formatCurrency(result.sale.balance_due)}`;
+      const change = result.payments.filter(payment => payment.change_amount > 0)
+        .map(payment => formatCurrency(payment.change_amount, payment.currency));
+      if (change.length > 0) {
+        message += `. Change due: ${change.join(' + ')}`;
+      }
+      result.gift_cards.forEach(card => {
+        message += `. Gift card ${card.code} has ${formatCurrency(card.balance)} left`;
+      });
+      req.flash('success', message);
+      res.redirect(`/sales/${sale_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.sale_id}`);
+    }
+  };
+
+  /**
+   * Add an internal comment to an order; customers never see these (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.sale_id - Sale/Order ID
+   * @param {string} req.body.body - Comment text
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Adds the comment and redirects to order details
+   */
+  addOrderComment = async (req, res) => {
+    try {
+      const { sale_id } = req.params;
+      const comment = await saleCommentsService.addComment(sale_id, req.body.body, req.session.user.user_id);
+      if (!comment) {
+        req.flash('error', 'Order not found');
+        return res.redirect('/admin/sales');
+      }
+      req.flash('success', 'Comment added');
+      res.redirect(`/sales/${sale_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/sales/${req.params.sale_id}`);
+    }
+  };
+
+  // ===== SUBSCRIPTIONS =====
+
+  /**
+   * Display the customer's subscriptions, their recent deliveries and a form to start a new one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders subscriptions view
+   */
+  subscriptionsMine = async (req, res, next) => {
+    try {
+      const [subscriptions, products] = await Promise.all([
+        subscriptionsService.getSubscriptionsByUser(req.session.user.user_id),
+        productsService.getAllProducts()
+      ]);
+      const availableProducts = products.filter(p => p.status === 'available');
+      const variants = await productVariantsService.listActiveVariants(availableProducts.map(p => p.product_id));
+      res.render('subscriptions/mine', {
+        title: 'My Subscriptions',
+        subscriptions,
+        products: availableProducts,
+        variants,
+        frequencies: SUBSCRIPTION_FREQUENCIES
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle subscription creation by the logged-in customer
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { frequency, start_date, out_of_stock_action, items: [{ product_id, variant_id, quantity }] }; empty item rows are ignored
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the subscription and redirects to the subscriptions page
+   */
+  subscriptionsCreate = async (req, res) => {
+    try {
+      const items = Object.values(req.body.items || {}).filter(item => item.product_id);
+      await subscriptionsService.createSubscription(req.session.user.user_id, {
+        frequency: req.body.frequency,
+        start_date: req.body.start_date || null,
+        out_of_stock_action: req.body.out_of_stock_action,
+        items
+      });
+      req.flash('success', 'Subscription created. Each delivery is placed as an order on its due date.');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/subscriptions');
+  };
+
+  /**
+   * Pause, resume, skip the next delivery of, or cancel a subscription.
+   * Customers can only change their own subscriptions; admins can change any.
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Subscription ID
+   * @param {string} req.params.action - 'pause', 'resume', 'skip' or 'cancel'
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Applies the action and redirects back
+   */
+  subscriptionsAction = async (req, res) => {
+    const actions = {
+      pause: ['pauseSubscription', 'Subscription paused'],
+      resume: ['resumeSubscription', 'Subscription resumed'],
+      skip: ['skipNextDelivery', 'Next delivery skipped'],
+      cancel: ['cancelSubscription', 'Subscription cancelled']
+    };
+    const redirectTo = req.session.user.role === 'admin' ? '/admin/subscriptions' : '/subscriptions';
+    try {
+      const [method, message] = actions[req.params.action];
+      const subscription = await subscriptionsService.getSubscriptionById(req.params.id);
+      if (!subscription || (req.session.user.role !== 'admin' && subscription.user_id !== req.session.user.user_id)) {
+        req.flash('error', 'Subscription not found');
+        return res.redirect(redirectTo);
+      }
+      const updated = await subscriptionsService[method](req.params.id);
+      req.flash('success', req.params.action === 'skip' ? `${message}. Next delivery: ${updated.next_run_date}` : message);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(redirectTo);
+  };
+
+  /**
+   * Display all subscriptions and the product quantities needed for upcoming deliveries (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.days] - Days ahead to count deliveries for (default 30)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders subscriptions admin view
+   */
+  subscriptionsAdmin = async (req, res, next) => {
+    try {
+      const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+      const [subscriptions, demand] = await Promise.all([
+        subscriptionsService.listSubscriptions(),
+        subscriptionsService.getUpcomingDemand(days)
+      ]);
+      res.render('subscriptions/admin', {
+        title: 'Subscriptions',
+        subscriptions,
+        demand,
+        days
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Create the orders for subscriptions that are due now instead of waiting for the scheduler (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Runs due subscriptions and redirects to the subscriptions admin page
+   */
+  subscriptionsRun = async (req, res) => {
+    try {
+      const summary = await subscriptionsService.runDueSubscriptions();
+      if (summary.runs.length === 0) {
+        req.flash('info', 'No subscriptions are due.');
+      } else {
+        req.flash('success', `Subscriptions run: ${summary.created} order(s) created, ${summary.skipped} skipped, ${summary.failed} failed.`);
+      }
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/subscriptions');
+  };
+
+  // ===== PROMO CODES (Admin Only) =====
+
+  /**
+   * Display all promo codes with their usage (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders promo code list view
+   */
+  promoCodesList = async (req, res, next) => {
+    try {
+      const promoCodes = await promoCodesService.listPromoCodes();
+      res.render('promo-codes/list', {
+        title: 'Promo Codes',
+        promoCodes
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Render promo code creation form (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders promo code creation view
+   */
+  promoCodesCreatePage = async (req, res, next) => {
+    try {
+      res.render('promo-codes/create', {
+        title: 'Add Promo Code',
+        categories: await categoriesService.listCategories()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle promo code creation (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Promo code fields
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the code and redirects to the promo code list
+   */
+  promoCodesCreate = async (req, res) => {
+    try {
+      // Unchecked checkboxes are not posted
+      const promo = await promoCodesService.createPromoCode({ is_active: false, ...req.body });
+      req.flash('success', `Promo code ${promo.code} created successfully`);
+      res.redirect('/admin/promo-codes');
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect('/admin/promo-codes/create');
+    }
+  };
+
+  /**
+   * Render promo code edit form with existing data (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Promo code ID
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders promo code edit view
+   */
+  promoCodesEditPage = async (req, res, next) => {
+    try {
+      const promo = await promoCodesService.getPromoCodeById(req.params.id);
+      if (!promo) {
+        req.flash('error', 'Promo code not found');
+        return res.redirect('/admin/promo-codes');
+      }
+      res.render('promo-codes/edit', {
+        title: 'Edit Promo Code',
+        promo,
+        categories: await categoriesService.listCategories()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle promo code update (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Promo code ID
+   * @param {Object} req.body - Promo code fields
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the code and redirects to the promo code list
+   */
+  promoCodesEdit = async (req, res) => {
+    try {
+      // Unchecked checkboxes are not posted
+      const promo = await promoCodesService.updatePromoCode(req.params.id, { is_active: false, ...req.body });
+      if (!promo) {
+        req.flash('error', 'Promo code not found');
+      } else {
+        req.flash('success', `Promo code ${promo.code} updated successfully`);
+      }
+      res.redirect('/admin/promo-codes');
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/admin/promo-codes/edit/${req.params.id}`);
+    }
+  };
+
+  /**
+   * Handle promo code deletion (admin only); used codes must be deactivated instead
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Promo code ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the code and redirects to the promo code list
+   */
+  promoCodesDelete = async (req, res) => {
+    try {
+      await promoCodesService.deletePromoCode(req.params.id);
+      req.flash('success', 'Promo code deleted successfully');
+      res.redirect('/admin/promo-codes');
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect('/admin/promo-codes');
+    }
+  };
+
+  // ===== PRICE LISTS & TIERS (Admin Only) =====
+
+  /**
+   * Display price lists with add and edit forms (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders price lists view
+   */
+  priceListsList = async (req, res, next) => {
+    try {
+      const priceLists = await priceListsService.listPriceLists();
+      res.render('price-lists/list', {
+        title: 'Price Lists',
+        priceLists
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle price list creation (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { name, description, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the price list and redirects to the list
+   */
+  priceListsCreate = async (req, res) => {
+    try {
+      await priceListsService.createPriceList(req.body);
+      req.flash('success', 'Price list created successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/price-lists');
+  };
+
+  /**
+   * Handle price list update (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Price list ID
+   * @param {Object} req.body - { name, description, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the price list and redirects to the list
+   */
+  priceListsEdit = async (req, res) => {
+    try {
+      const priceList = await priceListsService.updatePriceList(req.params.id, { is_active: false, ...req.body });
+      req.flash(priceList ? 'success' : 'error', priceList ? 'Price list updated successfully' : 'Price list not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/price-lists');
+  };
+
+  /**
+   * Handle price list deletion; its tiers go with it and its customers return to retail prices (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Price list ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the price list and redirects to the list
+   */
+  priceListsDelete = async (req, res) => {
+    try {
+      const deleted = await priceListsService.deletePriceList(req.params.id);
+      req.flash(deleted ? 'success' : 'error', deleted ? 'Price list deleted successfully' : 'Price list not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/price-lists');
+  };
+
+  /**
+   * Add a price tier to a product, or re-price the same quantity step (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {Object} req.body - { variant_id (for products with variants), price_list_id (blank for everyone), min_quantity, unit_price }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Saves the tier and redirects to the product edit form
+   */
+  priceTiersSave = async (req, res) => {
+    try {
+      const tier = await priceListsService.saveTier({ ...req.body, product_id: req.params.id });
+      const name = tier.variant_name ? `${tier.label} (${tier.variant_name})` : tier.label;
+      req.flash('success', `${name} price set to ${formatCurrency(tier.unit_price)}`);
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  /**
+   * Delete a product's price tier (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Product ID
+   * @param {string} req.params.tier_id - Price tier ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the tier and redirects to the product edit form
+   */
+  priceTiersDelete = async (req, res) => {
+    try {
+      const deleted = await priceListsService.deleteTier(req.params.tier_id);
+      req.flash(deleted ? 'success' : 'error', deleted ? 'Price tier deleted' : 'Price tier not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect(`/admin/products/edit/${req.params.id}`);
+  };
+
+  // ===== GIFT CARDS (Admin Only) =====
+
+  /**
+   * List gift cards with the issue form; the search box looks cards up by code or recipient (admin only).
+   * A search that is exactly one card's code opens that card.
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.q] - Part of a code (dashes optional) or of the recipient's name
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders gift cards list view
+   */
+  giftCardsList = async (req, res, next) => {
+    try {
+      const search = (req.query.q || '').trim();
+      if (search) {
+        const card = await giftCardsService.lookupGiftCard(search);
+        if (card) return res.redirect(`/admin/gift-cards/${card.gift_card_id}`);
+      }
+      const giftCards = await giftCardsService.listGiftCards(search || null);
+      res.render('gift-cards/list', {
+        title: 'Gift Cards',
+        giftCards,
+        search
       });
-      
     } catch (error) {
       next(error);
     }
   };
 
   /**
-   * Display order details and receipt
+   * Issue a gift card and open it so its code can be handed over (admin only)
    * @param {Object} req - Express request object
-   * @param {string} req.params.id - Sale/Order ID
+   * @param {Object} req.body - { amount, recipient_name, note }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Issues the card and redirects to its details
+   */
+  giftCardsCreate = async (req, res) => {
+    try {
+      const card = await giftCardsService.issueGiftCard(req.body, req.session.user.user_id);
+      req.flash('success', `Gift card ${card.code} issued for ${formatCurrency(card.initial_balance)}`);
+      res.redirect(`/admin/gift-cards/${card.gift_card_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect('/admin/gift-cards');
+    }
+  };
+
+  /**
+   * Display a gift card's balance and transaction history (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Gift card ID
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
-   * @returns {Promise<void>} Renders order receipt view with items
+   * @returns {Promise<void>} Renders gift card details view
    */
-  saleDetails = async (req, res, next) => {
+  giftCardDetails = async (req, res, next) => {
     try {
-      const saleId = req.params.id;
-      const userId = req.session.user.user_id;
-      const isAdmin = req.session.user.role === 'admin';
-      
-      const sale = await salesService.getSaleById(saleId);
-      if (!sale) {
-        req.flash('error', 'Order not found');
-        return res.redirect('/sales');
+      const card = await giftCardsService.getGiftCardById(req.params.id);
+      if (!card) {
+        req.flash('error', 'Gift card not found');
+        return res.redirect('/admin/gift-cards');
       }
+      res.render('gift-cards/details', {
+        title: `Gift Card ${card.code}`,
+        card
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
 
-      // Check permission: customer can only view own sales
-      if (!isAdmin && sale.user_id !== userId) {
-        return res.status(403).render('403', { title: 'Access Denied' });
+  /**
+   * Void a gift card, writing off its balance (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Gift card ID
+   * @param {string} req.body.reason - Why the card is voided
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Voids the card and redirects to its details
+   */
+  giftCardsVoid = async (req, res) => {
+    try {
+      const card = await giftCardsService.voidGiftCard(req.params.id, req.body.reason, req.session.user.user_id);
+      if (!card) {
+        req.flash('error', 'Gift card not found');
+        return res.redirect('/admin/gift-cards');
       }
+      req.flash('success', `Gift card ${card.code} voided`);
+      res.redirect(`/admin/gift-cards/${card.gift_card_id}`);
+    } catch (error) {
+      req.flash('error', error.message);
+      res.redirect(`/admin/gift-cards/${req.params.id}`);
+    }
+  };
 
-      const saleItems = await saleItemsService.getSaleItemsBySaleId(saleId);
-      
-      res.render('sales/receipt', {
-        title: `Order #${saleId}`,
-        sale,
-        items: saleItems
+  // ===== TAX RATES (Admin Only) =====
+
+  /**
+   * Display tax rates with forms to add and edit them (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders tax rates view
+   */
+  taxRatesList = async (req, res, next) => {
+    try {
+      const [taxRates, categories] = await Promise.all([
+        taxRatesService.listTaxRates(),
+        categoriesService.listCategories()
+      ]);
+      res.render('tax-rates/list', {
+        title: 'Tax Rates',
+        taxRates,
+        categories,
+        pricesIncludeTax: PRICES_INCLUDE_TAX
       });
-      
     } catch (error) {
       next(error);
     }
   };
 
   /**
-   * Apply discount to an existing order (admin only)
+   * Handle tax rate creation (admin only)
    * @param {Object} req - Express request object
-   * @param {string} req.params.sale_id - Sale/Order ID
-   * @param {number} req.body.discount_percentage - Discount percentage to apply
+   * @param {Object} req.body - { name, category_id, rate, is_active }
    * @param {Object} res - Express response object
-   * @returns {Promise<void>} Applies discount and redirects to order details
+   * @returns {Promise<void>} Creates the rate and redirects to the tax rates page
    */
-  applyOrderDiscount = async (req, res) => {
+  taxRatesCreate = async (req, res) => {
     try {
-      const { sale_id } = req.params;
-      const { discount_percentage } = req.body;
-      
-      await salesService.applyDiscount(sale_id, parseFloat(discount_percentage));
-      req.flash('success', `Discount of ${discount_percentage}% applied to order successfully`);
-      res.redirect(`/sales/${sale_id}`);
+      // Unchecked checkboxes are not posted
+      await taxRatesService.createTaxRate({ is_active: false, ...req.body });
+      req.flash('success', 'Tax rate created successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/tax-rates');
+  };
+
+  /**
+   * Handle tax rate update (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Tax rate ID
+   * @param {Object} req.body - { name, category_id, rate, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the rate and redirects to the tax rates page
+   */
+  taxRatesEdit = async (req, res) => {
+    try {
+      const rate = await taxRatesService.updateTaxRate(req.params.id, { is_active: false, ...req.body });
+      req.flash(rate ? 'success' : 'error', rate ? 'Tax rate updated successfully' : 'Tax rate not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/tax-rates');
+  };
+
+  /**
+   * Handle tax rate deletion (admin only); past sale items keep their stamped rate
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Tax rate ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the rate and redirects to the tax rates page
+   */
+  taxRatesDelete = async (req, res) => {
+    try {
+      await taxRatesService.deleteTaxRate(req.params.id);
+      req.flash('success', 'Tax rate deleted successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/tax-rates');
+  };
+
+  // ===== DELIVERY & PICKUP (Admin Only) =====
+
+  /**
+   * Display the day's deliveries and pickups grouped by slot (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.date] - Day to show (YYYY-MM-DD, default today)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders the fulfillment schedule view
+   */
+  fulfillmentSchedule = async (req, res, next) => {
+    try {
+      const { date } = req.query;
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        req.flash('error', 'Date must be YYYY-MM-DD.');
+        return res.redirect('/admin/fulfillment');
+      }
+      const schedule = await timeSlotsService.getFulfillmentSchedule(date || null);
+      res.render('fulfillment/schedule', {
+        title: 'Fulfillment',
+        schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Display delivery zones and time slots with forms to manage them (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders the delivery settings view
+   */
+  deliverySettings = async (req, res, next) => {
+    try {
+      const [deliveryZones, timeSlots] = await Promise.all([
+        deliveryZonesService.listDeliveryZones(),
+        timeSlotsService.listTimeSlots()
+      ]);
+      res.render('fulfillment/settings', {
+        title: 'Delivery & Pickup Settings',
+        deliveryZones,
+        timeSlots,
+        fulfillmentTypes: FULFILLMENT_TYPES
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle delivery zone creation (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { name, fee, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the zone and redirects to the delivery settings page
+   */
+  deliveryZonesCreate = async (req, res) => {
+    try {
+      // Unchecked checkboxes are not posted
+      await deliveryZonesService.createDeliveryZone({ is_active: false, ...req.body });
+      req.flash('success', 'Delivery zone created successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  /**
+   * Handle delivery zone update (admin only); orders already placed keep their fee
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Delivery zone ID
+   * @param {Object} req.body - { name, fee, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the zone and redirects to the delivery settings page
+   */
+  deliveryZonesEdit = async (req, res) => {
+    try {
+      const zone = await deliveryZonesService.updateDeliveryZone(req.params.id, { is_active: false, ...req.body });
+      req.flash(zone ? 'success' : 'error', zone ? 'Delivery zone updated successfully' : 'Delivery zone not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  /**
+   * Handle delivery zone deletion (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Delivery zone ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the zone and redirects to the delivery settings page
+   */
+  deliveryZonesDelete = async (req, res) => {
+    try {
+      await deliveryZonesService.deleteDeliveryZone(req.params.id);
+      req.flash('success', 'Delivery zone deleted successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  /**
+   * Handle time slot creation (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { fulfillment_type, start_time, end_time, capacity, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the slot and redirects to the delivery settings page
+   */
+  timeSlotsCreate = async (req, res) => {
+    try {
+      await timeSlotsService.createTimeSlot({ is_active: false, ...req.body });
+      req.flash('success', 'Time slot created successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  /**
+   * Handle time slot update (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Time slot ID
+   * @param {Object} req.body - { fulfillment_type, start_time, end_time, capacity, is_active }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the slot and redirects to the delivery settings page
+   */
+  timeSlotsEdit = async (req, res) => {
+    try {
+      const slot = await timeSlotsService.updateTimeSlot(req.params.id, { is_active: false, ...req.body });
+      req.flash(slot ? 'success' : 'error', slot ? 'Time slot updated successfully' : 'Time slot not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  /**
+   * Handle time slot deletion (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Time slot ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the slot and redirects to the delivery settings page
+   */
+  timeSlotsDelete = async (req, res) => {
+    try {
+      await timeSlotsService.deleteTimeSlot(req.params.id);
+      req.flash('success', 'Time slot deleted successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/delivery-settings');
+  };
+
+  // ===== EXCHANGE RATES (Admin Only) =====
+
+  /**
+   * Display the exchange rate history with a form to add a rate (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Renders exchange rates view
+   */
+  exchangeRatesList = async (req, res, next) => {
+    try {
+      const exchangeRates = await exchangeRatesService.listExchangeRates();
+      res.render('exchange-rates/list', {
+        title: 'Exchange Rates',
+        exchangeRates,
+        currentRate: exchangeRates.find(rate => rate.is_current) || null
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Handle adding an exchange rate (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { rate, effective_from }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Adds the rate and redirects to the exchange rates page
+   */
+  exchangeRatesCreate = async (req, res) => {
+    try {
+      await exchangeRatesService.createExchangeRate(req.body, req.session.user.user_id);
+      req.flash('success', 'Exchange rate added successfully');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/exchange-rates');
+  };
+
+  /**
+   * Handle exchange rate deletion (admin only); sales keep the rate they were stamped with
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Exchange rate ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the rate and redirects to the exchange rates page
+   */
+  exchangeRatesDelete = async (req, res) => {
+    try {
+      await exchangeRatesService.deleteExchangeRate(req.params.id);
+      req.flash('success', 'Exchange rate deleted successfully');
     } catch (error) {
       req.flash('error', error.message);
-      res.redirect(`/sales/${req.params.sale_id}`);
     }
+    res.redirect('/admin/exchange-rates');
   };
 
   // ===== INVENTORY (Admin Only) =====
@@ -736,15 +2362,18 @@ export class PagesController {
    * @param {string} req.params.product_id - Product ID
    * @param {number} req.body.quantity_in_stock - New stock quantity
    * @param {Object} res - Express response object
-   * @returns {Promise<void>} Updates inventory and redirects to inventory list
+   * @returns {Promise<void>} Updates inventory (allocating waiting backorders) and redirects to inventory list
    */
   inventoryUpdate = async (req, res) => {
     try {
       const { product_id } = req.params;
       const { quantity_in_stock } = req.body;
       
-      await inventoryService.updateInventory(product_id, parseInt(quantity_in_stock));
-      req.flash('success', 'Inventory updated');
+      const inventory = await inventoryService.updateInventory(product_id, parseInt(quantity_in_stock));
+      const allocated = inventory ? inventory.allocations.reduce((sum, a) => sum + a.quantity, 0) : 0;
+      req.flash('success', allocated > 0
+        ? `Inventory updated. ${allocated} unit(s) allocated to backorders on order(s) ${[...new Set(inventory.allocations.map(a => `#${a.sale_id}`))].join(', ')}`
+        : 'Inventory updated');
       res.redirect('/admin/inventory');
       
     } catch (error) {
@@ -756,7 +2385,7 @@ export class PagesController {
   // ===== USERS (Admin Only) =====
   
   /**
-   * Display all users in the system (admin only)
+   * Display all users in the system, with each customer's price list (admin only)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -764,11 +2393,15 @@ export class PagesController {
    */
   usersList = async (req, res, next) => {
     try {
-      const users = await usersService.listUsers();
+      const [users, priceLists] = await Promise.all([
+        usersService.listUsers(),
+        priceListsService.listPriceLists()
+      ]);
       
       res.render('users/list', {
         title: 'User Management',
-        users
+        users,
+        priceLists
       });
       
     } catch (error) {
@@ -776,10 +2409,28 @@ export class PagesController {
     }
   };
 
+  /**
+   * Assign a price list to a customer, or clear it (admin only)
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Customer's user ID
+   * @param {string} [req.body.price_list_id] - Price list ID; blank for retail prices
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Assigns the price list and redirects to the user list
+   */
+  usersAssignPriceList = async (req, res) => {
+    try {
+      const assigned = await priceListsService.assignPriceList(req.params.id, req.body.price_list_id);
+      req.flash(assigned ? 'success' : 'error', assigned ? 'Price list updated' : 'Customer not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/admin/users');
+  };
+
   // ===== PROFILE =====
   
   /**
-   * Display logged-in user's profile information
+   * Display logged-in user's profile information, address book and loyalty points (guests have neither)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -788,15 +2439,74 @@ export class PagesController {
   profile = async (req, res, next) => {
     try {
       const userId = req.session.user.user_id;
-      const user = await usersService.getUserById(userId);
+      const [user, addresses, deliveryZones, loyalty] = await Promise.all([
+        usersService.getUserById(userId),
+        userId ? addressesService.listAddresses(userId) : [],
+        deliveryZonesService.listDeliveryZones(),
+        userId ? loyaltyService.getAccount(userId) : null
+      ]);
       
       res.render('profile', {
         title: 'My Profile',
-        user
+        user,
+        addresses,
+        loyalty,
+        deliveryZones: deliveryZones.filter(zone => zone.is_active)
       });
       
     } catch (error) {
       next(error);
     }
   };
+
+  /**
+   * Add an address to the logged-in user's address book
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - { label, street, city, delivery_zone_id, phone_number, notes, is_default }
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Creates the address and redirects to the profile
+   */
+  addressesCreate = async (req, res) => {
+    try {
+      await addressesService.createAddress(req.session.user.user_id, req.body);
+      req.flash('success', 'Address added');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/profile');
+  };
+
+  /**
+   * Make one of the logged-in user's addresses the default
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Address ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Updates the default and redirects to the profile
+   */
+  addressesDefault = async (req, res) => {
+    try {
+      const address = await addressesService.setDefault(req.session.user.user_id, req.params.id);
+      req.flash(address ? 'success' : 'error', address ? 'Default address updated' : 'Address not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/profile');
+  };
+
+  /**
+   * Delete one of the logged-in user's addresses; orders keep their copy of it
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Address ID
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Deletes the address and redirects to the profile
+   */
+  addressesDelete = async (req, res) => {
+    try {
+      const deleted = await addressesService.deleteAddress(req.session.user.user_id, req.params.id);
+      req.flash(deleted ? 'success' : 'error', deleted ? 'Address deleted' : 'Address not found');
+    } catch (error) {
+      req.flash('error', error.message);
+    }
+    res.redirect('/profile');
+  };
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * PaymentsControllers — handlers for payments against a sale
+ * Common request pieces:
+ * - req.params.sale_id: number|string (sale identifier)
+ * - req.body.tenders: Array<{ method, currency, amount, gift_card_code }> (split payment), or a single
+ *   tender as req.body.method ('cash' | 'card' | 'transfer' | 'gift_card'), req.body.currency ('USD' | 'LBP'), req.body.amount
+ *   and req.body.gift_card_code (gift card payments only)
+ */
+export class PaymentsControllers {
+    constructor(paymentsService) {
+        this.paymentsService = paymentsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List payments recorded against a sale — req.params.sale_id
+    listBySale = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const payments = await this.paymentsService.getPaymentsBySaleId(req.params.sale_id);
+            return res.json(payments);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Record a payment — expects req.body.tenders or a single tender; responds with the sale and the payments (with change)
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const { tenders, method, currency, amount, gift_card_code } = req.body;
+            const result = await this.paymentsService.recordPayment(req.params.sale_id, tenders || [{ method, currency, amount, gift_card_code }], {
+                received_by: req.session?.user?.user_id || null
+            });
+            if (!result) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.status(201).json(result);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
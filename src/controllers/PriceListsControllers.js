@@ -0,0 +1,140 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * PriceListsControllers — handlers for price lists, product price tiers and customers' price lists
+ * Common request pieces:
+ * - req.params.price_list_id: number|string (price list identifier)
+ * - req.params.product_id / req.params.price_tier_id: number|string (product and tier identifiers)
+ * - req.params.user_id: number|string (customer identifier)
+ * - req.body: { name, description, is_active } for lists, { price_list_id, min_quantity, unit_price } for tiers,
+ *   { price_list_id } to assign a list
+ */
+export class PriceListsControllers {
+    constructor(priceListsService) {
+        this.priceListsService = priceListsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all price lists — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const priceLists = await this.priceListsService.listPriceLists();
+            return res.json(priceLists);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a price list with its tiers — req.params.price_list_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const priceList = await this.priceListsService.getPriceListById(req.params.price_list_id);
+            if (!priceList) {
+                return res.status(404).json({ message: "Price list not found" });
+            }
+            return res.json(priceList);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a price list
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const priceList = await this.priceListsService.createPriceList(req.body);
+            return res.status(201).json(priceList);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a price list — req.params.price_list_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const priceList = await this.priceListsService.updatePriceList(req.params.price_list_id, req.body);
+            if (!priceList) {
+                return res.status(404).json({ message: "Price list not found" });
+            }
+            return res.json(priceList);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a price list and its tiers — req.params.price_list_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.priceListsService.deletePriceList(req.params.price_list_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Price list not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // List a product's price tiers — req.params.product_id
+    listTiers = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const tiers = await this.priceListsService.listTiersForProduct(req.params.product_id);
+            return res.json(tiers);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add a price tier to a product, or re-price the same quantity step — req.params.product_id
+    saveTier = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const tier = await this.priceListsService.saveTier({ ...req.body, product_id: req.params.product_id });
+            return res.status(201).json(tier);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a price tier — req.params.price_tier_id
+    deleteTier = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.priceListsService.deleteTier(req.params.price_tier_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Price tier not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Set or clear a customer's price list — req.params.user_id, req.body.price_list_id
+    assign = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const assigned = await this.priceListsService.assignPriceList(req.params.user_id, req.body.price_list_id);
+            if (!assigned) {
+                return res.status(404).json({ message: "Customer not found" });
+            }
+            return res.json({ user_id: Number(req.params.user_id), price_list_id: req.body.price_list_id ?? null });
+        } catch (err) {
+            next(err);
+        }
+    }
+}
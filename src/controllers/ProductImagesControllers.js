@@ -0,0 +1,104 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * ProductImagesControllers — handlers for a product's photos
+ * Common request pieces:
+ * - req.params.product_id / req.params.image_id: number|string (product and image identifiers)
+ * - req.files: uploaded images (multipart field `images`, see middlewares/imageUpload.js)
+ * - req.body: { alt_text, is_primary } or { image_ids }
+ */
+export class ProductImagesControllers {
+    constructor(productImagesService) {
+        this.productImagesService = productImagesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // Whether :image_id exists and belongs to :product_id
+    async _belongsToProduct(req) {
+        const image = await this.productImagesService.getImageById(req.params.image_id);
+        return !!image && image.product_id === Number(req.params.product_id);
+    }
+
+    // List a product's images in gallery order — req.params.product_id
+    list = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const images = await this.productImagesService.listImages(req.params.product_id);
+            return res.json(images);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Upload images to the end of a product's gallery — req.params.product_id, req.files, req.body.alt_text
+    upload = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (req.uploadError) {
+                return res.status(400).json({ message: req.uploadError });
+            }
+            const images = await this.productImagesService.uploadImages(Number(req.params.product_id), req.files, req.body.alt_text);
+            return res.status(201).json(images);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Change an image's alt text and/or make it primary — req.params.product_id, req.params.image_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (!(await this._belongsToProduct(req))) {
+                return res.status(404).json({ message: "Image not found" });
+            }
+            let image = await this.productImagesService.getImageById(req.params.image_id);
+            if (req.body.alt_text !== undefined) {
+                image = await this.productImagesService.updateImage(req.params.image_id, req.body);
+            }
+            if ([true, 'true'].includes(req.body.is_primary)) {
+                image = await this.productImagesService.setPrimaryImage(req.params.image_id);
+            }
+            return res.json(image);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Put a product's images in a new order — req.params.product_id, req.body.image_ids
+    reorder = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const images = await this.productImagesService.reorderImages(Number(req.params.product_id), req.body.image_ids);
+            return res.json(images);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete an image and its files — req.params.product_id, req.params.image_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (!(await this._belongsToProduct(req))) {
+                return res.status(404).json({ message: "Image not found" });
+            }
+            const deleted = await this.productImagesService.deleteImage(req.params.image_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Image not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
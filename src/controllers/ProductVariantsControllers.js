@@ -0,0 +1,86 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * ProductVariantsControllers — handlers for a product's variants (bag size and grind)
+ * Common request pieces:
+ * - req.params.product_id / req.params.variant_id: number|string (product and variant identifiers)
+ * - req.body: { weight_grams, grind, unit_price, quantity_in_stock, is_active }
+ */
+export class ProductVariantsControllers {
+    constructor(productVariantsService) {
+        this.productVariantsService = productVariantsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // Whether :variant_id exists and belongs to :product_id
+    async _belongsToProduct(req) {
+        const variant = await this.productVariantsService.getVariantById(req.params.variant_id);
+        return !!variant && variant.product_id === Number(req.params.product_id);
+    }
+
+    // List a product's variants — req.params.product_id
+    list = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const variants = await this.productVariantsService.listVariants(req.params.product_id);
+            return res.json(variants);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add a variant to a product — req.params.product_id
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const variant = await this.productVariantsService.createVariant(Number(req.params.product_id), req.body);
+            return res.status(201).json(variant);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a variant — req.params.product_id, req.params.variant_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (!(await this._belongsToProduct(req))) {
+                return res.status(404).json({ message: "Variant not found" });
+            }
+            const variant = await this.productVariantsService.updateVariant(req.params.variant_id, req.body);
+            if (!variant) {
+                return res.status(404).json({ message: "Variant not found" });
+            }
+            return res.json(variant);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a variant that was never sold — req.params.product_id, req.params.variant_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (!(await this._belongsToProduct(req))) {
+                return res.status(404).json({ message: "Variant not found" });
+            }
+            const deleted = await this.productVariantsService.deleteVariant(req.params.variant_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Variant not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
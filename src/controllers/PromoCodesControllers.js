@@ -0,0 +1,88 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * PromoCodesControllers — CRUD handlers for promo codes
+ * Common request pieces:
+ * - req.params.promo_code_id: number|string (promo code identifier)
+ * - req.body: { code, description, discount_type, discount_value, min_order_value, starts_at, ends_at,
+ *   max_uses, max_uses_per_customer, category_ids, is_active }
+ */
+export class PromoCodesControllers {
+    constructor(promoCodesService) {
+        this.promoCodesService = promoCodesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all promo codes — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const promoCodes = await this.promoCodesService.listPromoCodes();
+            return res.json(promoCodes);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a single promo code by ID — req.params.promo_code_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const promo = await this.promoCodesService.getPromoCodeById(req.params.promo_code_id);
+            if (!promo) {
+                return res.status(404).json({ message: "Promo code not found" });
+            }
+            return res.json(promo);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a promo code
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const promo = await this.promoCodesService.createPromoCode(req.body);
+            return res.status(201).json(promo);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a promo code — req.params.promo_code_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const promo = await this.promoCodesService.updatePromoCode(req.params.promo_code_id, req.body);
+            if (!promo) {
+                return res.status(404).json({ message: "Promo code not found" });
+            }
+            return res.json(promo);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a promo code that has never been used — req.params.promo_code_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.promoCodesService.deletePromoCode(req.params.promo_code_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Promo code not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
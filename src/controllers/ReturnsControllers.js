@@ -0,0 +1,55 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * ReturnsControllers — handlers for returns/refunds against a sale
+ * Common request pieces:
+ * - req.params.sale_id: number|string (sale identifier)
+ * - req.body.items: Array<{ sale_item_id, quantity }>
+ * - req.body.restock: boolean (put returned units back into inventory)
+ * - req.body.reason: string
+ */
+export class ReturnsControllers {
+    constructor(returnsService) {
+        this.returnsService = returnsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List returns recorded against a sale — req.params.sale_id
+    listBySale = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const returns = await this.returnsService.getReturnsBySaleId(req.params.sale_id);
+            return res.json(returns);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Return items of a sale — expects req.body.items, optional restock and reason
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const result = await this.returnsService.createReturn(req.params.sale_id, req.body.items, {
+                restock: req.body.restock,
+                reason: req.body.reason,
+                created_by: req.session?.user?.user_id || null
+            });
+            if (!result) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.status(201).json(result);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * SaleCommentsControllers — handlers for the internal comment thread on a sale
+ * Common request pieces:
+ * - req.params.sale_id: number|string (sale identifier)
+ * - req.body.body: string (comment text)
+ */
+export class SaleCommentsControllers {
+    constructor(saleCommentsService) {
+        this.saleCommentsService = saleCommentsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List a sale's comments — req.params.sale_id; only admins see them, as on the order page
+    // (the customer's own note is the sale's customer_notes)
+    listBySale = async (req, res, next) => {
+        try {
+            this._validate(req);
+            if (req.session?.user?.role !== 'admin') {
+                return res.json([]);
+            }
+            const comments = await this.saleCommentsService.getCommentsBySaleId(req.params.sale_id);
+            return res.json(comments);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Add a comment — expects req.body.body; the session user is the author
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const comment = await this.saleCommentsService.addComment(
+                req.params.sale_id,
+                req.body.body,
+                req.session?.user?.user_id || null
+            );
+            if (!comment) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.status(201).json(comment);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
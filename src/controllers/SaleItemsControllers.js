@@ -11,7 +11,7 @@ import { validationResult } from 'express-validator';
  * - getAllSaleItems()
  * - getSaleItemById(id)
  * - getSaleItemsBySaleId(saleId)
- * - createSaleItem(sale_id, product_id, quantity, price_at_sale)
+ * - createSaleItem(sale_id, product_id, quantity, price_at_sale, variant_id)
  * - updateSaleItem(id, payload)
  * - deleteSaleItem(id)
  * - getSaleItemByIdWithDetails(id)
@@ -98,7 +98,7 @@ export class SaleItemsControllers {
     /**
      * POST /sale-items
      * Create a new sale item. Expects sale_id, product_id, quantity, price_at_sale
-     * in the request body.
+     * (and variant_id for a product sold in variants) in the request body.
      */
     create = async (req, res, next) => {
         try {
@@ -107,7 +107,8 @@ export class SaleItemsControllers {
                 req.body.sale_id,
                 req.body.product_id,
                 req.body.quantity,
-                req.body.price_at_sale
+                req.body.price_at_sale,
+                req.body.variant_id
             );
             return res.status(201).json(item);
         } catch (err) {
@@ -8,11 +8,16 @@ import { validationResult } from 'express-validator';
  * - req.params.user_id: number|string (user identifier)
  * - req.query.startDate/endDate: string (ISO date)
  * - req.body.user_id: number|string
- * - req.body.total_amount, req.body.discount_percentage: number|string
+ * - req.body.total_amount: number|string
+ * - req.body.code: string (promo code)
+ * - req.body.status: string, req.body.note: string (status transitions)
+ * - req.body.reason: string (voiding a sale)
+ * - Idempotency-Key header: string (optional on create; a retry with the same key returns the original sale)
  */
 export class SalesControllers {
-    constructor(salesService) {
+    constructor(salesService, idempotencyService) {
         this.salesService = salesService;
+        this.idempotencyService = idempotencyService;
     }
 
     // Validate input using express-validator; throws ValidationError with `details` if invalid
@@ -72,12 +77,30 @@ export class SalesControllers {
         }
     }
 
-    // Create a new sale — expects req.body.user_id
+    // Create a new sale — expects req.body.user_id; with an Idempotency-Key header a retry replays the original response
     create = async (req, res, next) => {
         try {
             this._validate(req);
-            const newSale = await this.salesService.createSale(req.body.user_id);
-            return res.status(201).json(newSale);
+            const key = req.get('Idempotency-Key');
+            if (!key) {
+                const newSale = await this.salesService.createSale(req.body.user_id);
+                return res.status(201).json(newSale);
+            }
+
+            const result = await this.idempotencyService.execute('POST /api/sales', key, req.body, async () => ({
+                status_code: 201,
+                response: await this.salesService.createSale(req.body.user_id)
+            }));
+            if (result.outcome === 'in_progress') {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+            }
+            if (result.outcome === 'mismatch') {
+                return res.status(422).json({ message: 'Idempotency-Key was already used with a different request body' });
+            }
+            if (result.outcome === 'replayed') {
+                res.set('Idempotent-Replayed', 'true');
+            }
+            return res.status(result.status_code).json(result.response);
         } catch (err) {
             next(err);
         }
@@ -97,11 +120,25 @@ export class SalesControllers {
         }
     }
 
-    // Apply discount to sale — expects req.body.discount_percentage
-    applyDiscount = async (req, res, next) => {
+    // Apply a promo code to a sale — expects req.body.code
+    applyPromoCode = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const updatedSale = await this.salesService.applyPromoCode(req.params.sale_id, req.body.code);
+            if (!updatedSale) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.json(updatedSale);
+        } catch (err) {
+            next(err);
+        }
+    }
+    // Move a sale to a new status — expects req.body.status and optional req.body.note
+    updateStatus = async (req, res, next) => {
         try {
             this._validate(req);
-            const updatedSale = await this.salesService.applyDiscount(req.params.sale_id, req.body.discount_percentage);
+            const changedBy = req.session?.user?.user_id || null;
+            const updatedSale = await this.salesService.changeStatus(req.params.sale_id, req.body.status, changedBy, req.body.note);
             if (!updatedSale) {
                 return res.status(404).json({ message: "Sale not found" });
             }
@@ -110,6 +147,17 @@ export class SalesControllers {
             next(err);
         }
     }
+
+    // Get the status transition history of a sale — req.params.sale_id
+    getStatusHistory = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const history = await this.salesService.getStatusHistory(req.params.sale_id);
+            return res.json(history);
+        } catch (err) {
+            next(err);
+        }
+    }
     getCounts= async(req,res,next)=>{
         try {
             const count=await this.salesService.getCount();
@@ -136,11 +184,29 @@ export class SalesControllers {
             next(err);
         }
     }
-    // Delete a sale — req.params.sale_id
+    // Void a sale and restock its items — expects req.body.reason
+    voidSale = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const voidedBy = req.session?.user?.user_id || null;
+            const voidedSale = await this.salesService.voidSale(req.params.sale_id, req.body.reason, voidedBy);
+            if (!voidedSale) {
+                return res.status(404).json({ message: "Sale not found" });
+            }
+            return res.json(voidedSale);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a sale — req.params.sale_id; the sale is voided (and restocked), not removed.
+    // An optional reason may be given in req.body.reason or req.query.reason
     delete = async (req, res, next) => {
         try {
             this._validate(req);
-            const deleted = await this.salesService.deleteSale(req.params.sale_id);
+            const reason = req.body?.reason || req.query.reason || 'Sale deleted';
+            const voidedBy = req.session?.user?.user_id || null;
+            const deleted = await this.salesService.deleteSale(req.params.sale_id, reason, voidedBy);
             if (!deleted) {
                 return res.status(404).json({ message: "Sale not found" });
             }
@@ -0,0 +1,144 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * SubscriptionsControllers — handlers for recurring coffee subscriptions
+ * Common request pieces:
+ * - req.params.id: number|string (subscription_id)
+ * - req.query.user_id: number|string (optional filter on list)
+ * - req.query.days: number|string (optional look-ahead for demand, default 30)
+ * - req.body: { user_id, frequency, start_date?, out_of_stock_action?, items: [{ product_id, variant_id?, quantity }] } for create
+ * - req.body.date: string (optional YYYY-MM-DD to run due subscriptions for)
+ */
+export class SubscriptionsControllers {
+    constructor(subscriptionsService) {
+        this.subscriptionsService = subscriptionsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List subscriptions — all, or a customer's with ?user_id=
+    list = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscriptions = req.query.user_id
+                ? await this.subscriptionsService.getSubscriptionsByUser(req.query.user_id)
+                : await this.subscriptionsService.listSubscriptions();
+            return res.json(subscriptions);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get by id — returns 404 if not found
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscription = await this.subscriptionsService.getSubscriptionById(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ message: "Subscription not found" });
+            }
+            return res.json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create — expects user_id, frequency and items in req.body
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const { user_id, ...data } = req.body;
+            const subscription = await this.subscriptionsService.createSubscription(user_id, data);
+            return res.status(201).json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Pause an active subscription — returns 404 if not found
+    pause = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscription = await this.subscriptionsService.pauseSubscription(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ message: "Subscription not found" });
+            }
+            return res.json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Resume a paused subscription — returns 404 if not found
+    resume = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscription = await this.subscriptionsService.resumeSubscription(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ message: "Subscription not found" });
+            }
+            return res.json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Skip the next delivery — returns 404 if not found
+    skip = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscription = await this.subscriptionsService.skipNextDelivery(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ message: "Subscription not found" });
+            }
+            return res.json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Cancel a subscription — returns 404 if not found
+    cancel = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const subscription = await this.subscriptionsService.cancelSubscription(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ message: "Subscription not found" });
+            }
+            return res.json(subscription);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create the sales for subscriptions due today (or on req.body.date) — responds with a run summary
+    run = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const summary = await this.subscriptionsService.runDueSubscriptions(req.body.date || null);
+            return res.json(summary);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Upcoming demand per product — optional req.query.days
+    demand = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const demand = await this.subscriptionsService.getUpcomingDemand(req.query.days || 30);
+            return res.json(demand);
+        } catch (err) {
+            next(err);
+        }
+    }
+}
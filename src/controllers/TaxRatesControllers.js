@@ -0,0 +1,87 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * TaxRatesControllers — CRUD handlers for tax rates
+ * Common request pieces:
+ * - req.params.tax_rate_id: number|string (tax rate identifier)
+ * - req.body: { name, category_id, rate, is_active }
+ */
+export class TaxRatesControllers {
+    constructor(taxRatesService) {
+        this.taxRatesService = taxRatesService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all tax rates — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const taxRates = await this.taxRatesService.listTaxRates();
+            return res.json(taxRates);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a single tax rate by ID — req.params.tax_rate_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const rate = await this.taxRatesService.getTaxRateById(req.params.tax_rate_id);
+            if (!rate) {
+                return res.status(404).json({ message: "Tax rate not found" });
+            }
+            return res.json(rate);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a tax rate
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const rate = await this.taxRatesService.createTaxRate(req.body);
+            return res.status(201).json(rate);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a tax rate — req.params.tax_rate_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const rate = await this.taxRatesService.updateTaxRate(req.params.tax_rate_id, req.body);
+            if (!rate) {
+                return res.status(404).json({ message: "Tax rate not found" });
+            }
+            return res.json(rate);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a tax rate — req.params.tax_rate_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.taxRatesService.deleteTaxRate(req.params.tax_rate_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Tax rate not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,110 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * TimeSlotsControllers — CRUD handlers for delivery and pickup time slots, plus availability and the daily schedule
+ * Common request pieces:
+ * - req.params.time_slot_id: number|string (time slot identifier)
+ * - req.body: { fulfillment_type, start_time, end_time, capacity, is_active }
+ * - req.query: { fulfillment_type, date } for availability, { date } for the schedule
+ */
+export class TimeSlotsControllers {
+    constructor(timeSlotsService) {
+        this.timeSlotsService = timeSlotsService;
+    }
+
+    // Validate input using express-validator; throws ValidationError with `details` if invalid
+    _validate(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const err = new Error("Validation Error");
+            err.name = "ValidationError";
+            err.details = errors.array();
+            throw err;
+        }
+    }
+
+    // List all time slots — responds with Array<Object>
+    list = async (req, res, next) => {
+        try {
+            const timeSlots = await this.timeSlotsService.listTimeSlots();
+            return res.json(timeSlots);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Slots of a type on a date with booked and remaining capacity — req.query.fulfillment_type, req.query.date
+    availability = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const slots = await this.timeSlotsService.getAvailability(req.query.fulfillment_type, req.query.date);
+            return res.json(slots);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // A day's deliveries and pickups grouped by slot — req.query.date
+    schedule = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const schedule = await this.timeSlotsService.getFulfillmentSchedule(req.query.date);
+            return res.json(schedule);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Get a single time slot by ID — req.params.time_slot_id
+    get = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const slot = await this.timeSlotsService.getTimeSlotById(req.params.time_slot_id);
+            if (!slot) {
+                return res.status(404).json({ message: "Time slot not found" });
+            }
+            return res.json(slot);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Create a time slot
+    create = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const slot = await this.timeSlotsService.createTimeSlot(req.body);
+            return res.status(201).json(slot);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Update a time slot — req.params.time_slot_id
+    update = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const slot = await this.timeSlotsService.updateTimeSlot(req.params.time_slot_id, req.body);
+            if (!slot) {
+                return res.status(404).json({ message: "Time slot not found" });
+            }
+            return res.json(slot);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    // Delete a time slot — req.params.time_slot_id
+    delete = async (req, res, next) => {
+        try {
+            this._validate(req);
+            const deleted = await this.timeSlotsService.deleteTimeSlot(req.params.time_slot_id);
+            if (!deleted) {
+                return res.status(404).json({ message: "Time slot not found" });
+            }
+            return res.status(204).send();
+        } catch (err) {
+            next(err);
+        }
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * AddressesDTO — minimal documentation
+ * Fields (simple types):
+ * - address_id: number | null
+ * - user_id: number
+ * - label: string | null
+ * - street: string
+ * - city: string
+ * - delivery_zone_id: number | null
+ * - zone_name: string | null
+ * - delivery_fee: number | null (the zone's fee; null when the address has no zone)
+ * - deliverable: boolean (the address is in an active delivery zone)
+ * - phone_number: string | null
+ * - notes: string | null
+ * - is_default: boolean
+ * - one_line: string (street and city, for lists and the copy kept on orders)
+ */
+export class AddressesDTO {
+    constructor({ address_id = null, user_id, label = null, street, city, delivery_zone_id = null, zone_name = null, zone_fee = null, zone_is_active = null, phone_number = null, notes = null, is_default = false }) {
+        this.address_id = address_id;
+        this.user_id = user_id;
+        this.label = label;
+        this.street = street;
+        this.city = city;
+        this.delivery_zone_id = delivery_zone_id;
+        this.zone_name = zone_name;
+        this.delivery_fee = zone_fee == null ? null : parseFloat(zone_fee);
+        this.deliverable = delivery_zone_id != null && zone_is_active === true;
+        this.phone_number = phone_number;
+        this.notes = notes;
+        this.is_default = is_default;
+        this.one_line = [street, city].filter(Boolean).join(', ');
+    }
+
+    static fromEntity(entity) {
+        return new AddressesDTO(entity);
+    }
+}
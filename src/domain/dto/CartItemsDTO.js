@@ -0,0 +1,44 @@
+/**
+ * CartItemsDTO — minimal documentation
+ * Fields (simple types):
+ * - cart_item_id: number | null
+ * - product_id: number | null
+ * - variant_id: number | null (bag size and grind, for products sold in variants)
+ * - product_name: string
+ * - variant_name: string | null (e.g. "250g, whole bean")
+ * - unit_price: number (the owner's current price for the line's quantity)
+ * - list_price: number (current retail price)
+ * - price_tier: string | null (label of the price tier applied, e.g. "Volume 5+")
+ * - quantity: number
+ * - line_total: number (unit_price * quantity)
+ * - quantity_in_stock: number
+ * - is_available: boolean (product can be ordered)
+ * - in_stock: boolean (available and enough stock for the quantity, or the product takes backorders)
+ * - backorder_policy: string ('none' | 'backorder' | 'preorder')
+ * - backordered_quantity: number (units beyond stock that will be backordered)
+ * - expected_available_date: string | null (YYYY-MM-DD)
+ */
+export class CartItemsDTO {
+    constructor({ cart_item_id = null, product_id = null, variant_id = null, product_name = '', variant_name = null, unit_price = 0, list_price = null, price_tier = null, quantity = 1, status = 'available', quantity_in_stock = 0, backorder_policy = 'none', expected_available_date = null }) {
+        this.cart_item_id = cart_item_id;
+        this.product_id = product_id;
+        this.variant_id = variant_id;
+        this.product_name = product_name;
+        this.variant_name = variant_name;
+        this.unit_price = parseFloat(unit_price) || 0;
+        this.list_price = list_price == null ? this.unit_price : parseFloat(list_price);
+        this.price_tier = price_tier;
+        this.quantity = parseInt(quantity, 10) || 0;
+        this.line_total = Math.round(this.unit_price * this.quantity * 100) / 100;
+        this.quantity_in_stock = parseInt(quantity_in_stock, 10) || 0;
+        this.is_available = status === 'available';
+        this.backorder_policy = backorder_policy;
+        this.backordered_quantity = this.is_available && backorder_policy !== 'none' ? Math.max(this.quantity - this.quantity_in_stock, 0) : 0;
+        this.in_stock = this.is_available && (this.quantity <= this.quantity_in_stock || backorder_policy !== 'none');
+        this.expected_available_date = expected_available_date;
+    }
+
+    static fromEntity(entity) {
+        return new CartItemsDTO(entity);
+    }
+}
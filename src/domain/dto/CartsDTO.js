@@ -0,0 +1,29 @@
+import { CartItemsDTO } from './CartItemsDTO.js';
+
+/**
+ * CartsDTO — minimal documentation
+ * Fields (simple types):
+ * - cart_id: number | null (null until something is added)
+ * - user_id: number | null
+ * - items: CartItemsDTO[]
+ * - item_count: number (total quantity)
+ * - subtotal: number (at current prices, before discounts and tax)
+ * - has_stock_issues: boolean (some line is unavailable or short on stock)
+ * - has_backorders: boolean (some line will be partly or fully backordered)
+ */
+export class CartsDTO {
+    constructor({ cart_id = null, user_id = null, items = [] }) {
+        this.cart_id = cart_id;
+        this.user_id = user_id;
+        this.items = items.map(item => CartItemsDTO.fromEntity(item));
+        this.item_count = this.items.reduce((sum, item) => sum + item.quantity, 0);
+        this.subtotal = Math.round(this.items.reduce((sum, item) => sum + item.line_total, 0) * 100) / 100;
+        this.has_stock_issues = this.items.some(item => !item.in_stock);
+        this.has_backorders = this.items.some(item => item.backordered_quantity > 0);
+    }
+
+    // mapper: cart entity (or null) plus its item entities
+    static fromEntity(entity, items = []) {
+        return new CartsDTO({ ...(entity || {}), items });
+    }
+}
@@ -0,0 +1,32 @@
+import { CATEGORY_PATH_SEPARATOR } from '../entities/Categories.js';
+
+/**
+ * CategoriesDTO — minimal documentation
+ * Fields (simple types):
+ * - category_id: number | null
+ * - parent_id: number | null
+ * - name: string
+ * - description: string | null
+ * - path: string (e.g. "Coffee › Single Origin › Ethiopia")
+ * - ancestor_ids: number[] (top-level category first, ending with its own ID)
+ * - depth: number (0 for a top-level category)
+ * - product_count: number, available_count: number
+ */
+export class CategoriesDTO {
+    constructor({ category_id = null, parent_id = null, name, description = null, id_path = [], name_path = [], product_count = 0, available_count = 0 }) {
+        this.category_id = category_id;
+        this.parent_id = parent_id;
+        this.name = name;
+        this.description = description;
+        this.path = (name_path.length > 0 ? name_path : [name]).join(CATEGORY_PATH_SEPARATOR);
+        this.ancestor_ids = id_path.map(Number);
+        this.depth = Math.max(id_path.length - 1, 0);
+        this.product_count = parseInt(product_count, 10) || 0;
+        this.available_count = parseInt(available_count, 10) || 0;
+    }
+
+    // mapper to convert entity to DTO
+    static fromEntity(entity) {
+        return new CategoriesDTO(entity);
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * DeliveryZonesDTO — minimal documentation
+ * Fields (simple types):
+ * - delivery_zone_id: number | null
+ * - name: string
+ * - fee: number
+ * - is_active: boolean
+ */
+export class DeliveryZonesDTO {
+    constructor({ delivery_zone_id = null, name, fee = 0, is_active = true }) {
+        this.delivery_zone_id = delivery_zone_id;
+        this.name = name;
+        this.fee = parseFloat(fee) || 0;
+        this.is_active = is_active;
+    }
+
+    static fromEntity(entity) {
+        return new DeliveryZonesDTO(entity);
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * ExchangeRatesDTO — minimal documentation
+ * Fields (simple types):
+ * - exchange_rate_id: number | null
+ * - rate: number (LBP per 1 USD)
+ * - effective_from: Date | string
+ * - is_current: boolean (the rate new sales are stamped with)
+ */
+export class ExchangeRatesDTO {
+    constructor({ exchange_rate_id = null, rate, effective_from = new Date(), is_current = false }) {
+        this.exchange_rate_id = exchange_rate_id;
+        this.rate = parseFloat(rate);
+        this.effective_from = effective_from;
+        this.is_current = Boolean(is_current);
+    }
+
+    static fromEntity(entity) {
+        return new ExchangeRatesDTO(entity);
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * GiftCardTransactionsDTO — minimal documentation
+ * Fields (simple types):
+ * - gift_card_transaction_id: number | null
+ * - gift_card_id: number | null
+ * - type: string ('issue' | 'redeem' | 'refund' | 'void')
+ * - amount: number (signed, USD)
+ * - balance_after: number
+ * - sale_id: number | null
+ * - created_by: number | null, created_by_name: string | null
+ * - created_at: Date | string
+ */
+export class GiftCardTransactionsDTO {
+    constructor({ gift_card_transaction_id = null, gift_card_id = null, type = 'issue', amount = 0, balance_after = 0, sale_id = null, created_by = null, created_by_name = null, created_at = new Date() }) {
+        this.gift_card_transaction_id = gift_card_transaction_id;
+        this.gift_card_id = gift_card_id;
+        this.type = type;
+        this.amount = parseFloat(amount) || 0;
+        this.balance_after = parseFloat(balance_after) || 0;
+        this.sale_id = sale_id;
+        this.created_by = created_by;
+        this.created_by_name = created_by_name;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity/row to DTO
+    static fromEntity(entity) {
+        return new GiftCardTransactionsDTO(entity);
+    }
+}
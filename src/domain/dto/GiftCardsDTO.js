@@ -0,0 +1,38 @@
+import { GiftCardTransactionsDTO } from './GiftCardTransactionsDTO.js';
+
+/**
+ * GiftCardsDTO — minimal documentation
+ * Fields (simple types):
+ * - gift_card_id: number | null
+ * - code: string
+ * - initial_balance: number, balance: number (USD)
+ * - status: string ('active' | 'void'), is_active: boolean
+ * - recipient_name: string | null, note: string | null
+ * - issued_by: number | null, issued_by_name: string | null, issued_at: Date | string
+ * - void_reason: string | null, voided_at: string | null, voided_by: number | null
+ * - transactions: GiftCardTransactionsDTO[] (oldest first, when loaded)
+ */
+export class GiftCardsDTO {
+    constructor({ gift_card_id = null, code, initial_balance = 0, balance = 0, status = 'active', recipient_name = null, note = null, issued_by = null, issued_by_name = null, issued_at = new Date(), void_reason = null, voided_at = null, voided_by = null, transactions = [] }) {
+        this.gift_card_id = gift_card_id;
+        this.code = code;
+        this.initial_balance = parseFloat(initial_balance) || 0;
+        this.balance = parseFloat(balance) || 0;
+        this.status = status;
+        this.is_active = status === 'active';
+        this.recipient_name = recipient_name;
+        this.note = note;
+        this.issued_by = issued_by;
+        this.issued_by_name = issued_by_name;
+        this.issued_at = issued_at;
+        this.void_reason = void_reason;
+        this.voided_at = voided_at;
+        this.voided_by = voided_by;
+        this.transactions = transactions.map(t => GiftCardTransactionsDTO.fromEntity(t));
+    }
+
+    // mapper to convert entity to DTO (with its ledger entries, if loaded)
+    static fromEntity(entity, transactions = []) {
+        return new GiftCardsDTO({ ...entity, transactions });
+    }
+}
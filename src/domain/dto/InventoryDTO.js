@@ -5,13 +5,15 @@
  * - product_id: number | null
  * - quantity_in_stock: number
  * - last_updated: Date | string (ISO)
+ * - allocations: Array<{ sale_id, sale_item_id, quantity }> (backordered units allocated by an update)
  */
 export class InventoryDTO {
-    constructor({ inventory_id = null, product_id = null, quantity_in_stock = 0, last_updated = new Date() }) {
+    constructor({ inventory_id = null, product_id = null, quantity_in_stock = 0, last_updated = new Date(), allocations = [] }) {
         this.inventory_id = inventory_id;
         this.product_id = product_id;
         this.quantity_in_stock = quantity_in_stock;
         this.last_updated = last_updated;
+        this.allocations = allocations;
     }
 
     static fromEntity(entity){
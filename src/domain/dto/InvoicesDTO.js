@@ -0,0 +1,24 @@
+import { INVOICE_PREFIX } from '../../config/business.js';
+
+/**
+ * InvoicesDTO — minimal documentation
+ * Fields (simple types):
+ * - invoice_id: number | null
+ * - invoice_number: number
+ * - label: string (printed number, e.g. "INV-000042")
+ * - sale_id: number | null
+ * - issued_at: Date | string
+ */
+export class InvoicesDTO {
+    constructor({ invoice_id = null, invoice_number, sale_id = null, issued_at = new Date() }) {
+        this.invoice_id = invoice_id;
+        this.invoice_number = parseInt(invoice_number, 10);
+        this.label = `${INVOICE_PREFIX}${String(this.invoice_number).padStart(6, '0')}`;
+        this.sale_id = sale_id;
+        this.issued_at = issued_at;
+    }
+
+    static fromEntity(entity) {
+        return new InvoicesDTO(entity);
+    }
+}
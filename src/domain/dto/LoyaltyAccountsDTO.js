@@ -0,0 +1,34 @@
+import { LOYALTY_POINT_VALUE, LOYALTY_POINTS_PER_USD } from '../../config/loyalty.js';
+import { LoyaltyTransactionsDTO } from './LoyaltyTransactionsDTO.js';
+
+/**
+ * LoyaltyAccountsDTO — minimal documentation
+ * Fields (simple types):
+ * - loyalty_account_id: number | null (null until the customer first earns points)
+ * - user_id: number | null
+ * - points_balance: number
+ * - balance_value: number (USD the balance is worth at checkout)
+ * - lifetime_points: number
+ * - next_expiry_at: string | null, next_expiry_points: number
+ * - point_value: number (USD per point), points_per_usd: number (earn rate)
+ * - transactions: LoyaltyTransactionsDTO[] (latest first)
+ */
+export class LoyaltyAccountsDTO {
+    constructor({ loyalty_account_id = null, user_id = null, points_balance = 0, lifetime_points = 0, next_expiry_at = null, next_expiry_points = 0, transactions = [] }) {
+        this.loyalty_account_id = loyalty_account_id;
+        this.user_id = user_id;
+        this.points_balance = parseInt(points_balance, 10) || 0;
+        this.balance_value = Math.round(this.points_balance * LOYALTY_POINT_VALUE * 100) / 100;
+        this.lifetime_points = parseInt(lifetime_points, 10) || 0;
+        this.next_expiry_at = next_expiry_at;
+        this.next_expiry_points = parseInt(next_expiry_points, 10) || 0;
+        this.point_value = LOYALTY_POINT_VALUE;
+        this.points_per_usd = LOYALTY_POINTS_PER_USD;
+        this.transactions = transactions.map(t => LoyaltyTransactionsDTO.fromEntity(t));
+    }
+
+    // mapper to convert entity to DTO (with its ledger entries, if loaded)
+    static fromEntity(entity, transactions = []) {
+        return new LoyaltyAccountsDTO({ ...entity, transactions });
+    }
+}
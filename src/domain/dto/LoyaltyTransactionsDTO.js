@@ -0,0 +1,29 @@
+/**
+ * LoyaltyTransactionsDTO — minimal documentation
+ * Fields (simple types):
+ * - loyalty_transaction_id: number | null
+ * - sale_id: number | null
+ * - type: string ('earn' | 'redeem' | 'reversal' | 'restore' | 'expire')
+ * - points: number (signed)
+ * - points_remaining: number
+ * - expires_at: string | null
+ * - note: string | null
+ * - created_at: Date | string
+ */
+export class LoyaltyTransactionsDTO {
+    constructor({ loyalty_transaction_id = null, sale_id = null, type = 'earn', points = 0, points_remaining = 0, expires_at = null, note = null, created_at = new Date() }) {
+        this.loyalty_transaction_id = loyalty_transaction_id;
+        this.sale_id = sale_id;
+        this.type = type;
+        this.points = parseInt(points, 10) || 0;
+        this.points_remaining = parseInt(points_remaining, 10) || 0;
+        this.expires_at = expires_at;
+        this.note = note;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity/row to DTO
+    static fromEntity(entity) {
+        return new LoyaltyTransactionsDTO(entity);
+    }
+}
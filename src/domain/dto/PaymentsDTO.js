@@ -0,0 +1,36 @@
+/**
+ * PaymentsDTO — minimal documentation
+ * Fields (simple types):
+ * - payment_id: number | null
+ * - sale_id: number | null
+ * - method: string ('cash' | 'card' | 'transfer' | 'gift_card')
+ * - currency: string ('USD' | 'LBP')
+ * - amount: number (tendered, in `currency`)
+ * - exchange_rate: number | null
+ * - amount_usd: number (applied to the sale)
+ * - change_amount: number (in `currency`)
+ * - received_by: number | null
+ * - gift_card_id: number | null, gift_card_code: string | null
+ * - created_at: Date | string
+ */
+export class PaymentsDTO {
+    constructor({ payment_id = null, sale_id = null, method = 'cash', currency = 'USD', amount = 0, exchange_rate = null, amount_usd = 0, change_amount = 0, received_by = null, gift_card_id = null, gift_card_code = null, created_at = new Date() }) {
+        this.payment_id = payment_id;
+        this.sale_id = sale_id;
+        this.method = method;
+        this.currency = currency;
+        this.amount = parseFloat(amount) || 0;
+        this.exchange_rate = exchange_rate == null ? null : parseFloat(exchange_rate);
+        this.amount_usd = parseFloat(amount_usd) || 0;
+        this.change_amount = parseFloat(change_amount) || 0;
+        this.received_by = received_by;
+        this.gift_card_id = gift_card_id;
+        this.gift_card_code = gift_card_code;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity/row to DTO
+    static fromEntity(entity) {
+        return new PaymentsDTO(entity);
+    }
+}
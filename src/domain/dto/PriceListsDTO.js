@@ -0,0 +1,28 @@
+import { PriceTiersDTO } from './PriceTiersDTO.js';
+
+/**
+ * PriceListsDTO — minimal documentation
+ * Fields (simple types):
+ * - price_list_id: number | null
+ * - name: string
+ * - description: string | null
+ * - is_active: boolean
+ * - customer_count: number, tier_count: number
+ * - tiers: PriceTiersDTO[] (by product, then quantity, when loaded)
+ */
+export class PriceListsDTO {
+    constructor({ price_list_id = null, name, description = null, is_active = true, customer_count = 0, tier_count = 0, tiers = [] }) {
+        this.price_list_id = price_list_id;
+        this.name = name;
+        this.description = description;
+        this.is_active = is_active;
+        this.customer_count = parseInt(customer_count, 10) || 0;
+        this.tier_count = parseInt(tier_count, 10) || 0;
+        this.tiers = tiers.map(tier => PriceTiersDTO.fromEntity(tier));
+    }
+
+    // mapper to convert entity to DTO (with its tiers, if loaded)
+    static fromEntity(entity, tiers = []) {
+        return new PriceListsDTO({ ...entity, tiers });
+    }
+}
@@ -0,0 +1,32 @@
+import { tierLabel } from '../../utils/pricing.js';
+
+/**
+ * PriceTiersDTO — minimal documentation
+ * Fields (simple types):
+ * - price_tier_id: number | null
+ * - product_id: number, product_name: string | null
+ * - variant_id: number | null, variant_name: string | null
+ * - price_list_id: number | null (null: volume tier for everyone), price_list_name: string | null
+ * - min_quantity: number
+ * - unit_price: number
+ * - label: string (as shown on carts and receipts, e.g. "Volume 5+")
+ */
+export class PriceTiersDTO {
+    constructor({ price_tier_id = null, product_id, product_name = null, variant_id = null, variant_name = null, price_list_id = null, price_list_name = null, min_quantity = 1, unit_price = 0 }) {
+        this.price_tier_id = price_tier_id;
+        this.product_id = product_id;
+        this.product_name = product_name;
+        this.variant_id = variant_id;
+        this.variant_name = variant_name;
+        this.price_list_id = price_list_id;
+        this.price_list_name = price_list_name;
+        this.min_quantity = parseInt(min_quantity, 10) || 1;
+        this.unit_price = parseFloat(unit_price) || 0;
+        this.label = tierLabel(this);
+    }
+
+    // mapper to convert entity to DTO
+    static fromEntity(entity) {
+        return new PriceTiersDTO(entity);
+    }
+}
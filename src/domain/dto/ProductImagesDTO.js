@@ -0,0 +1,34 @@
+/**
+ * ProductImagesDTO — minimal documentation
+ * Fields (simple types):
+ * - image_id: number | null
+ * - product_id: number
+ * - alt_text: string | null
+ * - width: number, height: number (full-size image)
+ * - sort_order: number
+ * - is_primary: boolean
+ * - thumb_url: string, full_url: string
+ * - created_at: string | null
+ */
+import { imageUrls } from '../../utils/productImages.js';
+
+export class ProductImagesDTO {
+    constructor({ image_id = null, product_id, storage_key, alt_text = null, width = 0, height = 0, sort_order = 0, is_primary = false, created_at = null }) {
+        const { thumb_url, full_url } = imageUrls(storage_key);
+        this.image_id = image_id;
+        this.product_id = product_id;
+        this.alt_text = alt_text;
+        this.width = parseInt(width, 10) || 0;
+        this.height = parseInt(height, 10) || 0;
+        this.sort_order = parseInt(sort_order, 10) || 0;
+        this.is_primary = !!is_primary;
+        this.thumb_url = thumb_url;
+        this.full_url = full_url;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity to DTO
+    static fromEntity(entity) {
+        return new ProductImagesDTO(entity);
+    }
+}
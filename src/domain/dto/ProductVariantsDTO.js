@@ -0,0 +1,36 @@
+/**
+ * ProductVariantsDTO — minimal documentation
+ * Fields (simple types):
+ * - variant_id: number | null
+ * - product_id: number, product_name: string | null
+ * - variant_name: string (e.g. "250g, whole bean")
+ * - weight_grams: number
+ * - grind: string ('whole bean' | 'ground')
+ * - unit_price: number
+ * - quantity_in_stock: number
+ * - is_active: boolean
+ * - backordered_quantity: number
+ * - last_updated: string | null
+ * - allocations: Array<{ sale_id, sale_item_id, quantity }> (backordered units allocated by a stock update)
+ */
+export class ProductVariantsDTO {
+    constructor({ variant_id = null, product_id, product_name = null, variant_name = null, weight_grams, grind, unit_price = 0, quantity_in_stock = 0, is_active = true, backordered_quantity = 0, last_updated = null, allocations = [] }) {
+        this.variant_id = variant_id;
+        this.product_id = product_id;
+        this.product_name = product_name;
+        this.variant_name = variant_name;
+        this.weight_grams = parseInt(weight_grams, 10) || 0;
+        this.grind = grind;
+        this.unit_price = parseFloat(unit_price) || 0;
+        this.quantity_in_stock = parseInt(quantity_in_stock, 10) || 0;
+        this.is_active = !!is_active;
+        this.backordered_quantity = parseInt(backordered_quantity, 10) || 0;
+        this.last_updated = last_updated;
+        this.allocations = allocations;
+    }
+
+    // mapper to convert entity to DTO
+    static fromEntity(entity) {
+        return new ProductVariantsDTO(entity);
+    }
+}
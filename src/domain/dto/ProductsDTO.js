@@ -1,24 +1,59 @@
+import { CATEGORY_PATH_SEPARATOR } from '../entities/Categories.js';
+
 /**
  * ProductsDTO — minimal documentation
  * Fields (simple types):
  * - product_id: number | null
  * - product_name: string
+ * - slug: string
  * - description: string
  * - unit_price: number
- * - product_type: string
+ * - category_id: number
+ * - category_name: string (its own category)
+ * - category_path: string (e.g. "Coffee › Single Origin › Ethiopia")
+ * - category_trail: Array<{category_id: number, name: string}> (top-level category first, for breadcrumbs)
  * - status: string | boolean
+ * - backorder_policy: string ('none' | 'backorder' | 'preorder')
+ * - expected_available_date: string | null (YYYY-MM-DD)
+ * - origin_country, origin_region, farm, varietal: string | null
+ * - process: string | null ('washed' | 'natural' | 'honey')
+ * - altitude_masl: number | null
+ * - roast_level: string | null
+ * - tasting_notes: string[]
+ * - brew_methods: string[]
  */
 export class ProductsDTO {
-    constructor({ product_id, product_name, description, unit_price, product_type, status }) {
+    constructor({
+        product_id, product_name, slug = null, description, unit_price, category_id, category_ids = [], category_path = [], status,
+        backorder_policy = 'none', expected_available_date = null,
+        origin_country = null, origin_region = null, farm = null, varietal = null, process = null, altitude_masl = null,
+        roast_level = null, tasting_notes = [], brew_methods = []
+    }) {
         this.product_id = product_id;
         this.product_name = product_name;
+        this.slug = slug;
         this.description = description;
         this.unit_price = unit_price;
-        this.product_type = product_type;
+        const path = category_path || [];
+        this.category_id = category_id;
+        this.category_name = path.length > 0 ? path[path.length - 1] : null;
+        this.category_path = path.join(CATEGORY_PATH_SEPARATOR);
+        this.category_trail = path.map((name, index) => ({ category_id: Number(category_ids[index]), name }));
         this.status = status;
+        this.backorder_policy = backorder_policy;
+        this.expected_available_date = expected_available_date;
+        this.origin_country = origin_country;
+        this.origin_region = origin_region;
+        this.farm = farm;
+        this.varietal = varietal;
+        this.process = process;
+        this.altitude_masl = altitude_masl;
+        this.roast_level = roast_level;
+        this.tasting_notes = tasting_notes || [];
+        this.brew_methods = brew_methods || [];
     }
 
      static fromEntity(entity){
         return new ProductsDTO(entity);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,42 @@
+/**
+ * PromoCodesDTO — minimal documentation
+ * Fields (simple types):
+ * - promo_code_id: number | null
+ * - code: string
+ * - description: string | null
+ * - discount_type: string ('percent' | 'fixed')
+ * - discount_value: number
+ * - min_order_value: number
+ * - starts_at: string | null, ends_at: string | null (YYYY-MM-DDTHH:MI)
+ * - max_uses: number | null, max_uses_per_customer: number | null
+ * - category_ids: number[] (empty means every category)
+ * - category_names: string[] (e.g. "Coffee › Single Origin")
+ * - is_active: boolean
+ * - times_used: number
+ * - label: string (e.g. "10% off" or "$5.00 off")
+ */
+export class PromoCodesDTO {
+    constructor({ promo_code_id = null, code, description = null, discount_type, discount_value, min_order_value = 0, starts_at = null, ends_at = null, max_uses = null, max_uses_per_customer = null, category_ids = null, category_names = [], is_active = true, times_used = 0 }) {
+        this.promo_code_id = promo_code_id;
+        this.code = code;
+        this.description = description;
+        this.discount_type = discount_type;
+        this.discount_value = parseFloat(discount_value);
+        this.min_order_value = parseFloat(min_order_value) || 0;
+        this.starts_at = starts_at;
+        this.ends_at = ends_at;
+        this.max_uses = max_uses;
+        this.max_uses_per_customer = max_uses_per_customer;
+        this.category_ids = (category_ids || []).map(Number);
+        this.category_names = category_names || [];
+        this.is_active = is_active;
+        this.times_used = parseInt(times_used, 10) || 0;
+        this.label = discount_type === 'percent'
+            ? `${this.discount_value}% off`
+            : `$${this.discount_value.toFixed(2)} off`;
+    }
+
+    static fromEntity(entity) {
+        return new PromoCodesDTO(entity);
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * ReturnsDTO — minimal documentation
+ * Fields (simple types):
+ * - return_id: number | null
+ * - sale_id: number | null
+ * - sale_item_id: number | null
+ * - product_id: number | null (when joined with sale_items)
+ * - quantity: number
+ * - refund_amount: number
+ * - restocked: boolean
+ * - reason: string | null
+ * - created_by: number | null
+ * - created_at: Date | string
+ */
+export class ReturnsDTO {
+    constructor({ return_id = null, sale_id = null, sale_item_id = null, product_id = null, quantity = 0, refund_amount = 0, restocked = false, reason = null, created_by = null, created_at = new Date() }) {
+        this.return_id = return_id;
+        this.sale_id = sale_id;
+        this.sale_item_id = sale_item_id;
+        this.product_id = product_id;
+        this.quantity = parseInt(quantity, 10);
+        this.refund_amount = parseFloat(refund_amount) || 0;
+        this.restocked = restocked;
+        this.reason = reason;
+        this.created_by = created_by;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity/row to DTO
+    static fromEntity(entity) {
+        return new ReturnsDTO(entity);
+    }
+}
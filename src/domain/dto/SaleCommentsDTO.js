@@ -0,0 +1,25 @@
+/**
+ * SaleCommentsDTO — minimal documentation
+ * Fields (simple types):
+ * - sale_comment_id: number | null
+ * - sale_id: number | null
+ * - user_id: number | null
+ * - author_name: string | null
+ * - body: string
+ * - created_at: Date | string
+ */
+export class SaleCommentsDTO {
+    constructor({ sale_comment_id = null, sale_id = null, user_id = null, author_name = null, body = '', created_at = new Date() }) {
+        this.sale_comment_id = sale_comment_id;
+        this.sale_id = sale_id;
+        this.user_id = user_id;
+        this.author_name = author_name;
+        this.body = body;
+        this.created_at = created_at;
+    }
+
+    // mapper to convert entity/row to DTO
+    static fromEntity(entity) {
+        return new SaleCommentsDTO(entity);
+    }
+}
@@ -4,16 +4,30 @@
  * - sale_item_id: number | null
  * - sale_id: number | null
  * - product_id: number | null
+ * - variant_id: number | null (the bag size and grind sold, for products sold in variants)
+ * - variant_name: string | null (e.g. "250g, whole bean"; only when read with the sale's items)
  * - quantity: number
  * - price_at_sale: number
+ * - list_price: number | null (the product's retail price when sold; null for items priced by hand)
+ * - price_tier: string | null (label of the price tier that set price_at_sale, e.g. "Wholesale 20+")
+ * - tax_rate: number (percent stamped when the item was added)
+ * - tax_amount: number (tax on the line after its share of the sale discount)
+ * - backordered_quantity: number (units ordered beyond stock, not yet allocated)
  */
 export class SaleItemsDTO {
-    constructor({ sale_item_id = null, sale_id = null, product_id = null, quantity = 0, price_at_sale = 0 }) {
+    constructor({ sale_item_id = null, sale_id = null, product_id = null, variant_id = null, variant_name = null, quantity = 0, price_at_sale = 0, list_price = null, price_tier = null, tax_rate = 0, tax_amount = 0, backordered_quantity = 0 }) {
         this.sale_item_id = sale_item_id;
         this.sale_id = sale_id;
         this.product_id = product_id;
+        this.variant_id = variant_id;
+        this.variant_name = variant_name;
         this.quantity = quantity;
         this.price_at_sale = price_at_sale;
+        this.list_price = list_price == null ? null : parseFloat(list_price);
+        this.price_tier = price_tier;
+        this.tax_rate = tax_rate;
+        this.tax_amount = tax_amount;
+        this.backordered_quantity = backordered_quantity;
     }
 
     // mapper to convert entity to DTO
@@ -1,3 +1,5 @@
+import { SALE_STATUS_TRANSITIONS } from '../entities/Sales.js';
+
 /**
  * SalesDTO data transfer object 
  * Fields and simple types:
@@ -7,22 +9,67 @@
  * - subtotal: number
  * - discount_percentage: number
  * - discount_amount: number
+ * - promo_code_id: number | null (promo code applied to the sale)
+ * - tax_amount: number
+ * - prices_include_tax: boolean
  * - total_amount: number
+ * - refunded_amount: number
+ * - net_total: number (total_amount minus refunds)
+ * - exchange_rate: number | null (LBP per 1 USD when the sale was created)
+ * - paid_amount: number (USD)
+ * - balance_due: number (net_total still to be paid; 0 for cancelled sales)
+ * - payment_status: string ('unpaid' | 'partially_paid' | 'paid')
+ * - status: string
+ * - next_statuses: string[] (statuses the order may legally move to)
+ * - fulfillment_type: string | null ('delivery' | 'pickup')
+ * - fulfillment_date: string | null (YYYY-MM-DD), time_slot_id: number | null
+ * - delivery_zone_id: number | null, delivery_address: string | null
+ * - delivery_fee: number
+ * - customer_notes: string | null
+ * - loyalty_points_redeemed: number, loyalty_discount: number (part of discount_amount)
+ * - void_reason: string | null, voided_at: string | null, voided_by: number | null
  */
 export class SalesDTO {
-    constructor({sale_id = null, user_id = null, sale_date = new Date(), subtotal, discount_percentage, discount_amount, total_amount = 0}) {
+    constructor({sale_id = null, user_id = null, sale_date = new Date(), subtotal, discount_percentage, discount_amount, promo_code_id = null, tax_amount = 0, prices_include_tax = false, total_amount = 0, refunded_amount = 0, exchange_rate = null, paid_amount = 0, status = 'pending', fulfillment_type = null, fulfillment_date = null, time_slot_id = null, delivery_zone_id = null, delivery_address = null, delivery_fee = 0, customer_notes = null, loyalty_points_redeemed = 0, loyalty_discount = 0, void_reason = null, voided_at = null, voided_by = null}) {
         this.sale_id = sale_id;
         this.user_id = user_id;
         this.sale_date = sale_date;
         this.subtotal = parseFloat(subtotal);
         this.discount_percentage = parseFloat(discount_percentage) || 0;
         this.discount_amount = parseFloat(discount_amount) || 0;
+        this.promo_code_id = promo_code_id;
+        this.tax_amount = parseFloat(tax_amount) || 0;
+        this.prices_include_tax = prices_include_tax;
         this.total_amount = parseFloat(total_amount);
+        this.refunded_amount = parseFloat(refunded_amount) || 0;
+        this.net_total = this.total_amount - this.refunded_amount;
+        this.exchange_rate = exchange_rate == null ? null : parseFloat(exchange_rate);
+        this.paid_amount = parseFloat(paid_amount) || 0;
+        this.balance_due = status === 'cancelled' ? 0 : Math.max(0, Math.round((this.net_total - this.paid_amount) * 100) / 100);
+        if (this.balance_due === 0 && (this.paid_amount > 0 || this.net_total <= 0)) {
+            this.payment_status = 'paid';
+        } else {
+            this.payment_status = this.paid_amount > 0 ? 'partially_paid' : 'unpaid';
+        }
         this.has_discount = this.discount_percentage > 0;
+        this.status = status;
+        this.next_statuses = SALE_STATUS_TRANSITIONS[status] || [];
+        this.fulfillment_type = fulfillment_type;
+        this.fulfillment_date = fulfillment_date;
+        this.time_slot_id = time_slot_id;
+        this.delivery_zone_id = delivery_zone_id;
+        this.delivery_address = delivery_address;
+        this.delivery_fee = parseFloat(delivery_fee) || 0;
+        this.customer_notes = customer_notes;
+        this.loyalty_points_redeemed = parseInt(loyalty_points_redeemed, 10) || 0;
+        this.loyalty_discount = parseFloat(loyalty_discount) || 0;
+        this.void_reason = void_reason;
+        this.voided_at = voided_at;
+        this.voided_by = voided_by;
     }
 
     // mapper to convert entity to DTO
     static fromEntity(entity) {
         return new SalesDTO(entity);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,26 @@
+/**
+ * SubscriptionRunsDTO — minimal documentation
+ * Fields (simple types):
+ * - subscription_run_id: number | null
+ * - subscription_id: number | null
+ * - run_date: string (YYYY-MM-DD)
+ * - status: string ('pending' | 'created' | 'skipped' | 'failed')
+ * - sale_id: number | null
+ * - note: string | null
+ * - created_at: Date | string
+ */
+export class SubscriptionRunsDTO {
+    constructor({ subscription_run_id = null, subscription_id = null, run_date = null, status = 'pending', sale_id = null, note = null, created_at = new Date() }) {
+        this.subscription_run_id = subscription_run_id;
+        this.subscription_id = subscription_id;
+        this.run_date = run_date;
+        this.status = status;
+        this.sale_id = sale_id;
+        this.note = note;
+        this.created_at = created_at;
+    }
+
+    static fromEntity(entity) {
+        return new SubscriptionRunsDTO(entity);
+    }
+}
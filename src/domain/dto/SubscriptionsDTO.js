@@ -0,0 +1,49 @@
+/**
+ * SubscriptionsDTO — minimal documentation
+ * Fields (simple types):
+ * - subscription_id: number | null
+ * - user_id: number | null
+ * - customer_name: string | null
+ * - frequency: string ('weekly' | 'biweekly' | 'monthly')
+ * - status: string ('active' | 'paused' | 'cancelled')
+ * - next_run_date: string (YYYY-MM-DD)
+ * - out_of_stock_action: string ('notify' | 'substitute')
+ * - items: Array<{ product_id, variant_id, product_name, variant_name, quantity, unit_price, line_total }>
+ * - estimated_total: number (items at current prices, before discounts and tax)
+ * - runs: Array<SubscriptionRunsDTO> (latest deliveries, when loaded)
+ * - created_at: Date | string
+ * - cancelled_at: Date | string | null
+ */
+export class SubscriptionsDTO {
+    constructor({ subscription_id = null, user_id = null, customer_name = null, frequency = 'monthly', status = 'active', next_run_date = null, out_of_stock_action = 'notify', items = [], runs = [], created_at = new Date(), cancelled_at = null }) {
+        this.subscription_id = subscription_id;
+        this.user_id = user_id;
+        this.customer_name = customer_name;
+        this.frequency = frequency;
+        this.status = status;
+        this.next_run_date = next_run_date;
+        this.out_of_stock_action = out_of_stock_action;
+        this.items = items.map(item => {
+            const unit_price = parseFloat(item.unit_price) || 0;
+            const quantity = parseInt(item.quantity, 10) || 0;
+            return {
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                product_name: item.product_name,
+                variant_name: item.variant_name,
+                quantity,
+                unit_price,
+                line_total: Math.round(unit_price * quantity * 100) / 100
+            };
+        });
+        this.estimated_total = Math.round(this.items.reduce((sum, item) => sum + item.line_total, 0) * 100) / 100;
+        this.runs = runs;
+        this.created_at = created_at;
+        this.cancelled_at = cancelled_at;
+    }
+
+    // mapper: subscription entity plus its item entities and (optionally) its run DTOs
+    static fromEntity(entity, items = [], runs = []) {
+        return new SubscriptionsDTO({ ...entity, items, runs });
+    }
+}
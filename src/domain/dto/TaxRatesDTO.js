@@ -0,0 +1,26 @@
+import { CATEGORY_PATH_SEPARATOR } from '../entities/Categories.js';
+
+/**
+ * TaxRatesDTO — minimal documentation
+ * Fields (simple types):
+ * - tax_rate_id: number | null
+ * - name: string
+ * - category_id: number | null (null means the default rate)
+ * - category_path: string | null (e.g. "Coffee › Single Origin")
+ * - rate: number
+ * - is_active: boolean
+ */
+export class TaxRatesDTO {
+    constructor({ tax_rate_id = null, name, category_id = null, category_path = null, rate = 0, is_active = true }) {
+        this.tax_rate_id = tax_rate_id;
+        this.name = name;
+        this.category_id = category_id;
+        this.category_path = category_path ? category_path.join(CATEGORY_PATH_SEPARATOR) : null;
+        this.rate = parseFloat(rate) || 0;
+        this.is_active = is_active;
+    }
+
+    static fromEntity(entity) {
+        return new TaxRatesDTO(entity);
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * TimeSlotsDTO — minimal documentation
+ * Fields (simple types):
+ * - time_slot_id: number | null
+ * - fulfillment_type: string ('delivery' | 'pickup')
+ * - start_time: string (HH:MM)
+ * - end_time: string (HH:MM)
+ * - label: string (e.g. "09:00–11:00")
+ * - capacity: number
+ * - is_active: boolean
+ * - date: string | null (YYYY-MM-DD, when loaded for a date)
+ * - booked: number (orders in the slot on that date)
+ * - remaining: number (capacity left on that date)
+ */
+export class TimeSlotsDTO {
+    constructor({ time_slot_id = null, fulfillment_type, start_time, end_time, capacity = 0, is_active = true, date = null, booked = 0 }) {
+        this.time_slot_id = time_slot_id;
+        this.fulfillment_type = fulfillment_type;
+        this.start_time = start_time;
+        this.end_time = end_time;
+        this.label = `${start_time}–${end_time}`;
+        this.capacity = parseInt(capacity, 10) || 0;
+        this.is_active = is_active;
+        this.date = date;
+        this.booked = parseInt(booked, 10) || 0;
+        this.remaining = Math.max(this.capacity - this.booked, 0);
+    }
+
+    static fromEntity(entity) {
+        return new TimeSlotsDTO(entity);
+    }
+}
@@ -8,9 +8,10 @@
  * - phone_number: string
  * - password: string
  * - role: string
+ * - price_list_id: number | null
  */
 export class UsersDTO {
-  constructor({user_id = null,first_name,last_name,email,phone_number,password,role}){
+  constructor({user_id = null,first_name,last_name,email,phone_number,password,role,price_list_id = null}){
         this.user_id =user_id;
         this.first_name = first_name;
         this.last_name = last_name;
@@ -18,6 +19,7 @@ export class UsersDTO {
         this.phone_number=phone_number;
         this.password = password;
         this.role=role;
+        this.price_list_id = price_list_id;
     }
 
     // mapper to convert entity to DTO.
@@ -0,0 +1,35 @@
+/**
+ * Addresses entity — an entry in a customer's address book
+ * Fields (simple types):
+ * - address_id: number | null
+ * - user_id: number
+ * - label: string | null (e.g. "Home")
+ * - street: string
+ * - city: string
+ * - delivery_zone_id: number | null (zone that sets the delivery fee)
+ * - zone_name: string | null, zone_fee: number | null, zone_is_active: boolean | null (joined from delivery_zones)
+ * - phone_number: string | null
+ * - notes: string | null (directions for the driver)
+ * - is_default: boolean
+ */
+export class Addresses {
+    /**
+     * Construct an Addresses entity from a plain object (DB row)
+     * @param {Object} param0 - address fields
+     */
+    constructor({ address_id = null, user_id, label = null, street, city, delivery_zone_id = null, zone_name = null, zone_fee = null, zone_is_active = null, phone_number = null, notes = null, is_default = false, created_at = null }) {
+        this.address_id = address_id;
+        this.user_id = user_id;
+        this.label = label;
+        this.street = street;
+        this.city = city;
+        this.delivery_zone_id = delivery_zone_id;
+        this.zone_name = zone_name;
+        this.zone_fee = zone_fee;
+        this.zone_is_active = zone_is_active;
+        this.phone_number = phone_number;
+        this.notes = notes;
+        this.is_default = is_default;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * CartItems entity — a product (or one of its variants) in a cart, with its current price and stock
+ * Fields (simple types):
+ * - cart_item_id: number | null
+ * - cart_id: number | null
+ * - product_id: number | null
+ * - variant_id: number | null (bag size and grind, for products sold in variants)
+ * - quantity: number
+ * - product_name: string
+ * - variant_name: string | null (e.g. "250g, whole bean")
+ * - unit_price: number (the variant's price on a variant line)
+ * - status: string (product status, 'available' | 'not available')
+ * - backorder_policy: string ('none' | 'backorder' | 'preorder')
+ * - expected_available_date: string | null (YYYY-MM-DD)
+ * - quantity_in_stock: number
+ * - added_at: Date | string
+ */
+export class CartItems {
+    /**
+     * Construct a CartItems entity from a plain object (DB row)
+     * @param {Object} param0 - cart item fields
+     */
+    constructor({ cart_item_id = null, cart_id = null, product_id = null, variant_id = null, quantity = 1, product_name = '', variant_name = null, unit_price = 0, status = 'available', backorder_policy = 'none', expected_available_date = null, quantity_in_stock = 0, added_at = new Date() }) {
+        this.cart_item_id = cart_item_id;
+        this.cart_id = cart_id;
+        this.product_id = product_id;
+        this.variant_id = variant_id;
+        this.quantity = quantity;
+        this.product_name = product_name;
+        this.variant_name = variant_name;
+        this.unit_price = unit_price;
+        this.status = status;
+        this.backorder_policy = backorder_policy;
+        this.expected_available_date = expected_available_date;
+        this.quantity_in_stock = quantity_in_stock;
+        this.added_at = added_at;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Carts entity — a customer's or guest session's shopping cart
+ * Fields (simple types):
+ * - cart_id: number | null
+ * - user_id: number | null (customer cart)
+ * - session_id: string | null (guest cart)
+ * - created_at: Date | string
+ * - updated_at: Date | string
+ */
+export class Carts {
+    /**
+     * Construct a Carts entity from a plain object (DB row)
+     * @param {Object} param0 - cart fields
+     */
+    constructor({ cart_id = null, user_id = null, session_id = null, created_at = new Date(), updated_at = new Date() }) {
+        this.cart_id = cart_id;
+        this.user_id = user_id;
+        this.session_id = session_id;
+        this.created_at = created_at;
+        this.updated_at = updated_at;
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Categories entity — a product category, nested under an optional parent (e.g. Coffee › Single Origin › Ethiopia)
+ * Fields (simple types):
+ * - category_id: number | null
+ * - parent_id: number | null (null for a top-level category)
+ * - name: string (unique among its siblings, ignoring case)
+ * - description: string | null
+ * - id_path: number[] (ancestor IDs from the top-level category down, ending with its own)
+ * - name_path: string[] (the same ancestors' names)
+ * - product_count: number (products filed directly under it)
+ * - available_count: number (available products in it or its subcategories)
+ * - created_at: Date | string
+ */
+
+export const CATEGORY_NAME_MAX_LENGTH = 50;
+
+// Joins a category path for display, e.g. "Coffee › Single Origin"
+export const CATEGORY_PATH_SEPARATOR = ' › ';
+
+export class Categories {
+    /**
+     * Construct a Categories entity from a plain object (DB row)
+     * @param {Object} param0 - category fields
+     */
+    constructor({ category_id = null, parent_id = null, name, description = null, id_path = [], name_path = [], product_count = 0, available_count = 0, created_at = null }) {
+        this.category_id = category_id;
+        this.parent_id = parent_id;
+        this.name = name;
+        this.description = description;
+        this.id_path = id_path;
+        this.name_path = name_path;
+        this.product_count = product_count;
+        this.available_count = available_count;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * DeliveryZones entity — an area the shop delivers to
+ * Fields (simple types):
+ * - delivery_zone_id: number | null
+ * - name: string (e.g. "Beirut")
+ * - fee: number (added to the total of orders delivered to the zone)
+ * - is_active: boolean (inactive zones cannot be chosen for new orders)
+ */
+export class DeliveryZones {
+    /**
+     * Construct a DeliveryZones entity from a plain object (DB row)
+     * @param {Object} param0 - delivery zone fields
+     */
+    constructor({ delivery_zone_id = null, name, fee = 0, is_active = true, created_at = null }) {
+        this.delivery_zone_id = delivery_zone_id;
+        this.name = name;
+        this.fee = fee;
+        this.is_active = is_active;
+        this.created_at = created_at;
+    }
+}
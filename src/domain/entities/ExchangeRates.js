@@ -0,0 +1,30 @@
+/** Prices and sale totals are kept in the base currency */
+export const BASE_CURRENCY = 'USD';
+
+/** Currencies a payment may be tendered in */
+export const CURRENCIES = ['USD', 'LBP'];
+
+/**
+ * ExchangeRates entity — a USD to LBP exchange rate
+ * Fields (simple types):
+ * - exchange_rate_id: number | null
+ * - rate: number (LBP per 1 USD)
+ * - effective_from: Date | string (the rate applies to sales created from this time)
+ * - is_current: boolean (the rate new sales are stamped with, when selected)
+ * - created_by: number | null
+ * - created_at: Date | string
+ */
+export class ExchangeRates {
+    /**
+     * Construct an ExchangeRates entity from a plain object (DB row)
+     * @param {Object} param0 - exchange rate fields
+     */
+    constructor({ exchange_rate_id = null, rate, effective_from = new Date(), is_current = false, created_by = null, created_at = null }) {
+        this.exchange_rate_id = exchange_rate_id;
+        this.rate = rate;
+        this.effective_from = effective_from;
+        this.is_current = is_current;
+        this.created_by = created_by;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * GiftCardTransactions entity — one change to a gift card's balance
+ * Fields (simple types):
+ * - gift_card_transaction_id: number | null
+ * - gift_card_id: number | null
+ * - type: string (one of GIFT_CARD_TRANSACTION_TYPES)
+ * - amount: number (USD; positive when issued, negative when spent or voided)
+ * - balance_after: number (card balance after this entry)
+ * - sale_id: number | null (sale paid with the card)
+ * - created_by: number | null, created_by_name: string | null (joined from users)
+ * - created_at: Date | string
+ */
+export class GiftCardTransactions {
+    /**
+     * Construct a GiftCardTransactions entity from a plain object (DB row)
+     * @param {Object} param0 - ledger entry fields
+     */
+    constructor({ gift_card_transaction_id = null, gift_card_id = null, type = 'issue', amount = 0, balance_after = 0, sale_id = null, created_by = null, created_by_name = null, created_at = new Date() }) {
+        this.gift_card_transaction_id = gift_card_transaction_id;
+        this.gift_card_id = gift_card_id;
+        this.type = type;
+        this.amount = amount;
+        this.balance_after = balance_after;
+        this.sale_id = sale_id;
+        this.created_by = created_by;
+        this.created_by_name = created_by_name;
+        this.created_at = created_at;
+    }
+}
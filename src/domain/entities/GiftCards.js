@@ -0,0 +1,39 @@
+/** A gift card can be spent while active; voiding it writes off its balance */
+export const GIFT_CARD_STATUSES = ['active', 'void'];
+
+/** Gift card ledger entry types */
+export const GIFT_CARD_TRANSACTION_TYPES = ['issue', 'redeem', 'refund', 'void'];
+
+/**
+ * GiftCards entity — a prepaid card sold over the counter and spent as a payment method
+ * Fields (simple types):
+ * - gift_card_id: number | null
+ * - code: string (unique, e.g. GC-7KQ2-M9XD-4HTP)
+ * - initial_balance: number (USD loaded when issued)
+ * - balance: number (USD left to spend)
+ * - status: string (one of GIFT_CARD_STATUSES)
+ * - recipient_name: string | null, note: string | null
+ * - issued_by: number | null, issued_by_name: string | null (joined from users), issued_at: Date | string
+ * - void_reason: string | null, voided_at: string | null, voided_by: number | null
+ */
+export class GiftCards {
+    /**
+     * Construct a GiftCards entity from a plain object (DB row)
+     * @param {Object} param0 - gift card fields
+     */
+    constructor({ gift_card_id = null, code, initial_balance = 0, balance = 0, status = 'active', recipient_name = null, note = null, issued_by = null, issued_by_name = null, issued_at = new Date(), void_reason = null, voided_at = null, voided_by = null }) {
+        this.gift_card_id = gift_card_id;
+        this.code = code;
+        this.initial_balance = initial_balance;
+        this.balance = balance;
+        this.status = status;
+        this.recipient_name = recipient_name;
+        this.note = note;
+        this.issued_by = issued_by;
+        this.issued_by_name = issued_by_name;
+        this.issued_at = issued_at;
+        this.void_reason = void_reason;
+        this.voided_at = voided_at;
+        this.voided_by = voided_by;
+    }
+}
@@ -0,0 +1,31 @@
+/** How long a stored response is replayed before its key can be reused */
+export const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+/**
+ * IdempotencyKeys entity — a request key and the response stored for it
+ * Fields (simple types):
+ * - idempotency_key_id: number | null
+ * - scope: string (the operation the key belongs to, e.g. "POST /api/sales")
+ * - idempotency_key: string
+ * - request_hash: string (SHA-256 of the request payload)
+ * - status_code: number | null (null while the first request is still running)
+ * - response_body: Object | null
+ * - created_at: Date | string
+ * - completed_at: Date | string | null
+ */
+export class IdempotencyKeys {
+    /**
+     * Construct an IdempotencyKeys entity from a plain object (DB row)
+     * @param {Object} param0 - idempotency key fields
+     */
+    constructor({ idempotency_key_id = null, scope, idempotency_key, request_hash, status_code = null, response_body = null, created_at = new Date(), completed_at = null }) {
+        this.idempotency_key_id = idempotency_key_id;
+        this.scope = scope;
+        this.idempotency_key = idempotency_key;
+        this.request_hash = request_hash;
+        this.status_code = status_code;
+        this.response_body = response_body;
+        this.created_at = created_at;
+        this.completed_at = completed_at;
+    }
+}
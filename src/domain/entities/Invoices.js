@@ -0,0 +1,20 @@
+/**
+ * Invoices entity — the invoice issued for a sale
+ * Fields (simple types):
+ * - invoice_id: number | null
+ * - invoice_number: number (sequential, without gaps)
+ * - sale_id: number | null
+ * - issued_at: Date | string
+ */
+export class Invoices {
+    /**
+     * Construct an Invoices entity from a plain object (DB row)
+     * @param {Object} param0 - invoice fields
+     */
+    constructor({ invoice_id = null, invoice_number, sale_id = null, issued_at = new Date() }) {
+        this.invoice_id = invoice_id;
+        this.invoice_number = invoice_number;
+        this.sale_id = sale_id;
+        this.issued_at = issued_at;
+    }
+}
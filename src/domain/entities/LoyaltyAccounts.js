@@ -0,0 +1,36 @@
+/**
+ * Loyalty ledger entry types:
+ * - earn: points for a completed sale (a lot that expires)
+ * - redeem: points spent as a discount at checkout
+ * - reversal: earned points taken back after a refund or cancellation
+ * - restore: redeemed points given back when the sale is cancelled (a new lot)
+ * - expire: what was left of a lot when it expired
+ */
+export const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'reversal', 'restore', 'expire'];
+
+/**
+ * LoyaltyAccounts entity — a customer's loyalty points account
+ * Fields (simple types):
+ * - loyalty_account_id: number | null
+ * - user_id: number | null
+ * - points_balance: number (points that can be spent now)
+ * - lifetime_points: number (points earned, less reversals)
+ * - next_expiry_at: string | null (when the oldest unspent points expire)
+ * - next_expiry_points: number (how many points expire then)
+ * - created_at: Date | string
+ */
+export class LoyaltyAccounts {
+    /**
+     * Construct a LoyaltyAccounts entity from a plain object (DB row)
+     * @param {Object} param0 - account fields
+     */
+    constructor({ loyalty_account_id = null, user_id = null, points_balance = 0, lifetime_points = 0, next_expiry_at = null, next_expiry_points = 0, created_at = new Date() }) {
+        this.loyalty_account_id = loyalty_account_id;
+        this.user_id = user_id;
+        this.points_balance = points_balance;
+        this.lifetime_points = lifetime_points;
+        this.next_expiry_at = next_expiry_at;
+        this.next_expiry_points = next_expiry_points;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * LoyaltyTransactions entity — one entry in a loyalty account's points ledger
+ * Fields (simple types):
+ * - loyalty_transaction_id: number | null
+ * - loyalty_account_id: number | null
+ * - sale_id: number | null
+ * - type: string (one of LOYALTY_TRANSACTION_TYPES)
+ * - points: number (positive for earn/restore, negative otherwise)
+ * - points_remaining: number (unspent points of an earn/restore lot)
+ * - expires_at: string | null (earn/restore lots only)
+ * - note: string | null
+ * - created_at: Date | string
+ */
+export class LoyaltyTransactions {
+    /**
+     * Construct a LoyaltyTransactions entity from a plain object (DB row)
+     * @param {Object} param0 - ledger entry fields
+     */
+    constructor({ loyalty_transaction_id = null, loyalty_account_id = null, sale_id = null, type = 'earn', points = 0, points_remaining = 0, expires_at = null, note = null, created_at = new Date() }) {
+        this.loyalty_transaction_id = loyalty_transaction_id;
+        this.loyalty_account_id = loyalty_account_id;
+        this.sale_id = sale_id;
+        this.type = type;
+        this.points = points;
+        this.points_remaining = points_remaining;
+        this.expires_at = expires_at;
+        this.note = note;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,38 @@
+/** How a payment was made; only cash can be overpaid and give change */
+export const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'gift_card'];
+
+/**
+ * Payments entity — money received against a sale
+ * Fields (simple types):
+ * - payment_id: number | null
+ * - sale_id: number | null
+ * - method: string (one of PAYMENT_METHODS)
+ * - currency: string (one of CURRENCIES)
+ * - amount: number (tendered, in `currency`)
+ * - exchange_rate: number | null (LBP per 1 USD used to convert the payment)
+ * - amount_usd: number (applied to the sale's balance)
+ * - change_amount: number (given back, in `currency`)
+ * - received_by: number | null
+ * - gift_card_id: number | null, gift_card_code: string | null (card a 'gift_card' payment was taken from)
+ * - created_at: Date | string
+ */
+export class Payments {
+    /**
+     * Construct a Payments entity from a plain object (DB row)
+     * @param {Object} param0 - payment fields
+     */
+    constructor({ payment_id = null, sale_id = null, method = 'cash', currency = 'USD', amount = 0, exchange_rate = null, amount_usd = 0, change_amount = 0, received_by = null, gift_card_id = null, gift_card_code = null, created_at = new Date() }) {
+        this.payment_id = payment_id;
+        this.sale_id = sale_id;
+        this.method = method;
+        this.currency = currency;
+        this.amount = amount;
+        this.exchange_rate = exchange_rate;
+        this.amount_usd = amount_usd;
+        this.change_amount = change_amount;
+        this.received_by = received_by;
+        this.gift_card_id = gift_card_id;
+        this.gift_card_code = gift_card_code;
+        this.created_at = created_at;
+    }
+}
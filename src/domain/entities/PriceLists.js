@@ -0,0 +1,26 @@
+/**
+ * PriceLists entity — a named set of prices (e.g. café wholesale) assigned to customer accounts
+ * Fields (simple types):
+ * - price_list_id: number | null
+ * - name: string (unique)
+ * - description: string | null
+ * - is_active: boolean (an inactive list's tiers are ignored)
+ * - customer_count: number (customers assigned to the list)
+ * - tier_count: number (price tiers on the list)
+ * - created_at: Date | string
+ */
+export class PriceLists {
+    /**
+     * Construct a PriceLists entity from a plain object (DB row)
+     * @param {Object} param0 - price list fields
+     */
+    constructor({ price_list_id = null, name, description = null, is_active = true, customer_count = 0, tier_count = 0, created_at = null }) {
+        this.price_list_id = price_list_id;
+        this.name = name;
+        this.description = description;
+        this.is_active = is_active;
+        this.customer_count = customer_count;
+        this.tier_count = tier_count;
+        this.created_at = created_at;
+    }
+}
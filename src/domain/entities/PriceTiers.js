@@ -0,0 +1,32 @@
+/**
+ * PriceTiers entity — a product's (or variant's) unit price from a minimum quantity per order line
+ * Fields (simple types):
+ * - price_tier_id: number | null
+ * - product_id: number
+ * - product_name: string (joined from products)
+ * - variant_id: number | null (the bag size and grind priced; null for a product without variants)
+ * - variant_name: string | null (e.g. "1kg, whole bean")
+ * - price_list_id: number | null (null is a volume tier for every customer)
+ * - price_list_name: string | null (joined from price_lists)
+ * - min_quantity: number (the tier applies from this many units)
+ * - unit_price: number
+ * - created_at: Date | string
+ */
+export class PriceTiers {
+    /**
+     * Construct a PriceTiers entity from a plain object (DB row)
+     * @param {Object} param0 - price tier fields
+     */
+    constructor({ price_tier_id = null, product_id, product_name = null, variant_id = null, variant_name = null, price_list_id = null, price_list_name = null, min_quantity = 1, unit_price = 0, created_at = null }) {
+        this.price_tier_id = price_tier_id;
+        this.product_id = product_id;
+        this.product_name = product_name;
+        this.variant_id = variant_id;
+        this.variant_name = variant_name;
+        this.price_list_id = price_list_id;
+        this.price_list_name = price_list_name;
+        this.min_quantity = min_quantity;
+        this.unit_price = unit_price;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * ProductImages entity — a photo of a product, stored as a thumbnail and a full-size image
+ * Fields (simple types):
+ * - image_id: number | null
+ * - product_id: number
+ * - storage_key: string (names the stored files, e.g. "products/12/<uuid>")
+ * - alt_text: string | null
+ * - width: number, height: number (of the full-size image, in pixels)
+ * - sort_order: number (gallery position, lowest first)
+ * - is_primary: boolean (the image shown in listings; one per product)
+ * - created_at: Date | string
+ */
+
+export const ALT_TEXT_MAX_LENGTH = 150;
+
+export class ProductImages {
+    /**
+     * Construct a ProductImages entity from a plain object (DB row)
+     * @param {Object} param0 - image fields
+     */
+    constructor({ image_id = null, product_id, storage_key, alt_text = null, width = 0, height = 0, sort_order = 0, is_primary = false, created_at = null }) {
+        this.image_id = image_id;
+        this.product_id = product_id;
+        this.storage_key = storage_key;
+        this.alt_text = alt_text;
+        this.width = width;
+        this.height = height;
+        this.sort_order = sort_order;
+        this.is_primary = is_primary;
+        this.created_at = created_at;
+    }
+}
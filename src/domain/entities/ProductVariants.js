@@ -0,0 +1,37 @@
+/**
+ * ProductVariants entity — a bag size and grind a product is sold in, with its own price and stock
+ * Fields (simple types):
+ * - variant_id: number | null
+ * - product_id: number
+ * - product_name: string (joined from products)
+ * - variant_name: string (e.g. "250g, whole bean" or "1kg, ground")
+ * - weight_grams: number
+ * - grind: string ('whole bean' | 'ground')
+ * - unit_price: number
+ * - quantity_in_stock: number
+ * - is_active: boolean (inactive variants are no longer offered but stay on past sales)
+ * - backordered_quantity: number (units waiting on open orders)
+ * - last_updated: Date | string
+ */
+
+export const VARIANT_GRINDS = ['whole bean', 'ground'];
+
+export class ProductVariants {
+    /**
+     * Construct a ProductVariants entity from a plain object (DB row)
+     * @param {Object} param0 - variant fields
+     */
+    constructor({ variant_id = null, product_id, product_name = null, variant_name = null, weight_grams, grind, unit_price = 0, quantity_in_stock = 0, is_active = true, backordered_quantity = 0, last_updated = null }) {
+        this.variant_id = variant_id;
+        this.product_id = product_id;
+        this.product_name = product_name;
+        this.variant_name = variant_name;
+        this.weight_grams = weight_grams;
+        this.grind = grind;
+        this.unit_price = unit_price;
+        this.quantity_in_stock = quantity_in_stock;
+        this.is_active = is_active;
+        this.backordered_quantity = backordered_quantity;
+        this.last_updated = last_updated;
+    }
+}
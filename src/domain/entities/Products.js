@@ -3,26 +3,65 @@
  * Fields (simple types):
  * - product_id: number | null
  * - product_name: string
+ * - slug: string (URL name of the product page, e.g. "ethiopia-yirgacheffe")
  * - description: string
  * - unit_price: number
- * - product_type: string
+ * - category_id: number
+ * - category_ids: number[], category_path: string[] (its category's ancestors from the top level down, ending with it)
  * - status: string
+ * - backorder_policy: string ('none' | 'backorder' | 'preorder')
+ * - expected_available_date: string | null (YYYY-MM-DD, when backordered units are expected)
+ * - origin_country, origin_region, farm, varietal: string | null (where the coffee comes from)
+ * - process: string | null ('washed' | 'natural' | 'honey')
+ * - altitude_masl: number | null (metres above sea level)
+ * - roast_level: string | null (one of ROAST_LEVELS)
+ * - tasting_notes: string[] (e.g. ['jasmine', 'bergamot'])
+ * - brew_methods: string[] (recommended, from BREW_METHODS)
  */
+
+// 'none' refuses orders beyond stock; 'backorder' and 'preorder' accept them and backorder the extra units
+export const BACKORDER_POLICIES = ['none', 'backorder', 'preorder'];
+
+// Coffee details an admin picks from; origin, varietal and tasting notes are free text
+export const COFFEE_PROCESSES = ['washed', 'natural', 'honey'];
+export const ROAST_LEVELS = ['light', 'medium-light', 'medium', 'medium-dark', 'dark'];
+export const BREW_METHODS = ['espresso', 'filter', 'pour over', 'french press', 'aeropress', 'moka pot', 'cold brew'];
+
 /**
  * Products entity — represents a product record
- * Fields: product_id, product_name, description, unit_price, product_type, status
+ * Fields: product_id, product_name, slug, description, unit_price, category_id, category_ids, category_path, status, backorder_policy,
+ * expected_available_date, origin_country, origin_region, farm, varietal, process, altitude_masl, roast_level, tasting_notes, brew_methods
  */
 export class Products {
     /**
      * Create a Products entity instance from a plain object (e.g., DB row)
      * @param {Object} param0 - object with product fields
      */
-    constructor({ product_id, product_name, description, unit_price, product_type, status }) {
+    constructor({
+        product_id, product_name, slug = null, description, unit_price, category_id, category_ids = [], category_path = [], status,
+        backorder_policy = 'none', expected_available_date = null,
+        origin_country = null, origin_region = null, farm = null, varietal = null, process = null, altitude_masl = null,
+        roast_level = null, tasting_notes = [], brew_methods = []
+    }) {
         this.product_id = product_id;
         this.product_name = product_name;
+        this.slug = slug;
         this.description = description;
         this.unit_price = unit_price;
-        this.product_type = product_type;
+        this.category_id = category_id;
+        this.category_ids = category_ids;
+        this.category_path = category_path;
         this.status = status;
+        this.backorder_policy = backorder_policy;
+        this.expected_available_date = expected_available_date;
+        this.origin_country = origin_country;
+        this.origin_region = origin_region;
+        this.farm = farm;
+        this.varietal = varietal;
+        this.process = process;
+        this.altitude_masl = altitude_masl;
+        this.roast_level = roast_level;
+        this.tasting_notes = tasting_notes;
+        this.brew_methods = brew_methods;
     }
-}
\ No newline at end of file
+}
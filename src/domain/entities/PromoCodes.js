@@ -0,0 +1,41 @@
+/**
+ * PromoCodes entity — an admin-managed discount code
+ * Fields (simple types):
+ * - promo_code_id: number | null
+ * - code: string (stored upper-case)
+ * - description: string | null
+ * - discount_type: string ('percent' | 'fixed')
+ * - discount_value: number (percentage 0-100, or amount off)
+ * - min_order_value: number (order subtotal required to use the code)
+ * - starts_at: string | null, ends_at: string | null (validity window)
+ * - max_uses: number | null (global cap), max_uses_per_customer: number | null
+ * - category_ids: number[] | null (restrict the discount to products in these categories or their subcategories)
+ * - category_names: string[] (paths of those categories)
+ * - is_active: boolean
+ * - times_used: number (redemptions on sales that were not cancelled)
+ */
+export const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+export class PromoCodes {
+    /**
+     * Construct a PromoCodes entity from a plain object (DB row)
+     * @param {Object} param0 - promo code fields
+     */
+    constructor({ promo_code_id = null, code, description = null, discount_type, discount_value, min_order_value = 0, starts_at = null, ends_at = null, max_uses = null, max_uses_per_customer = null, category_ids = null, category_names = [], is_active = true, times_used = 0, created_at = null }) {
+        this.promo_code_id = promo_code_id;
+        this.code = code;
+        this.description = description;
+        this.discount_type = discount_type;
+        this.discount_value = discount_value;
+        this.min_order_value = min_order_value;
+        this.starts_at = starts_at;
+        this.ends_at = ends_at;
+        this.max_uses = max_uses;
+        this.max_uses_per_customer = max_uses_per_customer;
+        this.category_ids = category_ids;
+        this.category_names = category_names;
+        this.is_active = is_active;
+        this.times_used = times_used;
+        this.created_at = created_at;
+    }
+}
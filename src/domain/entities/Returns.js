@@ -0,0 +1,30 @@
+/**
+ * Returns entity — represents returned units of a sale item and the refund issued
+ * Fields (simple types):
+ * - return_id: number | null
+ * - sale_id: number | null
+ * - sale_item_id: number | null
+ * - quantity: number
+ * - refund_amount: number
+ * - restocked: boolean (whether the units went back into inventory)
+ * - reason: string | null
+ * - created_by: number | null
+ * - created_at: Date | string
+ */
+export class Returns {
+    /**
+     * Construct a Returns entity from a plain object (DB row)
+     * @param {Object} param0 - return fields
+     */
+    constructor({ return_id = null, sale_id = null, sale_item_id = null, quantity = 0, refund_amount = 0, restocked = false, reason = null, created_by = null, created_at = new Date() }) {
+        this.return_id = return_id;
+        this.sale_id = sale_id;
+        this.sale_item_id = sale_item_id;
+        this.quantity = quantity;
+        this.refund_amount = refund_amount;
+        this.restocked = restocked;
+        this.reason = reason;
+        this.created_by = created_by;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,27 @@
+/** Longest internal comment staff can leave on a sale */
+export const SALE_COMMENT_MAX_LENGTH = 1000;
+
+/**
+ * SaleComments entity — an internal staff comment on a sale (never shown to customers)
+ * Fields (simple types):
+ * - sale_comment_id: number | null
+ * - sale_id: number | null
+ * - user_id: number | null (author)
+ * - author_name: string | null (joined from users)
+ * - body: string
+ * - created_at: Date | string
+ */
+export class SaleComments {
+    /**
+     * Construct a SaleComments entity from a plain object (DB row)
+     * @param {Object} param0 - comment fields
+     */
+    constructor({ sale_comment_id = null, sale_id = null, user_id = null, author_name = null, body = '', created_at = new Date() }) {
+        this.sale_comment_id = sale_comment_id;
+        this.sale_id = sale_id;
+        this.user_id = user_id;
+        this.author_name = author_name;
+        this.body = body;
+        this.created_at = created_at;
+    }
+}
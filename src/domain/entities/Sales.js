@@ -7,24 +7,82 @@
  * - subtotal: number
  * - discount_percentage: number
  * - discount_amount: number
+ * - promo_code_id: number | null (promo code applied to the sale)
+ * - tax_amount: number (sum of the lines' tax)
+ * - prices_include_tax: boolean (tax is inside the prices rather than added to the total)
  * - total_amount: number
+ * - refunded_amount: number (sum of refunds issued through returns)
+ * - exchange_rate: number | null (LBP per 1 USD when the sale was created)
+ * - paid_amount: number (sum of payments applied to the sale, in USD)
+ * - status: string (one of SALE_STATUSES)
+ * - fulfillment_type: string | null ('delivery' | 'pickup'; null for sales without scheduling)
+ * - fulfillment_date: string | null (YYYY-MM-DD), time_slot_id: number | null
+ * - delivery_zone_id: number | null, delivery_address: string | null (copy of the customer's address)
+ * - delivery_fee: number (added to the total, not taxed)
+ * - customer_notes: string | null (the customer's note at checkout)
+ * - loyalty_points_redeemed: number, loyalty_discount: number (value of the redeemed points, included in discount_amount)
+ * - void_reason: string | null, voided_at: string | null, voided_by: number | null
  */
+
+/** Order lifecycle states, in fulfillment order */
+export const SALE_STATUSES = ['pending', 'paid', 'roasting', 'ready', 'shipped', 'picked_up', 'completed', 'cancelled'];
+
+/** Legal status transitions: current status -> statuses it may move to */
+export const SALE_STATUS_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['roasting', 'cancelled'],
+    roasting: ['ready', 'cancelled'],
+    ready: ['shipped', 'picked_up', 'cancelled'],
+    shipped: ['completed'],
+    picked_up: ['completed'],
+    completed: [],
+    cancelled: []
+};
+
+/** Longest note a customer can leave on an order at checkout */
+export const CUSTOMER_NOTES_MAX_LENGTH = 500;
+
+/** Statuses in which the order is still at the roastery: items may be edited and the sale voided */
+export const OPEN_SALE_STATUSES = ['pending', 'paid', 'roasting', 'ready'];
+
 /**
  * Sales entity — represents a sales transaction
- * Fields: sale_id, user_id, sale_date, subtotal, discount_percentage, discount_amount, total_amount
+ * Fields: sale_id, user_id, sale_date, subtotal, discount_percentage, discount_amount, promo_code_id, tax_amount,
+ * prices_include_tax, total_amount, refunded_amount, exchange_rate, paid_amount, status,
+ * fulfillment_type, fulfillment_date, time_slot_id, delivery_zone_id, delivery_address, delivery_fee,
+ * customer_notes, loyalty_points_redeemed, loyalty_discount, void_reason, voided_at, voided_by
  */
 export class Sales{
     /**
      * Construct a Sales entity from a plain object (DB row)
      * @param {Object} param0 - sale fields
      */
-    constructor({sale_id = null, user_id = null, sale_date = new Date(), subtotal, discount_percentage, discount_amount, total_amount = 0}) {
+    constructor({sale_id = null, user_id = null, sale_date = new Date(), subtotal, discount_percentage, discount_amount, promo_code_id = null, tax_amount = 0, prices_include_tax = false, total_amount = 0, refunded_amount = 0, exchange_rate = null, paid_amount = 0, status = 'pending', fulfillment_type = null, fulfillment_date = null, time_slot_id = null, delivery_zone_id = null, delivery_address = null, delivery_fee = 0, customer_notes = null, loyalty_points_redeemed = 0, loyalty_discount = 0, void_reason = null, voided_at = null, voided_by = null}) {
         this.sale_id = sale_id;
         this.user_id = user_id;
         this.sale_date = sale_date;
         this.subtotal=subtotal;
         this.discount_percentage=discount_percentage || 0;
         this.discount_amount=discount_amount || 0;
+        this.promo_code_id = promo_code_id;
+        this.tax_amount = tax_amount || 0;
+        this.prices_include_tax = prices_include_tax;
         this.total_amount = total_amount;
+        this.refunded_amount = refunded_amount || 0;
+        this.exchange_rate = exchange_rate;
+        this.paid_amount = paid_amount || 0;
+        this.status = status;
+        this.fulfillment_type = fulfillment_type;
+        this.fulfillment_date = fulfillment_date;
+        this.time_slot_id = time_slot_id;
+        this.delivery_zone_id = delivery_zone_id;
+        this.delivery_address = delivery_address;
+        this.delivery_fee = delivery_fee || 0;
+        this.customer_notes = customer_notes;
+        this.loyalty_points_redeemed = loyalty_points_redeemed || 0;
+        this.loyalty_discount = loyalty_discount || 0;
+        this.void_reason = void_reason;
+        this.voided_at = voided_at;
+        this.voided_by = voided_by;
     }
 }
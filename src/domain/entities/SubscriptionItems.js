@@ -0,0 +1,28 @@
+/**
+ * SubscriptionItems entity — a product and quantity delivered with each subscription order
+ * Fields (simple types):
+ * - subscription_item_id: number | null
+ * - subscription_id: number | null
+ * - product_id: number | null
+ * - variant_id: number | null (bag size and grind, for products sold in variants)
+ * - quantity: number
+ * - product_name: string (joined from products)
+ * - variant_name: string | null (e.g. "250g, ground")
+ * - unit_price: number (current product or variant price)
+ */
+export class SubscriptionItems {
+    /**
+     * Construct a SubscriptionItems entity from a plain object (DB row)
+     * @param {Object} param0 - subscription item fields
+     */
+    constructor({ subscription_item_id = null, subscription_id = null, product_id = null, variant_id = null, quantity = 1, product_name = '', variant_name = null, unit_price = 0 }) {
+        this.subscription_item_id = subscription_item_id;
+        this.subscription_id = subscription_id;
+        this.product_id = product_id;
+        this.variant_id = variant_id;
+        this.quantity = quantity;
+        this.product_name = product_name;
+        this.variant_name = variant_name;
+        this.unit_price = unit_price;
+    }
+}
@@ -0,0 +1,29 @@
+/** Outcome of a subscription's due date: a sale was created, nothing could be ordered or the customer skipped it, or the sale failed */
+export const SUBSCRIPTION_RUN_STATUSES = ['pending', 'created', 'skipped', 'failed'];
+
+/**
+ * SubscriptionRuns entity — what happened on one of a subscription's due dates
+ * Fields (simple types):
+ * - subscription_run_id: number | null
+ * - subscription_id: number | null
+ * - run_date: string (YYYY-MM-DD)
+ * - status: string (one of SUBSCRIPTION_RUN_STATUSES)
+ * - sale_id: number | null
+ * - note: string | null (out-of-stock products, substitutions or the error; shown to the customer)
+ * - created_at: Date | string
+ */
+export class SubscriptionRuns {
+    /**
+     * Construct a SubscriptionRuns entity from a plain object (DB row)
+     * @param {Object} param0 - subscription run fields
+     */
+    constructor({ subscription_run_id = null, subscription_id = null, run_date = null, status = 'pending', sale_id = null, note = null, created_at = new Date() }) {
+        this.subscription_run_id = subscription_run_id;
+        this.subscription_id = subscription_id;
+        this.run_date = run_date;
+        this.status = status;
+        this.sale_id = sale_id;
+        this.note = note;
+        this.created_at = created_at;
+    }
+}
@@ -0,0 +1,43 @@
+/** How often a subscription is delivered */
+export const SUBSCRIPTION_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/** Subscription states: only active subscriptions are ordered by the scheduler; cancelled is final */
+export const SUBSCRIPTION_STATUSES = ['active', 'paused', 'cancelled'];
+
+/**
+ * What to do when a product is short on stock on a delivery date:
+ * - notify: leave it out of that delivery and tell the customer
+ * - substitute: replace it with an in-stock product of the same type (closest price), or leave it out
+ */
+export const OUT_OF_STOCK_ACTIONS = ['notify', 'substitute'];
+
+/**
+ * Subscriptions entity — a customer's recurring order
+ * Fields (simple types):
+ * - subscription_id: number | null
+ * - user_id: number | null
+ * - frequency: string (one of SUBSCRIPTION_FREQUENCIES)
+ * - status: string (one of SUBSCRIPTION_STATUSES)
+ * - next_run_date: string (YYYY-MM-DD)
+ * - out_of_stock_action: string (one of OUT_OF_STOCK_ACTIONS)
+ * - customer_name: string | null (joined from users when listing)
+ * - created_at: Date | string
+ * - cancelled_at: Date | string | null
+ */
+export class Subscriptions {
+    /**
+     * Construct a Subscriptions entity from a plain object (DB row)
+     * @param {Object} param0 - subscription fields
+     */
+    constructor({ subscription_id = null, user_id = null, frequency = 'monthly', status = 'active', next_run_date = null, out_of_stock_action = 'notify', customer_name = null, created_at = new Date(), cancelled_at = null }) {
+        this.subscription_id = subscription_id;
+        this.user_id = user_id;
+        this.frequency = frequency;
+        this.status = status;
+        this.next_run_date = next_run_date;
+        this.out_of_stock_action = out_of_stock_action;
+        this.customer_name = customer_name;
+        this.created_at = created_at;
+        this.cancelled_at = cancelled_at;
+    }
+}
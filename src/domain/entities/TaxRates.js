@@ -0,0 +1,26 @@
+/**
+ * TaxRates entity — a configurable tax (VAT) rate
+ * Fields (simple types):
+ * - tax_rate_id: number | null
+ * - name: string (e.g. "VAT")
+ * - category_id: number | null (the rate applies to the category and its subcategories; null is the
+ *   default rate for products whose categories have none)
+ * - category_path: string[] | null (category names from the top-level one down)
+ * - rate: number (percent)
+ * - is_active: boolean
+ */
+export class TaxRates {
+    /**
+     * Construct a TaxRates entity from a plain object (DB row)
+     * @param {Object} param0 - tax rate fields
+     */
+    constructor({ tax_rate_id = null, name, category_id = null, category_path = null, rate = 0, is_active = true, created_at = null }) {
+        this.tax_rate_id = tax_rate_id;
+        this.name = name;
+        this.category_id = category_id;
+        this.category_path = category_path;
+        this.rate = rate;
+        this.is_active = is_active;
+        this.created_at = created_at;
+    }
+}
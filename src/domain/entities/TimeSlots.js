@@ -0,0 +1,32 @@
+/** How an order reaches the customer */
+export const FULFILLMENT_TYPES = ['delivery', 'pickup'];
+
+/**
+ * TimeSlots entity — a daily delivery or pickup window
+ * Fields (simple types):
+ * - time_slot_id: number | null
+ * - fulfillment_type: string (one of FULFILLMENT_TYPES)
+ * - start_time: string (HH:MM)
+ * - end_time: string (HH:MM)
+ * - capacity: number (orders per window per day)
+ * - is_active: boolean (inactive slots cannot be chosen for new orders)
+ * - date: string | null (YYYY-MM-DD, when loaded for a date)
+ * - booked: number (orders in the slot on that date)
+ */
+export class TimeSlots {
+    /**
+     * Construct a TimeSlots entity from a plain object (DB row)
+     * @param {Object} param0 - time slot fields
+     */
+    constructor({ time_slot_id = null, fulfillment_type, start_time, end_time, capacity, is_active = true, date = null, booked = 0, created_at = null }) {
+        this.time_slot_id = time_slot_id;
+        this.fulfillment_type = fulfillment_type;
+        this.start_time = start_time;
+        this.end_time = end_time;
+        this.capacity = capacity;
+        this.is_active = is_active;
+        this.date = date;
+        this.booked = booked;
+        this.created_at = created_at;
+    }
+}
@@ -8,17 +8,18 @@
  * - phone_number: string
  * - password: string
  * - role: string
+ * - price_list_id: number | null (wholesale price list, customers only)
  */
 /**
  * Users entity — represents an application user
- * Fields: user_id, first_name, last_name, email, phone_number, password, role
+ * Fields: user_id, first_name, last_name, email, phone_number, password, role, price_list_id
  */
 export class Users {
     /**
      * Construct a Users entity from a plain object
      * @param {Object} param0 - user fields
      */
-    constructor({user_id = null,first_name,last_name,email,phone_number,password,role}){
+    constructor({user_id = null,first_name,last_name,email,phone_number,password,role,price_list_id = null}){
         this.user_id =user_id;
         this.first_name = first_name;
         this.last_name = last_name;
@@ -26,6 +27,7 @@ export class Users {
         this.phone_number=phone_number;
         this.password = password;
         this.role=role;
+        this.price_list_id = price_list_id;
         
     }
 }
\ No newline at end of file
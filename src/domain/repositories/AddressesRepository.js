@@ -0,0 +1,82 @@
+import { pool } from "../../config/db.js";
+import { Addresses } from "../entities/Addresses.js";
+
+// Columns selected by every address query, with the delivery zone's name, fee and status
+const ADDRESS_COLUMNS = `a.address_id, a.user_id, a.label, a.street, a.city, a.delivery_zone_id,
+    z.name as zone_name, z.fee as zone_fee, z.is_active as zone_is_active,
+    a.phone_number, a.notes, a.is_default, a.created_at`;
+
+const ADDRESS_FROM = `addresses a LEFT JOIN delivery_zones z ON z.delivery_zone_id = a.delivery_zone_id`;
+
+/**
+ * AddressesRepository - Database operations for customer addresses
+ * Methods:
+ * - create(user_id, data) : add an address to a customer's address book
+ * - findByUser(user_id) : list a customer's addresses (default first)
+ * - findById(id) : get an address by id
+ * - update(id, data) : update an address
+ * - delete(id) : remove an address
+ */
+export class AddressesRepository {
+    /** Add an address (not the default) and return the created entity */
+    async create(user_id, { label, street, city, delivery_zone_id, phone_number, notes }) {
+        try {
+            const sql = `
+                INSERT INTO addresses (user_id, label, street, city, delivery_zone_id, phone_number, notes)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING address_id;
+            `;
+            const { rows } = await pool.query(sql, [user_id, label, street, city, delivery_zone_id, phone_number, notes]);
+            return this.findById(rows[0].address_id);
+        } catch (error) {
+            throw new Error(`Failed to create address: ${error.message}`);
+        }
+    }
+
+    /** List a customer's addresses, default first */
+    async findByUser(user_id) {
+        try {
+            const sql = `SELECT ${ADDRESS_COLUMNS} FROM ${ADDRESS_FROM} WHERE a.user_id = $1 ORDER BY a.is_default DESC, a.address_id;`;
+            const { rows } = await pool.query(sql, [user_id]);
+            return rows.map(r => new Addresses(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve addresses: ${error.message}`);
+        }
+    }
+
+    /** Find an address by its ID, or return null */
+    async findById(address_id) {
+        try {
+            const { rows } = await pool.query(`SELECT ${ADDRESS_COLUMNS} FROM ${ADDRESS_FROM} WHERE a.address_id = $1;`, [address_id]);
+            return rows[0] ? new Addresses(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find address by ID: ${error.message}`);
+        }
+    }
+
+    /** Update an address by ID and return the updated entity or null (the default flag is changed by AddressesServices.setDefault) */
+    async update(address_id, { label, street, city, delivery_zone_id, phone_number, notes }) {
+        try {
+            const sql = `
+                UPDATE addresses
+                SET label=$1, street=$2, city=$3, delivery_zone_id=$4, phone_number=$5, notes=$6
+                WHERE address_id=$7
+                RETURNING address_id;
+            `;
+            const { rows } = await pool.query(sql, [label, street, city, delivery_zone_id, phone_number, notes, address_id]);
+            return rows[0] ? this.findById(address_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update address: ${error.message}`);
+        }
+    }
+
+    /** Delete an address by ID; returns true when deleted (orders keep their copy of it) */
+    async delete(address_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM addresses WHERE address_id=$1;`, [address_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete address: ${error.message}`);
+        }
+    }
+}
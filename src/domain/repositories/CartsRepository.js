@@ -0,0 +1,181 @@
+import { pool } from "../../config/db.js";
+import { Carts } from "../entities/Carts.js";
+import { CartItems } from "../entities/CartItems.js";
+import { VARIANT_NAME_SQL } from "./ProductVariantsRepository.js";
+
+const CART_COLUMNS = `cart_id, user_id, session_id, created_at, updated_at`;
+
+// Cart item columns joined with the product's (or variant's) current price/status and its stock.
+// An inactive variant, or a line without a variant for a product now sold in variants, is not available
+const CART_ITEM_COLUMNS = `ci.cart_item_id, ci.cart_id, ci.product_id, ci.variant_id, ci.quantity, ci.added_at,
+    p.product_name, ${VARIANT_NAME_SQL} AS variant_name, COALESCE(v.unit_price, p.unit_price) AS unit_price,
+    CASE
+        WHEN ci.variant_id IS NOT NULL AND NOT v.is_active THEN 'not available'
+        WHEN ci.variant_id IS NULL AND EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = ci.product_id) THEN 'not available'
+        ELSE p.status
+    END AS status,
+    p.backorder_policy, TO_CHAR(p.expected_available_date, 'YYYY-MM-DD') AS expected_available_date,
+    CASE WHEN ci.variant_id IS NOT NULL THEN v.quantity_in_stock ELSE COALESCE(i.quantity_in_stock, 0) END AS quantity_in_stock`;
+
+/**
+ * Owner condition for a cart: a logged-in customer's cart is found by user_id, a guest's by session_id
+ * @returns {{column: string, value: number|string}}
+ */
+function ownerKey({ user_id = null, session_id = null }) {
+    return user_id ? { column: 'user_id', value: user_id } : { column: 'session_id', value: session_id };
+}
+
+/**
+ * CartsRepository - Database operations for shopping carts and their items
+ * Carts are owned by a user ({ user_id }) or a guest session ({ session_id }).
+ * Methods:
+ * - findByOwner(owner) : get the owner's cart, or null
+ * - findOrCreate(owner) : get the owner's cart, creating it if needed
+ * - findItems(cart_id) : list a cart's items with current prices and stock
+ * - findProductStock(product_id, variant_id) : get a product's (or variant's) name, status and stock
+ * - addItem(cart_id, product_id, quantity, variant_id) : add a product, or add to its quantity
+ * - setItemQuantity(cart_id, product_id, quantity, variant_id) : change a line's quantity
+ * - removeItem(cart_id, product_id, variant_id) : remove a product from a cart
+ * A line is a product and, for products sold in variants, a variant (variant_id null otherwise).
+ * - clear(cart_id, db) : remove all items from a cart (optionally inside a transaction)
+ * - touch(cart_id, db) : mark a cart as updated (optionally inside a transaction)
+ */
+export class CartsRepository {
+    /** Find the cart owned by a user or guest session, or return null */
+    async findByOwner(owner) {
+        try {
+            const { column, value } = ownerKey(owner);
+            if (!value) return null;
+            const { rows } = await pool.query(`SELECT ${CART_COLUMNS} FROM carts WHERE ${column} = $1;`, [value]);
+            return rows[0] ? new Carts(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find cart: ${error.message}`);
+        }
+    }
+
+    /** Find the owner's cart, creating an empty one if it does not exist yet */
+    async findOrCreate(owner) {
+        try {
+            const { column, value } = ownerKey(owner);
+            const sql = `
+                INSERT INTO carts (${column}) VALUES ($1)
+                ON CONFLICT (${column}) DO UPDATE SET updated_at = carts.updated_at
+                RETURNING ${CART_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [value]);
+            return new Carts(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to create cart: ${error.message}`);
+        }
+    }
+
+    /** List a cart's items (oldest first) with current prices and stock */
+    async findItems(cart_id) {
+        try {
+            const sql = `
+                SELECT ${CART_ITEM_COLUMNS}
+                FROM cart_items ci
+                JOIN products p ON p.product_id = ci.product_id
+                LEFT JOIN product_variants v ON v.variant_id = ci.variant_id
+                LEFT JOIN inventory i ON i.product_id = ci.product_id
+                WHERE ci.cart_id = $1
+                ORDER BY ci.cart_item_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [cart_id]);
+            return rows.map(r => new CartItems(r));
+        } catch (error) {
+            throw new Error(`Failed to find cart items: ${error.message}`);
+        }
+    }
+
+    /**
+     * Product name, status, backorder policy, whether it is sold in variants and stock for a product, or null if it
+     * does not exist. With a variant_id the price, stock and name are the variant's (null if it is not one of the
+     * product's variants); an inactive variant is 'not available'.
+     */
+    async findProductStock(product_id, variant_id = null) {
+        try {
+            const sql = variant_id
+                ? `
+                SELECT p.product_id, v.variant_id, p.product_name, ${VARIANT_NAME_SQL} AS variant_name, v.unit_price,
+                    CASE WHEN v.is_active THEN p.status ELSE 'not available' END AS status,
+                    p.backorder_policy, TRUE AS has_variants, v.quantity_in_stock
+                FROM product_variants v
+                JOIN products p ON p.product_id = v.product_id
+                WHERE v.product_id = $1 AND v.variant_id = $2;
+            `
+                : `
+                SELECT p.product_id, NULL::int AS variant_id, p.product_name, NULL AS variant_name, p.unit_price, p.status, p.backorder_policy,
+                    EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id) AS has_variants,
+                    COALESCE(i.quantity_in_stock, 0) AS quantity_in_stock
+                FROM products p
+                LEFT JOIN inventory i ON i.product_id = p.product_id
+                WHERE p.product_id = $1;
+            `;
+            const { rows } = await pool.query(sql, variant_id ? [product_id, variant_id] : [product_id]);
+            return rows[0] || null;
+        } catch (error) {
+            throw new Error(`Failed to find product stock: ${error.message}`);
+        }
+    }
+
+    /** Add a product (or variant) to a cart; if it is already there, add to its quantity. Returns the new quantity */
+    async addItem(cart_id, product_id, quantity, variant_id = null) {
+        try {
+            const sql = `
+                INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (cart_id, product_id, COALESCE(variant_id, 0)) DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity
+                RETURNING quantity;
+            `;
+            const { rows } = await pool.query(sql, [cart_id, product_id, variant_id, quantity]);
+            return rows[0].quantity;
+        } catch (error) {
+            throw new Error(`Failed to add cart item: ${error.message}`);
+        }
+    }
+
+    /** Set the quantity of a product (or variant) already in a cart; returns false if it is not in the cart */
+    async setItemQuantity(cart_id, product_id, quantity, variant_id = null) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE cart_items SET quantity = $1 WHERE cart_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4;`,
+                [quantity, cart_id, product_id, variant_id]
+            );
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to update cart item: ${error.message}`);
+        }
+    }
+
+    /** Remove a product (or variant) from a cart; returns false if it was not in the cart */
+    async removeItem(cart_id, product_id, variant_id = null) {
+        try {
+            const { rowCount } = await pool.query(
+                `DELETE FROM cart_items WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3;`,
+                [cart_id, product_id, variant_id]
+            );
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to remove cart item: ${error.message}`);
+        }
+    }
+
+    /** Remove all items from a cart (pass a client to do it inside that client's transaction) */
+    async clear(cart_id, db = pool) {
+        try {
+            await db.query(`DELETE FROM cart_items WHERE cart_id = $1;`, [cart_id]);
+        } catch (error) {
+            throw new Error(`Failed to clear cart: ${error.message}`);
+        }
+    }
+
+    /** Set a cart's updated_at to now (pass a client to do it inside that client's transaction) */
+    async touch(cart_id, db = pool) {
+        try {
+            await db.query(`UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE cart_id = $1;`, [cart_id]);
+        } catch (error) {
+            throw new Error(`Failed to update cart: ${error.message}`);
+        }
+    }
+}
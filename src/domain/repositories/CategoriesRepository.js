@@ -0,0 +1,126 @@
+import { pool } from "../../config/db.js";
+import { Categories } from "../entities/Categories.js";
+
+// Columns selected by every category query (FROM categories c JOIN category_paths cp), with its product counts
+const CATEGORY_COLUMNS = `c.category_id, c.parent_id, c.name, c.description, c.created_at, cp.id_path, cp.name_path,
+    (SELECT COUNT(*) FROM products p WHERE p.category_id = c.category_id)::int AS product_count,
+    (SELECT COUNT(*) FROM products p JOIN category_paths pp ON pp.category_id = p.category_id
+     WHERE p.status = 'available' AND c.category_id = ANY(pp.id_path))::int AS available_count`;
+
+/**
+ * CategoriesRepository - Database operations for product categories
+ * Deleting a category (and moving its products) is done in a transaction by CategoriesServices.
+ * Methods:
+ * - create(data) : create a category
+ * - findAll() : list every category with its path and product counts
+ * - findById(id) : get a category by id
+ * - nameExists(parent_id, name, exceptId) : whether a sibling category has the name
+ * - update(id, data) : rename, describe or move a category
+ * - findSalesTotals(from, to) : orders, units and item sales per category, subcategories included
+ */
+export class CategoriesRepository {
+    /** Create a category and return the created entity */
+    async create({ parent_id, name, description }) {
+        try {
+            const { rows } = await pool.query(
+                `INSERT INTO categories (parent_id, name, description) VALUES ($1, $2, $3) RETURNING category_id;`,
+                [parent_id, name, description]
+            );
+            return await this.findById(rows[0].category_id);
+        } catch (error) {
+            throw new Error(`Failed to create category: ${error.message}`);
+        }
+    }
+
+    /** List all categories */
+    async findAll() {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${CATEGORY_COLUMNS} FROM categories c JOIN category_paths cp ON cp.category_id = c.category_id;`
+            );
+            return rows.map(r => new Categories(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve categories: ${error.message}`);
+        }
+    }
+
+    /** Find a category by its ID, or return null */
+    async findById(category_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${CATEGORY_COLUMNS} FROM categories c JOIN category_paths cp ON cp.category_id = c.category_id
+                 WHERE c.category_id = $1;`,
+                [category_id]
+            );
+            return rows[0] ? new Categories(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find category by ID: ${error.message}`);
+        }
+    }
+
+    /** Whether a category other than except_category_id has the name under the same parent (null: top level) */
+    async nameExists(parent_id, name, except_category_id = null) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT EXISTS (
+                     SELECT 1 FROM categories
+                     WHERE parent_id IS NOT DISTINCT FROM $1::int AND LOWER(name) = LOWER($2)
+                       AND category_id IS DISTINCT FROM $3::int
+                 ) AS taken;`,
+                [parent_id, name, except_category_id]
+            );
+            return rows[0].taken;
+        } catch (error) {
+            throw new Error(`Failed to check category name: ${error.message}`);
+        }
+    }
+
+    /** Update a category by ID and return the updated entity or null */
+    async update(category_id, { parent_id, name, description }) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE categories SET parent_id = $1, name = $2, description = $3 WHERE category_id = $4;`,
+                [parent_id, name, description, category_id]
+            );
+            return rowCount > 0 ? await this.findById(category_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update category: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sales per category between two dates (YYYY-MM-DD, inclusive), each category counting its subcategories' sales.
+     * Cancelled sales are left out and returned units are taken off; item sales are quantity × price_at_sale,
+     * before order discounts, tax and delivery.
+     * @returns {Promise<Object>} { [category_id]: { orders, units, item_sales } }, for categories with sales
+     */
+    async findSalesTotals(from, to) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT c.category_id,
+                        COUNT(DISTINCT line.sale_id)::int AS orders,
+                        COALESCE(SUM(line.units), 0)::int AS units,
+                        COALESCE(SUM(line.units * line.price_at_sale), 0) AS item_sales
+                 FROM categories c
+                 JOIN (
+                     SELECT si.sale_id, si.price_at_sale, cp.id_path,
+                            si.quantity - COALESCE((SELECT SUM(r.quantity) FROM returns r WHERE r.sale_item_id = si.sale_item_id), 0) AS units
+                     FROM sale_items si
+                     JOIN sales s ON s.sale_id = si.sale_id
+                     JOIN products p ON p.product_id = si.product_id
+                     JOIN category_paths cp ON cp.category_id = p.category_id
+                     WHERE s.status <> 'cancelled' AND s.sale_date >= $1::date AND s.sale_date < $2::date + 1
+                 ) AS line ON c.category_id = ANY(line.id_path)
+                 GROUP BY c.category_id;`,
+                [from, to]
+            );
+            return Object.fromEntries(rows.map(r => [r.category_id, {
+                orders: r.orders,
+                units: r.units,
+                item_sales: parseFloat(r.item_sales)
+            }]));
+        } catch (error) {
+            throw new Error(`Failed to retrieve category sales: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,74 @@
+import { pool } from "../../config/db.js";
+import { DeliveryZones } from "../entities/DeliveryZones.js";
+
+/**
+ * DeliveryZonesRepository - Database operations for delivery zones
+ * Methods:
+ * - create(data) : create a delivery zone
+ * - findAll() : list delivery zones by name
+ * - findById(id) : get a delivery zone by id
+ * - update(id, data) : update a delivery zone
+ * - delete(id) : remove a delivery zone
+ */
+export class DeliveryZonesRepository {
+    /** Create a delivery zone and return the created entity */
+    async create({ name, fee, is_active }) {
+        try {
+            const sql = `
+                INSERT INTO delivery_zones (name, fee, is_active)
+                VALUES ($1, $2, $3)
+                RETURNING *;
+            `;
+            const { rows } = await pool.query(sql, [name, fee, is_active]);
+            return new DeliveryZones(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to create delivery zone: ${error.message}`);
+        }
+    }
+
+    /** List all delivery zones */
+    async findAll() {
+        try {
+            const { rows } = await pool.query(`SELECT * FROM delivery_zones ORDER BY name;`);
+            return rows.map(r => new DeliveryZones(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve delivery zones: ${error.message}`);
+        }
+    }
+
+    /** Find a delivery zone by its ID, or return null */
+    async findById(delivery_zone_id) {
+        try {
+            const { rows } = await pool.query(`SELECT * FROM delivery_zones WHERE delivery_zone_id = $1;`, [delivery_zone_id]);
+            return rows[0] ? new DeliveryZones(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find delivery zone by ID: ${error.message}`);
+        }
+    }
+
+    /** Update a delivery zone by ID and return the updated entity or null */
+    async update(delivery_zone_id, { name, fee, is_active }) {
+        try {
+            const sql = `
+                UPDATE delivery_zones
+                SET name=$1, fee=$2, is_active=$3
+                WHERE delivery_zone_id=$4
+                RETURNING *;
+            `;
+            const { rows } = await pool.query(sql, [name, fee, is_active, delivery_zone_id]);
+            return rows[0] ? new DeliveryZones(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to update delivery zone: ${error.message}`);
+        }
+    }
+
+    /** Delete a delivery zone by ID; returns true when deleted */
+    async delete(delivery_zone_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM delivery_zones WHERE delivery_zone_id=$1;`, [delivery_zone_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete delivery zone: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,73 @@
+import { pool } from "../../config/db.js";
+import { ExchangeRates } from "../entities/ExchangeRates.js";
+
+/**
+ * Subquery for the exchange rate currently in effect (LBP per 1 USD), or NULL when none is set.
+ * New sales are stamped with it when they are created.
+ */
+export const CURRENT_EXCHANGE_RATE_SQL = `(SELECT rate FROM exchange_rates WHERE effective_from <= CURRENT_TIMESTAMP
+    ORDER BY effective_from DESC, exchange_rate_id DESC LIMIT 1)`;
+
+const EXCHANGE_RATE_COLUMNS = `exchange_rate_id, rate, created_by, TO_CHAR(effective_from, 'DD/MM/YYYY HH24:MI') as effective_from,
+    exchange_rate_id = (SELECT exchange_rate_id FROM exchange_rates WHERE effective_from <= CURRENT_TIMESTAMP
+        ORDER BY effective_from DESC, exchange_rate_id DESC LIMIT 1) as is_current`;
+
+/**
+ * ExchangeRatesRepository - Database operations for USD to LBP exchange rates
+ * Rates are never edited: a new rate is added with the time it takes effect.
+ * Methods:
+ * - create(data) : add an exchange rate
+ * - findAll() : list exchange rates (newest first)
+ * - findCurrent() : get the rate currently in effect
+ * - delete(id) : remove an exchange rate
+ */
+export class ExchangeRatesRepository {
+    /** Add an exchange rate and return the created entity */
+    async create({ rate, effective_from, created_by }) {
+        try {
+            const sql = `
+                INSERT INTO exchange_rates (rate, effective_from, created_by)
+                VALUES ($1, COALESCE($2::timestamptz, CURRENT_TIMESTAMP), $3)
+                RETURNING ${EXCHANGE_RATE_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [rate, effective_from, created_by]);
+            return new ExchangeRates(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to create exchange rate: ${error.message}`);
+        }
+    }
+
+    /** List all exchange rates, newest first */
+    async findAll() {
+        try {
+            const sql = `SELECT ${EXCHANGE_RATE_COLUMNS} FROM exchange_rates ORDER BY exchange_rates.effective_from DESC, exchange_rate_id DESC;`;
+            const { rows } = await pool.query(sql);
+            return rows.map(r => new ExchangeRates(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve exchange rates: ${error.message}`);
+        }
+    }
+
+    /** Get the exchange rate currently in effect, or null when none is set */
+    async findCurrent() {
+        try {
+            const sql = `SELECT ${EXCHANGE_RATE_COLUMNS} FROM exchange_rates
+                WHERE exchange_rates.effective_from <= CURRENT_TIMESTAMP
+                ORDER BY exchange_rates.effective_from DESC, exchange_rate_id DESC LIMIT 1;`;
+            const { rows } = await pool.query(sql);
+            return rows[0] ? new ExchangeRates(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find current exchange rate: ${error.message}`);
+        }
+    }
+
+    /** Delete an exchange rate by ID; returns true when deleted */
+    async delete(exchange_rate_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM exchange_rates WHERE exchange_rate_id=$1;`, [exchange_rate_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete exchange rate: ${error.message}`);
+        }
+    }
+}
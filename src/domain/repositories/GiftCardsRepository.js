@@ -0,0 +1,86 @@
+import { pool } from "../../config/db.js";
+import { GiftCards } from "../entities/GiftCards.js";
+import { GiftCardTransactions } from "../entities/GiftCardTransactions.js";
+
+// Columns selected by every gift card query (dates formatted as DD/MM/YYYY HH24:MI)
+const GIFT_CARD_COLUMNS = `g.gift_card_id, g.code, g.initial_balance, g.balance, g.status, g.recipient_name, g.note,
+    g.issued_by, NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') as issued_by_name, TO_CHAR(g.issued_at, 'DD/MM/YYYY HH24:MI') as issued_at,
+    g.void_reason, TO_CHAR(g.voided_at, 'DD/MM/YYYY HH24:MI') as voided_at, g.voided_by`;
+
+/**
+ * GiftCardsRepository - Database reads for gift cards and their ledger
+ * Cards are issued, voided and spent inside transactions by GiftCardsServices; this repository reads them.
+ * Codes are matched without their dashes, so "gc7kq2m9xd4htp" finds GC-7KQ2-M9XD-4HTP.
+ * Methods:
+ * - findAll(search) : list gift cards (newest first), optionally filtered by code or recipient
+ * - findById(id) : get a gift card by id
+ * - findByCode(code) : get a gift card by its code
+ * - findTransactions(id) : list a card's ledger entries (oldest first)
+ */
+export class GiftCardsRepository {
+    /** List gift cards, newest first; `search` matches part of the code or the recipient's name */
+    async findAll(search = null) {
+        try {
+            const term = search ? String(search).trim() : '';
+            const sql = `
+                SELECT ${GIFT_CARD_COLUMNS}
+                FROM gift_cards g
+                LEFT JOIN users u ON u.user_id = g.issued_by
+                WHERE $1 = ''
+                   OR REPLACE(g.code, '-', '') LIKE '%' || UPPER(REPLACE($1, '-', '')) || '%'
+                   OR g.recipient_name ILIKE '%' || $1 || '%'
+                ORDER BY g.gift_card_id DESC;
+            `;
+            const { rows } = await pool.query(sql, [term]);
+            return rows.map(r => new GiftCards(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve gift cards: ${error.message}`);
+        }
+    }
+
+    /** Find a gift card by its ID, or return null */
+    async findById(gift_card_id) {
+        try {
+            const sql = `SELECT ${GIFT_CARD_COLUMNS} FROM gift_cards g LEFT JOIN users u ON u.user_id = g.issued_by WHERE g.gift_card_id = $1;`;
+            const { rows } = await pool.query(sql, [gift_card_id]);
+            return rows[0] ? new GiftCards(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find gift card by ID: ${error.message}`);
+        }
+    }
+
+    /** Find a gift card by its code (case and dashes ignored), or return null */
+    async findByCode(code) {
+        try {
+            const sql = `
+                SELECT ${GIFT_CARD_COLUMNS}
+                FROM gift_cards g
+                LEFT JOIN users u ON u.user_id = g.issued_by
+                WHERE REPLACE(g.code, '-', '') = UPPER(REPLACE($1, '-', ''));
+            `;
+            const { rows } = await pool.query(sql, [String(code).trim()]);
+            return rows[0] ? new GiftCards(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find gift card by code: ${error.message}`);
+        }
+    }
+
+    /** List a gift card's ledger entries (oldest first) */
+    async findTransactions(gift_card_id) {
+        try {
+            const sql = `
+                SELECT t.gift_card_transaction_id, t.gift_card_id, t.type, t.amount, t.balance_after, t.sale_id, t.created_by,
+                       NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') as created_by_name,
+                       TO_CHAR(t.created_at, 'DD/MM/YYYY HH24:MI') as created_at
+                FROM gift_card_transactions t
+                LEFT JOIN users u ON u.user_id = t.created_by
+                WHERE t.gift_card_id = $1
+                ORDER BY t.gift_card_transaction_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [gift_card_id]);
+            return rows.map(r => new GiftCardTransactions(r));
+        } catch (error) {
+            throw new Error(`Failed to find gift card transactions: ${error.message}`);
+        }
+    }
+}
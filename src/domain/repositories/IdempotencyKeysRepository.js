@@ -0,0 +1,76 @@
+import { pool } from "../../config/db.js";
+import { IdempotencyKeys } from "../entities/IdempotencyKeys.js";
+
+const IDEMPOTENCY_KEY_COLUMNS = `idempotency_key_id, scope, idempotency_key, request_hash, status_code, response_body, created_at, completed_at`;
+
+/**
+ * IdempotencyKeysRepository - Database operations for idempotency keys
+ * The UNIQUE (scope, idempotency_key) constraint decides which of two concurrent requests runs.
+ * Methods:
+ * - claim(scope, key, request_hash) : insert a key, or return null if it is already taken
+ * - findByKey(scope, key) : get a stored key
+ * - saveResponse(id, status_code, response_body) : store the response for a key
+ * - delete(id) : release a key so the request can be retried
+ * - deleteExpired(hours) : remove keys older than the given number of hours
+ */
+export class IdempotencyKeysRepository {
+    /** Insert a new key and return it, or return null when the key already exists */
+    async claim(scope, key, request_hash) {
+        try {
+            const sql = `
+                INSERT INTO idempotency_keys (scope, idempotency_key, request_hash)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (scope, idempotency_key) DO NOTHING
+                RETURNING ${IDEMPOTENCY_KEY_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [scope, key, request_hash]);
+            return rows[0] ? new IdempotencyKeys(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to claim idempotency key: ${error.message}`);
+        }
+    }
+
+    /** Find a key within a scope, or return null */
+    async findByKey(scope, key) {
+        try {
+            const sql = `SELECT ${IDEMPOTENCY_KEY_COLUMNS} FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2;`;
+            const { rows } = await pool.query(sql, [scope, key]);
+            return rows[0] ? new IdempotencyKeys(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find idempotency key: ${error.message}`);
+        }
+    }
+
+    /** Store the response returned for a key */
+    async saveResponse(id, status_code, response_body) {
+        try {
+            const sql = `
+                UPDATE idempotency_keys
+                SET status_code = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE idempotency_key_id = $3;
+            `;
+            await pool.query(sql, [status_code, JSON.stringify(response_body), id]);
+        } catch (error) {
+            throw new Error(`Failed to save idempotent response: ${error.message}`);
+        }
+    }
+
+    /** Delete a key and return true if a row was removed */
+    async delete(id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM idempotency_keys WHERE idempotency_key_id = $1;`, [id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete idempotency key: ${error.message}`);
+        }
+    }
+
+    /** Delete keys created more than `hours` hours ago */
+    async deleteExpired(hours) {
+        try {
+            await pool.query(`DELETE FROM idempotency_keys WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1);`, [hours]);
+        } catch (error) {
+            throw new Error(`Failed to delete expired idempotency keys: ${error.message}`);
+        }
+    }
+}
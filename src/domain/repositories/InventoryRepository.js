@@ -76,10 +76,14 @@ export class InventoryRepository {
                     TO_CHAR(i.last_updated, 'DD/MM/YYYY') as last_updated,
                     p.product_name,
                     p.unit_price,
-                    p.product_type,
-                    p.status
+                    ARRAY_TO_STRING(cp.name_path, ' › ') as category,
+                    p.status,
+                    (SELECT COALESCE(SUM(si.backordered_quantity), 0)::int
+                     FROM sale_items si JOIN sales s ON s.sale_id = si.sale_id
+                     WHERE si.product_id = i.product_id AND si.variant_id IS NULL AND s.status <> 'cancelled') as backordered_quantity
                 FROM inventory i
                 INNER JOIN products p ON i.product_id = p.product_id
+                INNER JOIN category_paths cp ON cp.category_id = p.category_id
                 ORDER BY i.inventory_id DESC;
             `;
             const { rows } = await pool.query(sql);
@@ -99,11 +103,14 @@ export class InventoryRepository {
                     TO_CHAR(i.last_updated, 'DD/MM/YYYY') as last_updated,
                     p.product_name,
                     p.unit_price,
-                    p.product_type,
+                    ARRAY_TO_STRING(cp.name_path, ' › ') as category,
                     p.status
                 FROM inventory i
                 INNER JOIN products p ON i.product_id = p.product_id
+                INNER JOIN category_paths cp ON cp.category_id = p.category_id
                 WHERE i.quantity_in_stock < $1
+                  -- products sold in variants keep their stock on the variants
+                  AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = i.product_id)
                 ORDER BY i.quantity_in_stock ASC;
             `;
             const { rows } = await pool.query(sql, [threshold]);
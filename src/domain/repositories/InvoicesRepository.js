@@ -0,0 +1,55 @@
+import { pool } from "../../config/db.js";
+import { Invoices } from "../entities/Invoices.js";
+
+// Columns selected/returned by invoice queries (issued_at formatted as DD/MM/YYYY)
+export const INVOICE_COLUMNS = `invoice_id, invoice_number, sale_id, TO_CHAR(issued_at, 'DD/MM/YYYY') as issued_at`;
+
+/**
+ * InvoicesRepository - Database operations for invoices
+ * Invoices are only created inside a transaction by InvoicesServices; this repository reads them.
+ * Methods:
+ * - findBySaleId(sale_id) : get the invoice issued for a sale
+ * - findSaleParties(sale_id) : get the customer and promo code printed on a sale's invoice
+ * - findProductNames(product_ids) : map product IDs to names
+ */
+export class InvoicesRepository {
+    /** Find the invoice issued for a sale, or return null */
+    async findBySaleId(sale_id) {
+        try {
+            const { rows } = await pool.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE sale_id = $1;`, [sale_id]);
+            return rows[0] ? new Invoices(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find invoice by sale ID: ${error.message}`);
+        }
+    }
+
+    /** Customer name and contact details and the promo code used, for a sale */
+    async findSaleParties(sale_id) {
+        try {
+            const sql = `
+                SELECT u.first_name, u.last_name, u.email, u.phone_number, pc.code AS promo_code
+                FROM sales s
+                LEFT JOIN users u ON s.user_id = u.user_id
+                LEFT JOIN promo_codes pc ON s.promo_code_id = pc.promo_code_id
+                WHERE s.sale_id = $1;
+            `;
+            const { rows } = await pool.query(sql, [sale_id]);
+            return rows[0] || {};
+        } catch (error) {
+            throw new Error(`Failed to find invoice customer: ${error.message}`);
+        }
+    }
+
+    /** Map product IDs to their names: { [product_id]: product_name } */
+    async findProductNames(product_ids) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT product_id, product_name FROM products WHERE product_id = ANY($1::int[]);`,
+                [product_ids]
+            );
+            return Object.fromEntries(rows.map(r => [r.product_id, r.product_name]));
+        } catch (error) {
+            throw new Error(`Failed to find product names: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,58 @@
+import { pool } from "../../config/db.js";
+import { LoyaltyAccounts } from "../entities/LoyaltyAccounts.js";
+import { LoyaltyTransactions } from "../entities/LoyaltyTransactions.js";
+
+// Columns selected by ledger queries (dates formatted as DD/MM/YYYY)
+const LOYALTY_TRANSACTION_COLUMNS = `loyalty_transaction_id, loyalty_account_id, sale_id, type, points, points_remaining,
+    TO_CHAR(expires_at, 'DD/MM/YYYY') as expires_at, note, TO_CHAR(created_at, 'DD/MM/YYYY HH24:MI') as created_at`;
+
+/**
+ * LoyaltyAccountsRepository - Database reads for loyalty accounts and their points ledger
+ * Points are only changed inside sale transactions by LoyaltyAccountsServices; this repository reads them.
+ * Methods:
+ * - findByUser(user_id) : get a customer's account with the next points to expire
+ * - findTransactions(loyalty_account_id, limit) : list the latest ledger entries
+ */
+export class LoyaltyAccountsRepository {
+    /** Get a customer's account (or null) with the oldest unspent lot's expiry */
+    async findByUser(user_id) {
+        try {
+            const sql = `
+                SELECT a.loyalty_account_id, a.user_id, a.points_balance, a.lifetime_points, a.created_at,
+                       TO_CHAR(n.expires_at, 'DD/MM/YYYY') as next_expiry_at,
+                       COALESCE(n.points, 0) as next_expiry_points
+                FROM loyalty_accounts a
+                LEFT JOIN LATERAL (
+                    SELECT expires_at, SUM(points_remaining)::int AS points
+                    FROM loyalty_transactions
+                    WHERE loyalty_account_id = a.loyalty_account_id AND points_remaining > 0
+                    GROUP BY expires_at
+                    ORDER BY expires_at
+                    LIMIT 1
+                ) n ON TRUE
+                WHERE a.user_id = $1;
+            `;
+            const { rows } = await pool.query(sql, [user_id]);
+            return rows[0] ? new LoyaltyAccounts(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find loyalty account: ${error.message}`);
+        }
+    }
+
+    /** List an account's latest ledger entries (newest first) */
+    async findTransactions(loyalty_account_id, limit = 20) {
+        try {
+            const sql = `
+                SELECT ${LOYALTY_TRANSACTION_COLUMNS}
+                FROM loyalty_transactions
+                WHERE loyalty_account_id = $1
+                ORDER BY loyalty_transaction_id DESC
+                LIMIT $2;
+            `;
+            const { rows } = await pool.query(sql, [loyalty_account_id, limit]);
+            return rows.map(r => new LoyaltyTransactions(r));
+        } catch (error) {
+            throw new Error(`Failed to find loyalty transactions: ${error.message}`);
+        }
+    }
+}
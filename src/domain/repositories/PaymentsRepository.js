@@ -0,0 +1,26 @@
+import { pool } from "../../config/db.js";
+import { Payments } from "../entities/Payments.js";
+
+// Columns selected/returned by payment queries (created_at formatted as DD/MM/YYYY HH24:MI)
+export const PAYMENT_COLUMNS = `payment_id, sale_id, method, currency, amount, exchange_rate, amount_usd, change_amount, received_by,
+    gift_card_id, (SELECT g.code FROM gift_cards g WHERE g.gift_card_id = payments.gift_card_id) as gift_card_code,
+    TO_CHAR(created_at, 'DD/MM/YYYY HH24:MI') as created_at`;
+
+/**
+ * PaymentsRepository - Database operations for payments against sales
+ * Payments are only created inside a transaction by PaymentsServices; this repository reads them.
+ * Methods:
+ * - findBySaleId(sale_id) : list payments for a sale
+ */
+export class PaymentsRepository {
+    /** List the payments recorded against a sale (oldest first) */
+    async findBySaleId(sale_id) {
+        try {
+            const sql = `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE sale_id = $1 ORDER BY payment_id ASC;`;
+            const { rows } = await pool.query(sql, [sale_id]);
+            return rows.map(r => new Payments(r));
+        } catch (error) {
+            throw new Error(`Failed to find payments by sale ID: ${error.message}`);
+        }
+    }
+}
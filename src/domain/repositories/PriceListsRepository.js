@@ -0,0 +1,168 @@
+import { pool } from "../../config/db.js";
+import { PriceLists } from "../entities/PriceLists.js";
+import { PriceTiers } from "../entities/PriceTiers.js";
+import { VARIANT_NAME_SQL } from "./ProductVariantsRepository.js";
+
+// Columns selected by every price list query, with how many customers and tiers use the list
+const PRICE_LIST_COLUMNS = `pl.price_list_id, pl.name, pl.description, pl.is_active, pl.created_at,
+    (SELECT COUNT(*) FROM users u WHERE u.price_list_id = pl.price_list_id)::int AS customer_count,
+    (SELECT COUNT(*) FROM price_tiers t WHERE t.price_list_id = pl.price_list_id)::int AS tier_count`;
+
+// Columns selected by every price tier query (FROM price_tiers t)
+const PRICE_TIER_COLUMNS = `t.price_tier_id, t.product_id, p.product_name, t.variant_id, ${VARIANT_NAME_SQL} AS variant_name,
+    t.price_list_id, pl.name AS price_list_name, t.min_quantity, t.unit_price, t.created_at`;
+
+const PRICE_TIER_JOINS = `JOIN products p ON p.product_id = t.product_id
+    LEFT JOIN product_variants v ON v.variant_id = t.variant_id
+    LEFT JOIN price_lists pl ON pl.price_list_id = t.price_list_id`;
+
+/**
+ * PriceListsRepository - Database operations for price lists, their price tiers and customer assignment
+ * Tiers are resolved for carts and new sale items by utils/pricing.resolveLinePrices.
+ * Methods:
+ * - create(data) : create a price list
+ * - findAll() : list price lists (by name) with customer and tier counts
+ * - findById(id) : get a price list by id
+ * - update(id, data) : update a price list
+ * - delete(id) : remove a price list and its tiers (its customers go back to retail prices)
+ * - findTiersByProduct(product_id) : a product's tiers, public ones first, then by variant
+ * - findTiersByPriceList(price_list_id) : a price list's tiers by product
+ * - saveTier(data) : add a tier, or replace the price of the same variant and quantity step
+ * - deleteTier(id) : remove a tier
+ * - assignToCustomer(user_id, price_list_id) : set (or clear) a customer's price list
+ */
+export class PriceListsRepository {
+    /** Create a price list and return the created entity */
+    async create({ name, description, is_active }) {
+        try {
+            const { rows } = await pool.query(
+                `INSERT INTO price_lists (name, description, is_active) VALUES ($1, $2, $3) RETURNING price_list_id;`,
+                [name, description, is_active]
+            );
+            return await this.findById(rows[0].price_list_id);
+        } catch (error) {
+            throw new Error(`Failed to create price list: ${error.message}`);
+        }
+    }
+
+    /** List all price lists */
+    async findAll() {
+        try {
+            const { rows } = await pool.query(`SELECT ${PRICE_LIST_COLUMNS} FROM price_lists pl ORDER BY pl.name;`);
+            return rows.map(r => new PriceLists(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve price lists: ${error.message}`);
+        }
+    }
+
+    /** Find a price list by its ID, or return null */
+    async findById(price_list_id) {
+        try {
+            const { rows } = await pool.query(`SELECT ${PRICE_LIST_COLUMNS} FROM price_lists pl WHERE pl.price_list_id = $1;`, [price_list_id]);
+            return rows[0] ? new PriceLists(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find price list by ID: ${error.message}`);
+        }
+    }
+
+    /** Update a price list by ID and return the updated entity or null */
+    async update(price_list_id, { name, description, is_active }) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE price_lists SET name = $1, description = $2, is_active = $3 WHERE price_list_id = $4;`,
+                [name, description, is_active, price_list_id]
+            );
+            return rowCount > 0 ? await this.findById(price_list_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update price list: ${error.message}`);
+        }
+    }
+
+    /** Delete a price list by ID; returns true when deleted */
+    async delete(price_list_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM price_lists WHERE price_list_id = $1;`, [price_list_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete price list: ${error.message}`);
+        }
+    }
+
+    /** List a product's tiers: public volume tiers first, then by price list, variant and quantity */
+    async findTiersByProduct(product_id) {
+        try {
+            const sql = `
+                SELECT ${PRICE_TIER_COLUMNS}
+                FROM price_tiers t
+                ${PRICE_TIER_JOINS}
+                WHERE t.product_id = $1
+                ORDER BY pl.name NULLS FIRST, v.weight_grams NULLS FIRST, v.grind, t.min_quantity;
+            `;
+            const { rows } = await pool.query(sql, [product_id]);
+            return rows.map(r => new PriceTiers(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve price tiers: ${error.message}`);
+        }
+    }
+
+    /** List a price list's tiers by product name, variant and quantity */
+    async findTiersByPriceList(price_list_id) {
+        try {
+            const sql = `
+                SELECT ${PRICE_TIER_COLUMNS}
+                FROM price_tiers t
+                ${PRICE_TIER_JOINS}
+                WHERE t.price_list_id = $1
+                ORDER BY p.product_name, v.weight_grams NULLS FIRST, v.grind, t.min_quantity;
+            `;
+            const { rows } = await pool.query(sql, [price_list_id]);
+            return rows.map(r => new PriceTiers(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve price tiers: ${error.message}`);
+        }
+    }
+
+    /** Add a tier; a tier for the same product, variant, list and min_quantity gets the new price instead */
+    async saveTier({ product_id, variant_id, price_list_id, min_quantity, unit_price }) {
+        try {
+            const { rows } = await pool.query(
+                `INSERT INTO price_tiers (product_id, variant_id, price_list_id, min_quantity, unit_price)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (product_id, COALESCE(variant_id, 0), COALESCE(price_list_id, 0), min_quantity)
+                 DO UPDATE SET unit_price = EXCLUDED.unit_price
+                 RETURNING price_tier_id;`,
+                [product_id, variant_id, price_list_id, min_quantity, unit_price]
+            );
+            const tier = await pool.query(
+                `SELECT ${PRICE_TIER_COLUMNS} FROM price_tiers t ${PRICE_TIER_JOINS} WHERE t.price_tier_id = $1;`,
+                [rows[0].price_tier_id]
+            );
+            return new PriceTiers(tier.rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to save price tier: ${error.message}`);
+        }
+    }
+
+    /** Delete a tier by ID; returns true when deleted */
+    async deleteTier(price_tier_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM price_tiers WHERE price_tier_id = $1;`, [price_tier_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete price tier: ${error.message}`);
+        }
+    }
+
+    /** Set a customer's price list (null for retail prices); returns false if there is no customer with that ID */
+    async assignToCustomer(user_id, price_list_id) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE users SET price_list_id = $1 WHERE user_id = $2 AND role = 'customer';`,
+                [price_list_id, user_id]
+            );
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to assign price list: ${error.message}`);
+        }
+    }
+}
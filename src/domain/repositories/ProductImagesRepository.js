@@ -0,0 +1,76 @@
+import { pool } from "../../config/db.js";
+import { ProductImages } from "../entities/ProductImages.js";
+
+// Columns selected by every image query
+const IMAGE_COLUMNS = `image_id, product_id, storage_key, alt_text, width, height, sort_order, is_primary,
+    TO_CHAR(created_at, 'DD/MM/YYYY') AS created_at`;
+
+/**
+ * ProductImagesRepository - Database operations for product photos
+ * Adding, reordering, promoting and deleting images change several rows at once and run in
+ * ProductImagesServices transactions; the files themselves live in the image storage.
+ * Methods:
+ * - findByProduct(product_id) : a product's images in gallery order
+ * - findPrimaryByProducts(product_ids) : the primary image of each of several products
+ * - findById(id) : get an image by id
+ * - updateAltText(id, alt_text) : change an image's alt text
+ */
+export class ProductImagesRepository {
+    /** List a product's images by sort order */
+    async findByProduct(product_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${IMAGE_COLUMNS}
+                 FROM product_images
+                 WHERE product_id = $1
+                 ORDER BY sort_order, image_id;`,
+                [product_id]
+            );
+            return rows.map(r => new ProductImages(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve product images: ${error.message}`);
+        }
+    }
+
+    /** The primary image of each product that has images (its first image if none is marked) */
+    async findPrimaryByProducts(product_ids) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT DISTINCT ON (product_id) ${IMAGE_COLUMNS}
+                 FROM product_images
+                 WHERE product_id = ANY($1::int[])
+                 ORDER BY product_id, is_primary DESC, sort_order, image_id;`,
+                [product_ids]
+            );
+            return rows.map(r => new ProductImages(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve product images: ${error.message}`);
+        }
+    }
+
+    /** Find an image by its ID, or return null */
+    async findById(image_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${IMAGE_COLUMNS} FROM product_images WHERE image_id = $1;`,
+                [image_id]
+            );
+            return rows[0] ? new ProductImages(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find product image by ID: ${error.message}`);
+        }
+    }
+
+    /** Update an image's alt text; returns the updated entity or null */
+    async updateAltText(image_id, alt_text) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE product_images SET alt_text = $1 WHERE image_id = $2;`,
+                [alt_text, image_id]
+            );
+            return rowCount > 0 ? await this.findById(image_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update product image: ${error.message}`);
+        }
+    }
+}
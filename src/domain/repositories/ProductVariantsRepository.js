@@ -0,0 +1,127 @@
+import { pool } from "../../config/db.js";
+import { ProductVariants } from "../entities/ProductVariants.js";
+
+// Display name of a variant row aliased `v`, e.g. "250g, whole bean" or "1kg, ground"
+export const VARIANT_NAME_SQL = `CASE WHEN v.weight_grams % 1000 = 0 THEN (v.weight_grams / 1000) || 'kg' ELSE v.weight_grams || 'g' END
+    || ', ' || v.grind`;
+
+// Columns selected by every variant query (FROM product_variants v JOIN products p)
+const VARIANT_COLUMNS = `v.variant_id, v.product_id, p.product_name, ${VARIANT_NAME_SQL} AS variant_name,
+    v.weight_grams, v.grind, v.unit_price, v.quantity_in_stock, v.is_active,
+    (SELECT COALESCE(SUM(si.backordered_quantity), 0)::int
+     FROM sale_items si JOIN sales s ON s.sale_id = si.sale_id
+     WHERE si.variant_id = v.variant_id AND s.status <> 'cancelled') AS backordered_quantity,
+    TO_CHAR(v.last_updated, 'DD/MM/YYYY') AS last_updated`;
+
+/**
+ * ProductVariantsRepository - Database operations for the bag sizes and grinds a product is sold in
+ * Stock changes made by orders go through utils/stock.js; update() here does not touch quantity_in_stock.
+ * Methods:
+ * - create(data) : add a variant to a product
+ * - findByProduct(product_id) : a product's variants by size and grind
+ * - findActiveByProducts(product_ids) : active variants of several products (for pickers)
+ * - findById(id) : get a variant by id
+ * - update(id, data) : change a variant's size, grind, price or active flag
+ * - isSold(id) : whether any sale item references the variant
+ * - delete(id) : remove a variant
+ */
+export class ProductVariantsRepository {
+    /** Create a variant and return the created entity */
+    async create({ product_id, weight_grams, grind, unit_price, quantity_in_stock, is_active }) {
+        try {
+            const { rows } = await pool.query(
+                `INSERT INTO product_variants (product_id, weight_grams, grind, unit_price, quantity_in_stock, is_active)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING variant_id;`,
+                [product_id, weight_grams, grind, unit_price, quantity_in_stock, is_active]
+            );
+            return await this.findById(rows[0].variant_id);
+        } catch (error) {
+            throw new Error(`Failed to create product variant: ${error.message}`);
+        }
+    }
+
+    /** List a product's variants by weight, then grind */
+    async findByProduct(product_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${VARIANT_COLUMNS}
+                 FROM product_variants v JOIN products p ON p.product_id = v.product_id
+                 WHERE v.product_id = $1
+                 ORDER BY v.weight_grams, v.grind;`,
+                [product_id]
+            );
+            return rows.map(r => new ProductVariants(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve product variants: ${error.message}`);
+        }
+    }
+
+    /** List the active variants of several products, by product, weight and grind */
+    async findActiveByProducts(product_ids) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${VARIANT_COLUMNS}
+                 FROM product_variants v JOIN products p ON p.product_id = v.product_id
+                 WHERE v.product_id = ANY($1::int[]) AND v.is_active
+                 ORDER BY v.product_id, v.weight_grams, v.grind;`,
+                [product_ids]
+            );
+            return rows.map(r => new ProductVariants(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve product variants: ${error.message}`);
+        }
+    }
+
+    /** Find a variant by its ID, or return null */
+    async findById(variant_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${VARIANT_COLUMNS}
+                 FROM product_variants v JOIN products p ON p.product_id = v.product_id
+                 WHERE v.variant_id = $1;`,
+                [variant_id]
+            );
+            return rows[0] ? new ProductVariants(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find product variant by ID: ${error.message}`);
+        }
+    }
+
+    /** Update a variant's size, grind, price and active flag; returns the updated entity or null */
+    async update(variant_id, { weight_grams, grind, unit_price, is_active }) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE product_variants
+                 SET weight_grams = $1, grind = $2, unit_price = $3, is_active = $4, last_updated = NOW()
+                 WHERE variant_id = $5;`,
+                [weight_grams, grind, unit_price, is_active, variant_id]
+            );
+            return rowCount > 0 ? await this.findById(variant_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update product variant: ${error.message}`);
+        }
+    }
+
+    /** Whether any sale item (of any order, cancelled included) references the variant */
+    async isSold(variant_id) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT EXISTS (SELECT 1 FROM sale_items WHERE variant_id = $1) AS sold;`,
+                [variant_id]
+            );
+            return rows[0].sold;
+        } catch (error) {
+            throw new Error(`Failed to check product variant sales: ${error.message}`);
+        }
+    }
+
+    /** Delete a variant by ID; returns true when deleted */
+    async delete(variant_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM product_variants WHERE variant_id = $1;`, [variant_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete product variant: ${error.message}`);
+        }
+    }
+}
@@ -1,25 +1,56 @@
 import { pool } from "../../config/db.js";
 import { Products } from "../entities/Products.js";
 
+// Columns selected for a product (FROM products, unaliased), with its category's path and expected_available_date as YYYY-MM-DD
+export const PRODUCT_COLUMNS = `product_id, product_name, slug, description, unit_price, category_id,
+    (SELECT cp.id_path FROM category_paths cp WHERE cp.category_id = products.category_id) AS category_ids,
+    (SELECT cp.name_path FROM category_paths cp WHERE cp.category_id = products.category_id) AS category_path,
+    status, backorder_policy,
+    TO_CHAR(expected_available_date, 'YYYY-MM-DD') as expected_available_date,
+    origin_country, origin_region, farm, varietal, process, altitude_masl, roast_level, tasting_notes, brew_methods`;
+
+// Columns written by create and update, in parameter order
+const WRITABLE_COLUMNS = ['product_name', 'slug', 'description', 'unit_price', 'category_id', 'status', 'backorder_policy', 'expected_available_date',
+    'origin_country', 'origin_region', 'farm', 'varietal', 'process', 'altitude_masl', 'roast_level', 'tasting_notes', 'brew_methods'];
+
+// Free-text coffee details matched by a search query, alongside name and description
+const SEARCH_TEXT = `CONCAT_WS(' ', product_name, description, origin_country, origin_region, farm, varietal,
+    array_to_string(tasting_notes, ' '))`;
+
+// Parameter placeholders for WRITABLE_COLUMNS ($1, $2, ...)
+const WRITABLE_PARAMS = WRITABLE_COLUMNS.map((column, index) => `$${index + 1}${column === 'expected_available_date' ? '::date' : ''}`);
+
+/** Values for WRITABLE_COLUMNS from product data, with the defaults for columns left out */
+function writableValues(data) {
+    const defaults = { backorder_policy: 'none', tasting_notes: [], brew_methods: [] };
+    return WRITABLE_COLUMNS.map(column => data[column] ?? defaults[column] ?? null);
+}
+
 /**
  * ProductsRepository - Database operations for Products
  * Methods:
  * - create(data): Creates a new product record
  * - findAll(): Gets all products
+ * - search(params): Finds products by text, price, category, status and coffee details
+ * - findOrigins(): Lists the origin countries of available products
  * - findById(id): Finds a product by ID
+ * - findBySlug(slug): Finds a product by its URL slug
+ * - slugExists(slug, exceptId): Whether another product uses a slug
+ * - findRelated(product, limit): Available products sharing its category, origin, roast or tasting notes
  * - update(id, data): Updates product record
- * - delete(id): Removes a product
+ * - findImageKeys(id): Lists the storage keys of a product's images
+ * - delete(id): Removes a product (its image rows go with it)
  */
 export class ProductsRepository {
     /** Create a product record and return the created entity */
-    async create({ product_name, description, unit_price, product_type, status }) {
+    async create(data) {
         try {
             const sql = `
-                INSERT INTO products (product_name, description, unit_price, product_type, status)
-                VALUES ($1, $2, $3, $4, $5)
-                RETURNING *;
+                INSERT INTO products (${WRITABLE_COLUMNS.join(', ')})
+                VALUES (${WRITABLE_PARAMS.join(', ')})
+                RETURNING ${PRODUCT_COLUMNS};
             `;
-            const { rows } = await pool.query(sql, [product_name, description, unit_price, product_type, status]);
+            const { rows } = await pool.query(sql, writableValues(data));
             return new Products(rows[0]);
         } catch (error) {
             throw new Error(`Failed to create product: ${error.message}`);
@@ -29,7 +60,7 @@ export class ProductsRepository {
     /** Retrieve all product records */
     async findAll() {
         try {
-            const sql = `SELECT * FROM products ORDER BY product_id DESC;`;
+            const sql = `SELECT ${PRODUCT_COLUMNS} FROM products ORDER BY product_id DESC;`;
             const { rows } = await pool.query(sql);
             return rows.map(r => new Products(r));
         } catch (error) {
@@ -40,21 +71,27 @@ export class ProductsRepository {
     /**
      * Search products with optional filters.
      * @param {Object} params
-     * @param {string} [params.query] - Matches product_name/description (ILIKE)
+     * @param {string} [params.query] - Matches name, description, origin, farm, varietal or tasting notes (ILIKE)
      * @param {number} [params.maxPrice]
      * @param {number} [params.minPrice]
-     * @param {string} [params.productType]
+     * @param {string} [params.productType] - Category name (any case); products in its subcategories match too
+     * @param {number} [params.categoryId] - Category ID; products in its subcategories match too
      * @param {string} [params.status]
-     * @param {number} [params.limit=10]
+     * @param {string} [params.origin] - Matches origin country or region (ILIKE)
+     * @param {string} [params.process] - Exact process, e.g. 'washed'
+     * @param {string} [params.roastLevel] - Exact roast level, e.g. 'medium-light'
+     * @param {string} [params.tastingNote] - Matches any tasting note (ILIKE)
+     * @param {string} [params.brewMethod] - Exact recommended brew method, e.g. 'espresso'
+     * @param {number|null} [params.limit=10] - 1-25; null returns every match (the catalog)
      */
-    async search({ query, maxPrice, minPrice, productType, status, limit = 10 } = {}) {
+    async search({ query, maxPrice, minPrice, productType, categoryId, status, origin, process, roastLevel, tastingNote, brewMethod, limit = 10 } = {}) {
         try {
             const where = [];
             const values = [];
 
             if (query && String(query).trim()) {
                 values.push(`%${String(query).trim()}%`);
-                where.push(`(product_name ILIKE $${values.length} OR description ILIKE $${values.length})`);
+                where.push(`${SEARCH_TEXT} ILIKE $${values.length}`);
             }
 
             if (maxPrice != null && maxPrice !== '' && !Number.isNaN(Number(maxPrice))) {
@@ -69,7 +106,14 @@ export class ProductsRepository {
 
             if (productType && String(productType).trim()) {
                 values.push(String(productType).trim());
-                where.push(`product_type = $${values.length}`);
+                where.push(`EXISTS (SELECT 1 FROM category_paths cp, unnest(cp.name_path) AS name
+                    WHERE cp.category_id = products.category_id AND LOWER(name) = LOWER($${values.length}))`);
+            }
+
+            if (categoryId != null && categoryId !== '' && Number.isInteger(Number(categoryId))) {
+                values.push(Number(categoryId));
+                where.push(`EXISTS (SELECT 1 FROM category_paths cp
+                    WHERE cp.category_id = products.category_id AND $${values.length} = ANY(cp.id_path))`);
             }
 
             if (status && String(status).trim()) {
@@ -77,15 +121,43 @@ export class ProductsRepository {
                 where.push(`status = $${values.length}`);
             }
 
-            const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 25);
-            values.push(safeLimit);
+            if (origin && String(origin).trim()) {
+                values.push(`%${String(origin).trim()}%`);
+                where.push(`(origin_country ILIKE $${values.length} OR origin_region ILIKE $${values.length})`);
+            }
+
+            if (process && String(process).trim()) {
+                values.push(String(process).trim().toLowerCase());
+                where.push(`process = $${values.length}`);
+            }
+
+            if (roastLevel && String(roastLevel).trim()) {
+                values.push(String(roastLevel).trim().toLowerCase());
+                where.push(`roast_level = $${values.length}`);
+            }
+
+            if (tastingNote && String(tastingNote).trim()) {
+                values.push(`%${String(tastingNote).trim()}%`);
+                where.push(`EXISTS (SELECT 1 FROM unnest(tasting_notes) AS note WHERE note ILIKE $${values.length})`);
+            }
+
+            if (brewMethod && String(brewMethod).trim()) {
+                values.push(String(brewMethod).trim().toLowerCase());
+                where.push(`$${values.length} = ANY(brew_methods)`);
+            }
+
+            let limitClause = '';
+            if (limit !== null) {
+                values.push(Math.min(Math.max(parseInt(limit, 10) || 10, 1), 25));
+                limitClause = `LIMIT $${values.length}`;
+            }
 
             const sql = `
-                SELECT * 
+                SELECT ${PRODUCT_COLUMNS}
                 FROM products
                 ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
                 ORDER BY product_id DESC
-                LIMIT $${values.length};
+                ${limitClause};
             `;
 
             const { rows } = await pool.query(sql, values);
@@ -95,10 +167,24 @@ export class ProductsRepository {
         }
     }
 
+    /** Distinct origin countries of available products, alphabetically */
+    async findOrigins() {
+        try {
+            const { rows } = await pool.query(
+                `SELECT DISTINCT origin_country FROM products
+                 WHERE status = 'available' AND origin_country IS NOT NULL
+                 ORDER BY origin_country;`
+            );
+            return rows.map(r => r.origin_country);
+        } catch (error) {
+            throw new Error(`Failed to retrieve product origins: ${error.message}`);
+        }
+    }
+
     /** Find a product by its ID, or return null */
     async findById(product_id) {
         try {
-            const sql = `SELECT * FROM products WHERE product_id = $1;`;
+            const sql = `SELECT ${PRODUCT_COLUMNS} FROM products WHERE product_id = $1;`;
             const { rows } = await pool.query(sql, [product_id]);
             return rows[0] ? new Products(rows[0]) : null;
         } catch (error) {
@@ -106,22 +192,81 @@ export class ProductsRepository {
         }
     }
 
+    /** Find a product by its slug, or return null */
+    async findBySlug(slug) {
+        try {
+            const { rows } = await pool.query(`SELECT ${PRODUCT_COLUMNS} FROM products WHERE slug = $1;`, [slug]);
+            return rows[0] ? new Products(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find product by slug: ${error.message}`);
+        }
+    }
+
+    /** Whether a product other than except_product_id (null: any product) has the slug */
+    async slugExists(slug, except_product_id = null) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT EXISTS (SELECT 1 FROM products WHERE slug = $1 AND product_id IS DISTINCT FROM $2::int) AS taken;`,
+                [slug, except_product_id]
+            );
+            return rows[0].taken;
+        } catch (error) {
+            throw new Error(`Failed to check product slug: ${error.message}`);
+        }
+    }
+
+    /**
+     * Available products like the given one, most alike first: the same category counts most, then the
+     * same origin country, then the same roast level and each shared tasting note
+     */
+    async findRelated({ product_id, category_id, origin_country, roast_level, tasting_notes }, limit = 4) {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${PRODUCT_COLUMNS}
+                 FROM products
+                 CROSS JOIN LATERAL (
+                     SELECT CASE WHEN products.category_id = $2 THEN 3 ELSE 0 END
+                         + CASE WHEN products.origin_country = $3 THEN 2 ELSE 0 END
+                         + CASE WHEN products.roast_level = $4 THEN 1 ELSE 0 END
+                         + (SELECT COUNT(*) FROM unnest(products.tasting_notes) AS note WHERE note = ANY($5::text[]))::int AS score
+                 ) AS likeness
+                 WHERE products.product_id <> $1 AND products.status = 'available' AND likeness.score > 0
+                 ORDER BY likeness.score DESC, products.product_id DESC
+                 LIMIT $6;`,
+                [product_id, category_id, origin_country, roast_level, tasting_notes || [], limit]
+            );
+            return rows.map(r => new Products(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve related products: ${error.message}`);
+        }
+    }
+
     /** Update a product by ID and return the updated entity or null */
-    async update(product_id, { product_name, description, unit_price, product_type, status }) {
+    async update(product_id, data) {
         try {
             const sql = `
                 UPDATE products
-                SET product_name=$1, description=$2, unit_price=$3, product_type=$4, status=$5
-                WHERE product_id=$6
-                RETURNING *;
+                SET ${WRITABLE_COLUMNS.map((column, index) => `${column}=${WRITABLE_PARAMS[index]}`).join(', ')}
+                WHERE product_id=$${WRITABLE_COLUMNS.length + 1}
+                RETURNING ${PRODUCT_COLUMNS};
             `;
-            const { rows } = await pool.query(sql, [product_name, description, unit_price, product_type, status, product_id]);
+            const { rows } = await pool.query(sql, [...writableValues(data), product_id]);
             return rows[0] ? new Products(rows[0]) : null;
         } catch (error) {
             throw new Error(`Failed to update product: ${error.message}`);
         }
     }
 
+    /** Storage keys of a product's images, whose files outlive the rows deleted with the product */
+    async findImageKeys(product_id) {
+        try {
+            const { rows } = await pool.query(`SELECT storage_key FROM product_images WHERE product_id = $1;`, [product_id]);
+            return rows.map(r => r.storage_key);
+        } catch (error) {
+            throw new Error(`Failed to retrieve product images: ${error.message}`);
+        }
+    }
+
     /** Delete a product by ID; returns true when deleted */
     async delete(product_id) {
         try {
@@ -0,0 +1,90 @@
+import { pool } from "../../config/db.js";
+import { PromoCodes } from "../entities/PromoCodes.js";
+
+// Columns selected by every promo code query (window formatted for datetime-local inputs, category paths for display)
+const PROMO_CODE_COLUMNS = `pc.promo_code_id, pc.code, pc.description, pc.discount_type, pc.discount_value, pc.min_order_value,
+    TO_CHAR(pc.starts_at, 'YYYY-MM-DD"T"HH24:MI') as starts_at, TO_CHAR(pc.ends_at, 'YYYY-MM-DD"T"HH24:MI') as ends_at,
+    pc.max_uses, pc.max_uses_per_customer, pc.category_ids, pc.is_active, pc.created_at,
+    ARRAY(SELECT ARRAY_TO_STRING(cp.name_path, ' › ') FROM category_paths cp
+          WHERE cp.category_id = ANY(pc.category_ids) ORDER BY cp.name_path) AS category_names,
+    (SELECT COUNT(*) FROM promo_code_redemptions r JOIN sales s ON s.sale_id = r.sale_id
+     WHERE r.promo_code_id = pc.promo_code_id AND s.status <> 'cancelled')::int AS times_used`;
+
+/**
+ * PromoCodesRepository - Database operations for promo codes
+ * Redemptions are written inside sale transactions by PromoCodesServices.redeem.
+ * Methods:
+ * - create(data) : create a promo code
+ * - findAll() : list promo codes (newest first) with their usage count
+ * - findById(id) : get a promo code by id
+ * - update(id, data) : update a promo code
+ * - delete(id) : remove a promo code
+ */
+export class PromoCodesRepository {
+    /** Create a promo code and return the created entity */
+    async create({ code, description, discount_type, discount_value, min_order_value, starts_at, ends_at, max_uses, max_uses_per_customer, category_ids, is_active }) {
+        try {
+            const sql = `
+                INSERT INTO promo_codes (code, description, discount_type, discount_value, min_order_value, starts_at, ends_at,
+                                         max_uses, max_uses_per_customer, category_ids, is_active)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING promo_code_id;
+            `;
+            const { rows } = await pool.query(sql, [code, description, discount_type, discount_value, min_order_value, starts_at, ends_at,
+                max_uses, max_uses_per_customer, category_ids, is_active]);
+            return await this.findById(rows[0].promo_code_id);
+        } catch (error) {
+            throw new Error(`Failed to create promo code: ${error.message}`);
+        }
+    }
+
+    /** List all promo codes */
+    async findAll() {
+        try {
+            const sql = `SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc ORDER BY pc.promo_code_id DESC;`;
+            const { rows } = await pool.query(sql);
+            return rows.map(r => new PromoCodes(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve promo codes: ${error.message}`);
+        }
+    }
+
+    /** Find a promo code by its ID, or return null */
+    async findById(promo_code_id) {
+        try {
+            const sql = `SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc WHERE pc.promo_code_id = $1;`;
+            const { rows } = await pool.query(sql, [promo_code_id]);
+            return rows[0] ? new PromoCodes(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find promo code by ID: ${error.message}`);
+        }
+    }
+
+    /** Update a promo code by ID and return the updated entity or null */
+    async update(promo_code_id, { code, description, discount_type, discount_value, min_order_value, starts_at, ends_at, max_uses, max_uses_per_customer, category_ids, is_active }) {
+        try {
+            const sql = `
+                UPDATE promo_codes
+                SET code=$1, description=$2, discount_type=$3, discount_value=$4, min_order_value=$5, starts_at=$6, ends_at=$7,
+                    max_uses=$8, max_uses_per_customer=$9, category_ids=$10, is_active=$11
+                WHERE promo_code_id=$12
+                RETURNING promo_code_id;
+            `;
+            const { rows } = await pool.query(sql, [code, description, discount_type, discount_value, min_order_value, starts_at, ends_at,
+                max_uses, max_uses_per_customer, category_ids, is_active, promo_code_id]);
+            return rows[0] ? await this.findById(promo_code_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update promo code: ${error.message}`);
+        }
+    }
+
+    /** Delete a promo code by ID; returns true when deleted */
+    async delete(promo_code_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM promo_codes WHERE promo_code_id=$1;`, [promo_code_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete promo code: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,36 @@
+import { pool } from "../../config/db.js";
+
+/**
+ * ReturnsRepository - Database operations for returns (refunds against sale items)
+ * Returns are only created inside a transaction by ReturnsServices; this repository reads them.
+ * Methods:
+ * - findBySaleId(sale_id) : list returns for a sale, joined with the returned item's product_id
+ */
+export class ReturnsRepository {
+    /** List the returns recorded against a sale (oldest first) */
+    async findBySaleId(sale_id) {
+        try {
+            const sql = `
+                SELECT 
+                    r.return_id,
+                    r.sale_id,
+                    r.sale_item_id,
+                    si.product_id,
+                    r.quantity,
+                    r.refund_amount,
+                    r.restocked,
+                    r.reason,
+                    r.created_by,
+                    TO_CHAR(r.created_at, 'DD/MM/YYYY HH24:MI') as created_at
+                FROM returns r
+                INNER JOIN sale_items si ON r.sale_item_id = si.sale_item_id
+                WHERE r.sale_id = $1
+                ORDER BY r.return_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [sale_id]);
+            return rows;
+        } catch (error) {
+            throw new Error(`Failed to find returns by sale ID: ${error.message}`);
+        }
+    }
+}
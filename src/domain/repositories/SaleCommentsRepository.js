@@ -0,0 +1,52 @@
+import { pool } from "../../config/db.js";
+import { SaleComments } from "../entities/SaleComments.js";
+
+// Columns selected by comment queries, with the author's name (created_at formatted as DD/MM/YYYY HH24:MI)
+const SALE_COMMENT_COLUMNS = `c.sale_comment_id, c.sale_id, c.user_id, c.body,
+    NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') as author_name,
+    TO_CHAR(c.created_at, 'DD/MM/YYYY HH24:MI') as created_at`;
+
+/**
+ * SaleCommentsRepository - Database operations for internal comments on sales
+ * Methods:
+ * - create(sale_id, user_id, body) : add a comment and return it with its author
+ * - findBySaleId(sale_id) : list a sale's comments (oldest first)
+ */
+export class SaleCommentsRepository {
+    /** Add a comment to a sale */
+    async create(sale_id, user_id, body) {
+        try {
+            const sql = `
+                WITH inserted AS (
+                    INSERT INTO sale_comments (sale_id, user_id, body)
+                    VALUES ($1, $2, $3)
+                    RETURNING *
+                )
+                SELECT ${SALE_COMMENT_COLUMNS}
+                FROM inserted c
+                LEFT JOIN users u ON c.user_id = u.user_id;
+            `;
+            const { rows } = await pool.query(sql, [sale_id, user_id, body]);
+            return new SaleComments(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to create sale comment: ${error.message}`);
+        }
+    }
+
+    /** List the comments on a sale (oldest first) */
+    async findBySaleId(sale_id) {
+        try {
+            const sql = `
+                SELECT ${SALE_COMMENT_COLUMNS}
+                FROM sale_comments c
+                LEFT JOIN users u ON c.user_id = u.user_id
+                WHERE c.sale_id = $1
+                ORDER BY c.sale_comment_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [sale_id]);
+            return rows.map(r => new SaleComments(r));
+        } catch (error) {
+            throw new Error(`Failed to find sale comments: ${error.message}`);
+        }
+    }
+}
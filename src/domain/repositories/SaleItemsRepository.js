@@ -1,5 +1,6 @@
 import { pool } from "../../config/db.js";
 import { SaleItems } from "../entities/SaleItems.js";
+import { VARIANT_NAME_SQL } from "./ProductVariantsRepository.js";
 
 /**
  * SaleItemsRepository - Database operations for sale items
@@ -19,7 +20,7 @@ export class SaleItemsRepository {
             const sql = `
                 INSERT INTO sale_items (sale_id, product_id, quantity, price_at_sale)
                 VALUES ($1, $2, $3, $4)
-                RETURNING sale_item_id, sale_id, product_id, quantity, price_at_sale;
+                RETURNING sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity;
             `;
             const { rows } = await pool.query(sql, [sale_id, product_id, quantity, price_at_sale]);
             return new SaleItems(rows[0]);
@@ -31,7 +32,7 @@ export class SaleItemsRepository {
     /** Retrieve all sale items */
     async findAll() {
         try {
-            const sql = `SELECT sale_item_id, sale_id, product_id, quantity, price_at_sale FROM sale_items ORDER BY sale_item_id DESC;`;
+            const sql = `SELECT sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity FROM sale_items ORDER BY sale_item_id DESC;`;
             const { rows } = await pool.query(sql);
             return rows.map(r => new SaleItems(r));
         } catch (error) {
@@ -42,7 +43,7 @@ export class SaleItemsRepository {
     /** Find a sale item by ID, or return null */
     async findById(sale_item_id) {
         try {
-            const sql = `SELECT sale_item_id, sale_id, product_id, quantity, price_at_sale FROM sale_items WHERE sale_item_id = $1;`;
+            const sql = `SELECT sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity FROM sale_items WHERE sale_item_id = $1;`;
             const { rows } = await pool.query(sql, [sale_item_id]);
             return rows[0] ? new SaleItems(rows[0]) : null;
         } catch (error) {
@@ -50,10 +51,17 @@ export class SaleItemsRepository {
         }
     }
 
-    /** Find sale items by sale_id and return array */
+    /** Find sale items by sale_id (with the name of the variant sold) and return array */
     async findBySaleId(sale_id) {
         try {
-            const sql = `SELECT sale_item_id, sale_id, product_id, quantity, price_at_sale FROM sale_items WHERE sale_id = $1 ORDER BY sale_item_id DESC;`;
+            const sql = `
+                SELECT si.sale_item_id, si.sale_id, si.product_id, si.variant_id, si.quantity, si.price_at_sale, si.list_price, si.price_tier,
+                    si.tax_rate, si.tax_amount, si.backordered_quantity, ${VARIANT_NAME_SQL} AS variant_name
+                FROM sale_items si
+                LEFT JOIN product_variants v ON v.variant_id = si.variant_id
+                WHERE si.sale_id = $1
+                ORDER BY si.sale_item_id DESC;
+            `;
             const { rows } = await pool.query(sql, [sale_id]);
             return rows.map(r => new SaleItems(r));
         } catch (error) {
@@ -68,7 +76,7 @@ export class SaleItemsRepository {
                 UPDATE sale_items
                 SET quantity = COALESCE($1, quantity), price_at_sale = COALESCE($2, price_at_sale)
                 WHERE sale_item_id = $3
-                RETURNING sale_item_id, sale_id, product_id, quantity, price_at_sale;
+                RETURNING sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity;
             `;
             const { rows } = await pool.query(sql, [quantity, price_at_sale, sale_item_id]);
             return rows[0] ? new SaleItems(rows[0]) : null;
@@ -95,17 +103,25 @@ export class SaleItemsRepository {
                     si.sale_item_id,
                     si.sale_id,
                     si.product_id,
+                    si.variant_id,
                     si.quantity,
                     si.price_at_sale,
+                    si.list_price,
+                    si.price_tier,
+                    si.tax_rate,
+                    si.tax_amount,
+                    si.backordered_quantity,
                     s.user_id,
                     TO_CHAR(s.sale_date, 'DD/MM/YYYY') as sale_date,
                     u.first_name,
                     u.last_name,
-                    p.product_name
+                    p.product_name,
+                    ${VARIANT_NAME_SQL} AS variant_name
                 FROM sale_items si
                 INNER JOIN sales s ON si.sale_id = s.sale_id
                 INNER JOIN users u ON s.user_id = u.user_id
                 INNER JOIN products p ON si.product_id = p.product_id
+                LEFT JOIN product_variants v ON v.variant_id = si.variant_id
                 WHERE si.sale_item_id = $1;
             `;
             const { rows } = await pool.query(sql, [sale_item_id]);
@@ -1,16 +1,24 @@
 import { pool } from "../../config/db.js";
 import { Sales } from "../entities/Sales.js";
+import { PRICES_INCLUDE_TAX } from "../../config/tax.js";
+import { CURRENT_EXCHANGE_RATE_SQL } from "./ExchangeRatesRepository.js";
+
+// Columns selected/returned by every sales query (sale_date formatted as DD/MM/YYYY, fulfillment_date as YYYY-MM-DD)
+export const SALE_COLUMNS = `sale_id, user_id, subtotal, discount_percentage, discount_amount, promo_code_id, tax_amount, prices_include_tax,
+    total_amount, refunded_amount, exchange_rate, paid_amount, status, fulfillment_type, TO_CHAR(fulfillment_date, 'YYYY-MM-DD') as fulfillment_date,
+    time_slot_id, delivery_zone_id, delivery_address, delivery_fee, customer_notes, loyalty_points_redeemed, loyalty_discount, void_reason, voided_by, TO_CHAR(voided_at, 'DD/MM/YYYY HH24:MI') as voided_at,
+    TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date`;
 
 /**
  * SalesRepository - Database operations for Sales
  * Methods:
  * - create({ user_id }) : create a new sale record (initial totals zero)
  * - updateTotalAmount(sale_id, total_amount) : set total for a sale
- * - updateWithDiscount(sale_id, subtotal, discount_percentage) : apply discount and update totals
  * - findAll() : list sales
  * - findById(id) : get a sale by id
  * - findBetweenDates(first, second) : list sales between two dates (DD/MM/YYYY)
  * - findByCustomer(user_id) : list sales for a user
+ * - findStatusHistory(sale_id) : list status transitions for a sale (oldest first)
  * - delete(id) : remove a sale
  */
 export class SalesRepository {
@@ -19,11 +27,11 @@ export class SalesRepository {
     async create({ user_id }) {
         try {
             const sql = `
-                INSERT INTO sales (user_id, subtotal, discount_percentage, discount_amount, total_amount)
-                VALUES ($1, 0, 0, 0, 0)
-                RETURNING sale_id, user_id, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date, subtotal, discount_percentage, discount_amount, total_amount;
+                INSERT INTO sales (user_id, subtotal, discount_percentage, discount_amount, total_amount, prices_include_tax, exchange_rate)
+                VALUES ($1, 0, 0, 0, 0, $2, ${CURRENT_EXCHANGE_RATE_SQL})
+                RETURNING ${SALE_COLUMNS};
             `;
-            const { rows } = await pool.query(sql, [user_id]);
+            const { rows } = await pool.query(sql, [user_id, PRICES_INCLUDE_TAX]);
             return new Sales(rows[0]);
         } catch (error) {
             throw new Error(`Failed to create sale: ${error.message}`);
@@ -37,7 +45,7 @@ export class SalesRepository {
                 UPDATE sales
                 SET total_amount = $1
                 WHERE sale_id = $2
-                RETURNING sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date;
+                RETURNING ${SALE_COLUMNS};
             `;
             const { rows } = await pool.query(sql, [total_amount, sale_id]);
             return rows[0] ? new Sales(rows[0]) : null;
@@ -46,29 +54,10 @@ export class SalesRepository {
         }
     }
     
-    /** Update sale totals applying a discount percentage and return updated entity or null */
-    async updateWithDiscount(sale_id, subtotal, discount_percentage) {
-        try {
-            const discount_amount = (subtotal * discount_percentage) / 100;
-            const total_amount = subtotal - discount_amount;
-            
-            const sql = `
-                UPDATE sales
-                SET subtotal = $1, discount_percentage = $2, discount_amount = $3, total_amount = $4
-                WHERE sale_id = $5
-                RETURNING sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount,TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date;
-            `;
-            const { rows } = await pool.query(sql, [subtotal, discount_percentage, discount_amount, total_amount, sale_id]);
-            return rows[0] ? new Sales(rows[0]) : null;
-        } catch (error) {
-            throw new Error(`Failed to update sale with discount: ${error.message}`);
-        }
-    }
-
     /** List all sales */
     async findAll() {
         try {
-            const sql = `SELECT sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount,TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date FROM sales ORDER BY sale_id DESC;`;
+            const sql = `SELECT ${SALE_COLUMNS} FROM sales ORDER BY sale_id DESC;`;
             const { rows } = await pool.query(sql);
             return rows.map(r => new Sales(r));
         } catch (error) {
@@ -79,7 +68,7 @@ export class SalesRepository {
     /** Find a sale by ID, or return null */
     async findById(sale_id) {
         try {
-            const sql = `SELECT sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date FROM sales WHERE sale_id = $1;`;
+            const sql = `SELECT ${SALE_COLUMNS} FROM sales WHERE sale_id = $1;`;
             const { rows } = await pool.query(sql, [sale_id]);
             return rows[0] ? new Sales(rows[0]) : null;
         } catch (error) {
@@ -90,14 +79,7 @@ export class SalesRepository {
     async findBetweenDates(startDate, endDate) {
         try {
             const sql = `
-                SELECT 
-                    sale_id, 
-                    user_id, 
-                    subtotal, 
-                    discount_percentage, 
-                    discount_amount, 
-                    total_amount,
-                    TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date
+                SELECT ${SALE_COLUMNS}
                 FROM sales 
                 WHERE sale_date::date BETWEEN TO_DATE($1, 'DD/MM/YYYY') AND TO_DATE($2, 'DD/MM/YYYY')
                 ORDER BY sale_date DESC;
@@ -111,17 +93,42 @@ export class SalesRepository {
     /** Find sales by customer user_id */
     async findByCustomer(user_id) {
         try {
-            const sql = `SELECT sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date FROM sales WHERE user_id = $1 ORDER BY sale_id DESC;`;
+            const sql = `SELECT ${SALE_COLUMNS} FROM sales WHERE user_id = $1 ORDER BY sale_id DESC;`;
             const { rows } = await pool.query(sql, [user_id]);
             return rows.map(r => new Sales(r));
         } catch (error) {
             throw new Error(`Failed to find sales by customer: ${error.message}`);
         }
     }
-//get the total amount of all sales
+    /** List status transitions for a sale (oldest first), with the name of who made each change */
+    async findStatusHistory(sale_id) {
+        try {
+            const sql = `
+                SELECT 
+                    h.history_id,
+                    h.sale_id,
+                    h.from_status,
+                    h.to_status,
+                    h.changed_by,
+                    h.note,
+                    TO_CHAR(h.changed_at, 'DD/MM/YYYY HH24:MI') as changed_at,
+                    u.first_name,
+                    u.last_name
+                FROM sale_status_history h
+                LEFT JOIN users u ON h.changed_by = u.user_id
+                WHERE h.sale_id = $1
+                ORDER BY h.changed_at ASC, h.history_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [sale_id]);
+            return rows;
+        } catch (error) {
+            throw new Error(`Failed to find sale status history: ${error.message}`);
+        }
+    }
+//get the total amount of all sales, net of refunds (voided/cancelled sales bring in no revenue)
     async getTotal(){
         try {
-            const sql = `SELECT SUM(total_amount) as total FROM sales`
+            const sql = `SELECT SUM(total_amount - refunded_amount) as total FROM sales WHERE status <> 'cancelled'`
             const {rows}=await pool.query(sql);
             return rows[0].total || 0;
         } catch (error) {
@@ -0,0 +1,256 @@
+import { pool } from "../../config/db.js";
+import { Subscriptions } from "../entities/Subscriptions.js";
+import { SubscriptionItems } from "../entities/SubscriptionItems.js";
+import { SubscriptionRuns } from "../entities/SubscriptionRuns.js";
+import { VARIANT_NAME_SQL } from "./ProductVariantsRepository.js";
+
+// Columns selected/returned by subscription queries (dates formatted as YYYY-MM-DD / DD/MM/YYYY)
+export const SUBSCRIPTION_COLUMNS = `s.subscription_id, s.user_id, s.frequency, s.status, s.out_of_stock_action,
+    TO_CHAR(s.next_run_date, 'YYYY-MM-DD') as next_run_date,
+    TO_CHAR(s.created_at, 'DD/MM/YYYY') as created_at, TO_CHAR(s.cancelled_at, 'DD/MM/YYYY') as cancelled_at,
+    NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') as customer_name`;
+
+const SUBSCRIPTION_RUN_COLUMNS = `subscription_run_id, subscription_id, TO_CHAR(run_date, 'YYYY-MM-DD') as run_date, status, sale_id, note,
+    TO_CHAR(created_at, 'DD/MM/YYYY HH24:MI') as created_at`;
+
+/**
+ * SubscriptionsRepository - Database operations for subscriptions, their items and their runs
+ * Subscriptions are created (with their items) inside a transaction by SubscriptionsServices.
+ * Methods:
+ * - findAll() : list all subscriptions with the customer's name
+ * - findByUser(user_id) : list a customer's subscriptions
+ * - findById(id) : get a subscription
+ * - findItems(subscription_ids) : list the items of several subscriptions
+ * - findRuns(subscription_ids, limit) : list the latest runs of several subscriptions
+ * - findDueIds(today) : IDs of active subscriptions due on or before a date
+ * - updateStatus(id, status) : change a subscription's status
+ * - setNextRunDate(id, next_run_date) : move a subscription's next delivery
+ * - findProductStock(product_ids) : product name, price, type, status, backorder policy and stock
+ * - findVariantStock(variant_ids) : the same for variants, with each variant's own price and stock
+ * - findSubstitute(product_id, quantity, exclude_ids) : an in-stock product of the same type (without variants)
+ * - claimRun(subscription_id, run_date, status, note) : record a due date once, or return null if already recorded
+ * - completeRun(id, { status, sale_id, note }) : record a run's outcome
+ * - today() : the database's current date (YYYY-MM-DD)
+ */
+export class SubscriptionsRepository {
+    /** List all subscriptions, next delivery first */
+    async findAll() {
+        try {
+            const sql = `
+                SELECT ${SUBSCRIPTION_COLUMNS}
+                FROM subscriptions s LEFT JOIN users u ON u.user_id = s.user_id
+                ORDER BY s.status = 'cancelled', s.next_run_date ASC, s.subscription_id ASC;
+            `;
+            const { rows } = await pool.query(sql);
+            return rows.map(r => new Subscriptions(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve subscriptions: ${error.message}`);
+        }
+    }
+
+    /** List a customer's subscriptions, newest first */
+    async findByUser(user_id) {
+        try {
+            const sql = `
+                SELECT ${SUBSCRIPTION_COLUMNS}
+                FROM subscriptions s LEFT JOIN users u ON u.user_id = s.user_id
+                WHERE s.user_id = $1
+                ORDER BY s.subscription_id DESC;
+            `;
+            const { rows } = await pool.query(sql, [user_id]);
+            return rows.map(r => new Subscriptions(r));
+        } catch (error) {
+            throw new Error(`Failed to find subscriptions by user: ${error.message}`);
+        }
+    }
+
+    /** Find a subscription by ID, or return null */
+    async findById(id) {
+        try {
+            const sql = `
+                SELECT ${SUBSCRIPTION_COLUMNS}
+                FROM subscriptions s LEFT JOIN users u ON u.user_id = s.user_id
+                WHERE s.subscription_id = $1;
+            `;
+            const { rows } = await pool.query(sql, [id]);
+            return rows[0] ? new Subscriptions(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find subscription: ${error.message}`);
+        }
+    }
+
+    /** List the items of several subscriptions with current product names and prices */
+    async findItems(subscription_ids) {
+        try {
+            const sql = `
+                SELECT si.subscription_item_id, si.subscription_id, si.product_id, si.variant_id, si.quantity, p.product_name,
+                       ${VARIANT_NAME_SQL} AS variant_name,
+                       COALESCE(v.unit_price, p.unit_price) AS unit_price
+                FROM subscription_items si JOIN products p ON p.product_id = si.product_id
+                LEFT JOIN product_variants v ON v.variant_id = si.variant_id
+                WHERE si.subscription_id = ANY($1::int[])
+                ORDER BY si.subscription_item_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [subscription_ids]);
+            return rows.map(r => new SubscriptionItems(r));
+        } catch (error) {
+            throw new Error(`Failed to find subscription items: ${error.message}`);
+        }
+    }
+
+    /** List the latest runs (newest first) of several subscriptions, at most `limit` per subscription */
+    async findRuns(subscription_ids, limit = 5) {
+        try {
+            const sql = `
+                SELECT ${SUBSCRIPTION_RUN_COLUMNS} FROM (
+                    SELECT *, ROW_NUMBER() OVER (PARTITION BY subscription_id ORDER BY run_date DESC) AS rn
+                    FROM subscription_runs WHERE subscription_id = ANY($1::int[])
+                ) runs
+                WHERE rn <= $2
+                ORDER BY run_date DESC, subscription_run_id DESC;
+            `;
+            const { rows } = await pool.query(sql, [subscription_ids, limit]);
+            return rows.map(r => new SubscriptionRuns(r));
+        } catch (error) {
+            throw new Error(`Failed to find subscription runs: ${error.message}`);
+        }
+    }
+
+    /** IDs of active subscriptions whose next delivery is on or before `today` (YYYY-MM-DD) */
+    async findDueIds(today) {
+        try {
+            const sql = `
+                SELECT subscription_id FROM subscriptions
+                WHERE status = 'active' AND next_run_date <= $1::date
+                ORDER BY next_run_date ASC, subscription_id ASC;
+            `;
+            const { rows } = await pool.query(sql, [today]);
+            return rows.map(r => r.subscription_id);
+        } catch (error) {
+            throw new Error(`Failed to find due subscriptions: ${error.message}`);
+        }
+    }
+
+    /** Change a subscription's status (cancelling records cancelled_at); returns the updated entity or null */
+    async updateStatus(id, status) {
+        try {
+            const { rowCount } = await pool.query(
+                `UPDATE subscriptions
+                 SET status = $1::varchar, cancelled_at = CASE WHEN $1::varchar = 'cancelled' THEN CURRENT_TIMESTAMP ELSE NULL END
+                 WHERE subscription_id = $2;`,
+                [status, id]
+            );
+            return rowCount > 0 ? this.findById(id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update subscription status: ${error.message}`);
+        }
+    }
+
+    /** Move a subscription's next delivery date (YYYY-MM-DD) */
+    async setNextRunDate(id, next_run_date) {
+        try {
+            await pool.query(`UPDATE subscriptions SET next_run_date = $1::date WHERE subscription_id = $2;`, [next_run_date, id]);
+        } catch (error) {
+            throw new Error(`Failed to update next delivery date: ${error.message}`);
+        }
+    }
+
+    /** Map product IDs to { product_name, unit_price, category_id, status, quantity_in_stock } */
+    async findProductStock(product_ids) {
+        try {
+            const sql = `
+                SELECT p.product_id, p.product_name, p.unit_price, p.category_id, p.status, p.backorder_policy,
+                       COALESCE(i.quantity_in_stock, 0) AS quantity_in_stock,
+                       EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id) AS has_variants
+                FROM products p LEFT JOIN inventory i ON i.product_id = p.product_id
+                WHERE p.product_id = ANY($1::int[]);
+            `;
+            const { rows } = await pool.query(sql, [product_ids]);
+            return Object.fromEntries(rows.map(r => [r.product_id, r]));
+        } catch (error) {
+            throw new Error(`Failed to find product stock: ${error.message}`);
+        }
+    }
+
+    /** Variants keyed by variant_id with their product's status and backorder policy; an inactive variant is 'not available' */
+    async findVariantStock(variant_ids) {
+        try {
+            const sql = `
+                SELECT v.variant_id, v.product_id, p.product_name, ${VARIANT_NAME_SQL} AS variant_name, v.unit_price,
+                       p.category_id, CASE WHEN v.is_active THEN p.status ELSE 'not available' END AS status,
+                       p.backorder_policy, v.quantity_in_stock
+                FROM product_variants v JOIN products p ON p.product_id = v.product_id
+                WHERE v.variant_id = ANY($1::int[]);
+            `;
+            const { rows } = await pool.query(sql, [variant_ids]);
+            return Object.fromEntries(rows.map(r => [r.variant_id, r]));
+        } catch (error) {
+            throw new Error(`Failed to find variant stock: ${error.message}`);
+        }
+    }
+
+    /**
+     * An available product of the same category with enough stock, closest in price; null if there is none.
+     * Products sold in variants are never picked, since the customer did not choose a size or grind.
+     */
+    async findSubstitute(product_id, quantity, exclude_ids = []) {
+        try {
+            const sql = `
+                SELECT p.product_id, p.product_name
+                FROM products original
+                JOIN products p ON p.category_id = original.category_id AND p.product_id <> original.product_id
+                JOIN inventory i ON i.product_id = p.product_id
+                WHERE original.product_id = $1 AND p.status = 'available' AND i.quantity_in_stock >= $2
+                  AND NOT (p.product_id = ANY($3::int[]))
+                  AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id)
+                ORDER BY ABS(p.unit_price - original.unit_price) ASC, p.product_id ASC
+                LIMIT 1;
+            `;
+            const { rows } = await pool.query(sql, [product_id, quantity, exclude_ids]);
+            return rows[0] || null;
+        } catch (error) {
+            throw new Error(`Failed to find substitute product: ${error.message}`);
+        }
+    }
+
+    /** Record a subscription's due date; returns null when that date was already recorded */
+    async claimRun(subscription_id, run_date, status = 'pending', note = null) {
+        try {
+            const sql = `
+                INSERT INTO subscription_runs (subscription_id, run_date, status, note)
+                VALUES ($1, $2::date, $3, $4)
+                ON CONFLICT (subscription_id, run_date) DO NOTHING
+                RETURNING ${SUBSCRIPTION_RUN_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [subscription_id, run_date, status, note]);
+            return rows[0] ? new SubscriptionRuns(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to record subscription run: ${error.message}`);
+        }
+    }
+
+    /** Record the outcome of a run and return it */
+    async completeRun(id, { status, sale_id = null, note = null }) {
+        try {
+            const sql = `
+                UPDATE subscription_runs SET status = $1, sale_id = $2, note = $3
+                WHERE subscription_run_id = $4
+                RETURNING ${SUBSCRIPTION_RUN_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [status, sale_id, note, id]);
+            return rows[0] ? new SubscriptionRuns(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to update subscription run: ${error.message}`);
+        }
+    }
+
+    /** The database's current date as YYYY-MM-DD */
+    async today() {
+        try {
+            const { rows } = await pool.query(`SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today;`);
+            return rows[0].today;
+        } catch (error) {
+            throw new Error(`Failed to read the current date: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+import { pool } from "../../config/db.js";
+import { TaxRates } from "../entities/TaxRates.js";
+
+// Tax rate columns with the category path (FROM tax_rates t)
+const TAX_RATE_COLUMNS = `t.*, (SELECT cp.name_path FROM category_paths cp WHERE cp.category_id = t.category_id) AS category_path`;
+
+/**
+ * TaxRatesRepository - Database operations for tax rates
+ * Rates are resolved for new sale items by utils/saleTotals.resolveTaxRate.
+ * Methods:
+ * - create(data) : create a tax rate
+ * - findAll() : list tax rates (default rate first, then by category)
+ * - findById(id) : get a tax rate by id
+ * - update(id, data) : update a tax rate
+ * - delete(id) : remove a tax rate
+ */
+export class TaxRatesRepository {
+    /** Create a tax rate and return the created entity */
+    async create({ name, category_id, rate, is_active }) {
+        try {
+            const sql = `
+                INSERT INTO tax_rates (name, category_id, rate, is_active)
+                VALUES ($1, $2, $3, $4)
+                RETURNING tax_rate_id;
+            `;
+            const { rows } = await pool.query(sql, [name, category_id, rate, is_active]);
+            return await this.findById(rows[0].tax_rate_id);
+        } catch (error) {
+            throw new Error(`Failed to create tax rate: ${error.message}`);
+        }
+    }
+
+    /** List all tax rates */
+    async findAll() {
+        try {
+            const sql = `SELECT ${TAX_RATE_COLUMNS} FROM tax_rates t ORDER BY category_path NULLS FIRST, t.tax_rate_id;`;
+            const { rows } = await pool.query(sql);
+            return rows.map(r => new TaxRates(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve tax rates: ${error.message}`);
+        }
+    }
+
+    /** Find a tax rate by its ID, or return null */
+    async findById(tax_rate_id) {
+        try {
+            const { rows } = await pool.query(`SELECT ${TAX_RATE_COLUMNS} FROM tax_rates t WHERE t.tax_rate_id = $1;`, [tax_rate_id]);
+            return rows[0] ? new TaxRates(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find tax rate by ID: ${error.message}`);
+        }
+    }
+
+    /** Update a tax rate by ID and return the updated entity or null */
+    async update(tax_rate_id, { name, category_id, rate, is_active }) {
+        try {
+            const sql = `
+                UPDATE tax_rates
+                SET name=$1, category_id=$2, rate=$3, is_active=$4
+                WHERE tax_rate_id=$5;
+            `;
+            const { rowCount } = await pool.query(sql, [name, category_id, rate, is_active, tax_rate_id]);
+            return rowCount > 0 ? await this.findById(tax_rate_id) : null;
+        } catch (error) {
+            throw new Error(`Failed to update tax rate: ${error.message}`);
+        }
+    }
+
+    /** Delete a tax rate by ID; returns true when deleted */
+    async delete(tax_rate_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM tax_rates WHERE tax_rate_id=$1;`, [tax_rate_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete tax rate: ${error.message}`);
+        }
+    }
+}
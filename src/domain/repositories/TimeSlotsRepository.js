@@ -0,0 +1,123 @@
+import { pool } from "../../config/db.js";
+import { TimeSlots } from "../entities/TimeSlots.js";
+import { SALE_COLUMNS } from "./SalesRepository.js";
+
+// Columns selected/returned by every time slot query (times formatted as HH:MM)
+const TIME_SLOT_COLUMNS = `time_slot_id, fulfillment_type, TO_CHAR(start_time, 'HH24:MI') as start_time,
+    TO_CHAR(end_time, 'HH24:MI') as end_time, capacity, is_active, created_at`;
+
+
+/**
+ * TimeSlotsRepository - Database operations for delivery and pickup time slots
+ * Methods:
+ * - create(data) : create a time slot
+ * - findAll() : list time slots by type and start time
+ * - findById(id) : get a time slot by id
+ * - findForDates(fulfillment_type, from, to) : list active slots of a type for each date in a range, with their bookings
+ * - findOrdersForDate(date) : list the scheduled (non-cancelled) orders on a date with customer and zone
+ * - update(id, data) : update a time slot
+ * - delete(id) : remove a time slot
+ */
+export class TimeSlotsRepository {
+    /** Create a time slot and return the created entity */
+    async create({ fulfillment_type, start_time, end_time, capacity, is_active }) {
+        try {
+            const sql = `
+                INSERT INTO time_slots (fulfillment_type, start_time, end_time, capacity, is_active)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING ${TIME_SLOT_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [fulfillment_type, start_time, end_time, capacity, is_active]);
+            return new TimeSlots(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to create time slot: ${error.message}`);
+        }
+    }
+
+    /** List all time slots */
+    async findAll() {
+        try {
+            const { rows } = await pool.query(`SELECT ${TIME_SLOT_COLUMNS} FROM time_slots ORDER BY fulfillment_type, start_time, time_slot_id;`);
+            return rows.map(r => new TimeSlots(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve time slots: ${error.message}`);
+        }
+    }
+
+    /** Find a time slot by its ID, or return null */
+    async findById(time_slot_id) {
+        try {
+            const { rows } = await pool.query(`SELECT ${TIME_SLOT_COLUMNS} FROM time_slots WHERE time_slot_id = $1;`, [time_slot_id]);
+            return rows[0] ? new TimeSlots(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find time slot by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the active slots of a fulfillment type once per date from `from` to `to` (YYYY-MM-DD), each with
+     * the date and the number of orders booked in it that day (cancelled orders don't count)
+     */
+    async findForDates(fulfillment_type, from, to) {
+        try {
+            const sql = `
+                SELECT ${TIME_SLOT_COLUMNS}, TO_CHAR(d, 'YYYY-MM-DD') as date,
+                    (SELECT COUNT(*)::int FROM sales s
+                     WHERE s.time_slot_id = time_slots.time_slot_id AND s.fulfillment_date = d::date AND s.status <> 'cancelled') as booked
+                FROM generate_series($2::date, $3::date, INTERVAL '1 day') d CROSS JOIN time_slots
+                WHERE is_active AND fulfillment_type = $1
+                ORDER BY d, start_time, time_slot_id;
+            `;
+            const { rows } = await pool.query(sql, [fulfillment_type, from, to]);
+            return rows.map(r => new TimeSlots(r));
+        } catch (error) {
+            throw new Error(`Failed to retrieve time slots for dates: ${error.message}`);
+        }
+    }
+
+    /** List the non-cancelled orders scheduled on a date (YYYY-MM-DD), with customer, zone and item count */
+    async findOrdersForDate(date) {
+        try {
+            const sql = `
+                SELECT ${SALE_COLUMNS},
+                    (SELECT CONCAT_WS(' ', u.first_name, u.last_name) FROM users u WHERE u.user_id = sales.user_id) as customer_name,
+                    (SELECT u.phone_number FROM users u WHERE u.user_id = sales.user_id) as customer_phone,
+                    (SELECT z.name FROM delivery_zones z WHERE z.delivery_zone_id = sales.delivery_zone_id) as zone_name,
+                    (SELECT COALESCE(SUM(si.quantity), 0)::int FROM sale_items si WHERE si.sale_id = sales.sale_id) as item_count
+                FROM sales
+                WHERE fulfillment_date = $1::date AND fulfillment_type IS NOT NULL AND status <> 'cancelled'
+                ORDER BY sale_id;
+            `;
+            const { rows } = await pool.query(sql, [date]);
+            return rows;
+        } catch (error) {
+            throw new Error(`Failed to retrieve orders for date: ${error.message}`);
+        }
+    }
+
+    /** Update a time slot by ID and return the updated entity or null */
+    async update(time_slot_id, { fulfillment_type, start_time, end_time, capacity, is_active }) {
+        try {
+            const sql = `
+                UPDATE time_slots
+                SET fulfillment_type=$1, start_time=$2, end_time=$3, capacity=$4, is_active=$5
+                WHERE time_slot_id=$6
+                RETURNING ${TIME_SLOT_COLUMNS};
+            `;
+            const { rows } = await pool.query(sql, [fulfillment_type, start_time, end_time, capacity, is_active, time_slot_id]);
+            return rows[0] ? new TimeSlots(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to update time slot: ${error.message}`);
+        }
+    }
+
+    /** Delete a time slot by ID; returns true when deleted (orders in it keep their date but lose the slot) */
+    async delete(time_slot_id) {
+        try {
+            const { rowCount } = await pool.query(`DELETE FROM time_slots WHERE time_slot_id=$1;`, [time_slot_id]);
+            return rowCount > 0;
+        } catch (error) {
+            throw new Error(`Failed to delete time slot: ${error.message}`);
+        }
+    }
+}
@@ -43,7 +43,7 @@ export class UsersRepository {
     /** Retrieve all users */
     async findAll(){
         try {
-            const sql = `SELECT user_id,first_name,last_name,email,phone_number,password,role
+            const sql = `SELECT user_id,first_name,last_name,email,phone_number,password,role,price_list_id
             FROM users ORDER BY user_id DESC;`
             const {rows} = await pool.query(sql);
 
@@ -58,7 +58,7 @@ export class UsersRepository {
     /** Find a user by ID, or return null */
     async findById(user_id){
         try {
-            const sql = `SELECT user_id,first_name,last_name,email,phone_number,password,role
+            const sql = `SELECT user_id,first_name,last_name,email,phone_number,password,role,price_list_id
             FROM users 
             WHERE user_id = $1;`;
 
@@ -0,0 +1,31 @@
+/**
+ * Subscription scheduler - periodically creates the sales for subscriptions that are due.
+ * Each due date is ordered at most once, so overlapping or repeated checks are harmless.
+ * Exports: startSubscriptionScheduler()
+ */
+import { SubscriptionsRepository } from '../domain/repositories/SubscriptionsRepository.js';
+import { SubscriptionsServices } from '../services/SubscriptionsServices.js';
+import { SUBSCRIPTION_CHECK_INTERVAL_MINUTES } from '../config/subscriptions.js';
+
+const subscriptionsService = new SubscriptionsServices(new SubscriptionsRepository());
+
+async function runOnce() {
+  try {
+    const summary = await subscriptionsService.runDueSubscriptions();
+    if (summary.runs.length > 0) {
+      console.log(`Subscriptions ${summary.run_date}: ${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Subscription scheduler error:', error.message);
+  }
+}
+
+/**
+ * Run due subscriptions now and then every SUBSCRIPTION_CHECK_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when the scheduler is turned off
+ */
+export function startSubscriptionScheduler() {
+  if (SUBSCRIPTION_CHECK_INTERVAL_MINUTES === 0) return null;
+  runOnce();
+  return setInterval(runOnce, SUBSCRIPTION_CHECK_INTERVAL_MINUTES * 60 * 1000);
+}
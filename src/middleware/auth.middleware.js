@@ -12,9 +12,9 @@ export const isAuthenticated = (req, res, next) => {
   res.redirect('/login');
 };
 
-// Redirect logged-in users away from login/register
+// Redirect logged-in users away from login/register (guests may log in or register)
 export const isNotAuthenticated = (req, res, next) => {
-  if (!req.session.user) {
+  if (!req.session.user || req.session.user.role === 'guest') {
     return next();
   }
   // Redirect based on role
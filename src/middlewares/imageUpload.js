@@ -0,0 +1,33 @@
+import multer from 'multer';
+import { IMAGE_MAX_UPLOAD_MB, IMAGES_PER_UPLOAD } from '../config/images.js';
+
+// Files are kept in memory: they are resized before anything is written to the image storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_MAX_UPLOAD_MB * 1024 * 1024, files: IMAGES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) return cb(null, true);
+        return cb(new Error(`${file.originalname} is not an image`));
+    }
+}).array('images', IMAGES_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: `Each image must be at most ${IMAGE_MAX_UPLOAD_MB} MB`,
+    LIMIT_FILE_COUNT: `Upload at most ${IMAGES_PER_UPLOAD} images at a time`,
+    LIMIT_UNEXPECTED_FILE: `Upload at most ${IMAGES_PER_UPLOAD} images at a time, in the images field`
+};
+
+/**
+ * productImagesUpload - parses a multipart form with up to IMAGES_PER_UPLOAD files in its `images` field
+ * Sets req.files (possibly empty) and req.body. A rejected upload does not fail the request: its message
+ * is left in req.uploadError for the handler, which decides whether to flash it or answer 400.
+ */
+export function productImagesUpload(req, res, next) {
+    upload(req, res, err => {
+        if (err) {
+            req.uploadError = UPLOAD_ERRORS[err.code] || err.message;
+            req.files = [];
+        }
+        next();
+    });
+}
@@ -0,0 +1,26 @@
+/**
+ * CartRoutes - HTTP routes for the current session's shopping cart (view, add, update, remove, clear, checkout)
+ * Exports: CartRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { CartsRepository } from '../domain/repositories/CartsRepository.js';
+import { CartsServices } from '../services/CartsServices.js';
+import { CartsControllers } from '../controllers/CartsControllers.js';
+import { IdempotencyKeysRepository } from '../domain/repositories/IdempotencyKeysRepository.js';
+import { IdempotencyKeysServices } from '../services/IdempotencyKeysServices.js';
+import { productIdParam, variantIdQuery, addCartItemValidator, updateCartItemValidator, checkoutValidator } from '../validators/CartsValidators.js';
+
+const repo = new CartsRepository();
+const service = new CartsServices(repo);
+const controller = new CartsControllers(service, new IdempotencyKeysServices(new IdempotencyKeysRepository()));
+
+export const CartRoutes = Router();
+
+// The cart is the logged-in user's, or the session's for guests
+CartRoutes.get('/', controller.get);
+CartRoutes.post('/items', addCartItemValidator, controller.addItem);
+CartRoutes.put('/items/:product_id', [...productIdParam, ...updateCartItemValidator], controller.updateItem);
+CartRoutes.delete('/items/:product_id', [...productIdParam, ...variantIdQuery], controller.removeItem);
+CartRoutes.delete('/', controller.clear);
+// Checkout places the cart as a sale (logged-in users only)
+CartRoutes.post('/checkout', checkoutValidator, controller.checkout);
@@ -0,0 +1,23 @@
+/**
+ * CategoriesRoutes - HTTP routes for product category CRUD and the category sales report
+ * Exports: CategoriesRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { CategoriesRepository } from '../domain/repositories/CategoriesRepository.js';
+import { CategoriesServices } from '../services/CategoriesServices.js';
+import { CategoriesControllers } from '../controllers/CategoriesControllers.js';
+import { idParam, upsertCategory, deleteCategory, salesReport } from '../validators/CategoriesValidators.js';
+
+const repo = new CategoriesRepository();
+const service = new CategoriesServices(repo);
+const controller = new CategoriesControllers(service);
+
+export const CategoriesRoutes = Router();
+
+// CRUD routes for categories (API only)
+CategoriesRoutes.get('/', controller.list);
+CategoriesRoutes.get('/sales', salesReport, controller.salesReport);
+CategoriesRoutes.get('/:category_id', idParam, controller.get);
+CategoriesRoutes.post('/', upsertCategory, controller.create);
+CategoriesRoutes.put('/:category_id', [...idParam, ...upsertCategory], controller.update);
+CategoriesRoutes.delete('/:category_id', [...idParam, ...deleteCategory], controller.delete);
@@ -2,6 +2,7 @@ import express from 'express';
 import OpenAI from 'openai';
 import { ProductsServices } from '../services/ProductsServices.js';
 import { ProductsRepository } from '../domain/repositories/ProductsRepository.js';
+import { COFFEE_PROCESSES, ROAST_LEVELS, BREW_METHODS } from '../domain/entities/Products.js';
 import { SalesServices } from '../services/SalesServices.js';
 import { SalesRepository } from '../domain/repositories/SalesRepository.js';
 
@@ -71,11 +72,16 @@ const TOOL_DEFS = [
                 type: "object",
                 additionalProperties: false,
                 properties: {
-                    query: { type: "string", description: "Search text (name/description)" },
+                    query: { type: "string", description: "Search text (name, description, origin, farm, varietal or tasting notes)" },
                     minPrice: { anyOf: [{ type: "number" }, { type: "string" }], description: "Minimum unit price" },
                     maxPrice: { anyOf: [{ type: "number" }, { type: "string" }], description: "Maximum unit price" },
-                    productType: { type: "string", description: "Exact product type" },
+                    productType: { type: "string", description: "Category name, e.g. 'Coffee' or 'Single Origin'; includes its subcategories" },
                     status: { type: "string", description: "Product status, e.g. 'available'" },
+                    origin: { type: "string", description: "Origin country or region, e.g. 'Ethiopia'" },
+                    process: { type: "string", enum: COFFEE_PROCESSES, description: "Coffee process" },
+                    roastLevel: { type: "string", enum: ROAST_LEVELS, description: "Roast level" },
+                    tastingNote: { type: "string", description: "A tasting note, e.g. 'chocolate'" },
+                    brewMethod: { type: "string", enum: BREW_METHODS, description: "Recommended brew method" },
                     limit: { anyOf: [{ type: "number" }, { type: "string" }], description: "Max results (1-25)" },
                 },
             },
@@ -112,6 +118,28 @@ const TOOL_DEFS = [
     },
 ];
 
+// Product fields returned to the model, coffee details included
+function toolProduct(p) {
+    return {
+        product_id: p.product_id,
+        product_name: p.product_name,
+        url: `/products/${p.slug}`,
+        description: p.description,
+        unit_price: p.unit_price,
+        category: p.category_path.join(' › '),
+        status: p.status,
+        origin_country: p.origin_country,
+        origin_region: p.origin_region,
+        farm: p.farm,
+        varietal: p.varietal,
+        process: p.process,
+        altitude_masl: p.altitude_masl,
+        roast_level: p.roast_level,
+        tasting_notes: p.tasting_notes,
+        brew_methods: p.brew_methods,
+    };
+}
+
 async function runTool({ toolName, args, req }) {
     switch (toolName) {
         case "search_products": {
@@ -121,29 +149,18 @@ async function runTool({ toolName, args, req }) {
                 maxPrice: args?.maxPrice != null && args?.maxPrice !== '' ? Number(args.maxPrice) : undefined,
                 productType: args?.productType,
                 status: args?.status,
+                origin: args?.origin,
+                process: args?.process,
+                roastLevel: args?.roastLevel,
+                tastingNote: args?.tastingNote,
+                brewMethod: args?.brewMethod,
                 limit: args?.limit != null && args?.limit !== '' ? Number(args.limit) : undefined,
             });
-            return products.map(p => ({
-                product_id: p.product_id,
-                product_name: p.product_name,
-                description: p.description,
-                unit_price: p.unit_price,
-                product_type: p.product_type,
-                status: p.status,
-            }));
+            return products.map(toolProduct);
         }
         case "get_product_by_id": {
             const product = await productsService.getProductById(Number(args?.product_id));
-            return product
-                ? {
-                    product_id: product.product_id,
-                    product_name: product.product_name,
-                    description: product.description,
-                    unit_price: product.unit_price,
-                    product_type: product.product_type,
-                    status: product.status,
-                }
-                : null;
+            return product ? toolProduct(product) : null;
         }
         case "get_my_recent_orders": {
             const userId = req.session?.user?.user_id;
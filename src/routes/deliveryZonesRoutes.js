@@ -0,0 +1,22 @@
+/**
+ * DeliveryZonesRoutes - HTTP routes for delivery zone CRUD operations
+ * Exports: DeliveryZonesRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { DeliveryZonesRepository } from '../domain/repositories/DeliveryZonesRepository.js';
+import { DeliveryZonesServices } from '../services/DeliveryZonesServices.js';
+import { DeliveryZonesControllers } from '../controllers/DeliveryZonesControllers.js';
+import { idParam, upsertDeliveryZone } from '../validators/DeliveryZonesValidators.js';
+
+const repo = new DeliveryZonesRepository();
+const service = new DeliveryZonesServices(repo);
+const controller = new DeliveryZonesControllers(service);
+
+export const DeliveryZonesRoutes = Router();
+
+// CRUD routes for delivery zones (API only)
+DeliveryZonesRoutes.get('/', controller.list);
+DeliveryZonesRoutes.get('/:delivery_zone_id', idParam, controller.get);
+DeliveryZonesRoutes.post('/', upsertDeliveryZone, controller.create);
+DeliveryZonesRoutes.put('/:delivery_zone_id', [...idParam, ...upsertDeliveryZone], controller.update);
+DeliveryZonesRoutes.delete('/:delivery_zone_id', idParam, controller.delete);
@@ -0,0 +1,21 @@
+/**
+ * ExchangeRatesRoutes - HTTP routes for USD to LBP exchange rates
+ * Exports: ExchangeRatesRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { ExchangeRatesRepository } from '../domain/repositories/ExchangeRatesRepository.js';
+import { ExchangeRatesServices } from '../services/ExchangeRatesServices.js';
+import { ExchangeRatesControllers } from '../controllers/ExchangeRatesControllers.js';
+import { idParam, createExchangeRate } from '../validators/ExchangeRatesValidators.js';
+
+const repo = new ExchangeRatesRepository();
+const service = new ExchangeRatesServices(repo);
+const controller = new ExchangeRatesControllers(service);
+
+export const ExchangeRatesRoutes = Router();
+
+// Exchange rates are added, never edited (API only)
+ExchangeRatesRoutes.get('/', controller.list);
+ExchangeRatesRoutes.get('/current', controller.current);
+ExchangeRatesRoutes.post('/', createExchangeRate, controller.create);
+ExchangeRatesRoutes.delete('/:exchange_rate_id', idParam, controller.delete);
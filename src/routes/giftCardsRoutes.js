@@ -0,0 +1,24 @@
+/**
+ * GiftCardsRoutes - HTTP routes for issuing, looking up and voiding gift cards
+ * Exports: GiftCardsRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { GiftCardsRepository } from '../domain/repositories/GiftCardsRepository.js';
+import { GiftCardsServices } from '../services/GiftCardsServices.js';
+import { GiftCardsControllers } from '../controllers/GiftCardsControllers.js';
+import { idParam, codeParam, issueGiftCard, voidGiftCard } from '../validators/GiftCardsValidators.js';
+import { requireRole } from '../middlewares/auth.js';
+
+const repo = new GiftCardsRepository();
+const service = new GiftCardsServices(repo);
+const controller = new GiftCardsControllers(service);
+
+export const GiftCardsRoutes = Router();
+
+// Gift card routes (API only, admins only); cards are spent through the payments endpoint with method 'gift_card'
+GiftCardsRoutes.use(requireRole('admin'));
+GiftCardsRoutes.get('/', controller.list);
+GiftCardsRoutes.get('/code/:code', codeParam, controller.lookup);
+GiftCardsRoutes.get('/:gift_card_id', idParam, controller.get);
+GiftCardsRoutes.post('/', issueGiftCard, controller.create);
+GiftCardsRoutes.post('/:gift_card_id/void', [...idParam, ...voidGiftCard], controller.void);
@@ -10,6 +10,7 @@ import {
   isAdmin,
   isCustomerOrAdmin 
 } from '../middleware/auth.middleware.js';
+import { productImagesUpload } from '../middlewares/imageUpload.js';
 
 const c = new PagesController();
 export const pagesRouter = Router();
@@ -37,30 +38,112 @@ pagesRouter.get('/products', c.productsCatalog);
 pagesRouter.get('/products/:id', c.productDetails);
 pagesRouter.get('/weather', c.weatherPage);
 
+// Cart (guests keep a cart in their session until they log in)
+pagesRouter.post('/cart/add', isAuthenticated, c.cartAdd);
+pagesRouter.post('/cart/update/:product_id', isAuthenticated, c.cartUpdate);
+pagesRouter.post('/cart/remove/:product_id', isAuthenticated, c.cartRemove);
+pagesRouter.post('/cart/clear', isAuthenticated, c.cartClear);
+
 // ===== CUSTOMER ROUTES =====
 pagesRouter.get('/dashboard', isCustomerOrAdmin, c.customerDashboard);
 pagesRouter.get('/profile', isAuthenticated, c.profile);
+pagesRouter.post('/profile/addresses', isCustomerOrAdmin, c.addressesCreate);
+pagesRouter.post('/profile/addresses/:id/default', isCustomerOrAdmin, c.addressesDefault);
+pagesRouter.post('/profile/addresses/:id/delete', isCustomerOrAdmin, c.addressesDelete);
 
 // Sales (customer can create and view own)
 pagesRouter.get('/sales/create', isCustomerOrAdmin, c.salesCreatePage);
 pagesRouter.post('/sales/create', isCustomerOrAdmin, c.salesCreate);
 pagesRouter.get('/sales/my-orders', isCustomerOrAdmin, c.myOrders);
+pagesRouter.post('/sales/:id/reorder', isCustomerOrAdmin, c.reorder);
+pagesRouter.get('/sales/:id/receipt.pdf', isAuthenticated, c.saleReceiptPdf);
 pagesRouter.get('/sales/:id', isAuthenticated, c.saleDetails);
 
+// Subscriptions (customer manages own; admins can manage any)
+pagesRouter.get('/subscriptions', isCustomerOrAdmin, c.subscriptionsMine);
+pagesRouter.post('/subscriptions/create', isCustomerOrAdmin, c.subscriptionsCreate);
+pagesRouter.post('/subscriptions/:id/:action(pause|resume|skip|cancel)', isCustomerOrAdmin, c.subscriptionsAction);
+
 // ===== ADMIN ROUTES =====
 pagesRouter.get('/admin/dashboard', isAdmin, c.adminDashboard);
 
 // Products management
 pagesRouter.get('/admin/products', isAdmin, c.productsListAdmin);
 pagesRouter.get('/admin/products/create', isAdmin, c.productsCreatePage);
-pagesRouter.post('/admin/products/create', isAdmin, c.productsCreate);
+pagesRouter.post('/admin/products/create', isAdmin, productImagesUpload, c.productsCreate);
 pagesRouter.get('/admin/products/edit/:id', isAdmin, c.productsEditPage);
 pagesRouter.post('/admin/products/edit/:id', isAdmin, c.productsEdit);
 pagesRouter.post('/admin/products/delete/:id', isAdmin, c.productsDelete);
+pagesRouter.post('/admin/products/:id/price-tiers', isAdmin, c.priceTiersSave);
+pagesRouter.post('/admin/products/:id/price-tiers/delete/:tier_id', isAdmin, c.priceTiersDelete);
+pagesRouter.post('/admin/products/:id/variants', isAdmin, c.productVariantsCreate);
+pagesRouter.post('/admin/products/:id/variants/edit/:variant_id', isAdmin, c.productVariantsEdit);
+pagesRouter.post('/admin/products/:id/variants/delete/:variant_id', isAdmin, c.productVariantsDelete);
+pagesRouter.post('/admin/products/:id/images', isAdmin, productImagesUpload, c.productImagesUpload);
+pagesRouter.post('/admin/products/:id/images/edit/:image_id', isAdmin, c.productImagesEdit);
+pagesRouter.post('/admin/products/:id/images/primary/:image_id', isAdmin, c.productImagesSetPrimary);
+pagesRouter.post('/admin/products/:id/images/move/:image_id', isAdmin, c.productImagesMove);
+pagesRouter.post('/admin/products/:id/images/delete/:image_id', isAdmin, c.productImagesDelete);
+
+// Categories
+pagesRouter.get('/admin/categories', isAdmin, c.categoriesList);
+pagesRouter.post('/admin/categories/create', isAdmin, c.categoriesCreate);
+pagesRouter.post('/admin/categories/edit/:id', isAdmin, c.categoriesEdit);
+pagesRouter.post('/admin/categories/delete/:id', isAdmin, c.categoriesDelete);
+
+// Price lists
+pagesRouter.get('/admin/price-lists', isAdmin, c.priceListsList);
+pagesRouter.post('/admin/price-lists/create', isAdmin, c.priceListsCreate);
+pagesRouter.post('/admin/price-lists/edit/:id', isAdmin, c.priceListsEdit);
+pagesRouter.post('/admin/price-lists/delete/:id', isAdmin, c.priceListsDelete);
 
 // All sales
 pagesRouter.get('/admin/sales', isAdmin, c.allOrders);
-pagesRouter.post('/admin/sales/:sale_id/discount', isAdmin, c.applyOrderDiscount);
+pagesRouter.post('/admin/sales/:sale_id/promo-code', isAdmin, c.applyOrderPromoCode);
+pagesRouter.post('/admin/sales/:sale_id/status', isAdmin, c.updateOrderStatus);
+pagesRouter.post('/admin/sales/:sale_id/void', isAdmin, c.voidOrder);
+pagesRouter.post('/admin/sales/:sale_id/returns', isAdmin, c.createOrderReturn);
+pagesRouter.post('/admin/sales/:sale_id/payments', isAdmin, c.recordOrderPayment);
+pagesRouter.post('/admin/sales/:sale_id/comments', isAdmin, c.addOrderComment);
+
+// Subscriptions
+pagesRouter.get('/admin/subscriptions', isAdmin, c.subscriptionsAdmin);
+pagesRouter.post('/admin/subscriptions/run', isAdmin, c.subscriptionsRun);
+
+// Promo codes
+pagesRouter.get('/admin/promo-codes', isAdmin, c.promoCodesList);
+pagesRouter.get('/admin/promo-codes/create', isAdmin, c.promoCodesCreatePage);
+pagesRouter.post('/admin/promo-codes/create', isAdmin, c.promoCodesCreate);
+pagesRouter.get('/admin/promo-codes/edit/:id', isAdmin, c.promoCodesEditPage);
+pagesRouter.post('/admin/promo-codes/edit/:id', isAdmin, c.promoCodesEdit);
+pagesRouter.post('/admin/promo-codes/delete/:id', isAdmin, c.promoCodesDelete);
+
+// Gift cards
+pagesRouter.get('/admin/gift-cards', isAdmin, c.giftCardsList);
+pagesRouter.post('/admin/gift-cards/create', isAdmin, c.giftCardsCreate);
+pagesRouter.get('/admin/gift-cards/:id', isAdmin, c.giftCardDetails);
+pagesRouter.post('/admin/gift-cards/:id/void', isAdmin, c.giftCardsVoid);
+
+// Tax rates
+pagesRouter.get('/admin/tax-rates', isAdmin, c.taxRatesList);
+pagesRouter.post('/admin/tax-rates/create', isAdmin, c.taxRatesCreate);
+pagesRouter.post('/admin/tax-rates/edit/:id', isAdmin, c.taxRatesEdit);
+pagesRouter.post('/admin/tax-rates/delete/:id', isAdmin, c.taxRatesDelete);
+
+// Delivery & pickup
+pagesRouter.get('/admin/fulfillment', isAdmin, c.fulfillmentSchedule);
+pagesRouter.get('/admin/delivery-settings', isAdmin, c.deliverySettings);
+pagesRouter.post('/admin/delivery-zones/create', isAdmin, c.deliveryZonesCreate);
+pagesRouter.post('/admin/delivery-zones/edit/:id', isAdmin, c.deliveryZonesEdit);
+pagesRouter.post('/admin/delivery-zones/delete/:id', isAdmin, c.deliveryZonesDelete);
+pagesRouter.post('/admin/time-slots/create', isAdmin, c.timeSlotsCreate);
+pagesRouter.post('/admin/time-slots/edit/:id', isAdmin, c.timeSlotsEdit);
+pagesRouter.post('/admin/time-slots/delete/:id', isAdmin, c.timeSlotsDelete);
+
+// Exchange rates
+pagesRouter.get('/admin/exchange-rates', isAdmin, c.exchangeRatesList);
+pagesRouter.post('/admin/exchange-rates/create', isAdmin, c.exchangeRatesCreate);
+pagesRouter.post('/admin/exchange-rates/delete/:id', isAdmin, c.exchangeRatesDelete);
 
 // Inventory
 pagesRouter.get('/admin/inventory', isAdmin, c.inventoryList);
@@ -68,4 +151,5 @@ pagesRouter.get('/admin/inventory/low-stock', isAdmin, c.inventoryLowStock);
 pagesRouter.post('/admin/inventory/update/:product_id', isAdmin, c.inventoryUpdate);
 
 // Users
-pagesRouter.get('/admin/users', isAdmin, c.usersList);
\ No newline at end of file
+pagesRouter.get('/admin/users', isAdmin, c.usersList);
+pagesRouter.post('/admin/users/:id/price-list', isAdmin, c.usersAssignPriceList);
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * PriceListsRoutes - HTTP routes for price list CRUD operations
+ * Exports: PriceListsRoutes (Express Router)
+ * Product price tiers live under /api/products/:product_id/price-tiers and a customer's
+ * price list under /api/users/:user_id/price-list.
+ */
+import { Router } from 'express';
+import { PriceListsRepository } from '../domain/repositories/PriceListsRepository.js';
+import { PriceListsServices } from '../services/PriceListsServices.js';
+import { PriceListsControllers } from '../controllers/PriceListsControllers.js';
+import { idParam, upsertPriceList } from '../validators/PriceListsValidators.js';
+
+const repo = new PriceListsRepository();
+const service = new PriceListsServices(repo);
+const controller = new PriceListsControllers(service);
+
+export const PriceListsRoutes = Router();
+
+// CRUD routes for price lists (API only)
+PriceListsRoutes.get('/', controller.list);
+PriceListsRoutes.get('/:price_list_id', idParam, controller.get);
+PriceListsRoutes.post('/', upsertPriceList, controller.create);
+PriceListsRoutes.put('/:price_list_id', [...idParam, ...upsertPriceList], controller.update);
+PriceListsRoutes.delete('/:price_list_id', idParam, controller.delete);
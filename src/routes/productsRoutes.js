@@ -7,11 +7,27 @@ import { ProductsController } from '../controllers/ProductsController.js';
 import { ProductsServices } from '../services/ProductsServices.js';
 import { ProductsRepository } from '../domain/repositories/ProductsRepository.js';
 import { idParam, upsertProduct } from '../validators/ProductsValidators.js'; 
+import { PriceListsRepository } from '../domain/repositories/PriceListsRepository.js';
+import { PriceListsServices } from '../services/PriceListsServices.js';
+import { PriceListsControllers } from '../controllers/PriceListsControllers.js';
+import { tierParams, saveTier } from '../validators/PriceListsValidators.js';
+import { ProductVariantsRepository } from '../domain/repositories/ProductVariantsRepository.js';
+import { ProductVariantsServices } from '../services/ProductVariantsServices.js';
+import { ProductVariantsControllers } from '../controllers/ProductVariantsControllers.js';
+import { variantParams, upsertVariant } from '../validators/ProductVariantsValidators.js';
+import { ProductImagesRepository } from '../domain/repositories/ProductImagesRepository.js';
+import { ProductImagesServices } from '../services/ProductImagesServices.js';
+import { ProductImagesControllers } from '../controllers/ProductImagesControllers.js';
+import { imageParams, updateImage, reorderImages } from '../validators/ProductImagesValidators.js';
+import { productImagesUpload } from '../middlewares/imageUpload.js';
 
 // Dependency injection
 const repo = new ProductsRepository();
 const service = new ProductsServices(repo);
 const controller = new ProductsController(service);
+const priceTiersController = new PriceListsControllers(new PriceListsServices(new PriceListsRepository()));
+const variantsController = new ProductVariantsControllers(new ProductVariantsServices(new ProductVariantsRepository()));
+const imagesController = new ProductImagesControllers(new ProductImagesServices(new ProductImagesRepository()));
 
 export const ProductsRoutes = Router();
 
@@ -21,3 +37,21 @@ ProductsRoutes.get('/:product_id', idParam, controller.get);
 ProductsRoutes.post('/', upsertProduct, controller.create);
 ProductsRoutes.put('/:product_id', [idParam, ...upsertProduct], controller.update);
 ProductsRoutes.delete('/:product_id', idParam, controller.delete);
+
+// A product's volume and price list tiers
+ProductsRoutes.get('/:product_id/price-tiers', idParam, priceTiersController.listTiers);
+ProductsRoutes.post('/:product_id/price-tiers', [idParam, ...saveTier], priceTiersController.saveTier);
+ProductsRoutes.delete('/:product_id/price-tiers/:price_tier_id', tierParams, priceTiersController.deleteTier);
+
+// A product's variants (bag size and grind), each with its own price and stock
+ProductsRoutes.get('/:product_id/variants', idParam, variantsController.list);
+ProductsRoutes.post('/:product_id/variants', [idParam, ...upsertVariant], variantsController.create);
+ProductsRoutes.put('/:product_id/variants/:variant_id', [...variantParams, ...upsertVariant], variantsController.update);
+ProductsRoutes.delete('/:product_id/variants/:variant_id', variantParams, variantsController.delete);
+
+// A product's photos: multipart upload (field `images`), gallery order, primary image
+ProductsRoutes.get('/:product_id/images', idParam, imagesController.list);
+ProductsRoutes.post('/:product_id/images', [idParam, productImagesUpload], imagesController.upload);
+ProductsRoutes.put('/:product_id/images/order', [idParam, ...reorderImages], imagesController.reorder);
+ProductsRoutes.put('/:product_id/images/:image_id', [...imageParams, ...updateImage], imagesController.update);
+ProductsRoutes.delete('/:product_id/images/:image_id', imageParams, imagesController.delete);
@@ -0,0 +1,22 @@
+/**
+ * PromoCodesRoutes - HTTP routes for promo code CRUD operations
+ * Exports: PromoCodesRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { PromoCodesRepository } from '../domain/repositories/PromoCodesRepository.js';
+import { PromoCodesServices } from '../services/PromoCodesServices.js';
+import { PromoCodesControllers } from '../controllers/PromoCodesControllers.js';
+import { idParam, upsertPromoCode } from '../validators/PromoCodesValidators.js';
+
+const repo = new PromoCodesRepository();
+const service = new PromoCodesServices(repo);
+const controller = new PromoCodesControllers(service);
+
+export const PromoCodesRoutes = Router();
+
+// CRUD routes for promo codes (API only)
+PromoCodesRoutes.get('/', controller.list);
+PromoCodesRoutes.get('/:promo_code_id', idParam, controller.get);
+PromoCodesRoutes.post('/', upsertPromoCode, controller.create);
+PromoCodesRoutes.put('/:promo_code_id', [...idParam, ...upsertPromoCode], controller.update);
+PromoCodesRoutes.delete('/:promo_code_id', idParam, controller.delete);
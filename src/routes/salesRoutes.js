@@ -1,21 +1,47 @@
 /**
- * SalesRoutes - HTTP routes for sales operations (list, create, update, discount, delete)
+ * SalesRoutes - HTTP routes for sales operations (list, create, update, promo code, status, void/delete, returns, payments, comments, invoice PDF, reorder)
  * Exports: SalesRoutes (Express Router)
  */
 import { Router } from 'express';
 import { SalesRepository } from '../domain/repositories/SalesRepository.js';
 import { SalesServices } from '../services/SalesServices.js';
 import { SalesControllers }  from '../controllers/SalesControllers.js';
+import { ReturnsRepository } from '../domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../services/ReturnsServices.js';
+import { ReturnsControllers } from '../controllers/ReturnsControllers.js';
+import { PaymentsRepository } from '../domain/repositories/PaymentsRepository.js';
+import { PaymentsServices } from '../services/PaymentsServices.js';
+import { PaymentsControllers } from '../controllers/PaymentsControllers.js';
+import { SaleCommentsRepository } from '../domain/repositories/SaleCommentsRepository.js';
+import { SaleCommentsServices } from '../services/SaleCommentsServices.js';
+import { SaleCommentsControllers } from '../controllers/SaleCommentsControllers.js';
+import { InvoicesRepository } from '../domain/repositories/InvoicesRepository.js';
+import { InvoicesServices } from '../services/InvoicesServices.js';
+import { InvoicesControllers } from '../controllers/InvoicesControllers.js';
+import { CartsRepository } from '../domain/repositories/CartsRepository.js';
+import { CartsServices } from '../services/CartsServices.js';
+import { CartsControllers } from '../controllers/CartsControllers.js';
+import { IdempotencyKeysRepository } from '../domain/repositories/IdempotencyKeysRepository.js';
+import { IdempotencyKeysServices } from '../services/IdempotencyKeysServices.js';
 
-import { idParam, userIdParam, upsertSales, applyDiscountValidator , getSaleBetweenDates } from '../validators/SalesValidators.js';
+import { idParam, userIdParam, upsertSales, idempotencyKeyHeader, applyPromoCodeValidator, getSaleBetweenDates, updateStatusValidator, voidSaleValidator } from '../validators/SalesValidators.js';
+import { createReturnValidator } from '../validators/ReturnsValidators.js';
+import { recordPaymentValidator } from '../validators/PaymentsValidators.js';
+import { addCommentValidator } from '../validators/SaleCommentsValidators.js';
+import { requireRole } from '../middlewares/auth.js';
 
 const repo = new SalesRepository();
 const service = new SalesServices(repo);
-const controller = new SalesControllers(service);
+const controller = new SalesControllers(service, new IdempotencyKeysServices(new IdempotencyKeysRepository()));
+const returnsController = new ReturnsControllers(new ReturnsServices(new ReturnsRepository()));
+const paymentsController = new PaymentsControllers(new PaymentsServices(new PaymentsRepository()));
+const commentsController = new SaleCommentsControllers(new SaleCommentsServices(new SaleCommentsRepository()));
+const invoicesController = new InvoicesControllers(new InvoicesServices(new InvoicesRepository()));
+const cartsController = new CartsControllers(new CartsServices(new CartsRepository()));
 
 export const SalesRoutes = Router();
 
-// Routes for sales (list, query by date/customer, create, update, discount, delete)
+// Routes for sales (list, query by date/customer, create, update, promo code, delete)
 SalesRoutes.get('/', controller.list);
 SalesRoutes.get('/count',controller.getCounts);
 SalesRoutes.get('/total',controller.listTotal);
@@ -23,11 +49,26 @@ SalesRoutes.get('/by-date-range', getSaleBetweenDates, controller.getSalesBetwee
 
 // Param-based routes
 SalesRoutes.get('/customer/:user_id', userIdParam, controller.getByCustomer);
+SalesRoutes.get('/:sale_id/status-history', idParam, controller.getStatusHistory);
+SalesRoutes.get('/:sale_id/returns', idParam, returnsController.listBySale);
+SalesRoutes.get('/:sale_id/payments', idParam, paymentsController.listBySale);
+SalesRoutes.get('/:sale_id/comments', idParam, commentsController.listBySale);
+SalesRoutes.get('/:sale_id/invoice.pdf', idParam, invoicesController.download);
 SalesRoutes.get('/:sale_id', idParam, controller.get);
-// Creating a sale
-SalesRoutes.post('/', upsertSales, controller.create);
+// Creating a sale (optional Idempotency-Key header makes retries safe)
+SalesRoutes.post('/', [...idempotencyKeyHeader, ...upsertSales], controller.create);
 // Updates and deletes
 SalesRoutes.put('/:sale_id', [...idParam, upsertSales], controller.update);
-SalesRoutes.put('/:sale_id/discount', [...idParam, ...applyDiscountValidator], controller.applyDiscount);
-SalesRoutes.delete('/:sale_id', idParam, controller.delete);
+SalesRoutes.put('/:sale_id/promo-code', [...idParam, ...applyPromoCodeValidator], controller.applyPromoCode);
+// Moving an order along, voiding it, refunding it and taking payment are staff work: only admins may do them
+SalesRoutes.put('/:sale_id/status', [requireRole('admin'), ...idParam, ...updateStatusValidator], controller.updateStatus);
+SalesRoutes.post('/:sale_id/void', [requireRole('admin'), ...idParam, ...voidSaleValidator], controller.voidSale);
+SalesRoutes.post('/:sale_id/returns', [requireRole('admin'), ...idParam, ...createReturnValidator], returnsController.create);
+SalesRoutes.post('/:sale_id/payments', [requireRole('admin'), ...idParam, ...recordPaymentValidator], paymentsController.create);
+// Staff comments are internal: only admins may add them
+SalesRoutes.post('/:sale_id/comments', [requireRole('admin'), ...idParam, ...addCommentValidator], commentsController.create);
+// Reorder copies the sale's items into the session user's cart
+SalesRoutes.post('/:sale_id/reorder', idParam, cartsController.reorder);
+// DELETE voids the sale (restocking items) and keeps the row for audit, so it is admin-only like void
+SalesRoutes.delete('/:sale_id', [requireRole('admin'), ...idParam], controller.delete);
 
@@ -0,0 +1,33 @@
+/**
+ * SubscriptionsRoutes - HTTP routes for recurring subscriptions (list, create, pause, resume, skip, cancel, run, demand)
+ * Exports: SubscriptionsRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { SubscriptionsRepository } from '../domain/repositories/SubscriptionsRepository.js';
+import { SubscriptionsServices } from '../services/SubscriptionsServices.js';
+import { SubscriptionsControllers } from '../controllers/SubscriptionsControllers.js';
+import {
+    subscriptionIdParam,
+    listSubscriptionsQuery,
+    createSubscriptionValidator,
+    runSubscriptionsValidator,
+    demandQuery
+} from '../validators/SubscriptionsValidators.js';
+
+const repo = new SubscriptionsRepository();
+const service = new SubscriptionsServices(repo);
+const controller = new SubscriptionsControllers(service);
+
+export const SubscriptionsRoutes = Router();
+
+SubscriptionsRoutes.get('/', listSubscriptionsQuery, controller.list);
+// Quantity per product needed for the coming deliveries
+SubscriptionsRoutes.get('/demand', demandQuery, controller.demand);
+// Create the sales for subscriptions that are due (the scheduler does this periodically)
+SubscriptionsRoutes.post('/run', runSubscriptionsValidator, controller.run);
+SubscriptionsRoutes.get('/:id', subscriptionIdParam, controller.get);
+SubscriptionsRoutes.post('/', createSubscriptionValidator, controller.create);
+SubscriptionsRoutes.post('/:id/pause', subscriptionIdParam, controller.pause);
+SubscriptionsRoutes.post('/:id/resume', subscriptionIdParam, controller.resume);
+SubscriptionsRoutes.post('/:id/skip', subscriptionIdParam, controller.skip);
+SubscriptionsRoutes.post('/:id/cancel', subscriptionIdParam, controller.cancel);
@@ -0,0 +1,22 @@
+/**
+ * TaxRatesRoutes - HTTP routes for tax rate CRUD operations
+ * Exports: TaxRatesRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { TaxRatesRepository } from '../domain/repositories/TaxRatesRepository.js';
+import { TaxRatesServices } from '../services/TaxRatesServices.js';
+import { TaxRatesControllers } from '../controllers/TaxRatesControllers.js';
+import { idParam, upsertTaxRate } from '../validators/TaxRatesValidators.js';
+
+const repo = new TaxRatesRepository();
+const service = new TaxRatesServices(repo);
+const controller = new TaxRatesControllers(service);
+
+export const TaxRatesRoutes = Router();
+
+// CRUD routes for tax rates (API only)
+TaxRatesRoutes.get('/', controller.list);
+TaxRatesRoutes.get('/:tax_rate_id', idParam, controller.get);
+TaxRatesRoutes.post('/', upsertTaxRate, controller.create);
+TaxRatesRoutes.put('/:tax_rate_id', [...idParam, ...upsertTaxRate], controller.update);
+TaxRatesRoutes.delete('/:tax_rate_id', idParam, controller.delete);
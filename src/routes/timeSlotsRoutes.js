@@ -0,0 +1,25 @@
+/**
+ * TimeSlotsRoutes - HTTP routes for delivery and pickup time slots (CRUD, availability, daily schedule)
+ * Exports: TimeSlotsRoutes (Express Router)
+ */
+import { Router } from 'express';
+import { TimeSlotsRepository } from '../domain/repositories/TimeSlotsRepository.js';
+import { TimeSlotsServices } from '../services/TimeSlotsServices.js';
+import { TimeSlotsControllers } from '../controllers/TimeSlotsControllers.js';
+import { idParam, upsertTimeSlot, availabilityQuery, scheduleQuery } from '../validators/TimeSlotsValidators.js';
+
+const repo = new TimeSlotsRepository();
+const service = new TimeSlotsServices(repo);
+const controller = new TimeSlotsControllers(service);
+
+export const TimeSlotsRoutes = Router();
+
+TimeSlotsRoutes.get('/', controller.list);
+// Remaining capacity per slot on a date
+TimeSlotsRoutes.get('/availability', availabilityQuery, controller.availability);
+// A day's deliveries and pickups grouped by slot
+TimeSlotsRoutes.get('/schedule', scheduleQuery, controller.schedule);
+TimeSlotsRoutes.get('/:time_slot_id', idParam, controller.get);
+TimeSlotsRoutes.post('/', upsertTimeSlot, controller.create);
+TimeSlotsRoutes.put('/:time_slot_id', [...idParam, ...upsertTimeSlot], controller.update);
+TimeSlotsRoutes.delete('/:time_slot_id', idParam, controller.delete);
@@ -7,8 +7,19 @@ import { Router } from 'express'
 import { UsersRepository } from '../domain/repositories/UsersRepository.js';
 import { UsersServices } from '../services/UsersServices.js';
 import { UsersController } from '../controllers/UsersController.js';
+import { AddressesRepository } from '../domain/repositories/AddressesRepository.js';
+import { AddressesServices } from '../services/AddressesServices.js';
+import { AddressesControllers } from '../controllers/AddressesControllers.js';
+import { LoyaltyAccountsRepository } from '../domain/repositories/LoyaltyAccountsRepository.js';
+import { LoyaltyAccountsServices } from '../services/LoyaltyAccountsServices.js';
+import { LoyaltyAccountsControllers } from '../controllers/LoyaltyAccountsControllers.js';
+import { PriceListsRepository } from '../domain/repositories/PriceListsRepository.js';
+import { PriceListsServices } from '../services/PriceListsServices.js';
+import { PriceListsControllers } from '../controllers/PriceListsControllers.js';
 
 import{idParam, upsertUsers} from '../validators/UsersValidators.js';
+import { addressParams, upsertAddress } from '../validators/AddressesValidators.js';
+import { assignPriceList } from '../validators/PriceListsValidators.js';
 
 
 /**
@@ -17,6 +28,9 @@ import{idParam, upsertUsers} from '../validators/UsersValidators.js';
 const repo = new UsersRepository();
 const service = new UsersServices(repo);
 const controller = new UsersController(service);
+const addressesController = new AddressesControllers(new AddressesServices(new AddressesRepository()));
+const loyaltyController = new LoyaltyAccountsControllers(new LoyaltyAccountsServices(new LoyaltyAccountsRepository()));
+const priceListsController = new PriceListsControllers(new PriceListsServices(new PriceListsRepository()));
 
 export const UsersRoutes = Router();
 
@@ -29,3 +43,16 @@ UsersRoutes.get('/:user_id', idParam, controller.get.bind(controller));
 UsersRoutes.put('/:user_id', [...idParam, upsertUsers], controller.update.bind(controller));
 UsersRoutes.post('/', upsertUsers, controller.create.bind(controller));
 UsersRoutes.delete('/:user_id', idParam, controller.delete.bind(controller));
+
+// A customer's address book
+UsersRoutes.get('/:user_id/addresses', idParam, addressesController.list);
+UsersRoutes.post('/:user_id/addresses', [...idParam, ...upsertAddress], addressesController.create);
+UsersRoutes.put('/:user_id/addresses/:address_id', [...addressParams, ...upsertAddress], addressesController.update);
+UsersRoutes.post('/:user_id/addresses/:address_id/default', addressParams, addressesController.setDefault);
+UsersRoutes.delete('/:user_id/addresses/:address_id', addressParams, addressesController.delete);
+
+// A customer's loyalty points and ledger
+UsersRoutes.get('/:user_id/loyalty', idParam, loyaltyController.get);
+
+// A customer's wholesale price list
+UsersRoutes.put('/:user_id/price-list', [...idParam, ...assignPriceList], priceListsController.assign);
@@ -3,6 +3,7 @@
  * Configures port and starts listening for HTTP requests
  */
 import {app} from './app.js';
+import { startSubscriptionScheduler } from './jobs/subscriptionScheduler.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -13,4 +14,5 @@ app.listen(PORT, () => {
   console.log(`Roastery Management System running on http://localhost:${PORT}`);
   console.log(`API: http://localhost:${PORT}/api/`);
   console.log(`Frontend: http://localhost:${PORT}/`);
+  startSubscriptionScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { AddressesDTO } from '../domain/dto/AddressesDTO.js';
+import { DeliveryZonesRepository } from '../domain/repositories/DeliveryZonesRepository.js';
+import { DeliveryZonesServices } from './DeliveryZonesServices.js';
+import { pool } from '../config/db.js';
+
+/**
+ * AddressesServices - Business logic for customers' address books
+ * Every method is scoped to a customer: an address of another customer is treated as not found.
+ * A customer's first address becomes the default; deleting the default promotes the oldest remaining one.
+ * Methods:
+ * - listAddresses(user_id): Lists a customer's addresses
+ * - getAddress(user_id, id): Gets one of a customer's addresses
+ * - createAddress(user_id, data): Adds an address
+ * - updateAddress(user_id, id, data): Updates an address
+ * - setDefault(user_id, id): Makes an address the default
+ * - deleteAddress(user_id, id): Deletes an address
+ */
+export class AddressesServices {
+    constructor(addressesRepository, deliveryZonesService = new DeliveryZonesServices(new DeliveryZonesRepository())) {
+        this.addressesRepository = addressesRepository;
+        this.deliveryZonesService = deliveryZonesService;
+    }
+
+    /**
+     * Normalize address input: blank optional fields become null and the zone must exist
+     * @private
+     */
+    async _normalize(data) {
+        const text = (value) => (value != null && String(value).trim() ? String(value).trim() : null);
+        const street = text(data.street);
+        const city = text(data.city);
+        if (!street) throw new Error('Street is required');
+        if (!city) throw new Error('City is required');
+
+        const delivery_zone_id = text(data.delivery_zone_id) ? Number(data.delivery_zone_id) : null;
+        if (delivery_zone_id != null && !(await this.deliveryZonesService.getDeliveryZoneById(delivery_zone_id))) {
+            throw new Error('Unknown delivery zone');
+        }
+        return {
+            label: text(data.label),
+            street,
+            city,
+            delivery_zone_id,
+            phone_number: text(data.phone_number),
+            notes: text(data.notes)
+        };
+    }
+
+    /**
+     * Get an address if it belongs to the customer
+     * @private
+     */
+    async _findOwned(user_id, address_id) {
+        if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+        if (!address_id || isNaN(address_id)) throw new Error('Invalid address ID');
+        const address = await this.addressesRepository.findById(address_id);
+        return address && Number(address.user_id) === Number(user_id) ? address : null;
+    }
+
+    /**
+     * List a customer's addresses, default first
+     * @param {number} user_id - Customer user ID
+     * @returns {Promise<AddressesDTO[]>} Array of address DTOs
+     */
+    async listAddresses(user_id) {
+        try {
+            if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+            const addresses = await this.addressesRepository.findByUser(user_id);
+            return addresses.map(a => AddressesDTO.fromEntity(a));
+        } catch (error) {
+            throw new Error(`Failed to list addresses: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get one of a customer's addresses, or null
+     * @param {number} user_id - Customer user ID
+     * @param {number} address_id - Address ID
+     * @returns {Promise<AddressesDTO|null>} Address DTO or null
+     */
+    async getAddress(user_id, address_id) {
+        try {
+            const address = await this._findOwned(user_id, address_id);
+            return address ? AddressesDTO.fromEntity(address) : null;
+        } catch (error) {
+            throw new Error(`Failed to get address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add an address to a customer's address book; it becomes the default if asked or if it is the first one
+     * @param {number} user_id - Customer user ID
+     * @param {Object} data - { label, street, city, delivery_zone_id, phone_number, notes, is_default }
+     * @returns {Promise<AddressesDTO>} Created address DTO
+     */
+    async createAddress(user_id, data) {
+        try {
+            if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+            const existing = await this.addressesRepository.findByUser(user_id);
+            const address = await this.addressesRepository.create(user_id, await this._normalize(data));
+            if (existing.length === 0 || [true, 'true', 'on', '1', 1].includes(data.is_default)) {
+                return await this.setDefault(user_id, address.address_id);
+            }
+            return AddressesDTO.fromEntity(address);
+        } catch (error) {
+            throw new Error(`Failed to create address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update one of a customer's addresses; orders already placed keep their copy of the old address
+     * @param {number} user_id - Customer user ID
+     * @param {number} address_id - Address ID
+     * @param {Object} data - { label, street, city, delivery_zone_id, phone_number, notes }
+     * @returns {Promise<AddressesDTO|null>} Updated address DTO or null if not found
+     */
+    async updateAddress(user_id, address_id, data) {
+        try {
+            if (!(await this._findOwned(user_id, address_id))) return null;
+            const address = await this.addressesRepository.update(address_id, await this._normalize(data));
+            return address ? AddressesDTO.fromEntity(address) : null;
+        } catch (error) {
+            throw new Error(`Failed to update address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make one of a customer's addresses the default, in one transaction so the customer always has one default
+     * @param {number} user_id - Customer user ID
+     * @param {number} address_id - Address ID
+     * @returns {Promise<AddressesDTO|null>} The new default address, or null if not found
+     */
+    async setDefault(user_id, address_id) {
+        if (!(await this._findOwned(user_id, address_id))) return null;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`UPDATE addresses SET is_default = FALSE WHERE user_id = $1 AND is_default`, [user_id]);
+            await client.query(`UPDATE addresses SET is_default = TRUE WHERE address_id = $1`, [address_id]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to set default address: ${error.message}`);
+        } finally {
+            client.release();
+        }
+        return AddressesDTO.fromEntity(await this.addressesRepository.findById(address_id));
+    }
+
+    /**
+     * Delete one of a customer's addresses; if it was the default, the oldest remaining address becomes the default
+     * @param {number} user_id - Customer user ID
+     * @param {number} address_id - Address ID
+     * @returns {Promise<boolean>} True when deleted, false if not found
+     */
+    async deleteAddress(user_id, address_id) {
+        try {
+            const address = await this._findOwned(user_id, address_id);
+            if (!address) return false;
+            await this.addressesRepository.delete(address_id);
+            if (address.is_default) {
+                const [next] = await this.addressesRepository.findByUser(user_id);
+                if (next) await this.setDefault(user_id, next.address_id);
+            }
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete address: ${error.message}`);
+        }
+    }
+}
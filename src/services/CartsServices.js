@@ -0,0 +1,348 @@
+import { CartsDTO } from '../domain/dto/CartsDTO.js';
+import { SalesRepository } from '../domain/repositories/SalesRepository.js';
+import { SaleItemsRepository } from '../domain/repositories/SaleItemsRepository.js';
+import { SalesServices } from './SalesServices.js';
+import { SaleItemsServices } from './SaleItemsServices.js';
+import { resolveLinePrices } from '../utils/pricing.js';
+import { pool } from '../config/db.js';
+
+/**
+ * CartsServices - Business logic for server-side shopping carts
+ * A cart belongs to a logged-in user ({ user_id }) or to a guest session ({ session_id }).
+ * Quantities are checked against inventory when they change; checkout turns the cart into a sale.
+ * A product sold in variants is added per variant (bag size and grind), each with its own price and stock.
+ * Methods:
+ * - getCart(owner): Gets the owner's cart with the owner's current prices (tiers included) and stock
+ * - addItem(owner, product_id, quantity, variant_id): Adds a product (or more of it)
+ * - updateItem(owner, product_id, quantity, variant_id): Changes a line's quantity (0 removes it)
+ * - removeItem(owner, product_id, variant_id): Removes a product
+ * - clearCart(owner): Empties the cart
+ * - checkout(owner, promo_code, fulfillment, customer_notes, redeem_points): Places the cart as a sale and empties it
+ * - reorder(owner, sale_id): Copies a previous order's items into the cart
+ * - mergeGuestCart(session_id, user_id): Moves a guest session's cart into the user's cart
+ */
+export class CartsServices {
+    constructor(
+        cartsRepository,
+        salesService = new SalesServices(new SalesRepository()),
+        saleItemsService = new SaleItemsServices(new SaleItemsRepository())
+    ) {
+        this.cartsRepository = cartsRepository;
+        this.salesService = salesService;
+        this.saleItemsService = saleItemsService;
+    }
+
+    /**
+     * Check that a product (or variant) can be ordered in the given quantity (any quantity if it takes backorders)
+     * @param {number} product_id - Product ID
+     * @param {number} quantity - Total quantity wanted in the cart
+     * @param {number} [inCart=0] - Quantity already in the cart, for the error message
+     * @param {number|null} [variant_id=null] - Variant, required for a product sold in variants
+     */
+    async _checkStock(product_id, quantity, inCart = 0, variant_id = null) {
+        const product = await this.cartsRepository.findProductStock(product_id, variant_id);
+        if (!product) throw new Error(variant_id ? `Variant ${variant_id} of product ${product_id} not found` : `Product ${product_id} not found`);
+        const name = product.variant_name ? `${product.product_name} (${product.variant_name})` : product.product_name;
+        if (product.has_variants && !variant_id) throw new Error(`Choose a bag size and grind for ${name}`);
+        if (product.status !== 'available') throw new Error(`${name} is not available`);
+
+        const stock = parseInt(product.quantity_in_stock, 10) || 0;
+        if (quantity > stock && product.backorder_policy === 'none') {
+            throw new Error(`Only ${stock} ${name} in stock${inCart ? ` (${inCart} already in your cart)` : ''}`);
+        }
+    }
+
+    /**
+     * Parse an optional variant ID from a form or request body: blank means none
+     * @private
+     */
+    _variantId(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const id = Number(value);
+        if (!Number.isInteger(id) || id < 1) throw new Error('Invalid variant ID');
+        return id;
+    }
+
+    _validateQuantity(quantity, { allowZero = false } = {}) {
+        const value = Number(quantity);
+        if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+            throw new Error(`Quantity must be a whole number of at least ${allowZero ? 0 : 1}`);
+        }
+        return value;
+    }
+
+    /**
+     * Get the owner's cart; an owner without a cart gets an empty one (cart_id null).
+     * Lines are priced as checkout would price them: volume tiers and the customer's price list apply.
+     * @param {{user_id: number|null, session_id: string|null}} owner - Cart owner
+     * @returns {Promise<CartsDTO>} Cart with items, item_count, subtotal and stock flags
+     */
+    async getCart(owner) {
+        try {
+            const cart = await this.cartsRepository.findByOwner(owner);
+            if (!cart) return CartsDTO.fromEntity({ user_id: owner.user_id || null });
+            const items = await this.cartsRepository.findItems(cart.cart_id);
+            const prices = await resolveLinePrices(pool, owner.user_id || null, items);
+            return CartsDTO.fromEntity(cart, items.map((item, index) => ({ ...item, ...prices[index] })));
+        } catch (error) {
+            throw new Error(`Failed to get cart: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a product to the owner's cart, or add to its quantity if it is already there
+     * @param {Object} owner - Cart owner
+     * @param {number} product_id - Product ID
+     * @param {number} [quantity=1] - Quantity to add
+     * @param {number|null} [variant_id=null] - Bag size and grind, required for a product sold in variants
+     * @returns {Promise<CartsDTO>} Updated cart
+     * @throws {Error} If the product is unavailable or the cart would hold more than is in stock
+     */
+    async addItem(owner, product_id, quantity = 1, variant_id = null) {
+        try {
+            const value = this._validateQuantity(quantity);
+            const variantId = this._variantId(variant_id);
+            const cart = await this.cartsRepository.findOrCreate(owner);
+            const items = await this.cartsRepository.findItems(cart.cart_id);
+            const inCart = items.find(item => item.product_id === Number(product_id) && item.variant_id === variantId)?.quantity || 0;
+
+            await this._checkStock(product_id, inCart + value, inCart, variantId);
+            await this.cartsRepository.addItem(cart.cart_id, product_id, value, variantId);
+            await this.cartsRepository.touch(cart.cart_id);
+            return this.getCart(owner);
+        } catch (error) {
+            throw new Error(`Failed to add to cart: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the quantity of a product in the owner's cart; 0 removes it
+     * @param {Object} owner - Cart owner
+     * @param {number} product_id - Product ID
+     * @param {number} quantity - New quantity
+     * @param {number|null} [variant_id=null] - The line's variant, if any
+     * @returns {Promise<CartsDTO|null>} Updated cart, or null if the product is not in the cart
+     * @throws {Error} If the product is unavailable or short on stock
+     */
+    async updateItem(owner, product_id, quantity, variant_id = null) {
+        try {
+            const value = this._validateQuantity(quantity, { allowZero: true });
+            const variantId = this._variantId(variant_id);
+            if (value === 0) return this.removeItem(owner, product_id, variantId);
+
+            const cart = await this.cartsRepository.findByOwner(owner);
+            if (!cart) return null;
+            await this._checkStock(product_id, value, 0, variantId);
+            const updated = await this.cartsRepository.setItemQuantity(cart.cart_id, product_id, value, variantId);
+            if (!updated) return null;
+            await this.cartsRepository.touch(cart.cart_id);
+            return this.getCart(owner);
+        } catch (error) {
+            throw new Error(`Failed to update cart: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a product from the owner's cart
+     * @param {Object} owner - Cart owner
+     * @param {number} product_id - Product ID
+     * @param {number|null} [variant_id=null] - The line's variant, if any
+     * @returns {Promise<CartsDTO|null>} Updated cart, or null if the product is not in the cart
+     */
+    async removeItem(owner, product_id, variant_id = null) {
+        try {
+            const variantId = this._variantId(variant_id);
+            const cart = await this.cartsRepository.findByOwner(owner);
+            if (!cart) return null;
+            const removed = await this.cartsRepository.removeItem(cart.cart_id, product_id, variantId);
+            if (!removed) return null;
+            await this.cartsRepository.touch(cart.cart_id);
+            return this.getCart(owner);
+        } catch (error) {
+            throw new Error(`Failed to remove from cart: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove every item from the owner's cart
+     * @param {Object} owner - Cart owner
+     * @returns {Promise<CartsDTO>} The empty cart
+     */
+    async clearCart(owner) {
+        try {
+            const cart = await this.cartsRepository.findByOwner(owner);
+            if (cart) {
+                await this.cartsRepository.clear(cart.cart_id);
+                await this.cartsRepository.touch(cart.cart_id);
+            }
+            return this.getCart(owner);
+        } catch (error) {
+            throw new Error(`Failed to clear cart: ${error.message}`);
+        }
+    }
+
+    /**
+     * Place the owner's cart as a sale (one transaction, priced server-side) and empty the cart in that same
+     * transaction. If any line fails nothing is ordered and the cart is kept.
+     * @param {Object} owner - Cart owner; must be a logged-in user
+     * @param {string|null} [promo_code=null] - Optional promo code
+     * @param {Object|null} [fulfillment=null] - Optional delivery or pickup choice { fulfillment_type, fulfillment_date, time_slot_id, address_id }
+     * @param {string|null} [customer_notes=null] - Optional note for the roastery, kept on the sale
+     * @param {number} [redeem_points=0] - Loyalty points to spend on the order
+     * @returns {Promise<SalesDTO>} The created sale
+     * @throws {Error} If the owner is a guest, the cart is empty, a line cannot be ordered or the slot cannot be booked
+     *   or the customer does not have the points
+     */
+    async checkout(owner, promo_code = null, fulfillment = null, customer_notes = null, redeem_points = 0) {
+        try {
+            if (!owner.user_id) throw new Error('Please log in to check out');
+            const cart = await this.cartsRepository.findByOwner(owner);
+            const items = cart ? await this.cartsRepository.findItems(cart.cart_id) : [];
+            if (items.length === 0) throw new Error('Your cart is empty');
+
+            const sale = await this.salesService.createSaleWithItems(
+                owner.user_id,
+                items.map(item => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity })),
+                promo_code,
+                fulfillment,
+                customer_notes,
+                redeem_points,
+                {
+                    beforeCommit: async (client) => {
+                        await this.cartsRepository.clear(cart.cart_id, client);
+                        await this.cartsRepository.touch(cart.cart_id, client);
+                    }
+                }
+            );
+            return sale;
+        } catch (error) {
+            throw new Error(`Failed to check out: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy a previous order's items into the owner's cart at current prices, so the customer can
+     * adjust them before checking out. Products (or variants) that are no longer available are skipped and
+     * quantities are capped at what is in stock (unless the product takes backorders); both are reported in `flagged`.
+     * @param {Object} owner - Cart owner; must be the user who placed the order
+     * @param {number} sale_id - Order to copy
+     * @returns {Promise<{cart: CartsDTO, added: Array, flagged: Array}|null>} Updated cart, the lines added
+     *   ({ product_id, variant_id, product_name, quantity }) and the lines flagged ({ product_id, variant_id, product_name,
+     *   requested, added, quantity_in_stock, reason: 'not_available' | 'out_of_stock' | 'low_stock' }), or null if the
+     *   order does not exist or belongs to someone else
+     */
+    async reorder(owner, sale_id) {
+        try {
+            if (!owner.user_id) throw new Error('Please log in to reorder');
+            const sale = await this.salesService.getSaleById(sale_id);
+            if (!sale || sale.user_id !== owner.user_id) return null;
+
+            // A product (or variant) sold on several lines is reordered once with the combined quantity
+            const lineKey = (product_id, variant_id) => `${product_id}:${variant_id || ''}`;
+            const wanted = new Map();
+            const saleItems = await this.saleItemsService.getSaleItemsBySaleId(sale_id);
+            saleItems.forEach(item => {
+                const key = lineKey(item.product_id, item.variant_id);
+                const line = wanted.get(key) || { product_id: item.product_id, variant_id: item.variant_id, requested: 0 };
+                line.requested += parseInt(item.quantity, 10);
+                wanted.set(key, line);
+            });
+
+            const cart = await this.cartsRepository.findOrCreate(owner);
+            const inCart = new Map((await this.cartsRepository.findItems(cart.cart_id))
+                .map(item => [lineKey(item.product_id, item.variant_id), item.quantity]));
+            const added = [];
+            const flagged = [];
+
+            for (const [key, { product_id, variant_id, requested }] of wanted) {
+                const product = await this.cartsRepository.findProductStock(product_id, variant_id);
+                const name = product?.variant_name ? `${product.product_name} (${product.variant_name})` : product?.product_name;
+                // A line bought before the product was sold in variants cannot be reordered as is
+                if (!product || product.status !== 'available' || (product.has_variants && !variant_id)) {
+                    flagged.push({
+                        product_id,
+                        variant_id,
+                        product_name: name || `Product #${product_id}`,
+                        requested,
+                        added: 0,
+                        quantity_in_stock: 0,
+                        reason: 'not_available'
+                    });
+                    continue;
+                }
+
+                const stock = parseInt(product.quantity_in_stock, 10) || 0;
+                const quantity = product.backorder_policy === 'none'
+                    ? Math.min(requested, Math.max(0, stock - (inCart.get(key) || 0)))
+                    : requested;
+                if (quantity > 0) {
+                    await this.cartsRepository.addItem(cart.cart_id, product_id, quantity, variant_id);
+                    added.push({ product_id, variant_id, product_name: name, quantity });
+                }
+                if (quantity < requested) {
+                    flagged.push({
+                        product_id,
+                        variant_id,
+                        product_name: name,
+                        requested,
+                        added: quantity,
+                        quantity_in_stock: stock,
+                        reason: stock === 0 ? 'out_of_stock' : 'low_stock'
+                    });
+                }
+            }
+
+            await this.cartsRepository.touch(cart.cart_id);
+            return { cart: await this.getCart(owner), added, flagged };
+        } catch (error) {
+            throw new Error(`Failed to reorder: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move a guest session's cart into a user's cart atomically using a database transaction.
+     * Products (and variants) in both carts have their quantities added together; the guest cart is deleted.
+     * Stock is checked again at checkout.
+     * @param {string} session_id - Guest session ID
+     * @param {number} user_id - User who just logged in
+     * @returns {Promise<boolean>} True if a guest cart was merged
+     */
+    async mergeGuestCart(session_id, user_id) {
+        if (!session_id || !user_id) return false;
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const guestRes = await client.query(`SELECT cart_id FROM carts WHERE session_id = $1 FOR UPDATE`, [session_id]);
+            if (guestRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+            const guestCartId = guestRes.rows[0].cart_id;
+
+            const userRes = await client.query(
+                `INSERT INTO carts (user_id) VALUES ($1)
+                 ON CONFLICT (user_id) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+                 RETURNING cart_id`,
+                [user_id]
+            );
+            await client.query(
+                `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+                 SELECT $1, product_id, variant_id, quantity FROM cart_items WHERE cart_id = $2
+                 ON CONFLICT (cart_id, product_id, COALESCE(variant_id, 0)) DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity`,
+                [userRes.rows[0].cart_id, guestCartId]
+            );
+            await client.query(`DELETE FROM carts WHERE cart_id = $1`, [guestCartId]);
+
+            await client.query('COMMIT');
+            return true;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to merge guest cart: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+}
@@ -0,0 +1,275 @@
+import { CategoriesDTO } from '../domain/dto/CategoriesDTO.js';
+import { CATEGORY_NAME_MAX_LENGTH } from '../domain/entities/Categories.js';
+import { pool } from '../config/db.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Add a number of days to a YYYY-MM-DD date */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/** Sort categories into tree order: each parent followed by its subcategories, siblings by name */
+function treeOrder(categories) {
+    const comparePaths = (a, b) => {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = a[i].localeCompare(b[i], undefined, { sensitivity: 'base' });
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    };
+    return [...categories].sort((a, b) => comparePaths(a.name_path, b.name_path));
+}
+
+/**
+ * CategoriesServices - Business logic for product categories
+ * Categories nest to any depth. Every product belongs to one category, and filtering, tax rates, promo codes
+ * and sales totals for a category take in its subcategories.
+ * Methods:
+ * - listCategories(): Lists every category in tree order
+ * - getCategoryById(id): Gets a category
+ * - createCategory(data): Creates a category
+ * - updateCategory(id, data): Renames, describes or moves a category
+ * - deleteCategory(id, move_to): Deletes a category, moving its products and subcategories to another one
+ * - getSalesReport(params): Orders, units and item sales per category over a date range
+ */
+export class CategoriesServices {
+    constructor(categoriesRepository) {
+        this.categoriesRepository = categoriesRepository;
+    }
+
+    /**
+     * Normalize category input: name is required, a blank parent means top level and a blank description is null
+     * @private
+     */
+    _normalize(data) {
+        const name = data.name ? String(data.name).trim().replace(/\s+/g, ' ') : '';
+        if (!name) throw new Error('Name is required');
+        if (name.length > CATEGORY_NAME_MAX_LENGTH) throw new Error(`Name must be at most ${CATEGORY_NAME_MAX_LENGTH} characters`);
+        return {
+            name,
+            parent_id: this._categoryId(data.parent_id, 'parent category'),
+            description: data.description && String(data.description).trim() ? String(data.description).trim() : null
+        };
+    }
+
+    /**
+     * Parse an optional category ID: blank means none
+     * @private
+     */
+    _categoryId(value, label = 'category') {
+        if (value === undefined || value === null || value === '') return null;
+        const id = Number(value);
+        if (!Number.isInteger(id) || id < 1) throw new Error(`Invalid ${label} ID`);
+        return id;
+    }
+
+    /**
+     * Check that the parent exists, is not the category or one of its subcategories, and has no other child with the name
+     * @private
+     */
+    async _checkPlacement({ name, parent_id }, category_id = null) {
+        if (parent_id !== null) {
+            const parent = await this.categoriesRepository.findById(parent_id);
+            if (!parent) throw new Error('Parent category not found');
+            if (category_id !== null && parent.id_path.map(Number).includes(Number(category_id))) {
+                throw new Error('A category cannot be moved under itself or one of its subcategories');
+            }
+        }
+        if (await this.categoriesRepository.nameExists(parent_id, name, category_id)) {
+            throw new Error(`There is already a category named "${name}" there`);
+        }
+    }
+
+    /**
+     * Retrieve all categories, each parent followed by its subcategories
+     * @returns {Promise<CategoriesDTO[]>} Categories in tree order
+     */
+    async listCategories() {
+        try {
+            const categories = await this.categoriesRepository.findAll();
+            return treeOrder(categories).map(c => CategoriesDTO.fromEntity(c));
+        } catch (error) {
+            throw new Error(`Failed to list categories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a category by ID and return DTO, or null if not found
+     * @param {number} category_id - Category ID
+     * @returns {Promise<CategoriesDTO|null>} Category DTO or null
+     */
+    async getCategoryById(category_id) {
+        try {
+            if (!category_id || isNaN(category_id)) {
+                throw new Error('Invalid category ID');
+            }
+            const category = await this.categoriesRepository.findById(category_id);
+            return category ? CategoriesDTO.fromEntity(category) : null;
+        } catch (error) {
+            throw new Error(`Failed to get category: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a category
+     * @param {Object} data - { name, parent_id (blank for a top-level category), description }
+     * @returns {Promise<CategoriesDTO>} Created category DTO
+     */
+    async createCategory(data) {
+        try {
+            const category = this._normalize(data);
+            await this._checkPlacement(category);
+            return CategoriesDTO.fromEntity(await this.categoriesRepository.create(category));
+        } catch (error) {
+            throw new Error(`Failed to create category: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a category and return updated DTO or null. Moving it to another parent takes its subcategories along.
+     * @param {number} category_id - Category ID
+     * @param {Object} data - { name, parent_id (blank for a top-level category), description }
+     * @returns {Promise<CategoriesDTO|null>} Updated category DTO or null if not found
+     */
+    async updateCategory(category_id, data) {
+        try {
+            if (!category_id || isNaN(category_id)) {
+                throw new Error('Invalid category ID');
+            }
+            const category = this._normalize(data);
+            await this._checkPlacement(category, Number(category_id));
+            const updated = await this.categoriesRepository.update(category_id, category);
+            return updated ? CategoriesDTO.fromEntity(updated) : null;
+        } catch (error) {
+            throw new Error(`Failed to update category: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a category. Its products and subcategories move to `move_to`, which is how two categories are merged;
+     * without one, only a category with neither can be deleted. A category that a tax rate or promo code uses is kept.
+     * @param {number} category_id - Category ID
+     * @param {number|string|null} [move_to] - Category that takes over its products and subcategories
+     * @returns {Promise<{moved_products: number, moved_subcategories: number}|null>} What was moved, or null if not found
+     */
+    async deleteCategory(category_id, move_to = null) {
+        if (!category_id || isNaN(category_id)) {
+            throw new Error('Failed to delete category: Invalid category ID');
+        }
+        const target_id = move_to === undefined || move_to === null || move_to === '' ? null : Number(move_to);
+        if (target_id !== null && (!Number.isInteger(target_id) || target_id < 1)) {
+            throw new Error('Failed to delete category: Invalid category ID to move to');
+        }
+        if (target_id === Number(category_id)) {
+            throw new Error('Failed to delete category: A category cannot be merged into itself');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const categoryRes = await client.query(
+                `SELECT name FROM categories WHERE category_id = $1 FOR UPDATE`,
+                [category_id]
+            );
+            if (categoryRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const { name } = categoryRes.rows[0];
+
+            const usageRes = await client.query(
+                `SELECT (SELECT COUNT(*) FROM products WHERE category_id = $1)::int AS products,
+                        (SELECT COUNT(*) FROM categories WHERE parent_id = $1)::int AS subcategories,
+                        (SELECT STRING_AGG(name, ', ') FROM tax_rates WHERE category_id = $1) AS tax_rates,
+                        (SELECT STRING_AGG(code, ', ') FROM promo_codes WHERE $1 = ANY(category_ids)) AS promo_codes`,
+                [category_id]
+            );
+            const usage = usageRes.rows[0];
+            if (usage.tax_rates) {
+                throw new Error(`Category "${name}" has tax rates (${usage.tax_rates}); change or delete them first`);
+            }
+            if (usage.promo_codes) {
+                throw new Error(`Category "${name}" is used by promo codes (${usage.promo_codes}); change them first`);
+            }
+
+            if (target_id === null) {
+                if (usage.products > 0 || usage.subcategories > 0) {
+                    throw new Error(`Category "${name}" still has products or subcategories; choose a category to move them to`);
+                }
+            } else if (usage.products > 0 || usage.subcategories > 0) {
+                const targetRes = await client.query(
+                    `SELECT id_path FROM category_paths WHERE category_id = $1`,
+                    [target_id]
+                );
+                if (targetRes.rowCount === 0) {
+                    throw new Error('The category to move to was not found');
+                }
+                if (targetRes.rows[0].id_path.map(Number).includes(Number(category_id))) {
+                    throw new Error('Products cannot be moved to a subcategory of the deleted category');
+                }
+                const clashRes = await client.query(
+                    `SELECT child.name FROM categories child
+                     JOIN categories sibling ON sibling.parent_id = $2 AND LOWER(sibling.name) = LOWER(child.name)
+                     WHERE child.parent_id = $1`,
+                    [category_id, target_id]
+                );
+                if (clashRes.rowCount > 0) {
+                    throw new Error(`Both categories have a subcategory named "${clashRes.rows[0].name}"; merge those first`);
+                }
+                await client.query(`UPDATE products SET category_id = $2 WHERE category_id = $1`, [category_id, target_id]);
+                await client.query(`UPDATE categories SET parent_id = $2 WHERE parent_id = $1`, [category_id, target_id]);
+            }
+
+            await client.query(`DELETE FROM categories WHERE category_id = $1`, [category_id]);
+
+            await client.query('COMMIT');
+
+            return { moved_products: usage.products, moved_subcategories: usage.subcategories };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to delete category: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Sales per category over a date range. A category's figures include its subcategories', so a parent's
+     * totals are not the sum of its children's when an order spans several of them.
+     * @param {Object} [params]
+     * @param {string} [params.from] - First day (YYYY-MM-DD); defaults to 29 days before `to`
+     * @param {string} [params.to] - Last day (YYYY-MM-DD); defaults to today
+     * @returns {Promise<{from: string, to: string, categories: Array}>} Categories in tree order, each a
+     *   CategoriesDTO with orders, units and item_sales (quantity × price, less returns, before discounts and tax)
+     */
+    async getSalesReport({ from, to } = {}) {
+        try {
+            for (const date of [from, to]) {
+                if (date && !DATE_PATTERN.test(date)) throw new Error('Dates must be YYYY-MM-DD');
+            }
+            const end = to || new Date().toISOString().slice(0, 10);
+            const start = from || addDays(end, -29);
+            if (start > end) throw new Error('The start date must not be after the end date');
+
+            const [categories, totals] = await Promise.all([
+                this.categoriesRepository.findAll(),
+                this.categoriesRepository.findSalesTotals(start, end)
+            ]);
+            return {
+                from: start,
+                to: end,
+                categories: treeOrder(categories).map(c => ({
+                    ...CategoriesDTO.fromEntity(c),
+                    ...(totals[c.category_id] || { orders: 0, units: 0, item_sales: 0 })
+                }))
+            };
+        } catch (error) {
+            throw new Error(`Failed to get category sales: ${error.message}`);
+        }
+    }
+}
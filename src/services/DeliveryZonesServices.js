@@ -0,0 +1,111 @@
+import { DeliveryZonesDTO } from '../domain/dto/DeliveryZonesDTO.js';
+
+/**
+ * DeliveryZonesServices - Business logic for delivery zones
+ * A delivery's fee is copied onto the sale when it is placed, so changing a zone only affects new orders.
+ * Methods:
+ * - listDeliveryZones(): Lists all delivery zones
+ * - getDeliveryZoneById(id): Gets a delivery zone by ID
+ * - createDeliveryZone(data): Creates a delivery zone
+ * - updateDeliveryZone(id, data): Updates a delivery zone
+ * - deleteDeliveryZone(id): Deletes a delivery zone
+ */
+export class DeliveryZonesServices {
+    constructor(deliveryZonesRepository) {
+        this.deliveryZonesRepository = deliveryZonesRepository;
+    }
+
+    /**
+     * Normalize delivery zone input
+     * @private
+     */
+    _normalize(data) {
+        const fee = parseFloat(data.fee);
+        if (!data.name || !String(data.name).trim()) throw new Error('Name is required');
+        if (isNaN(fee) || fee < 0) throw new Error('Fee must be a non-negative number');
+        return {
+            name: String(data.name).trim(),
+            fee,
+            // Checkboxes post 'on'; the API sends booleans. Missing means active.
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+    }
+
+    /**
+     * Retrieve all delivery zones and return DTOs
+     * @returns {Promise<DeliveryZonesDTO[]>} Array of delivery zone DTOs
+     */
+    async listDeliveryZones() {
+        try {
+            const zones = await this.deliveryZonesRepository.findAll();
+            return zones.map(z => DeliveryZonesDTO.fromEntity(z));
+        } catch (error) {
+            throw new Error(`Failed to list delivery zones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a delivery zone by ID and return DTO, or null if not found
+     * @param {number} delivery_zone_id - Delivery zone ID
+     * @returns {Promise<DeliveryZonesDTO|null>} Delivery zone DTO or null
+     */
+    async getDeliveryZoneById(delivery_zone_id) {
+        try {
+            if (!delivery_zone_id || isNaN(delivery_zone_id)) {
+                throw new Error('Invalid delivery zone ID');
+            }
+            const zone = await this.deliveryZonesRepository.findById(delivery_zone_id);
+            return zone ? DeliveryZonesDTO.fromEntity(zone) : null;
+        } catch (error) {
+            throw new Error(`Failed to get delivery zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a delivery zone
+     * @param {Object} data - { name, fee, is_active }
+     * @returns {Promise<DeliveryZonesDTO>} Created delivery zone DTO
+     */
+    async createDeliveryZone(data) {
+        try {
+            const zone = await this.deliveryZonesRepository.create(this._normalize(data));
+            return DeliveryZonesDTO.fromEntity(zone);
+        } catch (error) {
+            throw new Error(`Failed to create delivery zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a delivery zone and return updated DTO or null
+     * @param {number} delivery_zone_id - Delivery zone ID
+     * @param {Object} data - { name, fee, is_active }
+     * @returns {Promise<DeliveryZonesDTO|null>} Updated delivery zone DTO or null if not found
+     */
+    async updateDeliveryZone(delivery_zone_id, data) {
+        try {
+            if (!delivery_zone_id || isNaN(delivery_zone_id)) {
+                throw new Error('Invalid delivery zone ID');
+            }
+            const zone = await this.deliveryZonesRepository.update(delivery_zone_id, this._normalize(data));
+            return zone ? DeliveryZonesDTO.fromEntity(zone) : null;
+        } catch (error) {
+            throw new Error(`Failed to update delivery zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a delivery zone; addresses in it are left without a zone and cannot be delivered to
+     * @param {number} delivery_zone_id - Delivery zone ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteDeliveryZone(delivery_zone_id) {
+        try {
+            if (!delivery_zone_id || isNaN(delivery_zone_id)) {
+                throw new Error('Invalid delivery zone ID');
+            }
+            return await this.deliveryZonesRepository.delete(delivery_zone_id);
+        } catch (error) {
+            throw new Error(`Failed to delete delivery zone: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,81 @@
+import { ExchangeRatesDTO } from '../domain/dto/ExchangeRatesDTO.js';
+
+/**
+ * ExchangeRatesServices - Business logic for USD to LBP exchange rates
+ * Each sale is stamped with the rate in effect when it is created, so new rates only affect new sales.
+ * Methods:
+ * - listExchangeRates(): Lists all exchange rates
+ * - getCurrentExchangeRate(): Gets the rate currently in effect
+ * - createExchangeRate(data, created_by): Adds an exchange rate
+ * - deleteExchangeRate(id): Deletes an exchange rate
+ */
+export class ExchangeRatesServices {
+    constructor(exchangeRatesRepository) {
+        this.exchangeRatesRepository = exchangeRatesRepository;
+    }
+
+    /**
+     * Retrieve all exchange rates (newest first) and return DTOs
+     * @returns {Promise<ExchangeRatesDTO[]>} Array of exchange rate DTOs
+     */
+    async listExchangeRates() {
+        try {
+            const rates = await this.exchangeRatesRepository.findAll();
+            return rates.map(r => ExchangeRatesDTO.fromEntity(r));
+        } catch (error) {
+            throw new Error(`Failed to list exchange rates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the exchange rate currently in effect
+     * @returns {Promise<ExchangeRatesDTO|null>} Exchange rate DTO or null when none is set
+     */
+    async getCurrentExchangeRate() {
+        try {
+            const rate = await this.exchangeRatesRepository.findCurrent();
+            return rate ? ExchangeRatesDTO.fromEntity(rate) : null;
+        } catch (error) {
+            throw new Error(`Failed to get current exchange rate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add an exchange rate
+     * @param {Object} data - { rate, effective_from } (effective_from defaults to now)
+     * @param {number|null} created_by - User ID adding the rate
+     * @returns {Promise<ExchangeRatesDTO>} Created exchange rate DTO
+     */
+    async createExchangeRate(data, created_by = null) {
+        try {
+            const rate = parseFloat(data.rate);
+            if (isNaN(rate) || rate <= 0) {
+                throw new Error('Rate must be a positive number');
+            }
+            const effective_from = data.effective_from ? new Date(data.effective_from) : null;
+            if (effective_from && isNaN(effective_from.getTime())) {
+                throw new Error('Invalid effective date');
+            }
+            const created = await this.exchangeRatesRepository.create({ rate, effective_from, created_by });
+            return ExchangeRatesDTO.fromEntity(created);
+        } catch (error) {
+            throw new Error(`Failed to create exchange rate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an exchange rate; sales already stamped with it keep their rate
+     * @param {number} exchange_rate_id - Exchange rate ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteExchangeRate(exchange_rate_id) {
+        try {
+            if (!exchange_rate_id || isNaN(exchange_rate_id)) {
+                throw new Error('Invalid exchange rate ID');
+            }
+            return await this.exchangeRatesRepository.delete(exchange_rate_id);
+        } catch (error) {
+            throw new Error(`Failed to delete exchange rate: ${error.message}`);
+        }
+    }
+}
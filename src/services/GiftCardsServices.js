@@ -0,0 +1,282 @@
+import { randomInt } from 'crypto';
+import { GiftCardsDTO } from '../domain/dto/GiftCardsDTO.js';
+import { pool } from '../config/db.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Code characters: no 0/O or 1/I, so codes read back over the counter are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * GiftCardsServices - Business logic for gift cards (store credit in USD)
+ * A card is issued with a unique code and an amount, then spent as a 'gift_card' payment on one or more
+ * sales until its balance runs out. Every change to a balance is written to gift_card_transactions.
+ * Methods:
+ * - listGiftCards(search): Lists gift cards, optionally filtered by code or recipient
+ * - getGiftCardById(id): Gets a gift card with its transaction history
+ * - lookupGiftCard(code): Gets a gift card by its code with its transaction history
+ * - issueGiftCard(data, issued_by): Issues a new gift card
+ * - voidGiftCard(id, reason, voided_by): Voids a gift card, writing off its balance
+ * - redeem(client, code, amount, { sale_id, created_by }): Spends part of a card's balance on a sale
+ * - refundSale(client, sale_id, amount, created_by): Credits the gift cards that paid a sale with their share of a refund
+ */
+export class GiftCardsServices {
+    constructor(giftCardsRepository) {
+        this.giftCardsRepository = giftCardsRepository;
+    }
+
+    /**
+     * Generate a random code like GC-7KQ2-M9XD-4HTP
+     * @private
+     */
+    _generateCode() {
+        const group = () => Array.from({ length: 4 }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+        return `GC-${group()}-${group()}-${group()}`;
+    }
+
+    /**
+     * Load a card's transactions and return it as a DTO
+     * @private
+     */
+    async _withTransactions(card) {
+        const transactions = await this.giftCardsRepository.findTransactions(card.gift_card_id);
+        return GiftCardsDTO.fromEntity(card, transactions);
+    }
+
+    /**
+     * Retrieve gift cards and return DTOs (without their transactions)
+     * @param {string|null} [search=null] - Part of a code (dashes optional) or of the recipient's name
+     * @returns {Promise<GiftCardsDTO[]>} Array of gift card DTOs, newest first
+     */
+    async listGiftCards(search = null) {
+        try {
+            const cards = await this.giftCardsRepository.findAll(search);
+            return cards.map(card => GiftCardsDTO.fromEntity(card));
+        } catch (error) {
+            throw new Error(`Failed to list gift cards: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a gift card by ID with its transaction history, or null if not found
+     * @param {number} gift_card_id - Gift card ID
+     * @returns {Promise<GiftCardsDTO|null>} Gift card DTO or null
+     */
+    async getGiftCardById(gift_card_id) {
+        try {
+            if (!gift_card_id || isNaN(gift_card_id)) {
+                throw new Error('Invalid gift card ID');
+            }
+            const card = await this.giftCardsRepository.findById(gift_card_id);
+            return card ? await this._withTransactions(card) : null;
+        } catch (error) {
+            throw new Error(`Failed to get gift card: ${error.message}`);
+        }
+    }
+
+    /**
+     * Look up a gift card by its code (case and dashes ignored) with its transaction history
+     * @param {string} code - Gift card code
+     * @returns {Promise<GiftCardsDTO|null>} Gift card DTO or null if no card has that code
+     */
+    async lookupGiftCard(code) {
+        try {
+            if (!code || !String(code).trim()) {
+                throw new Error('Gift card code is required');
+            }
+            const card = await this.giftCardsRepository.findByCode(code);
+            return card ? await this._withTransactions(card) : null;
+        } catch (error) {
+            throw new Error(`Failed to look up gift card: ${error.message}`);
+        }
+    }
+
+    /**
+     * Issue a gift card with a new unique code, recording the issue in its history
+     * @param {Object} data - { amount, recipient_name, note }
+     * @param {number|null} [issued_by=null] - User ID of who issued the card
+     * @returns {Promise<GiftCardsDTO>} The issued card
+     */
+    async issueGiftCard({ amount, recipient_name = null, note = null }, issued_by = null) {
+        const value = round2(parseFloat(amount));
+        if (isNaN(value) || value <= 0) throw new Error('Amount must be a positive number');
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Retry on the (unlikely) clash with an existing code
+            let gift_card_id = null;
+            for (let attempt = 0; !gift_card_id; attempt++) {
+                await client.query('SAVEPOINT issue_code');
+                try {
+                    const { rows } = await client.query(
+                        `INSERT INTO gift_cards (code, initial_balance, balance, recipient_name, note, issued_by)
+                         VALUES ($1, $2, $2, $3, $4, $5)
+                         RETURNING gift_card_id`,
+                        [this._generateCode(), value, recipient_name?.trim() || null, note?.trim() || null, issued_by]
+                    );
+                    gift_card_id = rows[0].gift_card_id;
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT issue_code');
+                    if (error.code !== '23505' || attempt >= 4) throw error;
+                }
+            }
+
+            await client.query(
+                `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, created_by)
+                 VALUES ($1, 'issue', $2, $2, $3)`,
+                [gift_card_id, value, issued_by]
+            );
+
+            await client.query('COMMIT');
+            return await this.getGiftCardById(gift_card_id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to issue gift card: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Void a gift card: its remaining balance is written off and it can no longer be spent.
+     * Payments already made with it are kept.
+     * @param {number} gift_card_id - Gift card ID
+     * @param {string} reason - Why the card is voided
+     * @param {number|null} [voided_by=null] - User ID of who voided it
+     * @returns {Promise<GiftCardsDTO|null>} Voided card, or null if not found
+     */
+    async voidGiftCard(gift_card_id, reason, voided_by = null) {
+        if (!gift_card_id || isNaN(gift_card_id)) throw new Error('Invalid gift card ID');
+        if (!reason || !String(reason).trim()) throw new Error('A reason is required to void a gift card');
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const cardRes = await client.query(
+                `SELECT code, balance, status FROM gift_cards WHERE gift_card_id = $1 FOR UPDATE`,
+                [gift_card_id]
+            );
+            if (cardRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const card = cardRes.rows[0];
+            if (card.status === 'void') {
+                throw new Error(`Gift card ${card.code} is already void`);
+            }
+
+            await client.query(
+                `UPDATE gift_cards
+                 SET status = 'void', balance = 0, void_reason = $1, voided_at = CURRENT_TIMESTAMP, voided_by = $2
+                 WHERE gift_card_id = $3`,
+                [String(reason).trim(), voided_by, gift_card_id]
+            );
+            await client.query(
+                `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, created_by)
+                 VALUES ($1, 'void', $2, 0, $3)`,
+                [gift_card_id, -parseFloat(card.balance), voided_by]
+            );
+
+            await client.query('COMMIT');
+            return await this.getGiftCardById(gift_card_id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to void gift card: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Spend part of a gift card's balance on a sale. Must run inside an open transaction on `client`;
+     * the card row is locked so two payments cannot spend the same balance.
+     * @param {Object} client - pg client with an open transaction
+     * @param {string} code - Gift card code (case and dashes ignored)
+     * @param {number} amount - USD to take from the card
+     * @param {Object} context - { sale_id, created_by }
+     * @returns {Promise<{gift_card_id: number, code: string, balance: number}>} The card and its balance after the payment
+     * @throws {Error} If the card does not exist, is void or has less than `amount` left
+     */
+    async redeem(client, code, amount, { sale_id, created_by = null }) {
+        const cardRes = await client.query(
+            `SELECT gift_card_id, code, balance, status FROM gift_cards
+             WHERE REPLACE(code, '-', '') = UPPER(REPLACE($1, '-', '')) FOR UPDATE`,
+            [String(code || '').trim()]
+        );
+        if (cardRes.rowCount === 0) {
+            throw new Error(`Gift card ${code} does not exist`);
+        }
+        const card = cardRes.rows[0];
+        if (card.status !== 'active') {
+            throw new Error(`Gift card ${card.code} is void`);
+        }
+        const balance = parseFloat(card.balance);
+        if (amount > balance) {
+            throw new Error(`Gift card ${card.code} only has ${balance.toFixed(2)} USD left`);
+        }
+
+        const remaining = round2(balance - amount);
+        await client.query(`UPDATE gift_cards SET balance = $1 WHERE gift_card_id = $2`, [remaining, card.gift_card_id]);
+        await client.query(
+            `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, sale_id, created_by)
+             VALUES ($1, 'redeem', $2, $3, $4, $5)`,
+            [card.gift_card_id, -amount, remaining, sale_id, created_by]
+        );
+        return { gift_card_id: card.gift_card_id, code: card.code, balance: remaining };
+    }
+
+    /**
+     * Credit back the gift cards that paid a sale. Must run inside the transaction that voids the sale
+     * or records its refund, on `client`. Each card gets its share of `amount` in proportion to what it
+     * paid of the sale, never more than it paid less what it already got back; with no amount (a void)
+     * every card gets all of that back. Void cards are skipped: their balance was written off.
+     * @param {Object} client - pg client with an open transaction
+     * @param {number} sale_id - Sale ID
+     * @param {number|null} [amount=null] - USD refunded on the sale, or null to credit everything the cards paid
+     * @param {number|null} [created_by=null] - User ID of who voided the sale or recorded the refund
+     * @returns {Promise<Array<{gift_card_id: number, code: string, amount: number, balance: number}>>} The cards credited
+     */
+    async refundSale(client, sale_id, amount = null, created_by = null) {
+        const paidRes = await client.query(
+            `SELECT p.gift_card_id, SUM(p.amount_usd) AS paid,
+                    COALESCE((SELECT SUM(t.amount) FROM gift_card_transactions t
+                              WHERE t.gift_card_id = p.gift_card_id AND t.sale_id = p.sale_id AND t.type = 'refund'), 0) AS credited,
+                    (SELECT SUM(amount_usd) FROM payments WHERE sale_id = p.sale_id) AS sale_paid
+             FROM payments p
+             WHERE p.sale_id = $1 AND p.method = 'gift_card' AND p.gift_card_id IS NOT NULL
+             GROUP BY p.gift_card_id, p.sale_id
+             ORDER BY p.gift_card_id`,
+            [sale_id]
+        );
+
+        const credits = [];
+        for (const row of paidRes.rows) {
+            const left = round2(parseFloat(row.paid) - parseFloat(row.credited));
+            const share = amount === null ? left : round2((amount * parseFloat(row.paid)) / parseFloat(row.sale_paid));
+            const credit = Math.min(share, left);
+            if (credit <= 0) continue;
+
+            const cardRes = await client.query(
+                `SELECT code, balance, status FROM gift_cards WHERE gift_card_id = $1 FOR UPDATE`,
+                [row.gift_card_id]
+            );
+            const card = cardRes.rows[0];
+            if (card.status !== 'active') continue;
+
+            const balance = round2(parseFloat(card.balance) + credit);
+            await client.query(`UPDATE gift_cards SET balance = $1 WHERE gift_card_id = $2`, [balance, row.gift_card_id]);
+            await client.query(
+                `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, sale_id, created_by)
+                 VALUES ($1, 'refund', $2, $3, $4, $5)`,
+                [row.gift_card_id, credit, balance, sale_id, created_by]
+            );
+            credits.push({ gift_card_id: row.gift_card_id, code: card.code, amount: credit, balance });
+        }
+        return credits;
+    }
+}
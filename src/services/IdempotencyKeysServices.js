@@ -0,0 +1,55 @@
+import { createHash } from 'crypto';
+import { IDEMPOTENCY_KEY_TTL_HOURS } from '../domain/entities/IdempotencyKeys.js';
+
+/**
+ * IdempotencyKeysServices - Runs an operation at most once per key and replays its stored response
+ * Used for order creation so that a retried request or a double-submitted form returns the
+ * original sale instead of creating another one.
+ * Methods:
+ * - execute(scope, key, payload, operation): Runs the operation for a new key, or reports what happened to an existing one
+ */
+export class IdempotencyKeysServices {
+    constructor(idempotencyKeysRepository) {
+        this.idempotencyKeysRepository = idempotencyKeysRepository;
+    }
+
+    /**
+     * Run `operation` once for a key:
+     * - a new key runs the operation and stores its response; if the operation fails the key is
+     *   released so the request can be retried
+     * - a key whose response is stored is replayed, provided the payload is the same
+     * - a key whose first request has not finished yet is reported as in progress
+     * @param {string} scope - Operation the key belongs to (e.g. "POST /api/sales")
+     * @param {string} key - Idempotency key or form token
+     * @param {Object} payload - Request payload; a reused key must come with the same payload
+     * @param {Function} operation - async () => ({ status_code, response })
+     * @returns {Promise<{outcome: string, status_code?: number, response?: Object}>} outcome is
+     *   'created', 'replayed', 'in_progress' or 'mismatch' (key reused with a different payload)
+     */
+    async execute(scope, key, payload, operation) {
+        if (!key || !String(key).trim()) throw new Error('Idempotency key is required');
+        const requestHash = createHash('sha256').update(JSON.stringify(payload ?? null)).digest('hex');
+
+        await this.idempotencyKeysRepository.deleteExpired(IDEMPOTENCY_KEY_TTL_HOURS);
+
+        const claimed = await this.idempotencyKeysRepository.claim(scope, key, requestHash);
+        if (!claimed) {
+            const existing = await this.idempotencyKeysRepository.findByKey(scope, key);
+            // The first request failed and released the key in the meantime: run this one instead
+            if (!existing) return this.execute(scope, key, payload, operation);
+            if (existing.request_hash !== requestHash) return { outcome: 'mismatch' };
+            if (existing.status_code === null) return { outcome: 'in_progress' };
+            return { outcome: 'replayed', status_code: existing.status_code, response: existing.response_body };
+        }
+
+        let result;
+        try {
+            result = await operation();
+        } catch (error) {
+            await this.idempotencyKeysRepository.delete(claimed.idempotency_key_id);
+            throw error;
+        }
+        await this.idempotencyKeysRepository.saveResponse(claimed.idempotency_key_id, result.status_code, result.response);
+        return { outcome: 'created', ...result };
+    }
+}
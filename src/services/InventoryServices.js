@@ -1,4 +1,6 @@
 import { InventoryDTO } from '../domain/dto/InventoryDTO.js';
+import { allocateBackorders } from '../utils/stock.js';
+import { pool } from '../config/db.js';
 
 /**
  * InventoryServices - Business logic for inventory operations
@@ -8,7 +10,7 @@ import { InventoryDTO } from '../domain/dto/InventoryDTO.js';
  * - getInventoryByProduct(product_id)
  * - getAllWithDetails()
  * - getLowStockProducts(threshold)
- * - updateInventory(product_id, new_quantity)
+ * - updateInventory(product_id, new_quantity): Sets the stock and allocates waiting backorders
  * - deleteInventory(product_id)
  */
 export class InventoryServices {
@@ -63,7 +65,8 @@ export class InventoryServices {
                 product_id:r.product_id,
                 quantity_in_stock:r.quantity_in_stock,
                 last_updated:r.last_updated,
-                product_name:r.product_name
+                product_name:r.product_name,
+                backordered_quantity:r.backordered_quantity
             }));
             
         } catch (error) {
@@ -85,7 +88,7 @@ export class InventoryServices {
             product_name: item.product_name,  
             quantity_in_stock: item.quantity_in_stock,
             unit_price: item.unit_price,      
-            product_type: item.product_type,  
+            category: item.category,
             status: item.status,              
             last_updated: item.last_updated}));
     } catch (error) {
@@ -93,20 +96,51 @@ export class InventoryServices {
     }
 }
 
-    /** Update inventory quantity for product_id and return DTO or null */
+    /**
+     * Set the stock of a product atomically using a database transaction. `new_quantity` is what is on hand:
+     * backordered units waiting for the product are allocated from it first (oldest order first, cancelled
+     * orders skipped) and the rest becomes the product's quantity_in_stock. Lines for a variant of the product
+     * wait for the variant's stock instead (ProductVariantsServices.updateVariant).
+     * @param {number} product_id - Product ID
+     * @param {number} new_quantity - Units on hand
+     * @returns {Promise<InventoryDTO|null>} Updated inventory with the `allocations` made, or null if there is no record
+     */
     async updateInventory(product_id, new_quantity) {
+        if (!product_id || isNaN(product_id)) {
+            throw new Error('Failed to update inventory: Invalid product ID');
+        }
+        if (new_quantity == null || isNaN(new_quantity) || new_quantity < 0) {
+            throw new Error('Failed to update inventory: New quantity must be a non-negative number');
+        }
+
+        const client = await pool.connect();
+
         try {
-            if (!product_id || isNaN(product_id)) {
-                throw new Error('Invalid product ID');
-            }
-            if (new_quantity == null || isNaN(new_quantity) || new_quantity < 0) {
-                throw new Error('New quantity must be a non-negative number');
+            await client.query('BEGIN');
+
+            const invRes = await client.query(`SELECT inventory_id FROM inventory WHERE product_id = $1 FOR UPDATE`, [product_id]);
+            if (invRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
             }
 
-            const inventory = await this.inventoryRepository.update(product_id, new_quantity);
-            return inventory ? InventoryDTO.fromEntity(inventory) : null;
+            // Allocate to waiting backorders, oldest order first
+            const { allocations, available } = await allocateBackorders(client, product_id, null, parseInt(new_quantity, 10));
+
+            const updatedRes = await client.query(
+                `UPDATE inventory SET quantity_in_stock = $1, last_updated = NOW()
+                 WHERE product_id = $2
+                 RETURNING inventory_id, product_id, quantity_in_stock, TO_CHAR(last_updated, 'DD/MM/YYYY') as last_updated`,
+                [available, product_id]
+            );
+
+            await client.query('COMMIT');
+            return InventoryDTO.fromEntity({ ...updatedRes.rows[0], allocations });
         } catch (error) {
+            await client.query('ROLLBACK');
             throw new Error(`Failed to update inventory: ${error.message}`);
+        } finally {
+            client.release();
         }
     }
 
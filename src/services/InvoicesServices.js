@@ -0,0 +1,123 @@
+import { InvoicesDTO } from '../domain/dto/InvoicesDTO.js';
+import { SalesDTO } from '../domain/dto/SalesDTO.js';
+import { SALE_COLUMNS } from '../domain/repositories/SalesRepository.js';
+import { INVOICE_COLUMNS } from '../domain/repositories/InvoicesRepository.js';
+import { SaleItemsRepository } from '../domain/repositories/SaleItemsRepository.js';
+import { PaymentsRepository } from '../domain/repositories/PaymentsRepository.js';
+import { SaleItemsServices } from './SaleItemsServices.js';
+import { PaymentsServices } from './PaymentsServices.js';
+import { BUSINESS } from '../config/business.js';
+import { buildInvoicePdf } from '../utils/invoicePdf.js';
+import { groupTaxByRate } from '../utils/saleTotals.js';
+import { pool } from '../config/db.js';
+
+/**
+ * InvoicesServices - Business logic for PDF invoices and receipts
+ * A sale gets its invoice number the first time its invoice or receipt is downloaded;
+ * later downloads reuse it, so numbers run without gaps.
+ * Methods:
+ * - issueInvoice(sale_id): Assigns (or returns) the sale's invoice number
+ * - renderPdf(sale_id, title): Builds the invoice/receipt PDF for a sale
+ */
+export class InvoicesServices {
+    constructor(
+        invoicesRepository,
+        saleItemsService = new SaleItemsServices(new SaleItemsRepository()),
+        paymentsService = new PaymentsServices(new PaymentsRepository())
+    ) {
+        this.invoicesRepository = invoicesRepository;
+        this.saleItemsService = saleItemsService;
+        this.paymentsService = paymentsService;
+    }
+
+    /**
+     * Assign the next invoice number to a sale atomically using a database transaction:
+     * - lock the sale; a sale that already has an invoice keeps its number
+     * - cancelled sales without an invoice cannot be invoiced
+     * - lock the invoices table so concurrent issues cannot take the same number
+     * @param {number} sale_id - Sale ID
+     * @returns {Promise<{invoice: InvoicesDTO, sale: SalesDTO}|null>} Invoice and sale, or null if the sale does not exist
+     */
+    async issueInvoice(sale_id) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const saleRes = await client.query(
+                `SELECT ${SALE_COLUMNS} FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const sale = saleRes.rows[0];
+
+            let invoiceRes = await client.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE sale_id = $1`, [sale_id]);
+            if (invoiceRes.rowCount === 0) {
+                if (sale.status === 'cancelled') {
+                    throw new Error('Cannot issue an invoice for a cancelled order');
+                }
+                await client.query('LOCK TABLE invoices IN EXCLUSIVE MODE');
+                invoiceRes = await client.query(
+                    `INSERT INTO invoices (invoice_number, sale_id)
+                     SELECT COALESCE(MAX(invoice_number), 0) + 1, $1 FROM invoices
+                     RETURNING ${INVOICE_COLUMNS}`,
+                    [sale_id]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            return {
+                invoice: InvoicesDTO.fromEntity(invoiceRes.rows[0]),
+                sale: SalesDTO.fromEntity(sale)
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to issue invoice: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Build a sale's invoice or receipt as a PDF, issuing its invoice number if needed
+     * @param {number} sale_id - Sale ID
+     * @param {string} [title='Invoice'] - Document title ("Invoice" or "Receipt")
+     * @returns {Promise<{filename: string, buffer: Buffer}|null>} PDF file, or null if the sale does not exist
+     */
+    async renderPdf(sale_id, title = 'Invoice') {
+        try {
+            const issued = await this.issueInvoice(sale_id);
+            if (!issued) return null;
+            const { invoice, sale } = issued;
+
+            const [saleItems, payments, parties] = await Promise.all([
+                this.saleItemsService.getSaleItemsBySaleId(sale_id),
+                this.paymentsService.getPaymentsBySaleId(sale_id),
+                this.invoicesRepository.findSaleParties(sale_id)
+            ]);
+            const productNames = await this.invoicesRepository.findProductNames(saleItems.map(item => item.product_id));
+            const items = saleItems.map(item => ({ ...item, product_name: productNames[item.product_id] }));
+
+            const buffer = await buildInvoicePdf({
+                title,
+                business: BUSINESS,
+                invoice,
+                sale,
+                customer: parties,
+                items,
+                taxBreakdown: groupTaxByRate(items),
+                payments,
+                promoCode: parties.promo_code || null
+            });
+            return { filename: `${title.toLowerCase()}-${invoice.label}.pdf`, buffer };
+        } catch (error) {
+            throw new Error(`Failed to render ${title.toLowerCase()}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,260 @@
+import { LoyaltyAccountsDTO } from '../domain/dto/LoyaltyAccountsDTO.js';
+import { LOYALTY_POINTS_PER_USD, LOYALTY_POINTS_EXPIRY_DAYS } from '../config/loyalty.js';
+import { pool } from '../config/db.js';
+
+/**
+ * LoyaltyAccountsServices - Business logic for customers' loyalty points
+ * Customers earn LOYALTY_POINTS_PER_USD points per USD of a completed sale's net total. Each earn is a lot
+ * that expires after LOYALTY_POINTS_EXPIRY_DAYS; spending, reversals and expiry take from the oldest lots first,
+ * so an account's points_balance is always the sum of its lots' points_remaining. Expired lots are written off
+ * whenever the account is read or changed.
+ * The methods that take a pg client run inside the caller's sale transaction.
+ * Methods:
+ * - getAccount(user_id, limit): Gets a customer's balance and latest ledger entries
+ * - redeem(client, user_id, sale_id, points): Spends points on a sale
+ * - earnForSale(client, sale): Awards the points for a completed sale
+ * - syncSalePoints(client, sale): Reverses earned points after a refund, and restores redeemed points when the sale is cancelled
+ */
+export class LoyaltyAccountsServices {
+    constructor(loyaltyAccountsRepository) {
+        this.loyaltyAccountsRepository = loyaltyAccountsRepository;
+    }
+
+    /**
+     * Points a sale earns: LOYALTY_POINTS_PER_USD per USD of its net total, rounded down
+     * @private
+     */
+    _pointsFor(sale) {
+        const net = (parseFloat(sale.total_amount) || 0) - (parseFloat(sale.refunded_amount) || 0);
+        return Math.floor(Math.max(0, net) * LOYALTY_POINTS_PER_USD + 1e-9);
+    }
+
+    /**
+     * Lock a customer's account row, creating it first if asked
+     * @private
+     * @returns {Promise<Object|null>} { loyalty_account_id, points_balance }, or null if there is none
+     */
+    async _lockAccount(client, user_id, create = true) {
+        if (create) {
+            await client.query(
+                `INSERT INTO loyalty_accounts (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING`,
+                [user_id]
+            );
+        }
+        const { rows } = await client.query(
+            `SELECT loyalty_account_id, points_balance FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE`,
+            [user_id]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Add to an account's balance and lifetime points
+     * @private
+     */
+    async _adjust(client, account, balanceDelta, lifetimeDelta = 0) {
+        await client.query(
+            `UPDATE loyalty_accounts
+             SET points_balance = points_balance + $1, lifetime_points = lifetime_points + $2
+             WHERE loyalty_account_id = $3`,
+            [balanceDelta, lifetimeDelta, account.loyalty_account_id]
+        );
+        account.points_balance += balanceDelta;
+    }
+
+    /**
+     * Write off what is left of the account's expired lots, one expire entry per lot
+     * @private
+     */
+    async _expireDue(client, account) {
+        const { rows } = await client.query(
+            `SELECT loyalty_transaction_id, points_remaining, TO_CHAR(created_at, 'DD/MM/YYYY') AS earned_on
+             FROM loyalty_transactions
+             WHERE loyalty_account_id = $1 AND points_remaining > 0 AND expires_at <= NOW()
+             ORDER BY expires_at, loyalty_transaction_id`,
+            [account.loyalty_account_id]
+        );
+        let expired = 0;
+        for (const lot of rows) {
+            await client.query(
+                `UPDATE loyalty_transactions SET points_remaining = 0 WHERE loyalty_transaction_id = $1`,
+                [lot.loyalty_transaction_id]
+            );
+            await client.query(
+                `INSERT INTO loyalty_transactions (loyalty_account_id, type, points, note) VALUES ($1, 'expire', $2, $3)`,
+                [account.loyalty_account_id, -lot.points_remaining, `Points from ${lot.earned_on} expired`]
+            );
+            expired += lot.points_remaining;
+        }
+        if (expired > 0) await this._adjust(client, account, -expired);
+    }
+
+    /**
+     * Take points from the account's lots, oldest first (a given sale's own lot before the others)
+     * @private
+     * @returns {Promise<number>} Points taken (less than asked only if the lots run out)
+     */
+    async _takeFromLots(client, account, points, sale_id = null) {
+        const { rows } = await client.query(
+            `SELECT loyalty_transaction_id, points_remaining
+             FROM loyalty_transactions
+             WHERE loyalty_account_id = $1 AND points_remaining > 0
+             ORDER BY (sale_id IS NOT DISTINCT FROM $2::int) DESC, expires_at, loyalty_transaction_id`,
+            [account.loyalty_account_id, sale_id]
+        );
+        let left = points;
+        for (const lot of rows) {
+            if (left <= 0) break;
+            const take = Math.min(left, lot.points_remaining);
+            await client.query(
+                `UPDATE loyalty_transactions SET points_remaining = points_remaining - $1 WHERE loyalty_transaction_id = $2`,
+                [take, lot.loyalty_transaction_id]
+            );
+            left -= take;
+        }
+        return points - left;
+    }
+
+    /**
+     * Add a lot of points that expires LOYALTY_POINTS_EXPIRY_DAYS from now
+     * @private
+     */
+    async _addLot(client, account, type, points, sale_id, note) {
+        await client.query(
+            `INSERT INTO loyalty_transactions (loyalty_account_id, sale_id, type, points, points_remaining, expires_at, note)
+             VALUES ($1, $2, $3, $4, $4, NOW() + $5::int * INTERVAL '1 day', $6)`,
+            [account.loyalty_account_id, sale_id, type, points, LOYALTY_POINTS_EXPIRY_DAYS, note]
+        );
+    }
+
+    /**
+     * Get a customer's loyalty account, writing off expired points first
+     * @param {number} user_id - Customer user ID
+     * @param {number} [limit=20] - Number of latest ledger entries to include (0 for none)
+     * @returns {Promise<LoyaltyAccountsDTO>} The account (a zero balance if the customer has not earned points yet)
+     */
+    async getAccount(user_id, limit = 20) {
+        if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const account = await this._lockAccount(client, user_id, false);
+            if (account) await this._expireDue(client, account);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to get loyalty account: ${error.message}`);
+        } finally {
+            client.release();
+        }
+
+        try {
+            const account = await this.loyaltyAccountsRepository.findByUser(user_id);
+            if (!account) return LoyaltyAccountsDTO.fromEntity({ user_id });
+            const transactions = limit > 0
+                ? await this.loyaltyAccountsRepository.findTransactions(account.loyalty_account_id, limit)
+                : [];
+            return LoyaltyAccountsDTO.fromEntity(account, transactions);
+        } catch (error) {
+            throw new Error(`Failed to get loyalty account: ${error.message}`);
+        }
+    }
+
+    /**
+     * Spend a customer's points on a sale. Must run inside an open transaction on `client`.
+     * @param {Object} client - pg client with an open transaction
+     * @param {number} user_id - Customer user ID
+     * @param {number} sale_id - Sale the points are spent on
+     * @param {number} points - Points to spend (a positive whole number)
+     * @returns {Promise<number>} Points spent
+     * @throws {Error} If the customer does not have that many points
+     */
+    async redeem(client, user_id, sale_id, points) {
+        const account = await this._lockAccount(client, user_id, false);
+        if (account) await this._expireDue(client, account);
+        const balance = account ? account.points_balance : 0;
+        if (points > balance) {
+            throw new Error(`Not enough loyalty points (balance: ${balance})`);
+        }
+        await this._takeFromLots(client, account, points);
+        await client.query(
+            `INSERT INTO loyalty_transactions (loyalty_account_id, sale_id, type, points, note) VALUES ($1, $2, 'redeem', $3, $4)`,
+            [account.loyalty_account_id, sale_id, -points, `Spent on order #${sale_id}`]
+        );
+        await this._adjust(client, account, -points);
+        return points;
+    }
+
+    /**
+     * Award the points for a completed sale, once. Must run inside an open transaction on `client`.
+     * @param {Object} client - pg client with an open transaction
+     * @param {Object} sale - Sale row (sale_id, user_id, total_amount, refunded_amount)
+     * @returns {Promise<number>} Points earned (0 if the sale has no customer, earns nothing or was already awarded)
+     */
+    async earnForSale(client, sale) {
+        const points = this._pointsFor(sale);
+        if (!sale.user_id || points <= 0) return 0;
+
+        const earned = await client.query(
+            `SELECT 1 FROM loyalty_transactions WHERE sale_id = $1 AND type = 'earn'`,
+            [sale.sale_id]
+        );
+        if (earned.rowCount > 0) return 0;
+
+        const account = await this._lockAccount(client, sale.user_id);
+        await this._expireDue(client, account);
+        await this._addLot(client, account, 'earn', points, sale.sale_id, `Earned on order #${sale.sale_id}`);
+        await this._adjust(client, account, points, points);
+        return points;
+    }
+
+    /**
+     * Bring a sale's points in line with its current state, after a refund or when it is cancelled.
+     * Must run inside an open transaction on `client`.
+     * - Earned points above what the net total now earns (all of them once cancelled) are taken back,
+     *   from the sale's own lot first and at most down to a zero balance.
+     * - A cancelled sale's redeemed points are given back as a new lot.
+     * @param {Object} client - pg client with an open transaction
+     * @param {Object} sale - Sale row after the change (sale_id, user_id, status, total_amount, refunded_amount)
+     * @returns {Promise<{reversed: number, restored: number}>}
+     */
+    async syncSalePoints(client, sale) {
+        const result = { reversed: 0, restored: 0 };
+        if (!sale.user_id) return result;
+
+        const { rows: [totals] } = await client.query(
+            `SELECT COUNT(*) FILTER (WHERE type = 'earn')::int AS earns,
+                    COALESCE(SUM(points) FILTER (WHERE type IN ('earn', 'reversal')), 0)::int AS earned,
+                    COALESCE(-SUM(points) FILTER (WHERE type = 'redeem'), 0)::int AS redeemed,
+                    COALESCE(SUM(points) FILTER (WHERE type = 'restore'), 0)::int AS restored
+             FROM loyalty_transactions WHERE sale_id = $1`,
+            [sale.sale_id]
+        );
+        const cancelled = sale.status === 'cancelled';
+        const toReverse = totals.earns > 0 ? Math.max(0, totals.earned - (cancelled ? 0 : this._pointsFor(sale))) : 0;
+        const toRestore = cancelled ? Math.max(0, totals.redeemed - totals.restored) : 0;
+        if (toReverse === 0 && toRestore === 0) return result;
+
+        const account = await this._lockAccount(client, sale.user_id);
+        await this._expireDue(client, account);
+
+        if (toReverse > 0) {
+            const taken = await this._takeFromLots(client, account, Math.min(toReverse, account.points_balance), sale.sale_id);
+            if (taken > 0) {
+                await client.query(
+                    `INSERT INTO loyalty_transactions (loyalty_account_id, sale_id, type, points, note) VALUES ($1, $2, 'reversal', $3, $4)`,
+                    [account.loyalty_account_id, sale.sale_id, -taken, cancelled ? `Order #${sale.sale_id} cancelled` : `Refund on order #${sale.sale_id}`]
+                );
+                await this._adjust(client, account, -taken, -taken);
+                result.reversed = taken;
+            }
+        }
+        if (toRestore > 0) {
+            await this._addLot(client, account, 'restore', toRestore, sale.sale_id, `Returned from cancelled order #${sale.sale_id}`);
+            await this._adjust(client, account, toRestore);
+            result.restored = toRestore;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,176 @@
+import { PaymentsDTO } from '../domain/dto/PaymentsDTO.js';
+import { SalesDTO } from '../domain/dto/SalesDTO.js';
+import { BASE_CURRENCY, CURRENCIES } from '../domain/entities/ExchangeRates.js';
+import { PAYMENT_METHODS } from '../domain/entities/Payments.js';
+import { SALE_COLUMNS } from '../domain/repositories/SalesRepository.js';
+import { PAYMENT_COLUMNS } from '../domain/repositories/PaymentsRepository.js';
+import { GiftCardsRepository } from '../domain/repositories/GiftCardsRepository.js';
+import { GiftCardsServices } from './GiftCardsServices.js';
+import { pool } from '../config/db.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * PaymentsServices - Business logic for payments against a sale
+ * Payments may be tendered in USD or LBP by cash, card or transfer; LBP is converted at the rate the sale was stamped with.
+ * Gift card payments are in USD and are taken from the card's balance (see GiftCardsServices.redeem).
+ * Methods:
+ * - getPaymentsBySaleId(sale_id): Lists the payments recorded for a sale
+ * - recordPayment(sale_id, tenders, options): Records a (split) payment and computes the change in one transaction
+ */
+export class PaymentsServices {
+    constructor(paymentsRepository, giftCardsService = new GiftCardsServices(new GiftCardsRepository())) {
+        this.paymentsRepository = paymentsRepository;
+        this.giftCardsService = giftCardsService;
+    }
+
+    /**
+     * Get all payments recorded against a sale and return DTOs
+     * @param {number} sale_id - Sale ID
+     * @returns {Promise<PaymentsDTO[]>} Array of payment DTOs
+     */
+    async getPaymentsBySaleId(sale_id) {
+        try {
+            if (!sale_id || isNaN(sale_id)) {
+                throw new Error('Invalid sale ID');
+            }
+            const payments = await this.paymentsRepository.findBySaleId(sale_id);
+            return payments.map(p => PaymentsDTO.fromEntity(p));
+        } catch (error) {
+            throw new Error(`Failed to get payments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record one or more tenders (a split payment) against a sale atomically using a database transaction:
+     * - lock the sale (cancelled or fully paid sales cannot take payments)
+     * - convert each tender to USD at the sale's exchange rate and apply it to the remaining balance in order
+     * - card, transfer and gift card tenders may not exceed the balance; cash above it is returned as change in the tendered currency
+     * - gift card tenders (USD only) are taken from the card, which must have that much left
+     * - add the applied amount to the sale's paid_amount
+     * - a pending sale that is now paid in full moves to 'paid'
+     * @param {number} sale_id - Sale ID
+     * @param {Array} tenders - [{ method, currency, amount, gift_card_code }] where amount is tendered in `currency`
+     *   and gift_card_code is required for 'gift_card' tenders
+     * @param {Object} [options]
+     * @param {number} [options.received_by] - User ID recording the payment
+     * @returns {Promise<{sale: SalesDTO, payments: PaymentsDTO[], gift_cards: Array<{code, balance}>}|null>} Result with the
+     *   balance left on each gift card used, or null if the sale does not exist
+     */
+    async recordPayment(sale_id, tenders, { received_by = null } = {}) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+        if (!Array.isArray(tenders) || tenders.length === 0) {
+            throw new Error('A payment must include at least one tender');
+        }
+        const normalized = tenders.map(({ method = 'cash', currency = BASE_CURRENCY, amount, gift_card_code = null }) => {
+            if (!PAYMENT_METHODS.includes(method)) throw new Error(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+            if (!CURRENCIES.includes(currency)) throw new Error(`Currency must be one of: ${CURRENCIES.join(', ')}`);
+            const tendered = parseFloat(amount);
+            if (isNaN(tendered) || tendered <= 0) throw new Error('Amount must be a positive number');
+            if (method === 'gift_card') {
+                if (!gift_card_code || !String(gift_card_code).trim()) throw new Error('A gift card code is required for gift card payments');
+                if (currency !== BASE_CURRENCY) throw new Error(`Gift card payments must be in ${BASE_CURRENCY}`);
+            }
+            return { method, currency, tendered, gift_card_code };
+        });
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // 1) Lock the sale
+            const saleRes = await client.query(
+                `SELECT status, total_amount, refunded_amount, paid_amount, exchange_rate FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const sale = saleRes.rows[0];
+            if (sale.status === 'cancelled') {
+                throw new Error('Cannot take payment for a cancelled order');
+            }
+
+            let balance = round2(parseFloat(sale.total_amount) - parseFloat(sale.refunded_amount) - parseFloat(sale.paid_amount));
+            let paidTotal = 0;
+            const created = [];
+            const giftCards = [];
+
+            // 2) Apply each tender in order
+            for (const { method, currency, tendered, gift_card_code } of normalized) {
+                if (balance <= 0) {
+                    throw new Error(created.length ? 'The earlier tenders already cover the balance due' : 'Order is already paid in full');
+                }
+
+                // Convert to USD at the rate the sale was created with
+                let rate = null;
+                if (currency !== BASE_CURRENCY) {
+                    rate = sale.exchange_rate == null ? null : parseFloat(sale.exchange_rate);
+                    if (!rate) {
+                        throw new Error(`No exchange rate was set when this order was created; take payment in ${BASE_CURRENCY}`);
+                    }
+                }
+                const tenderedUsd = rate ? tendered / rate : tendered;
+                const overpaid = round2(tenderedUsd) > balance;
+                if (overpaid && method !== 'cash') {
+                    throw new Error(`A ${method.replace('_', ' ')} payment cannot exceed the balance due of ${balance.toFixed(2)} ${BASE_CURRENCY}`);
+                }
+                const applied = round2(Math.min(tenderedUsd, balance));
+
+                // Change is given in the tendered currency (whole pounds for LBP)
+                let change = 0;
+                if (overpaid) {
+                    change = rate ? Math.round(tendered - balance * rate) : round2(tendered - balance);
+                }
+
+                // Take gift card tenders from the card's balance
+                let gift_card_id = null;
+                if (method === 'gift_card') {
+                    const card = await this.giftCardsService.redeem(client, gift_card_code, applied, { sale_id, created_by: received_by });
+                    gift_card_id = card.gift_card_id;
+                    giftCards.push({ code: card.code, balance: card.balance });
+                }
+
+                const paymentRes = await client.query(
+                    `INSERT INTO payments (sale_id, method, currency, amount, exchange_rate, amount_usd, change_amount, received_by, gift_card_id)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     RETURNING ${PAYMENT_COLUMNS}`,
+                    [sale_id, method, currency, tendered, rate, applied, change, received_by, gift_card_id]
+                );
+                created.push(PaymentsDTO.fromEntity(paymentRes.rows[0]));
+
+                balance = round2(balance - applied);
+                paidTotal += applied;
+            }
+
+            // 3) Add the payments to the sale; paying a pending order in full marks it paid
+            const newStatus = balance <= 0 && sale.status === 'pending' ? 'paid' : sale.status;
+            const updatedRes = await client.query(
+                `UPDATE sales SET paid_amount = paid_amount + $1, status = $2 WHERE sale_id = $3 RETURNING ${SALE_COLUMNS}`,
+                [round2(paidTotal), newStatus, sale_id]
+            );
+            if (newStatus !== sale.status) {
+                await client.query(
+                    `INSERT INTO sale_status_history (sale_id, from_status, to_status, changed_by, note)
+                     VALUES ($1, $2, $3, $4, $5)`,
+                    [sale_id, sale.status, newStatus, received_by, 'Paid in full']
+                );
+            }
+
+            await client.query('COMMIT');
+
+            return {
+                sale: SalesDTO.fromEntity(updatedRes.rows[0]),
+                payments: created,
+                gift_cards: giftCards
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to record payment: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+}
@@ -0,0 +1,228 @@
+import { PriceListsDTO } from '../domain/dto/PriceListsDTO.js';
+import { PriceTiersDTO } from '../domain/dto/PriceTiersDTO.js';
+import { ProductVariantsRepository } from '../domain/repositories/ProductVariantsRepository.js';
+
+/**
+ * PriceListsServices - Business logic for quantity tiers and wholesale price lists
+ * A tier sets a product's unit price from a minimum quantity per order line. Tiers without a price list
+ * are volume prices for everyone; tiers on a price list only apply to the customers assigned to it.
+ * A product with variants is priced per variant, so each of its tiers names the bag size and grind it is for.
+ * Carts and new sales pick the lowest price a line qualifies for (utils/pricing.resolveLinePrices);
+ * sale items keep the price and tier they were sold at.
+ * Methods:
+ * - listPriceLists(): Lists price lists with customer and tier counts
+ * - getPriceListById(id): Gets a price list with its tiers
+ * - createPriceList(data): Creates a price list
+ * - updatePriceList(id, data): Updates a price list
+ * - deletePriceList(id): Deletes a price list and its tiers
+ * - listTiersForProduct(product_id): Lists a product's tiers on every list
+ * - saveTier(data): Adds a tier, or re-prices the same variant and quantity step
+ * - deleteTier(id): Deletes a tier
+ * - assignPriceList(user_id, price_list_id): Sets or clears a customer's price list
+ */
+export class PriceListsServices {
+    constructor(priceListsRepository, productVariantsRepository = new ProductVariantsRepository()) {
+        this.priceListsRepository = priceListsRepository;
+        this.productVariantsRepository = productVariantsRepository;
+    }
+
+    /**
+     * Normalize price list input: name is required, a blank description is null
+     * @private
+     */
+    _normalizeList(data) {
+        const name = data.name ? String(data.name).trim() : '';
+        if (!name) throw new Error('Name is required');
+        if (name.length > 100) throw new Error('Name must be at most 100 characters');
+        return {
+            name,
+            description: data.description && String(data.description).trim() ? String(data.description).trim() : null,
+            // Checkboxes post 'on'; the API sends booleans. Missing means active.
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+    }
+
+    /**
+     * Parse an optional price list ID: blank means none (retail or public tiers)
+     * @private
+     */
+    _priceListId(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const id = Number(value);
+        if (!Number.isInteger(id) || id < 1) throw new Error('Invalid price list ID');
+        return id;
+    }
+
+    /**
+     * Retrieve all price lists and return DTOs
+     * @returns {Promise<PriceListsDTO[]>} Price lists by name
+     */
+    async listPriceLists() {
+        try {
+            const lists = await this.priceListsRepository.findAll();
+            return lists.map(list => PriceListsDTO.fromEntity(list));
+        } catch (error) {
+            throw new Error(`Failed to list price lists: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a price list with its tiers, or null if not found
+     * @param {number} price_list_id - Price list ID
+     * @returns {Promise<PriceListsDTO|null>} Price list DTO or null
+     */
+    async getPriceListById(price_list_id) {
+        try {
+            if (!price_list_id || isNaN(price_list_id)) {
+                throw new Error('Invalid price list ID');
+            }
+            const list = await this.priceListsRepository.findById(price_list_id);
+            if (!list) return null;
+            const tiers = await this.priceListsRepository.findTiersByPriceList(price_list_id);
+            return PriceListsDTO.fromEntity(list, tiers);
+        } catch (error) {
+            throw new Error(`Failed to get price list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a price list
+     * @param {Object} data - { name, description, is_active }
+     * @returns {Promise<PriceListsDTO>} Created price list DTO
+     */
+    async createPriceList(data) {
+        try {
+            const list = await this.priceListsRepository.create(this._normalizeList(data));
+            return PriceListsDTO.fromEntity(list);
+        } catch (error) {
+            throw new Error(`Failed to create price list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a price list and return updated DTO or null
+     * @param {number} price_list_id - Price list ID
+     * @param {Object} data - { name, description, is_active }
+     * @returns {Promise<PriceListsDTO|null>} Updated price list DTO or null if not found
+     */
+    async updatePriceList(price_list_id, data) {
+        try {
+            if (!price_list_id || isNaN(price_list_id)) {
+                throw new Error('Invalid price list ID');
+            }
+            const list = await this.priceListsRepository.update(price_list_id, this._normalizeList(data));
+            return list ? PriceListsDTO.fromEntity(list) : null;
+        } catch (error) {
+            throw new Error(`Failed to update price list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a price list with its tiers; its customers go back to retail prices
+     * @param {number} price_list_id - Price list ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deletePriceList(price_list_id) {
+        try {
+            if (!price_list_id || isNaN(price_list_id)) {
+                throw new Error('Invalid price list ID');
+            }
+            return await this.priceListsRepository.delete(price_list_id);
+        } catch (error) {
+            throw new Error(`Failed to delete price list: ${error.message}`);
+        }
+    }
+
+    /**
+     * List a product's tiers: public volume tiers first, then each price list's
+     * @param {number} product_id - Product ID
+     * @returns {Promise<PriceTiersDTO[]>} Tiers with their labels
+     */
+    async listTiersForProduct(product_id) {
+        try {
+            if (!product_id || isNaN(product_id)) {
+                throw new Error('Invalid product ID');
+            }
+            const tiers = await this.priceListsRepository.findTiersByProduct(product_id);
+            return tiers.map(tier => PriceTiersDTO.fromEntity(tier));
+        } catch (error) {
+            throw new Error(`Failed to list price tiers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a price tier. A tier for the same product, variant, price list and minimum quantity is re-priced instead.
+     * A product with variants needs the variant the tier is for; a product without variants takes none.
+     * @param {Object} data - { product_id, variant_id, price_list_id (blank for everyone), min_quantity, unit_price }
+     * @returns {Promise<PriceTiersDTO>} The saved tier
+     */
+    async saveTier(data) {
+        try {
+            const product_id = Number(data.product_id);
+            const min_quantity = Number(data.min_quantity);
+            const unit_price = Math.round(parseFloat(data.unit_price) * 100) / 100;
+            if (!Number.isInteger(product_id) || product_id < 1) throw new Error('Invalid product ID');
+            if (!Number.isInteger(min_quantity) || min_quantity < 1) throw new Error('Minimum quantity must be a whole number of at least 1');
+            if (isNaN(unit_price) || unit_price <= 0) throw new Error('Unit price must be a positive number');
+
+            const variant_id = data.variant_id === undefined || data.variant_id === null || data.variant_id === '' ? null : Number(data.variant_id);
+            const variants = await this.productVariantsRepository.findByProduct(product_id);
+            if (variants.length > 0 && variant_id === null) {
+                throw new Error('This product is sold by bag size and grind: choose the variant the tier is for');
+            }
+            if (variant_id !== null && !variants.some(variant => variant.variant_id === variant_id)) {
+                throw new Error(`Variant ${data.variant_id} is not a variant of this product`);
+            }
+
+            const tier = await this.priceListsRepository.saveTier({
+                product_id,
+                variant_id,
+                price_list_id: this._priceListId(data.price_list_id),
+                min_quantity,
+                unit_price
+            });
+            return PriceTiersDTO.fromEntity(tier);
+        } catch (error) {
+            throw new Error(`Failed to save price tier: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a price tier
+     * @param {number} price_tier_id - Price tier ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteTier(price_tier_id) {
+        try {
+            if (!price_tier_id || isNaN(price_tier_id)) {
+                throw new Error('Invalid price tier ID');
+            }
+            return await this.priceListsRepository.deleteTier(price_tier_id);
+        } catch (error) {
+            throw new Error(`Failed to delete price tier: ${error.message}`);
+        }
+    }
+
+    /**
+     * Assign a price list to a customer, or clear it (retail prices and public tiers only).
+     * Orders already placed keep their prices.
+     * @param {number} user_id - Customer's user ID
+     * @param {number|string|null} price_list_id - Price list ID; blank or null clears it
+     * @returns {Promise<boolean>} False if there is no customer with that ID
+     * @throws {Error} If the price list does not exist
+     */
+    async assignPriceList(user_id, price_list_id) {
+        try {
+            if (!user_id || isNaN(user_id)) {
+                throw new Error('Invalid user ID');
+            }
+            const listId = this._priceListId(price_list_id);
+            if (listId && !(await this.priceListsRepository.findById(listId))) {
+                throw new Error(`Price list ${listId} does not exist`);
+            }
+            return await this.priceListsRepository.assignToCustomer(user_id, listId);
+        } catch (error) {
+            throw new Error(`Failed to assign price list: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,365 @@
+import { randomUUID } from 'crypto';
+import { ProductImagesDTO } from '../domain/dto/ProductImagesDTO.js';
+import { ALT_TEXT_MAX_LENGTH } from '../domain/entities/ProductImages.js';
+import { renderImageSizes, storeImage, removeImage } from '../utils/productImages.js';
+import { pool } from '../config/db.js';
+
+/**
+ * ProductImagesServices - Business logic for product photos
+ * Uploads are resized to a thumbnail and a full-size image before anything is stored. The first image a
+ * product gets becomes its primary image (the one shown in listings); deleting the primary promotes the next one.
+ * Methods:
+ * - listImages(product_id): Lists a product's images in gallery order
+ * - listPrimaryImages(product_ids): Gets the primary image of several products, by product
+ * - getImageById(id): Gets an image
+ * - uploadImages(product_id, files, alt_text): Resizes, stores and adds images at the end of the gallery
+ * - updateImage(id, data): Changes an image's alt text
+ * - setPrimaryImage(id): Makes an image its product's primary image
+ * - moveImage(id, direction): Moves an image one place up or down the gallery
+ * - reorderImages(product_id, image_ids): Puts a product's images in the given order
+ * - deleteImage(id): Deletes an image and its files
+ */
+export class ProductImagesServices {
+    constructor(productImagesRepository) {
+        this.productImagesRepository = productImagesRepository;
+    }
+
+    /**
+     * Trim alt text; blank means none
+     * @private
+     */
+    _altText(value) {
+        const alt_text = String(value ?? '').trim();
+        if (alt_text.length > ALT_TEXT_MAX_LENGTH) throw new Error(`Alt text must be at most ${ALT_TEXT_MAX_LENGTH} characters`);
+        return alt_text || null;
+    }
+
+    /**
+     * Write a gallery order: each image's sort_order becomes its position in image_ids
+     * @private
+     */
+    async _writeOrder(client, image_ids) {
+        await client.query(
+            `UPDATE product_images pi SET sort_order = o.position - 1
+             FROM UNNEST($1::int[]) WITH ORDINALITY AS o(image_id, position)
+             WHERE pi.image_id = o.image_id`,
+            [image_ids]
+        );
+    }
+
+    /**
+     * List a product's images
+     * @param {number} product_id - Product ID
+     * @returns {Promise<ProductImagesDTO[]>} Images in gallery order
+     */
+    async listImages(product_id) {
+        try {
+            if (!product_id || isNaN(product_id)) {
+                throw new Error('Invalid product ID');
+            }
+            const images = await this.productImagesRepository.findByProduct(product_id);
+            return images.map(image => ProductImagesDTO.fromEntity(image));
+        } catch (error) {
+            throw new Error(`Failed to list product images: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the primary image of several products, for listings
+     * @param {number[]} product_ids - Product IDs
+     * @returns {Promise<Object<number, ProductImagesDTO>>} Primary image keyed by product_id; products without images are left out
+     */
+    async listPrimaryImages(product_ids) {
+        try {
+            if (!product_ids || product_ids.length === 0) return {};
+            const images = await this.productImagesRepository.findPrimaryByProducts(product_ids);
+            return Object.fromEntries(images.map(image => [image.product_id, ProductImagesDTO.fromEntity(image)]));
+        } catch (error) {
+            throw new Error(`Failed to list product images: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get an image, or null if not found
+     * @param {number} image_id - Image ID
+     * @returns {Promise<ProductImagesDTO|null>} Image DTO or null
+     */
+    async getImageById(image_id) {
+        try {
+            if (!image_id || isNaN(image_id)) {
+                throw new Error('Invalid image ID');
+            }
+            const image = await this.productImagesRepository.findById(image_id);
+            return image ? ProductImagesDTO.fromEntity(image) : null;
+        } catch (error) {
+            throw new Error(`Failed to get product image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add images to the end of a product's gallery. Every file is checked and resized before any is stored,
+     * so one bad file adds none of them. A product without images gets the first one as its primary image.
+     * @param {number} product_id - Product ID
+     * @param {Array<{ buffer: Buffer, originalname: string }>} files - Uploaded files (multer)
+     * @param {string} [alt_text] - Alt text for all of them; blank leaves it empty
+     * @returns {Promise<ProductImagesDTO[]>} The added images
+     */
+    async uploadImages(product_id, files, alt_text) {
+        if (!product_id || isNaN(product_id)) {
+            throw new Error('Failed to upload product images: Invalid product ID');
+        }
+        if (!files || files.length === 0) {
+            throw new Error('Failed to upload product images: Choose at least one image');
+        }
+
+        let rendered;
+        try {
+            alt_text = this._altText(alt_text);
+            rendered = [];
+            for (const file of files) {
+                rendered.push(await renderImageSizes(file.buffer, file.originalname || undefined));
+            }
+        } catch (error) {
+            throw new Error(`Failed to upload product images: ${error.message}`);
+        }
+
+        const storage_keys = rendered.map(() => `products/${product_id}/${randomUUID()}`);
+        const client = await pool.connect();
+
+        try {
+            await Promise.all(storage_keys.map((key, index) => storeImage(key, rendered[index].files)));
+
+            await client.query('BEGIN');
+
+            const productRes = await client.query(
+                `SELECT product_id FROM products WHERE product_id = $1 FOR UPDATE`,
+                [product_id]
+            );
+            if (productRes.rowCount === 0) {
+                throw new Error('Product not found');
+            }
+            const galleryRes = await client.query(
+                `SELECT COALESCE(MAX(sort_order), -1) AS last_position, COALESCE(BOOL_OR(is_primary), FALSE) AS has_primary
+                 FROM product_images WHERE product_id = $1`,
+                [product_id]
+            );
+            const { last_position, has_primary } = galleryRes.rows[0];
+
+            const image_ids = [];
+            for (const [index, storage_key] of storage_keys.entries()) {
+                const { width, height } = rendered[index];
+                const insertRes = await client.query(
+                    `INSERT INTO product_images (product_id, storage_key, alt_text, width, height, sort_order, is_primary)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING image_id`,
+                    [product_id, storage_key, alt_text, width, height, last_position + 1 + index, !has_primary && index === 0]
+                );
+                image_ids.push(insertRes.rows[0].image_id);
+            }
+
+            await client.query('COMMIT');
+
+            const images = await this.productImagesRepository.findByProduct(product_id);
+            return images.filter(image => image_ids.includes(image.image_id)).map(image => ProductImagesDTO.fromEntity(image));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            await Promise.all(storage_keys.map(key => removeImage(key).catch(() => {})));
+            throw new Error(`Failed to upload product images: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Change an image's alt text
+     * @param {number} image_id - Image ID
+     * @param {Object} data - { alt_text } (blank clears it)
+     * @returns {Promise<ProductImagesDTO|null>} Updated image or null if not found
+     */
+    async updateImage(image_id, data) {
+        try {
+            if (!image_id || isNaN(image_id)) {
+                throw new Error('Invalid image ID');
+            }
+            const updated = await this.productImagesRepository.updateAltText(image_id, this._altText(data.alt_text));
+            return updated ? ProductImagesDTO.fromEntity(updated) : null;
+        } catch (error) {
+            throw new Error(`Failed to update product image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make an image its product's primary image, in place of the current one
+     * @param {number} image_id - Image ID
+     * @returns {Promise<ProductImagesDTO|null>} The image, or null if not found
+     */
+    async setPrimaryImage(image_id) {
+        if (!image_id || isNaN(image_id)) {
+            throw new Error('Failed to set primary image: Invalid image ID');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const imageRes = await client.query(
+                `SELECT product_id FROM product_images WHERE image_id = $1 FOR UPDATE`,
+                [image_id]
+            );
+            if (imageRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            // Clear the old primary first: the one-primary index is checked row by row
+            await client.query(
+                `UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary AND image_id <> $2`,
+                [imageRes.rows[0].product_id, image_id]
+            );
+            await client.query(`UPDATE product_images SET is_primary = TRUE WHERE image_id = $1`, [image_id]);
+
+            await client.query('COMMIT');
+
+            return ProductImagesDTO.fromEntity(await this.productImagesRepository.findById(image_id));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to set primary image: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Swap an image with its neighbour in the gallery; the first image cannot move up nor the last down
+     * @param {number} image_id - Image ID
+     * @param {string} direction - 'up' (earlier) or 'down' (later)
+     * @returns {Promise<ProductImagesDTO[]|null>} The product's images in their new order, or null if not found
+     */
+    async moveImage(image_id, direction) {
+        if (!image_id || isNaN(image_id)) {
+            throw new Error('Failed to move product image: Invalid image ID');
+        }
+        if (!['up', 'down'].includes(direction)) {
+            throw new Error('Failed to move product image: Direction must be up or down');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const galleryRes = await client.query(
+                `SELECT image_id, product_id FROM product_images
+                 WHERE product_id = (SELECT product_id FROM product_images WHERE image_id = $1)
+                 ORDER BY sort_order, image_id
+                 FOR UPDATE`,
+                [image_id]
+            );
+            if (galleryRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const image_ids = galleryRes.rows.map(row => row.image_id);
+            const from = image_ids.indexOf(Number(image_id));
+            const to = direction === 'up' ? from - 1 : from + 1;
+            if (to >= 0 && to < image_ids.length) {
+                [image_ids[from], image_ids[to]] = [image_ids[to], image_ids[from]];
+                await this._writeOrder(client, image_ids);
+            }
+
+            await client.query('COMMIT');
+
+            return await this.listImages(galleryRes.rows[0].product_id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to move product image: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Put a product's images in the given order
+     * @param {number} product_id - Product ID
+     * @param {number[]} image_ids - Every one of the product's image IDs, once, first image first
+     * @returns {Promise<ProductImagesDTO[]>} The product's images in their new order
+     */
+    async reorderImages(product_id, image_ids) {
+        if (!product_id || isNaN(product_id)) {
+            throw new Error('Failed to reorder product images: Invalid product ID');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            const order = (Array.isArray(image_ids) ? image_ids : []).map(Number);
+
+            await client.query('BEGIN');
+
+            const galleryRes = await client.query(
+                `SELECT image_id FROM product_images WHERE product_id = $1 FOR UPDATE`,
+                [product_id]
+            );
+            const current = galleryRes.rows.map(row => row.image_id);
+            if (order.length !== current.length || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+                throw new Error("image_ids must list each of the product's images once");
+            }
+            await this._writeOrder(client, order);
+
+            await client.query('COMMIT');
+
+            return await this.listImages(product_id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to reorder product images: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete an image and its files. Deleting the primary image makes the next one in the gallery primary.
+     * @param {number} image_id - Image ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteImage(image_id) {
+        if (!image_id || isNaN(image_id)) {
+            throw new Error('Failed to delete product image: Invalid image ID');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const deleteRes = await client.query(
+                `DELETE FROM product_images WHERE image_id = $1 RETURNING product_id, storage_key, is_primary`,
+                [image_id]
+            );
+            if (deleteRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+            const { product_id, storage_key, is_primary } = deleteRes.rows[0];
+            if (is_primary) {
+                await client.query(
+                    `UPDATE product_images SET is_primary = TRUE
+                     WHERE image_id = (SELECT image_id FROM product_images WHERE product_id = $1 ORDER BY sort_order, image_id LIMIT 1)`,
+                    [product_id]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            // The image is gone either way; a file left behind is only wasted disk space
+            await removeImage(storage_key).catch(error => console.error('Product image file cleanup error:', error.message));
+            return true;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to delete product image: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+}
@@ -0,0 +1,218 @@
+import { ProductVariantsDTO } from '../domain/dto/ProductVariantsDTO.js';
+import { VARIANT_GRINDS } from '../domain/entities/ProductVariants.js';
+import { allocateBackorders } from '../utils/stock.js';
+import { pool } from '../config/db.js';
+
+/**
+ * ProductVariantsServices - Business logic for the bag sizes and grinds a product is sold in
+ * Each variant has its own unit_price and quantity_in_stock. Once a product has variants, carts, sales and
+ * subscriptions must name the variant; the product's own price and inventory row are no longer used for orders.
+ * Methods:
+ * - listVariants(product_id): Lists a product's variants
+ * - listActiveVariants(product_ids): Lists the variants offered for several products, by product
+ * - getVariantById(id): Gets a variant
+ * - createVariant(product_id, data): Adds a variant to a product
+ * - updateVariant(id, data): Updates a variant; setting its stock allocates waiting backorders first
+ * - deleteVariant(id): Deletes a variant that was never sold
+ */
+export class ProductVariantsServices {
+    constructor(productVariantsRepository) {
+        this.productVariantsRepository = productVariantsRepository;
+    }
+
+    /**
+     * Normalize variant input: a positive weight in grams, a known grind and a positive price.
+     * Checkboxes post 'on'; the API sends booleans. Missing means active.
+     * @private
+     */
+    _normalize(data) {
+        const weight_grams = Number(data.weight_grams);
+        const unit_price = Math.round(parseFloat(data.unit_price) * 100) / 100;
+        if (!Number.isInteger(weight_grams) || weight_grams < 1) throw new Error('Weight must be a whole number of grams');
+        if (!VARIANT_GRINDS.includes(data.grind)) throw new Error(`Grind must be one of: ${VARIANT_GRINDS.join(', ')}`);
+        if (isNaN(unit_price) || unit_price <= 0) throw new Error('Unit price must be a positive number');
+        return {
+            weight_grams,
+            grind: data.grind,
+            unit_price,
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+    }
+
+    /**
+     * Parse an optional stock quantity: blank means unchanged (null)
+     * @private
+     */
+    _stock(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const quantity = Number(value);
+        if (!Number.isInteger(quantity) || quantity < 0) throw new Error('Quantity in stock must be a non-negative whole number');
+        return quantity;
+    }
+
+    /**
+     * Refuse a second variant with the same size and grind on a product
+     * @private
+     */
+    async _checkUnique(product_id, { weight_grams, grind }, variant_id = null) {
+        const variants = await this.productVariantsRepository.findByProduct(product_id);
+        const clash = variants.find(v => v.weight_grams === weight_grams && v.grind === grind && v.variant_id !== Number(variant_id));
+        if (clash) throw new Error(`This product already has a ${clash.variant_name} variant`);
+    }
+
+    /**
+     * List a product's variants, active or not
+     * @param {number} product_id - Product ID
+     * @returns {Promise<ProductVariantsDTO[]>} Variants by weight and grind
+     */
+    async listVariants(product_id) {
+        try {
+            if (!product_id || isNaN(product_id)) {
+                throw new Error('Invalid product ID');
+            }
+            const variants = await this.productVariantsRepository.findByProduct(product_id);
+            return variants.map(variant => ProductVariantsDTO.fromEntity(variant));
+        } catch (error) {
+            throw new Error(`Failed to list product variants: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the active variants of several products, for variant pickers
+     * @param {number[]} product_ids - Product IDs
+     * @returns {Promise<Object<number, ProductVariantsDTO[]>>} Variants by weight and grind, keyed by product_id;
+     *   products without active variants are left out
+     */
+    async listActiveVariants(product_ids) {
+        try {
+            if (!product_ids || product_ids.length === 0) return {};
+            const variants = await this.productVariantsRepository.findActiveByProducts(product_ids);
+            return variants.reduce((byProduct, variant) => {
+                (byProduct[variant.product_id] ||= []).push(ProductVariantsDTO.fromEntity(variant));
+                return byProduct;
+            }, {});
+        } catch (error) {
+            throw new Error(`Failed to list product variants: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a variant, or null if not found
+     * @param {number} variant_id - Variant ID
+     * @returns {Promise<ProductVariantsDTO|null>} Variant DTO or null
+     */
+    async getVariantById(variant_id) {
+        try {
+            if (!variant_id || isNaN(variant_id)) {
+                throw new Error('Invalid variant ID');
+            }
+            const variant = await this.productVariantsRepository.findById(variant_id);
+            return variant ? ProductVariantsDTO.fromEntity(variant) : null;
+        } catch (error) {
+            throw new Error(`Failed to get product variant: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a variant to a product
+     * @param {number} product_id - Product ID
+     * @param {Object} data - { weight_grams, grind, unit_price, quantity_in_stock (default 0), is_active }
+     * @returns {Promise<ProductVariantsDTO>} Created variant DTO
+     */
+    async createVariant(product_id, data) {
+        try {
+            if (!product_id || isNaN(product_id)) {
+                throw new Error('Invalid product ID');
+            }
+            const variant = this._normalize(data);
+            await this._checkUnique(product_id, variant);
+            const created = await this.productVariantsRepository.create({
+                product_id,
+                ...variant,
+                quantity_in_stock: this._stock(data.quantity_in_stock) ?? 0
+            });
+            return ProductVariantsDTO.fromEntity(created);
+        } catch (error) {
+            throw new Error(`Failed to create product variant: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a variant atomically. When quantity_in_stock is given it is what is on hand: backordered units
+     * waiting for the variant are allocated from it first (oldest order first) and the rest becomes its stock.
+     * @param {number} variant_id - Variant ID
+     * @param {Object} data - { weight_grams, grind, unit_price, is_active, quantity_in_stock (blank: unchanged) }
+     * @returns {Promise<ProductVariantsDTO|null>} Updated variant with the `allocations` made, or null if not found
+     */
+    async updateVariant(variant_id, data) {
+        if (!variant_id || isNaN(variant_id)) {
+            throw new Error('Failed to update product variant: Invalid variant ID');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            const variant = this._normalize(data);
+            const quantity_in_stock = this._stock(data.quantity_in_stock);
+
+            await client.query('BEGIN');
+
+            const currentRes = await client.query(
+                `SELECT product_id FROM product_variants WHERE variant_id = $1 FOR UPDATE`,
+                [variant_id]
+            );
+            if (currentRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const { product_id } = currentRes.rows[0];
+            await this._checkUnique(product_id, variant, variant_id);
+
+            await client.query(
+                `UPDATE product_variants
+                 SET weight_grams = $1, grind = $2, unit_price = $3, is_active = $4, last_updated = NOW()
+                 WHERE variant_id = $5`,
+                [variant.weight_grams, variant.grind, variant.unit_price, variant.is_active, variant_id]
+            );
+
+            let allocations = [];
+            if (quantity_in_stock !== null) {
+                const allocated = await allocateBackorders(client, product_id, variant_id, quantity_in_stock);
+                allocations = allocated.allocations;
+                await client.query(
+                    `UPDATE product_variants SET quantity_in_stock = $1 WHERE variant_id = $2`,
+                    [allocated.available, variant_id]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            const updated = await this.productVariantsRepository.findById(variant_id);
+            return ProductVariantsDTO.fromEntity({ ...updated, allocations });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to update product variant: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a variant. A variant on any sale is kept for its receipts; deactivate it instead.
+     * @param {number} variant_id - Variant ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteVariant(variant_id) {
+        try {
+            if (!variant_id || isNaN(variant_id)) {
+                throw new Error('Invalid variant ID');
+            }
+            if (await this.productVariantsRepository.isSold(variant_id)) {
+                throw new Error('This variant has been sold; deactivate it instead');
+            }
+            return await this.productVariantsRepository.delete(variant_id);
+        } catch (error) {
+            throw new Error(`Failed to delete product variant: ${error.message}`);
+        }
+    }
+}
@@ -1,33 +1,148 @@
+import { BACKORDER_POLICIES, COFFEE_PROCESSES, ROAST_LEVELS, BREW_METHODS } from '../domain/entities/Products.js';
+import { removeImage } from '../utils/productImages.js';
+import { slugify } from '../utils/helpers.js';
+
+/** Turn a list field into trimmed, lower-case, unique entries: an array, a single form value or a comma-separated string */
+function toList(value) {
+    const entries = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean))];
+}
+
+/** Slug for a product page; an all-digit one gets a prefix so the URL is not read as a product_id */
+function productSlug(text) {
+    const slug = slugify(text);
+    return /^\d+$/.test(slug) ? `product-${slug}` : slug;
+}
+
 /**
  * ProductsServices - Business logic for product operations
  * Methods:
  * - createProduct(data): Creates a new product
  * - getAllProducts(): Retrieves all products
+ * - searchProducts(params): Finds products by text, price, category, status and coffee details
+ * - getOrigins(): Lists the origin countries offered in the catalog
  * - getProductById(id): Gets a product by ID
+ * - getProductBySlug(slug): Gets a product by its URL slug
+ * - getRelatedProducts(product, limit): Gets available products like a product, for its page
  * - updateProduct(id, data): Updates a product
- * - deleteProduct(id): Deletes a product
+ * - deleteProduct(id): Deletes a product and its image files
  */
 export class ProductsServices {
     constructor(productsRepository) {
         this.productsRepository = productsRepository;
     }
 
+    /**
+     * Check the backorder fields and default them: policy 'none', no expected date (an empty form field)
+     * @private
+     */
+    _withBackorderPolicy(data) {
+        const backorder_policy = data.backorder_policy || 'none';
+        if (!BACKORDER_POLICIES.includes(backorder_policy)) {
+            throw new Error(`backorder_policy must be one of: ${BACKORDER_POLICIES.join(', ')}`);
+        }
+        const expected_available_date = data.expected_available_date || null;
+        if (expected_available_date && !/^\d{4}-\d{2}-\d{2}$/.test(expected_available_date)) {
+            throw new Error('expected_available_date must be a date (YYYY-MM-DD)');
+        }
+        return { ...data, backorder_policy, expected_available_date };
+    }
+
+    /**
+     * Check the coffee details and normalize them: blank text is null, process and roast level must be known values,
+     * tasting notes and brew methods become lists (a form posts tasting notes comma-separated)
+     * @private
+     */
+    _withCoffeeDetails(data) {
+        const text = (field, max) => {
+            const value = data[field] == null ? '' : String(data[field]).trim();
+            if (value.length > max) throw new Error(`${field} must be at most ${max} characters`);
+            return value || null;
+        };
+        const process = text('process', 10)?.toLowerCase() || null;
+        if (process && !COFFEE_PROCESSES.includes(process)) {
+            throw new Error(`process must be one of: ${COFFEE_PROCESSES.join(', ')}`);
+        }
+        const roast_level = text('roast_level', 15)?.toLowerCase() || null;
+        if (roast_level && !ROAST_LEVELS.includes(roast_level)) {
+            throw new Error(`roast_level must be one of: ${ROAST_LEVELS.join(', ')}`);
+        }
+        const altitude = text('altitude_masl', 10);
+        const altitude_masl = altitude === null ? null : Number(altitude);
+        if (altitude_masl !== null && (!Number.isInteger(altitude_masl) || altitude_masl < 1)) {
+            throw new Error('altitude_masl must be a positive whole number of metres');
+        }
+        const brew_methods = toList(data.brew_methods);
+        const unknown = brew_methods.filter(method => !BREW_METHODS.includes(method));
+        if (unknown.length > 0) {
+            throw new Error(`brew_methods must be from: ${BREW_METHODS.join(', ')}`);
+        }
+        return {
+            ...data,
+            origin_country: text('origin_country', 60),
+            origin_region: text('origin_region', 100),
+            farm: text('farm', 100),
+            varietal: text('varietal', 100),
+            process,
+            altitude_masl,
+            roast_level,
+            tasting_notes: toList(data.tasting_notes),
+            brew_methods
+        };
+    }
+
+    /**
+     * Give the product a slug for its page URL. A slug the admin typed is normalized and must be free;
+     * otherwise an existing product keeps its slug (so links to it keep working when it is renamed) and a new one
+     * gets its name's slug, numbered (-2, -3, ...) when another product has it.
+     * @private
+     */
+    async _withSlug(data, product_id = null) {
+        const requested = String(data.slug ?? '').trim();
+        let slug = productSlug(requested);
+        if (requested && !slug) {
+            throw new Error('slug must contain letters or digits');
+        }
+        if (slug) {
+            if (await this.productsRepository.slugExists(slug, product_id)) {
+                throw new Error(`The slug "${slug}" is already used by another product`);
+            }
+            return { ...data, slug };
+        }
+
+        const current = product_id ? await this.productsRepository.findById(product_id) : null;
+        if (current) {
+            return { ...data, slug: current.slug };
+        }
+        const base = productSlug(data.product_name) || 'product';
+        slug = base;
+        for (let n = 2; await this.productsRepository.slugExists(slug, product_id); n++) {
+            slug = `${base}-${n}`;
+        }
+        return { ...data, slug };
+    }
+
     /** 
      * Create a new product from productData and return the created entity 
      * @param {Object} productData - Product data object
      * @param {string} productData.product_name - Product name
+     * @param {string} [productData.slug] - Page URL name; derived from the name when left out
      * @param {string} [productData.description] - Product description
      * @param {number} productData.unit_price - Product unit price
-     * @param {string} productData.product_type - Product type
+     * @param {number} productData.category_id - Category the product is filed under
      * @param {string} productData.status - Product status ('available' | 'not available')
+     * @param {string} [productData.backorder_policy='none'] - 'none', 'backorder' or 'preorder'
+     * @param {string} [productData.expected_available_date] - When backordered units are expected (YYYY-MM-DD)
+     * @param {string} [productData.origin_country] - Coffee details, all optional: origin_country, origin_region, farm,
+     *   varietal, process, altitude_masl, roast_level, tasting_notes and brew_methods (lists or comma-separated)
      * @returns {Promise<Products>} Created product entity
      */
     async createProduct(productData) {
         try {
-            if (!productData.product_name || !productData.unit_price || !productData.product_type || !productData.status) {
-                throw new Error("Missing required fields: product_name, unit_price, product_type, status");
+            if (!productData.product_name || !productData.unit_price || !productData.category_id || !productData.status) {
+                throw new Error("Missing required fields: product_name, unit_price, category_id, status");
             }
-            return await this.productsRepository.create(productData);
+            return await this.productsRepository.create(await this._withSlug(this._withCoffeeDetails(this._withBackorderPolicy(productData))));
         } catch (error) {
             throw new Error(`Failed to create product: ${error.message}`);
         }
@@ -47,7 +162,8 @@ export class ProductsServices {
 
     /**
      * Search products with optional filters.
-     * @param {Object} params
+     * @param {Object} params - { query, minPrice, maxPrice, productType, categoryId, status, origin, process, roastLevel,
+     *   tastingNote, brewMethod, limit }; see ProductsRepository.search
      * @returns {Promise<Products[]>}
      */
     async searchProducts(params = {}) {
@@ -58,6 +174,18 @@ export class ProductsServices {
         }
     }
 
+    /**
+     * Origin countries of available products, for the catalog's origin filter
+     * @returns {Promise<string[]>} Countries alphabetically
+     */
+    async getOrigins() {
+        try {
+            return await this.productsRepository.findOrigins();
+        } catch (error) {
+            throw new Error(`Failed to get product origins: ${error.message}`);
+        }
+    }
+
     /** 
      * Get a product by ID or throw on invalid id 
      * @param {number} product_id - Product ID
@@ -75,10 +203,38 @@ export class ProductsServices {
         }
     }
 
+    /**
+     * Get a product by its slug
+     * @param {string} slug - URL slug, e.g. "ethiopia-yirgacheffe"
+     * @returns {Promise<Products|null>} Product entity or null if not found
+     */
+    async getProductBySlug(slug) {
+        try {
+            if (!slug) throw new Error("Invalid product slug");
+            return await this.productsRepository.findBySlug(String(slug).toLowerCase());
+        } catch (error) {
+            throw new Error(`Failed to get product: ${error.message}`);
+        }
+    }
+
+    /**
+     * Available products like the given one (same category, origin, roast or tasting notes), most alike first
+     * @param {Products} product - The product shown
+     * @param {number} [limit=4] - How many to return
+     * @returns {Promise<Products[]>}
+     */
+    async getRelatedProducts(product, limit = 4) {
+        try {
+            return await this.productsRepository.findRelated(product, limit);
+        } catch (error) {
+            throw new Error(`Failed to get related products: ${error.message}`);
+        }
+    }
+
     /** 
      * Update a product by ID with provided updates and return updated entity 
      * @param {number} product_id - Product ID
-     * @param {Object} updates - Partial product data to update
+     * @param {Object} updates - Partial product data to update; a blank or missing slug keeps the current one
      * @returns {Promise<Products|null>} Updated product entity or null if not found
      */
     async updateProduct(product_id, updates) {
@@ -89,7 +245,8 @@ export class ProductsServices {
             if (!updates || Object.keys(updates).length === 0) 
                 throw new Error("No data provided for update");
 
-            const updatedProduct = await this.productsRepository.update(product_id, updates);
+            const updatedProduct = await this.productsRepository.update(product_id,
+                await this._withSlug(this._withCoffeeDetails(this._withBackorderPolicy(updates)), product_id));
             return updatedProduct;
         } catch (error) {
             throw new Error(`Failed to update product: ${error.message}`);
@@ -106,7 +263,11 @@ export class ProductsServices {
             if (!product_id || isNaN(product_id)) 
                 throw new Error("Invalid product ID");
 
+            const imageKeys = await this.productsRepository.findImageKeys(product_id);
             const deleted = await this.productsRepository.delete(product_id);
+            if (deleted) {
+                await Promise.all(imageKeys.map(key => removeImage(key).catch(error => console.error('Product image file cleanup error:', error.message))));
+            }
             return deleted;
 
         } catch (error) {
@@ -0,0 +1,277 @@
+import { PromoCodesDTO } from '../domain/dto/PromoCodesDTO.js';
+import { PROMO_DISCOUNT_TYPES } from '../domain/entities/PromoCodes.js';
+
+/** A sale's lines with the category path of each product, for a code's category restrictions */
+async function saleLines(client, sale_id) {
+    const { rows } = await client.query(
+        `SELECT si.quantity, si.price_at_sale, cp.id_path
+         FROM sale_items si
+         JOIN products p ON p.product_id = si.product_id
+         JOIN category_paths cp ON cp.category_id = p.category_id
+         WHERE si.sale_id = $1`,
+        [sale_id]
+    );
+    return rows;
+}
+
+/**
+ * A code's discount on a sale's lines: the percentage of the eligible lines for percent codes, or the amount
+ * capped at the eligible lines' value for fixed codes
+ * @returns {{subtotal: number, eligibleSubtotal: number, discount_amount: number}}
+ */
+function discountOn(promo, lines) {
+    const lineTotal = (line) => parseFloat(line.price_at_sale) * parseInt(line.quantity, 10);
+    const subtotal = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+
+    const categoryIds = promo.category_ids || [];
+    const eligibleSubtotal = lines
+        .filter(line => categoryIds.length === 0 || line.id_path.some(id => categoryIds.includes(id)))
+        .reduce((sum, line) => sum + lineTotal(line), 0);
+
+    const rawDiscount = promo.discount_type === 'percent'
+        ? (eligibleSubtotal * parseFloat(promo.discount_value)) / 100
+        : Math.min(parseFloat(promo.discount_value), eligibleSubtotal);
+    return { subtotal, eligibleSubtotal, discount_amount: Math.round(rawDiscount * 100) / 100 };
+}
+
+/**
+ * PromoCodesServices - Business logic for promo codes
+ * Methods:
+ * - listPromoCodes(): Lists all promo codes
+ * - getPromoCodeById(id): Gets a promo code by ID
+ * - createPromoCode(data): Creates a promo code
+ * - updatePromoCode(id, data): Updates a promo code
+ * - deletePromoCode(id): Deletes a promo code that has never been used
+ * - redeem(client, code, { sale_id, user_id }): Validates a code against a sale and records the redemption
+ * - repriceRedemption(client, sale_id): Works out the discount of the code redeemed on a sale again after its items change
+ */
+export class PromoCodesServices {
+    constructor(promoCodesRepository) {
+        this.promoCodesRepository = promoCodesRepository;
+    }
+
+    /**
+     * Normalize promo code input from the API or the admin form:
+     * upper-cases the code, turns blanks into nulls and category_ids (an array or a comma-separated list) into IDs.
+     * @private
+     */
+    _normalize(data) {
+        const blankToNull = (value) => (value === undefined || value === null || value === '' ? null : value);
+
+        let categoryIds = data.category_ids;
+        if (typeof categoryIds === 'string' || typeof categoryIds === 'number') categoryIds = String(categoryIds).split(',');
+        categoryIds = [...new Set((categoryIds || []).map(id => String(id).trim()).filter(Boolean).map(Number))];
+        if (categoryIds.some(id => !Number.isInteger(id) || id < 1)) throw new Error('Invalid category ID');
+
+        const promo = {
+            code: String(data.code || '').trim().toUpperCase(),
+            description: blankToNull(data.description),
+            discount_type: data.discount_type,
+            discount_value: parseFloat(data.discount_value),
+            min_order_value: parseFloat(data.min_order_value) || 0,
+            starts_at: blankToNull(data.starts_at),
+            ends_at: blankToNull(data.ends_at),
+            max_uses: blankToNull(data.max_uses) === null ? null : parseInt(data.max_uses, 10),
+            max_uses_per_customer: blankToNull(data.max_uses_per_customer) === null ? null : parseInt(data.max_uses_per_customer, 10),
+            category_ids: categoryIds.length > 0 ? categoryIds : null,
+            // Checkboxes post 'on'; the API sends booleans. Missing means active.
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+
+        if (!promo.code) throw new Error('Code is required');
+        if (!PROMO_DISCOUNT_TYPES.includes(promo.discount_type)) {
+            throw new Error(`Discount type must be one of: ${PROMO_DISCOUNT_TYPES.join(', ')}`);
+        }
+        if (isNaN(promo.discount_value) || promo.discount_value <= 0) throw new Error('Discount value must be positive');
+        if (promo.discount_type === 'percent' && promo.discount_value > 100) {
+            throw new Error('Percentage discount cannot exceed 100');
+        }
+        if (promo.starts_at && promo.ends_at && new Date(promo.ends_at) <= new Date(promo.starts_at)) {
+            throw new Error('End date must be after start date');
+        }
+        return promo;
+    }
+
+    /**
+     * Retrieve all promo codes and return DTOs
+     * @returns {Promise<PromoCodesDTO[]>} Array of promo code DTOs
+     */
+    async listPromoCodes() {
+        try {
+            const promoCodes = await this.promoCodesRepository.findAll();
+            return promoCodes.map(p => PromoCodesDTO.fromEntity(p));
+        } catch (error) {
+            throw new Error(`Failed to list promo codes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a promo code by ID and return DTO, or null if not found
+     * @param {number} promo_code_id - Promo code ID
+     * @returns {Promise<PromoCodesDTO|null>} Promo code DTO or null
+     */
+    async getPromoCodeById(promo_code_id) {
+        try {
+            if (!promo_code_id || isNaN(promo_code_id)) {
+                throw new Error('Invalid promo code ID');
+            }
+            const promo = await this.promoCodesRepository.findById(promo_code_id);
+            return promo ? PromoCodesDTO.fromEntity(promo) : null;
+        } catch (error) {
+            throw new Error(`Failed to get promo code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a promo code
+     * @param {Object} data - Promo code fields (code, discount_type, discount_value, optional limits)
+     * @returns {Promise<PromoCodesDTO>} Created promo code DTO
+     */
+    async createPromoCode(data) {
+        try {
+            const promo = await this.promoCodesRepository.create(this._normalize(data));
+            return PromoCodesDTO.fromEntity(promo);
+        } catch (error) {
+            throw new Error(`Failed to create promo code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a promo code and return updated DTO or null
+     * @param {number} promo_code_id - Promo code ID
+     * @param {Object} data - Promo code fields
+     * @returns {Promise<PromoCodesDTO|null>} Updated promo code DTO or null if not found
+     */
+    async updatePromoCode(promo_code_id, data) {
+        try {
+            if (!promo_code_id || isNaN(promo_code_id)) {
+                throw new Error('Invalid promo code ID');
+            }
+            const promo = await this.promoCodesRepository.update(promo_code_id, this._normalize(data));
+            return promo ? PromoCodesDTO.fromEntity(promo) : null;
+        } catch (error) {
+            throw new Error(`Failed to update promo code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a promo code. Codes that have been used are kept for the sales that reference them.
+     * @param {number} promo_code_id - Promo code ID
+     * @returns {Promise<boolean>} True when deleted, false if not found
+     */
+    async deletePromoCode(promo_code_id) {
+        try {
+            if (!promo_code_id || isNaN(promo_code_id)) {
+                throw new Error('Invalid promo code ID');
+            }
+            const promo = await this.promoCodesRepository.findById(promo_code_id);
+            if (!promo) return false;
+            if (promo.times_used > 0) {
+                throw new Error('This code has been used; deactivate it instead');
+            }
+            return await this.promoCodesRepository.delete(promo_code_id);
+        } catch (error) {
+            throw new Error(`Failed to delete promo code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a promo code against a sale's items and record its redemption.
+     * Must run inside an open transaction on `client`, after the sale's items are written.
+     * The code row is locked so concurrent redemptions cannot exceed the usage caps.
+     * Rules checked: active, validity window, global and per-customer caps (cancelled sales
+     * do not count), minimum order value (on the whole subtotal) and category restrictions (a category
+     * takes in its subcategories).
+     * Percent codes take the percentage of the eligible lines; fixed codes take the amount,
+     * capped at the eligible lines' value.
+     * @param {Object} client - pg client with an open transaction
+     * @param {string} code - Promo code entered by the customer (case-insensitive)
+     * @param {Object} params
+     * @param {number} params.sale_id - Sale the code is applied to
+     * @param {number} params.user_id - Customer the sale belongs to
+     * @returns {Promise<{promo_code_id: number, code: string, subtotal: number, discount_amount: number}>}
+     */
+    async redeem(client, code, { sale_id, user_id }) {
+        const promoRes = await client.query(
+            `SELECT promo_code_id, code, discount_type, discount_value, min_order_value, max_uses, max_uses_per_customer,
+                    category_ids, is_active,
+                    (SELECT STRING_AGG(ARRAY_TO_STRING(cp.name_path, ' › '), ', ' ORDER BY cp.name_path)
+                     FROM category_paths cp WHERE cp.category_id = ANY(category_ids)) AS category_names,
+                    (starts_at IS NULL OR starts_at <= NOW()) AS has_started,
+                    (ends_at IS NULL OR ends_at > NOW()) AS has_not_ended
+             FROM promo_codes WHERE code = UPPER($1) FOR UPDATE`,
+            [String(code).trim()]
+        );
+        if (promoRes.rowCount === 0) {
+            throw new Error(`Promo code ${code} does not exist`);
+        }
+        const promo = promoRes.rows[0];
+        if (!promo.is_active || !promo.has_started || !promo.has_not_ended) {
+            throw new Error(`Promo code ${promo.code} is not valid at this time`);
+        }
+
+        // Usage caps count redemptions on sales that were not cancelled
+        const usageRes = await client.query(
+            `SELECT COUNT(*)::int AS total_uses,
+                    COUNT(*) FILTER (WHERE r.user_id = $2)::int AS customer_uses
+             FROM promo_code_redemptions r
+             JOIN sales s ON s.sale_id = r.sale_id
+             WHERE r.promo_code_id = $1 AND s.status <> 'cancelled' AND r.sale_id <> $3`,
+            [promo.promo_code_id, user_id, sale_id]
+        );
+        const { total_uses, customer_uses } = usageRes.rows[0];
+        if (promo.max_uses != null && total_uses >= promo.max_uses) {
+            throw new Error(`Promo code ${promo.code} has reached its usage limit`);
+        }
+        if (promo.max_uses_per_customer != null && customer_uses >= promo.max_uses_per_customer) {
+            throw new Error(`You have already used promo code ${promo.code} the maximum number of times`);
+        }
+
+        const { subtotal, eligibleSubtotal, discount_amount } = discountOn(promo, await saleLines(client, sale_id));
+
+        if (subtotal < parseFloat(promo.min_order_value)) {
+            throw new Error(`Promo code ${promo.code} requires a minimum order of $${parseFloat(promo.min_order_value).toFixed(2)}`);
+        }
+        if (eligibleSubtotal === 0) {
+            throw new Error(`Promo code ${promo.code} only applies to: ${promo.category_names}`);
+        }
+
+        await client.query(
+            `INSERT INTO promo_code_redemptions (promo_code_id, sale_id, user_id, discount_amount)
+             VALUES ($1, $2, $3, $4)`,
+            [promo.promo_code_id, sale_id, user_id, discount_amount]
+        );
+
+        return { promo_code_id: promo.promo_code_id, code: promo.code, subtotal, discount_amount };
+    }
+
+    /**
+     * Work out the discount of the code redeemed on a sale again, from the sale's current items, and store it
+     * on the redemption. The code's type and value apply as in redeem(), so a fixed code keeps its amount
+     * (capped at the eligible lines' value) instead of scaling with the subtotal. The redemption's checks are not
+     * repeated: the code was valid when the order was placed.
+     * Must run inside an open transaction on `client`, after the sale's items are written.
+     * @param {Object} client - pg client with an open transaction
+     * @param {number} sale_id - Sale whose items changed
+     * @returns {Promise<number|null>} The discount, or null if no code was redeemed on the sale
+     */
+    async repriceRedemption(client, sale_id) {
+        const promoRes = await client.query(
+            `SELECT pc.discount_type, pc.discount_value, pc.category_ids
+             FROM promo_code_redemptions r
+             JOIN promo_codes pc ON pc.promo_code_id = r.promo_code_id
+             WHERE r.sale_id = $1`,
+            [sale_id]
+        );
+        if (promoRes.rowCount === 0) {
+            return null;
+        }
+
+        const { discount_amount } = discountOn(promoRes.rows[0], await saleLines(client, sale_id));
+        await client.query(
+            `UPDATE promo_code_redemptions SET discount_amount = $1 WHERE sale_id = $2`,
+            [discount_amount, sale_id]
+        );
+        return discount_amount;
+    }
+}
@@ -0,0 +1,175 @@
+import { ReturnsDTO } from '../domain/dto/ReturnsDTO.js';
+import { SalesDTO } from '../domain/dto/SalesDTO.js';
+import { SALE_COLUMNS } from '../domain/repositories/SalesRepository.js';
+import { LoyaltyAccountsRepository } from '../domain/repositories/LoyaltyAccountsRepository.js';
+import { LoyaltyAccountsServices } from './LoyaltyAccountsServices.js';
+import { GiftCardsRepository } from '../domain/repositories/GiftCardsRepository.js';
+import { GiftCardsServices } from './GiftCardsServices.js';
+import { adjustStock } from '../utils/stock.js';
+import { pool } from '../config/db.js';
+
+/**
+ * ReturnsServices - Business logic for returns and refunds against a sale
+ * Methods:
+ * - getReturnsBySaleId(sale_id): Lists the returns recorded for a sale
+ * - createReturn(sale_id, items, options): Returns items and refunds them (gift card payments back to their cards) in one transaction
+ */
+export class ReturnsServices {
+    constructor(
+        returnsRepository,
+        loyaltyService = new LoyaltyAccountsServices(new LoyaltyAccountsRepository()),
+        giftCardsService = new GiftCardsServices(new GiftCardsRepository())
+    ) {
+        this.returnsRepository = returnsRepository;
+        this.loyaltyService = loyaltyService;
+        this.giftCardsService = giftCardsService;
+    }
+
+    /**
+     * Get all returns recorded against a sale and return DTOs
+     * @param {number} sale_id - Sale ID
+     * @returns {Promise<ReturnsDTO[]>} Array of return DTOs
+     */
+    async getReturnsBySaleId(sale_id) {
+        try {
+            if (!sale_id || isNaN(sale_id)) {
+                throw new Error('Invalid sale ID');
+            }
+            const returns = await this.returnsRepository.findBySaleId(sale_id);
+            return returns.map(r => ReturnsDTO.fromEntity(r));
+        } catch (error) {
+            throw new Error(`Failed to get returns: ${error.message}`);
+        }
+    }
+
+    /**
+     * Return items of a sale atomically using a database transaction:
+     * - lock the sale (cancelled sales cannot be returned against)
+     * - lock each sale item and check the quantity has not already been returned and is not still backordered
+     * - refund each unit at price_at_sale less the sale's discount_percentage, plus its tax when tax was added on top
+     * - optionally put the units back into inventory
+     * - add the refund to the sale's refunded_amount
+     * - take back the loyalty points the refunded amount had earned (points redeemed on the sale are not given back)
+     * - credit the gift cards that paid the sale with their share of the refund
+     * @param {number} sale_id - Sale ID
+     * @param {Array} items - Items to return: [{ sale_item_id, quantity }]
+     * @param {Object} [options]
+     * @param {boolean} [options.restock=false] - Put returned units back into inventory (or the variant's stock)
+     * @param {string} [options.reason] - Why the items were returned
+     * @param {number} [options.created_by] - User ID recording the return
+     * @returns {Promise<{sale: SalesDTO, returns: ReturnsDTO[], refund_total: number, gift_cards: Array<{gift_card_id, code, amount, balance}>}|null>}
+     *   Result with the amount credited to each gift card, or null if the sale does not exist
+     */
+    async createReturn(sale_id, items, { restock = false, reason = null, created_by = null } = {}) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+        if (!items || !Array.isArray(items) || items.length === 0) {
+            throw new Error('A return must include at least one item');
+        }
+
+        // Merge repeated lines for the same sale item so quantity checks see the full amount
+        const quantities = new Map();
+        for (const item of items) {
+            const saleItemId = parseInt(item.sale_item_id, 10);
+            const quantity = parseInt(item.quantity, 10);
+            if (!saleItemId || !quantity || quantity <= 0) {
+                throw new Error('Each returned item must have a sale_item_id and a positive quantity');
+            }
+            quantities.set(saleItemId, (quantities.get(saleItemId) || 0) + quantity);
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // 1) Lock the sale
+            const saleRes = await client.query(
+                `SELECT status, discount_percentage, prices_include_tax, total_amount, refunded_amount FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const sale = saleRes.rows[0];
+            if (sale.status === 'cancelled') {
+                throw new Error('Cannot return items of a cancelled order');
+            }
+
+            const discountPercentage = parseFloat(sale.discount_percentage) || 0;
+            let refundable = parseFloat(sale.total_amount) - parseFloat(sale.refunded_amount);
+            let refundTotal = 0;
+            const created = [];
+
+            // 2) Validate, record and optionally restock each returned line
+            for (const [saleItemId, quantity] of quantities) {
+                const itemRes = await client.query(
+                    `SELECT si.product_id, si.variant_id, si.quantity, si.price_at_sale, si.tax_amount, si.backordered_quantity,
+                            COALESCE((SELECT SUM(r.quantity) FROM returns r WHERE r.sale_item_id = si.sale_item_id), 0)::int AS returned
+                     FROM sale_items si
+                     WHERE si.sale_item_id = $1 AND si.sale_id = $2
+                     FOR UPDATE OF si`,
+                    [saleItemId, sale_id]
+                );
+                if (itemRes.rowCount === 0) {
+                    throw new Error(`Sale item ${saleItemId} does not belong to sale ${sale_id}`);
+                }
+
+                const line = itemRes.rows[0];
+                // Backordered units have not been delivered yet, so they cannot be returned
+                const returnable = parseInt(line.quantity, 10) - parseInt(line.returned, 10) - parseInt(line.backordered_quantity, 10);
+                if (quantity > returnable) {
+                    throw new Error(`Cannot return ${quantity} of sale item ${saleItemId}. Returnable: ${returnable}`);
+                }
+
+                // Refund what the customer actually paid for these units, never more than is left on the sale
+                let lineRefund = parseFloat(line.price_at_sale) * quantity * (1 - discountPercentage / 100);
+                if (!sale.prices_include_tax) {
+                    lineRefund += (parseFloat(line.tax_amount) * quantity) / parseInt(line.quantity, 10);
+                }
+                const refund = Math.min(Math.round(lineRefund * 100) / 100, Math.max(refundable, 0));
+                refundable -= refund;
+                refundTotal += refund;
+
+                const insertRes = await client.query(
+                    `INSERT INTO returns (sale_id, sale_item_id, quantity, refund_amount, restocked, reason, created_by)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     RETURNING return_id, sale_id, sale_item_id, quantity, refund_amount, restocked, reason, created_by,
+                               TO_CHAR(created_at, 'DD/MM/YYYY HH24:MI') as created_at`,
+                    [sale_id, saleItemId, quantity, refund, !!restock, reason || null, created_by]
+                );
+                created.push(ReturnsDTO.fromEntity({ ...insertRes.rows[0], product_id: line.product_id }));
+
+                if (restock) {
+                    await adjustStock(client, line.product_id, line.variant_id, quantity);
+                }
+            }
+
+            // 3) Record the refund on the sale
+            const updatedRes = await client.query(
+                `UPDATE sales SET refunded_amount = refunded_amount + $1 WHERE sale_id = $2 RETURNING ${SALE_COLUMNS}`,
+                [refundTotal, sale_id]
+            );
+
+            // 4) Take back the points the refund no longer earns, and credit the gift cards' share of it
+            await this.loyaltyService.syncSalePoints(client, updatedRes.rows[0]);
+            const giftCards = refundTotal > 0
+                ? await this.giftCardsService.refundSale(client, sale_id, Math.round(refundTotal * 100) / 100, created_by)
+                : [];
+
+            await client.query('COMMIT');
+
+            return {
+                sale: SalesDTO.fromEntity(updatedRes.rows[0]),
+                returns: created,
+                refund_total: Math.round(refundTotal * 100) / 100,
+                gift_cards: giftCards
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to create return: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+}
@@ -0,0 +1,64 @@
+import { SaleCommentsDTO } from '../domain/dto/SaleCommentsDTO.js';
+import { SALE_COMMENT_MAX_LENGTH } from '../domain/entities/SaleComments.js';
+import { SalesRepository } from '../domain/repositories/SalesRepository.js';
+
+/**
+ * SaleCommentsServices - Business logic for the internal comment thread on a sale
+ * Comments are for staff only; the customer's own note is the sale's customer_notes.
+ * Methods:
+ * - getCommentsBySaleId(sale_id): Lists a sale's comments, oldest first
+ * - addComment(sale_id, body, user_id): Adds a comment by a staff member
+ */
+export class SaleCommentsServices {
+    constructor(saleCommentsRepository, salesRepository = new SalesRepository()) {
+        this.saleCommentsRepository = saleCommentsRepository;
+        this.salesRepository = salesRepository;
+    }
+
+    /**
+     * Get the comments on a sale and return DTOs
+     * @param {number} sale_id - Sale ID
+     * @returns {Promise<SaleCommentsDTO[]>} Array of comment DTOs, oldest first
+     */
+    async getCommentsBySaleId(sale_id) {
+        try {
+            if (!sale_id || isNaN(sale_id)) {
+                throw new Error('Invalid sale ID');
+            }
+            const comments = await this.saleCommentsRepository.findBySaleId(sale_id);
+            return comments.map(c => SaleCommentsDTO.fromEntity(c));
+        } catch (error) {
+            throw new Error(`Failed to get sale comments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a comment to a sale
+     * @param {number} sale_id - Sale ID
+     * @param {string} body - Comment text
+     * @param {number|null} [user_id=null] - Author (the logged-in staff member)
+     * @returns {Promise<SaleCommentsDTO|null>} The comment with its author, or null if the sale does not exist
+     */
+    async addComment(sale_id, body, user_id = null) {
+        try {
+            if (!sale_id || isNaN(sale_id)) {
+                throw new Error('Invalid sale ID');
+            }
+            const text = typeof body === 'string' ? body.trim() : '';
+            if (!text) {
+                throw new Error('Comment cannot be empty');
+            }
+            if (text.length > SALE_COMMENT_MAX_LENGTH) {
+                throw new Error(`Comment must be at most ${SALE_COMMENT_MAX_LENGTH} characters`);
+            }
+
+            const sale = await this.salesRepository.findById(sale_id);
+            if (!sale) return null;
+
+            const comment = await this.saleCommentsRepository.create(sale_id, user_id, text);
+            return SaleCommentsDTO.fromEntity(comment);
+        } catch (error) {
+            throw new Error(`Failed to add sale comment: ${error.message}`);
+        }
+    }
+}
@@ -1,4 +1,9 @@
 import { SaleItemsDTO } from '../domain/dto/SaleItemsDTO.js';
+import { OPEN_SALE_STATUSES } from '../domain/entities/Sales.js';
+import { resolveTaxRate, recomputeSaleTotals } from '../utils/saleTotals.js';
+import { lockStock, adjustStock } from '../utils/stock.js';
+import { PromoCodesRepository } from '../domain/repositories/PromoCodesRepository.js';
+import { PromoCodesServices } from './PromoCodesServices.js';
 import { pool } from "../config/db.js";
 
 /**
@@ -6,8 +11,9 @@ import { pool } from "../config/db.js";
  * Provides methods to list, create, update and delete sale items.
  */
 export class SaleItemsServices {
-    constructor(saleItemsRepository) {
+    constructor(saleItemsRepository, promoCodesService = new PromoCodesServices(new PromoCodesRepository())) {
         this.saleItemsRepository = saleItemsRepository;
+        this.promoCodesService = promoCodesService;
     }
 
     /**
@@ -77,18 +83,57 @@ export class SaleItemsServices {
     }
     */
 
+    /**
+     * Lock a sale row and make sure its items may still be changed.
+     * Must run inside an open transaction on `client`.
+     * @private
+     */
+    async _lockOpenSale(client, sale_id) {
+        const saleRes = await client.query(
+            `SELECT sale_id, status FROM sales WHERE sale_id = $1 FOR UPDATE`,
+            [sale_id]
+        );
+        if (saleRes.rowCount === 0) {
+            throw new Error(`Sale with id ${sale_id} not found`);
+        }
+        const { status } = saleRes.rows[0];
+        if (!OPEN_SALE_STATUSES.includes(status)) {
+            throw new Error(`Items of a ${status.replace('_', ' ')} order cannot be changed`);
+        }
+        return saleRes.rows[0];
+    }
+
+    /**
+     * Recompute a sale's totals after its items changed. A redeemed promo code's discount is worked out again
+     * from the code, and the loyalty points' value stays as it was, so neither becomes a share of the new subtotal;
+     * a sale with neither keeps its discount_percentage. Must run inside an open transaction on `client`.
+     * @private
+     */
+    async _recomputeTotals(client, sale_id) {
+        const promoDiscount = await this.promoCodesService.repriceRedemption(client, sale_id);
+        const saleRes = await client.query(`SELECT loyalty_discount FROM sales WHERE sale_id = $1`, [sale_id]);
+        const loyaltyDiscount = parseFloat(saleRes.rows[0].loyalty_discount) || 0;
+        if (promoDiscount === null && loyaltyDiscount === 0) {
+            return recomputeSaleTotals(client, sale_id);
+        }
+        return recomputeSaleTotals(client, sale_id, { discount_amount: (promoDiscount || 0) + loyaltyDiscount });
+    }
+
     /**
      * Create a sale item transactionally:
-     * - validate sale exists
-     * - lock and validate inventory
-     * - insert sale_item
-     * - decrement inventory
-     * - recompute sale subtotal and totals (respecting any discount)
+     * - validate sale exists and is still open
+     * - lock and validate inventory, or the variant's stock for a product sold in variants
+     *   (units beyond stock are backordered if the product's policy allows it)
+     * - insert sale_item with the product's current tax rate
+     * - decrement inventory by the units in stock
+     * - recompute sale subtotal, tax and totals (a promo code's discount is worked out again from the code)
      */
-    async createSaleItem(sale_id, product_id, quantity, price_at_sale) {
+    async createSaleItem(sale_id, product_id, quantity, price_at_sale, variant_id = null) {
         // validation
         if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
         if (!product_id || isNaN(product_id)) throw new Error('Invalid product ID');
+        if (variant_id != null && variant_id !== '' && isNaN(variant_id)) throw new Error('Invalid variant ID');
+        variant_id = variant_id ? Number(variant_id) : null;
         if (!quantity || isNaN(quantity) || quantity <= 0) throw new Error('Quantity must be positive');
         if (price_at_sale == null || isNaN(price_at_sale) || price_at_sale < 0) throw new Error('Invalid price');
 
@@ -97,70 +142,56 @@ export class SaleItemsServices {
         try {
             await client.query('BEGIN');
 
-            // 1) Check sale exists and lock it
-            const saleRes = await client.query(
-                `SELECT sale_id, discount_percentage FROM sales WHERE sale_id = $1 FOR UPDATE`,
-                [sale_id]
-            );
-            if (saleRes.rowCount === 0) {
-                throw new Error(`Sale with id ${sale_id} not found`);
-            }
-            const currentDiscount = parseFloat(saleRes.rows[0].discount_percentage) || 0;
+            // 1) Check sale exists, is still open, and lock it
+            await this._lockOpenSale(client, sale_id);
 
-            // 2) Lock inventory row for the product
-            const invRes = await client.query(
-                `SELECT inventory_id, quantity_in_stock FROM inventory WHERE product_id = $1 FOR UPDATE`,
-                [product_id]
-            );
-
-            if (invRes.rowCount === 0) {
+            // 2) Lock the inventory row for the product (or the variant's row)
+            const stock = await lockStock(client, product_id, variant_id);
+            if (!stock) {
+                throw new Error(variant_id
+                    ? `Variant ${variant_id} of product ${product_id} not found`
+                    : `Product ${product_id} not found`);
+            }
+            if (stock.has_variants && !variant_id) {
+                throw new Error(`Product ${product_id} is sold in variants; a variant_id is required`);
+            }
+            if (stock.quantity_in_stock === null) {
                 throw new Error(`Inventory record for product ${product_id} not found`);
             }
 
-            const quantity_in_stock = parseInt(invRes.rows[0].quantity_in_stock, 10);
-            if (quantity_in_stock < quantity) {
+            const quantity_in_stock = parseInt(stock.quantity_in_stock, 10);
+            if (quantity_in_stock < quantity && stock.backorder_policy === 'none') {
                 throw new Error(`Insufficient stock for product ${product_id}. Available: ${quantity_in_stock}`);
             }
+            const backordered_quantity = Math.max(quantity - quantity_in_stock, 0);
 
             // 3) Insert the sale_item
+            const tax_rate = await resolveTaxRate(client, product_id);
             const insertItemText = `
-                INSERT INTO sale_items (sale_id, product_id, quantity, price_at_sale)
-                VALUES ($1, $2, $3, $4)
-                RETURNING *;
+                INSERT INTO sale_items (sale_id, product_id, variant_id, quantity, price_at_sale, tax_rate, backordered_quantity)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING sale_item_id;
             `;
-            const insertItemValues = [sale_id, product_id, quantity, price_at_sale];
+            const insertItemValues = [sale_id, product_id, variant_id, quantity, price_at_sale, tax_rate, backordered_quantity];
             const insertedItemRes = await client.query(insertItemText, insertItemValues);
-            const insertedItem = insertedItemRes.rows[0];
+            const { sale_item_id } = insertedItemRes.rows[0];
 
-            // 4) Decrement inventory
-            await client.query(
-                `UPDATE inventory SET quantity_in_stock = quantity_in_stock - $1, last_updated = CURRENT_TIMESTAMP
-                 WHERE product_id = $2`,
-                [quantity, product_id]
-            );
-
-            // 5) Recompute sale subtotal from sale_items
-            const totalRes = await client.query(
-                `SELECT COALESCE(SUM(quantity * price_at_sale), 0)::numeric(12,2) AS new_subtotal
-                 FROM sale_items
-                 WHERE sale_id = $1`,
-                [sale_id]
-            );
-            const newSubtotal = totalRes.rows[0].new_subtotal;
+            // 4) Decrement inventory by the units in stock
+            await adjustStock(client, product_id, variant_id, -(quantity - backordered_quantity));
 
-            // 6) Calculate discount and update sale
-            const discountAmount = (newSubtotal * currentDiscount) / 100;
-            const totalAmount = newSubtotal - discountAmount;
+            // 5) Recompute sale subtotal, discount, tax and total from sale_items
+            await this._recomputeTotals(client, sale_id);
 
-            await client.query(
-                `UPDATE sales SET subtotal = $1, discount_amount = $2, total_amount = $3 WHERE sale_id = $4`,
-                [newSubtotal, discountAmount, totalAmount, sale_id]
+            const itemRes = await client.query(
+                `SELECT sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity
+                 FROM sale_items WHERE sale_item_id = $1`,
+                [sale_item_id]
             );
 
             await client.query('COMMIT');
 
             // Return DTO
-            return SaleItemsDTO.fromEntity(insertedItem);
+            return SaleItemsDTO.fromEntity(itemRes.rows[0]);
         } catch (err) {
             await client.query('ROLLBACK');
             throw new Error(`Failed to create sale item transactionally: ${err.message}`);
@@ -170,31 +201,164 @@ export class SaleItemsServices {
     }
 
     /**
-     * Update a sale item by ID and return updated DTO or null
+     * Update a sale item transactionally, returns updated DTO or null if not found:
+     * - lock the parent sale and check it is still open
+     * - lock the item and the product's inventory row (or its variant's row)
+     * - apply the quantity delta: a decrease cancels backordered units first and puts the rest back in stock;
+     *   an increase takes from stock and backorders what is missing (if the product's policy allows it)
+     * - update the sale_item and recompute the sale totals
      */
     async updateSaleItem(sale_item_id, updates) {
+        if (!sale_item_id || isNaN(sale_item_id)) throw new Error('Invalid sale item ID');
+
+        const { quantity, price_at_sale } = updates || {};
+        if (quantity != null && (isNaN(quantity) || quantity <= 0)) throw new Error('Quantity must be positive');
+        if (price_at_sale != null && (isNaN(price_at_sale) || price_at_sale < 0)) throw new Error('Invalid price');
+
+        const item = await this.saleItemsRepository.findById(sale_item_id);
+        if (!item) return null;
+
+        const client = await pool.connect();
+
         try {
-            if (!sale_item_id || isNaN(sale_item_id)) {
-                throw new Error('Invalid sale item ID');
+            await client.query('BEGIN');
+
+            // 1) Lock the parent sale first, then the item (same order as createSaleItem)
+            await this._lockOpenSale(client, item.sale_id);
+
+            const itemRes = await client.query(
+                `SELECT si.sale_id, si.product_id, si.variant_id, si.quantity, si.price_at_sale, si.backordered_quantity,
+                        COALESCE((SELECT SUM(r.quantity) FROM returns r WHERE r.sale_item_id = si.sale_item_id), 0)::int AS returned
+                 FROM sale_items si
+                 WHERE si.sale_item_id = $1
+                 FOR UPDATE OF si`,
+                [sale_item_id]
+            );
+            if (itemRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
             }
-            const item = await this.saleItemsRepository.update(sale_item_id, updates);
-            return item ? SaleItemsDTO.fromEntity(item) : null;
-        } catch (error) {
-            throw new Error(`Failed to update sale item: ${error.message}`);
+            const current = itemRes.rows[0];
+            const newQuantity = quantity != null ? parseInt(quantity, 10) : parseInt(current.quantity, 10);
+            const newPrice = price_at_sale != null ? price_at_sale : current.price_at_sale;
+
+            const returned = parseInt(current.returned, 10);
+            if (newQuantity < returned) {
+                throw new Error(`Quantity cannot be less than the ${returned} already returned`);
+            }
+            // Units still out with the order: returned units are already back in stock (or written off)
+            // and backordered ones were never taken from it
+            const held = parseInt(current.quantity, 10) - returned - parseInt(current.backordered_quantity, 10);
+
+            // 2) Apply the stock delta: positive takes more from inventory, negative puts it back
+            const delta = newQuantity - parseInt(current.quantity, 10);
+            let backordered = parseInt(current.backordered_quantity, 10);
+            if (delta !== 0) {
+                const stock = await lockStock(client, current.product_id, current.variant_id);
+                if (!stock || stock.quantity_in_stock === null) {
+                    throw new Error(`Inventory record for product ${current.product_id} not found`);
+                }
+
+                const quantity_in_stock = parseInt(stock.quantity_in_stock, 10);
+                let stockDelta = delta;
+                if (delta > 0) {
+                    if (quantity_in_stock < delta && stock.backorder_policy === 'none') {
+                        throw new Error(`Insufficient stock for product ${current.product_id}. Available: ${quantity_in_stock}`);
+                    }
+                    stockDelta = Math.min(delta, quantity_in_stock);
+                    backordered += delta - stockDelta;
+                } else {
+                    // Cancel backordered units first; only units still held go back in stock
+                    const cancelled = Math.min(backordered, -delta);
+                    backordered -= cancelled;
+                    stockDelta = delta + cancelled;
+                    if (-stockDelta > held) {
+                        throw new Error(`Quantity cannot be less than the ${returned} already returned`);
+                    }
+                }
+
+                await adjustStock(client, current.product_id, current.variant_id, -stockDelta);
+            }
+
+            // 3) Update the item (keeping its stamped tax rate; a price set by hand drops the tier label)
+            //    and recompute the sale totals
+            await client.query(
+                `UPDATE sale_items
+                 SET quantity = $1, price_at_sale = $2, backordered_quantity = $3,
+                     price_tier = CASE WHEN price_at_sale = $2 THEN price_tier END
+                 WHERE sale_item_id = $4`,
+                [newQuantity, newPrice, backordered, sale_item_id]
+            );
+            await this._recomputeTotals(client, current.sale_id);
+
+            const updatedRes = await client.query(
+                `SELECT sale_item_id, sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, tax_amount, backordered_quantity
+                 FROM sale_items WHERE sale_item_id = $1`,
+                [sale_item_id]
+            );
+
+            await client.query('COMMIT');
+            return SaleItemsDTO.fromEntity(updatedRes.rows[0]);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to update sale item: ${err.message}`);
+        } finally {
+            client.release();
         }
     }
 
     /**
-     * Delete a sale item by ID, returns true if deleted
+     * Delete a sale item transactionally, returns true if deleted:
+     * - lock the parent sale and check it is still open
+     * - refuse an item with returns, which keep the refund record and already restocked their units
+     * - return the item's allocated quantity to inventory (backordered units were never taken from it)
+     * - delete the sale_item and recompute the sale totals
      */
     async deleteSaleItem(sale_item_id) {
+        if (!sale_item_id || isNaN(sale_item_id)) throw new Error('Invalid sale item ID');
+
+        const item = await this.saleItemsRepository.findById(sale_item_id);
+        if (!item) return false;
+
+        const client = await pool.connect();
+
         try {
-            if (!sale_item_id || isNaN(sale_item_id)) {
-                throw new Error('Invalid sale item ID');
+            await client.query('BEGIN');
+
+            // 1) Lock the parent sale first, then the item (same order as createSaleItem)
+            await this._lockOpenSale(client, item.sale_id);
+
+            const itemRes = await client.query(
+                `SELECT si.sale_id, si.product_id, si.variant_id, si.quantity, si.backordered_quantity,
+                        COALESCE((SELECT SUM(r.quantity) FROM returns r WHERE r.sale_item_id = si.sale_item_id), 0)::int AS returned
+                 FROM sale_items si
+                 WHERE si.sale_item_id = $1
+                 FOR UPDATE OF si`,
+                [sale_item_id]
+            );
+            if (itemRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return false;
             }
-            return await this.saleItemsRepository.delete(sale_item_id);
-        } catch (error) {
-            throw new Error(`Failed to delete sale item: ${error.message}`);
+            const { sale_id, product_id, variant_id, quantity, backordered_quantity, returned } = itemRes.rows[0];
+            if (returned > 0) {
+                throw new Error(`Sale item ${sale_item_id} has ${returned} returned unit(s) and cannot be deleted; reduce its quantity instead`);
+            }
+
+            // 2) Put the allocated quantity back in stock
+            await adjustStock(client, product_id, variant_id, quantity - backordered_quantity);
+
+            // 3) Remove the item and recompute the sale totals
+            await client.query(`DELETE FROM sale_items WHERE sale_item_id = $1`, [sale_item_id]);
+            await this._recomputeTotals(client, sale_id);
+
+            await client.query('COMMIT');
+            return true;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to delete sale item: ${err.message}`);
+        } finally {
+            client.release();
         }
     }
 
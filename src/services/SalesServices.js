@@ -1,4 +1,20 @@
 import { SalesDTO } from '../domain/dto/SalesDTO.js';
+import { SALE_STATUSES, SALE_STATUS_TRANSITIONS, OPEN_SALE_STATUSES, CUSTOMER_NOTES_MAX_LENGTH } from '../domain/entities/Sales.js';
+import { SALE_COLUMNS } from '../domain/repositories/SalesRepository.js';
+import { CURRENT_EXCHANGE_RATE_SQL } from '../domain/repositories/ExchangeRatesRepository.js';
+import { PromoCodesRepository } from '../domain/repositories/PromoCodesRepository.js';
+import { PromoCodesServices } from './PromoCodesServices.js';
+import { LoyaltyAccountsRepository } from '../domain/repositories/LoyaltyAccountsRepository.js';
+import { LoyaltyAccountsServices } from './LoyaltyAccountsServices.js';
+import { GiftCardsRepository } from '../domain/repositories/GiftCardsRepository.js';
+import { GiftCardsServices } from './GiftCardsServices.js';
+import { resolveTaxRate, recomputeSaleTotals } from '../utils/saleTotals.js';
+import { applyFulfillment } from '../utils/fulfillment.js';
+import { resolveLinePrices } from '../utils/pricing.js';
+import { lockStock, adjustStock } from '../utils/stock.js';
+import { PRICES_INCLUDE_TAX } from '../config/tax.js';
+import { LOYALTY_POINT_VALUE } from '../config/loyalty.js';
+import { pool } from '../config/db.js';
 
 /**
  * SalesServices - Business logic for sales operations
@@ -7,11 +23,66 @@ import { SalesDTO } from '../domain/dto/SalesDTO.js';
  * - getSaleById(id): Gets a sale by ID
  * - createSale(data): Creates a new sale
  * - updateSale(id, data): Updates sale info
- * - deleteSale(id): Removes a sale record
+ * - createSaleWithItems(user_id, items, promo_code, fulfillment, customer_notes, redeem_points): Creates a sale with its items, optionally
+ *   redeeming a promo code and loyalty points and booking a delivery or pickup slot
+ * - applyPromoCode(id, code): Applies a promo code to an open sale
+ * - changeStatus(id, status, changed_by, note): Moves a sale through its lifecycle (completing it awards loyalty points)
+ * - getStatusHistory(id): Lists a sale's status transitions
+ * - voidSale(id, reason, voided_by): Cancels a sale, restocks its items, gives back its loyalty points and credits back its gift card payments
+ * - deleteSale(id, reason, voided_by): Voids a sale (rows are kept for audit)
  */
 export class SalesServices {
-    constructor(salesRepository) {
+    constructor(
+        salesRepository,
+        promoCodesService = new PromoCodesServices(new PromoCodesRepository()),
+        loyaltyService = new LoyaltyAccountsServices(new LoyaltyAccountsRepository()),
+        giftCardsService = new GiftCardsServices(new GiftCardsRepository())
+    ) {
         this.salesRepository = salesRepository;
+        this.promoCodesService = promoCodesService;
+        this.loyaltyService = loyaltyService;
+        this.giftCardsService = giftCardsService;
+    }
+
+    /**
+     * Redeem a promo code for a sale whose items are already written and store the discount on the sale.
+     * discount_percentage becomes the effective rate on the whole subtotal, so returns refund the discount
+     * proportionally; item edits work out the code's discount again (see SaleItemsServices). Points already
+     * redeemed on the sale stay on top of the code's discount.
+     * Must run inside an open transaction on `client`.
+     * @private
+     */
+    async _applyPromoCode(client, sale_id, user_id, code) {
+        const { promo_code_id, discount_amount } = await this.promoCodesService.redeem(client, code, { sale_id, user_id });
+        const saleRes = await client.query(
+            `UPDATE sales SET promo_code_id = $1 WHERE sale_id = $2 RETURNING loyalty_discount`,
+            [promo_code_id, sale_id]
+        );
+        const loyaltyDiscount = parseFloat(saleRes.rows[0].loyalty_discount) || 0;
+        return recomputeSaleTotals(client, sale_id, { discount_amount: discount_amount + loyaltyDiscount });
+    }
+
+    /**
+     * Spend the customer's loyalty points on a sale whose items and promo code are already applied.
+     * Points only cover what is left of the subtotal after the promo discount (never tax or delivery), so
+     * the request is capped there; the value joins discount_amount like a promo discount.
+     * Must run inside an open transaction on `client`.
+     * @private
+     * @returns {Promise<Object>} Updated sale row (unchanged if no points could be used)
+     */
+    async _redeemPoints(client, sale, points) {
+        const discountAmount = parseFloat(sale.discount_amount) || 0;
+        const remaining = Math.max(0, (parseFloat(sale.subtotal) || 0) - discountAmount);
+        const usable = Math.min(points, Math.floor(remaining / LOYALTY_POINT_VALUE + 1e-6));
+        if (usable <= 0) return sale;
+
+        await this.loyaltyService.redeem(client, sale.user_id, sale.sale_id, usable);
+        const value = Math.round(usable * LOYALTY_POINT_VALUE * 100) / 100;
+        await client.query(
+            `UPDATE sales SET loyalty_points_redeemed = $1, loyalty_discount = $2 WHERE sale_id = $3`,
+            [usable, value, sale.sale_id]
+        );
+        return recomputeSaleTotals(client, sale.sale_id, { discount_amount: discountAmount + value });
     }
 
     /**
@@ -120,14 +191,28 @@ export class SalesServices {
 
     /**
      * Create a sale with items atomically using database transaction
-     * This ensures all operations (sale creation, item creation, inventory updates) succeed or fail together
+     * This ensures all operations (sale creation, item creation, inventory updates) succeed or fail together.
+     * Each line is priced at the customer's effective price for its quantity (retail price, volume tier or the
+     * customer's price list; see utils/pricing.resolveLinePrices). If any line fails, the error lists every failing line.
+     * Products with a backorder policy accept quantities beyond stock: the extra units are stored as the line's
+     * backordered_quantity and only the units in stock are taken from inventory.
+     * A product sold in variants needs the line's variant_id (bag size and grind); the variant sets the price
+     * and its own stock is used.
+     * With a fulfillment choice the slot is booked (see utils/fulfillment.applyFulfillment) and a delivery's
+     * zone fee is added to the total.
      * @param {number} user_id - User ID
-     * @param {Array} items - Array of sale items { product_id, quantity, price_at_sale }
-     * @param {number} [discount_percentage=0] - Optional discount percentage (0-100)
+     * @param {Array} items - Array of sale items { product_id, variant_id, quantity }
+     * @param {string|null} [promo_code=null] - Optional promo code; the sale fails if the code is not valid for it
+     * @param {Object|null} [fulfillment=null] - Optional { fulfillment_type, fulfillment_date, time_slot_id, address_id }
+     * @param {string|null} [customer_notes=null] - Optional note from the customer (e.g. "grind for espresso")
+     * @param {number} [redeem_points=0] - Loyalty points to spend; capped at the subtotal left after the promo discount,
+     *   and the sale fails if the customer does not have them
+     * @param {Object} [options]
+     * @param {Function|null} [options.beforeCommit=null] - async (client, sale) => {} run in the sale's transaction just
+     *   before it commits, for work that must succeed or fail with the sale (e.g. emptying the cart it was placed from)
      * @returns {Promise<SalesDTO>} Created sale DTO with calculated totals
      */
-    async createSaleWithItems(user_id, items, discount_percentage = 0) {
-        const { pool } = await import('../config/db.js');
+    async createSaleWithItems(user_id, items, promo_code = null, fulfillment = null, customer_notes = null, redeem_points = 0, { beforeCommit = null } = {}) {
         const client = await pool.connect();
         
         try {
@@ -140,79 +225,112 @@ export class SalesServices {
             if (!items || !Array.isArray(items) || items.length === 0) {
                 throw new Error('Sale must have at least one item');
             }
-            if (discount_percentage < 0 || discount_percentage > 100) {
-                throw new Error('Discount percentage must be between 0 and 100');
+            const notes = typeof customer_notes === 'string' && customer_notes.trim() ? customer_notes.trim() : null;
+            if (notes && notes.length > CUSTOMER_NOTES_MAX_LENGTH) {
+                throw new Error(`Order notes must be at most ${CUSTOMER_NOTES_MAX_LENGTH} characters`);
+            }
+            const points = Number(redeem_points || 0);
+            if (!Number.isInteger(points) || points < 0) {
+                throw new Error('Loyalty points to redeem must be a whole number');
             }
             
-            // 1. Create sale record
+            // 1. Create sale record (tax mode and exchange rate are fixed at creation)
             const saleResult = await client.query(
-                `INSERT INTO sales (user_id, subtotal, discount_percentage, discount_amount, total_amount)
-                 VALUES ($1, 0, 0, 0, 0)
-                 RETURNING sale_id, user_id, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date, subtotal, discount_percentage, discount_amount, total_amount`,
-                [user_id]
+                `INSERT INTO sales (user_id, subtotal, discount_percentage, discount_amount, total_amount, prices_include_tax, exchange_rate, customer_notes)
+                 VALUES ($1, 0, 0, 0, 0, $2, ${CURRENT_EXCHANGE_RATE_SQL}, $3)
+                 RETURNING ${SALE_COLUMNS}`,
+                [user_id, PRICES_INCLUDE_TAX, notes]
             );
             const sale = saleResult.rows[0];
             const sale_id = sale.sale_id;
             
-            let subtotal = 0;
-            
-            // 2. Create sale items and update inventory atomically
-            for (const item of items) {
-                const { product_id, quantity, price_at_sale } = item;
+            // 2. Create sale items at the customer's current prices and update inventory atomically.
+            // Every line is checked so the error names all the lines that failed, not just the first
+            const lineErrors = [];
+            for (const [index, item] of items.entries()) {
+                const line = `Line ${index + 1}`;
+                const product_id = Number(item?.product_id);
+                const quantity = Number(item?.quantity);
+                const variant_id = item?.variant_id ? Number(item.variant_id) : null;
                 
-                if (!product_id || !quantity || !price_at_sale) {
-                    throw new Error('Each item must have product_id, quantity, and price_at_sale');
+                if (!Number.isInteger(product_id) || product_id < 1 || !Number.isInteger(quantity) || quantity < 1) {
+                    lineErrors.push(`${line}: product_id and a positive whole quantity are required`);
+                    continue;
                 }
-                
-                // Lock inventory row
-                const invResult = await client.query(
-                    `SELECT quantity_in_stock FROM inventory WHERE product_id = $1 FOR UPDATE`,
-                    [product_id]
-                );
-                
-                if (invResult.rowCount === 0) {
-                    throw new Error(`Inventory record for product ${product_id} not found`);
+                if (variant_id !== null && (!Number.isInteger(variant_id) || variant_id < 1)) {
+                    lineErrors.push(`${line}: invalid variant_id`);
+                    continue;
                 }
                 
-                const availableStock = parseInt(invResult.rows[0].quantity_in_stock, 10);
-                if (availableStock < quantity) {
-                    throw new Error(`Insufficient stock for product ${product_id}. Available: ${availableStock}, Requested: ${quantity}`);
+                // Price is always taken from the product (or variant), never from the client.
+                // Locks the inventory or variant row that holds the stock
+                const stock = await lockStock(client, product_id, variant_id);
+                if (!stock) {
+                    lineErrors.push(variant_id
+                        ? `${line}: variant ${variant_id} of product ${product_id} does not exist`
+                        : `${line}: product ${product_id} does not exist`);
+                    continue;
+                }
+                const { unit_price, status, backorder_policy } = stock;
+                const name = stock.variant_name ? `${stock.product_name}, ${stock.variant_name}` : stock.product_name;
+                if (status !== 'available') {
+                    lineErrors.push(`${line} (${name}): not available`);
+                    continue;
+                }
+                if (stock.has_variants && !variant_id) {
+                    lineErrors.push(`${line} (${name}): choose a bag size and grind`);
+                    continue;
+                }
+                if (stock.quantity_in_stock === null) {
+                    lineErrors.push(`${line} (${name}): no inventory record`);
+                    continue;
                 }
                 
-                // Insert sale item
-                await client.query(
-                    `INSERT INTO sale_items (sale_id, product_id, quantity, price_at_sale)
-                     VALUES ($1, $2, $3, $4)`,
-                    [sale_id, product_id, quantity, price_at_sale]
-                );
+                const availableStock = parseInt(stock.quantity_in_stock, 10);
+                if (availableStock < quantity && backorder_policy === 'none') {
+                    lineErrors.push(`${line} (${name}): only ${availableStock} in stock, ${quantity} requested`);
+                    continue;
+                }
+                const backordered_quantity = Math.max(quantity - availableStock, 0);
                 
-                // Update inventory
+                // Insert sale item at its tier price with the product's current tax rate
+                const [price] = await resolveLinePrices(client, user_id, [{ product_id, variant_id, quantity, unit_price }]);
+                const tax_rate = await resolveTaxRate(client, product_id);
                 await client.query(
-                    `UPDATE inventory 
-                     SET quantity_in_stock = quantity_in_stock - $1, last_updated = CURRENT_TIMESTAMP
-                     WHERE product_id = $2`,
-                    [quantity, product_id]
+                    `INSERT INTO sale_items (sale_id, product_id, variant_id, quantity, price_at_sale, list_price, price_tier, tax_rate, backordered_quantity)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                    [sale_id, product_id, variant_id, quantity, price.unit_price, price.list_price, price.price_tier, tax_rate, backordered_quantity]
                 );
                 
-                subtotal += parseFloat(price_at_sale) * parseInt(quantity);
+                // Take the units in stock (a product on several lines sees the stock left by the earlier ones)
+                await adjustStock(client, product_id, variant_id, -(quantity - backordered_quantity));
+            }
+            if (lineErrors.length > 0) {
+                throw new Error(`Some items could not be ordered. ${lineErrors.join('; ')}`);
             }
             
-            // 3. Calculate discount and total
-            const discount_amount = (subtotal * discount_percentage) / 100;
-            const total_amount = subtotal - discount_amount;
+            // 3. Book the delivery or pickup slot (sets the delivery fee used by the totals)
+            if (fulfillment) {
+                await applyFulfillment(client, sale_id, user_id, fulfillment);
+            }
             
-            // 4. Update sale with calculated totals
-            const updatedSaleResult = await client.query(
-                `UPDATE sales 
-                 SET subtotal = $1, discount_percentage = $2, discount_amount = $3, total_amount = $4
-                 WHERE sale_id = $5
-                 RETURNING sale_id, user_id, subtotal, discount_percentage, discount_amount, total_amount, TO_CHAR(sale_date, 'DD/MM/YYYY') as sale_date`,
-                [subtotal, discount_percentage, discount_amount, total_amount, sale_id]
-            );
+            // 4. Redeem the promo code (if any) and update sale with calculated totals and tax
+            let updatedSale = promo_code
+                ? await this._applyPromoCode(client, sale_id, user_id, promo_code)
+                : await recomputeSaleTotals(client, sale_id);
+            
+            // 5. Spend loyalty points on what the promo code left to pay
+            if (points > 0) {
+                updatedSale = await this._redeemPoints(client, updatedSale, points);
+            }
+            
+            if (beforeCommit) {
+                await beforeCommit(client, updatedSale);
+            }
             
             await client.query('COMMIT');
             
-            return SalesDTO.fromEntity(updatedSaleResult.rows[0]);
+            return SalesDTO.fromEntity(updatedSale);
             
         } catch (error) {
             await client.query('ROLLBACK');
@@ -241,43 +359,246 @@ export class SalesServices {
 
      }
 
-         /**
-          * Apply a discount percentage to a sale and update totals; return updated DTO
-          */
-         async applyDiscount(sale_id, discount_percentage) {
+    /**
+     * Apply a promo code to an existing open sale in one transaction, replacing any code it already had.
+     * The code is checked against the sale's customer and current items.
+     * @param {number} sale_id - Sale ID
+     * @param {string} code - Promo code
+     * @returns {Promise<SalesDTO|null>} Updated sale DTO, or null if the sale does not exist
+     */
+    async applyPromoCode(sale_id, code) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+        if (!code || !String(code).trim()) throw new Error('Promo code is required');
+
+        const client = await pool.connect();
+
         try {
-            if (!sale_id || isNaN(sale_id)) {
-                throw new Error('Invalid sale ID');
+            await client.query('BEGIN');
+
+            const saleRes = await client.query(
+                `SELECT user_id, status FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
             }
-            if (discount_percentage == null || isNaN(discount_percentage)) {
-                throw new Error('Invalid discount percentage');
+            const { user_id, status } = saleRes.rows[0];
+            if (!OPEN_SALE_STATUSES.includes(status)) {
+                throw new Error(`Cannot apply a promo code to a ${status.replace('_', ' ')} order`);
             }
-            if (discount_percentage < 0 || discount_percentage > 100) {
-                throw new Error('Discount percentage must be between 0 and 100');
+
+            // A sale carries at most one code; drop the previous redemption so it stops counting
+            await client.query(`DELETE FROM promo_code_redemptions WHERE sale_id = $1`, [sale_id]);
+            const updatedSale = await this._applyPromoCode(client, sale_id, user_id, code);
+
+            await client.query('COMMIT');
+            return SalesDTO.fromEntity(updatedSale);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to apply promo code: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Move a sale to a new lifecycle status, enforcing SALE_STATUS_TRANSITIONS.
+     * The status update and its history entry are written in one transaction.
+     * Moving to 'cancelled' delegates to voidSale, so a note (the reason) is required.
+     * Moving to 'completed' awards the customer's loyalty points in the same transaction.
+     * @param {number} sale_id - Sale ID
+     * @param {string} new_status - Target status (one of SALE_STATUSES)
+     * @param {number|null} [changed_by=null] - User ID of who made the change
+     * @param {string|null} [note=null] - Optional note stored with the transition
+     * @returns {Promise<SalesDTO|null>} Updated sale DTO, or null if the sale does not exist
+     */
+    async changeStatus(sale_id, new_status, changed_by = null, note = null) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+        if (!SALE_STATUSES.includes(new_status)) throw new Error(`Invalid status: ${new_status}`);
+
+        // Cancelling must put stock back, so it goes through the void path (note is the reason)
+        if (new_status === 'cancelled') {
+            return this.voidSale(sale_id, note, changed_by);
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the sale so concurrent transitions are serialized
+            const saleRes = await client.query(
+                `SELECT status FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
             }
 
-            const currentSale = await this.salesRepository.findById(sale_id);
-            if (!currentSale) {
-                throw new Error('Sale not found');
+            const currentStatus = saleRes.rows[0].status;
+            const allowed = SALE_STATUS_TRANSITIONS[currentStatus] || [];
+            if (!allowed.includes(new_status)) {
+                throw new Error(`Cannot change order status from ${currentStatus} to ${new_status}`);
             }
 
-            const sale = await this.salesRepository.updateWithDiscount(sale_id, currentSale.subtotal, discount_percentage);
-            return sale ? SalesDTO.fromEntity(sale) : null;
+            const updatedRes = await client.query(
+                `UPDATE sales SET status = $1 WHERE sale_id = $2 RETURNING ${SALE_COLUMNS}`,
+                [new_status, sale_id]
+            );
+
+            await client.query(
+                `INSERT INTO sale_status_history (sale_id, from_status, to_status, changed_by, note)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [sale_id, currentStatus, new_status, changed_by, note || null]
+            );
+
+            if (new_status === 'completed') {
+                await this.loyaltyService.earnForSale(client, updatedRes.rows[0]);
+            }
+
+            await client.query('COMMIT');
+
+            return SalesDTO.fromEntity(updatedRes.rows[0]);
         } catch (error) {
-            throw new Error(`Failed to apply discount: ${error.message}`);
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to change sale status: ${error.message}`);
+        } finally {
+            client.release();
         }
-
     }
 
     /**
-     * Delete a sale by ID; returns true if deleted
+     * Get the status transition history for a sale (oldest first)
+     * @param {number} sale_id - Sale ID
+     * @returns {Promise<Object[]>} History rows { from_status, to_status, changed_by, note, changed_at, first_name, last_name }
      */
-    async deleteSale(sale_id) {
+    async getStatusHistory(sale_id) {
         try {
             if (!sale_id || isNaN(sale_id)) {
                 throw new Error('Invalid sale ID');
             }
-            return await this.salesRepository.delete(sale_id);
+            return await this.salesRepository.findStatusHistory(sale_id);
+        } catch (error) {
+            throw new Error(`Failed to get sale status history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Void (cancel) a sale atomically using a database transaction:
+     * - lock the sale and check it is still open (not shipped, picked up or completed) and holds no cash, card or
+     *   transfer money: those are paid back through returns, so until its refunds cover them the sale cannot be voided
+     * - return every item's allocated quantity to inventory (backordered units were never taken from it, and
+     *   returned units were already restocked or written off by their return)
+     * - mark the sale cancelled with the reason, time and user, and log the transition
+     * - give back the loyalty points redeemed on it
+     * - credit the gift cards that paid it with what they paid, less what its refunds already credited
+     * The sale and its items are kept for audit.
+     * @param {number} sale_id - Sale ID
+     * @param {string} reason - Why the sale is being voided
+     * @param {number|null} [voided_by=null] - User ID of who voided the sale
+     * @returns {Promise<SalesDTO|null>} Voided sale DTO, or null if the sale does not exist
+     */
+    async voidSale(sale_id, reason, voided_by = null) {
+        if (!sale_id || isNaN(sale_id)) throw new Error('Invalid sale ID');
+        if (!reason || !String(reason).trim()) throw new Error('A reason is required to void a sale');
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // 1) Lock the sale
+            const saleRes = await client.query(
+                `SELECT status, refunded_amount FROM sales WHERE sale_id = $1 FOR UPDATE`,
+                [sale_id]
+            );
+            if (saleRes.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const currentStatus = saleRes.rows[0].status;
+            if (!OPEN_SALE_STATUSES.includes(currentStatus)) {
+                throw new Error(`Cannot void a ${currentStatus.replace('_', ' ')} order`);
+            }
+
+            // Gift card payments are credited back below; any other money taken must have been refunded already.
+            // Refunds credit gift cards their share first, so only the rest of the refunds paid back other tenders.
+            const paidRes = await client.query(
+                `SELECT COALESCE(SUM(amount_usd) FILTER (WHERE method <> 'gift_card'), 0) AS paid_other,
+                        (SELECT COALESCE(SUM(amount), 0) FROM gift_card_transactions
+                         WHERE sale_id = $1 AND type = 'refund') AS gift_card_refunds
+                 FROM payments WHERE sale_id = $1`,
+                [sale_id]
+            );
+            const { paid_other, gift_card_refunds } = paidRes.rows[0];
+            const refundedOther = Math.max(0, parseFloat(saleRes.rows[0].refunded_amount) - parseFloat(gift_card_refunds));
+            const unrefunded = Math.round((parseFloat(paid_other) - refundedOther) * 100) / 100;
+            if (unrefunded > 0) {
+                throw new Error(`${unrefunded.toFixed(2)} USD was paid by cash, card or transfer and has not been refunded; return the items to refund it before voiding`);
+            }
+
+            // 2) Return each item's allocated quantity to inventory or to its variant, less the units
+            //    already returned (a return restocked them or wrote them off); lock rows in product order
+            //    to avoid deadlocks
+            const itemsRes = await client.query(
+                `SELECT si.product_id, si.variant_id,
+                        SUM(si.quantity - si.backordered_quantity
+                            - COALESCE((SELECT SUM(r.quantity) FROM returns r WHERE r.sale_item_id = si.sale_item_id), 0))::int AS quantity
+                 FROM sale_items si
+                 WHERE si.sale_id = $1
+                 GROUP BY si.product_id, si.variant_id
+                 ORDER BY si.product_id, si.variant_id`,
+                [sale_id]
+            );
+
+            for (const item of itemsRes.rows) {
+                await adjustStock(client, item.product_id, item.variant_id, item.quantity);
+            }
+
+            // Cancelled lines no longer wait for stock
+            await client.query(`UPDATE sale_items SET backordered_quantity = 0 WHERE sale_id = $1`, [sale_id]);
+
+            // 3) Mark the sale cancelled and record why
+            const updatedRes = await client.query(
+                `UPDATE sales
+                 SET status = 'cancelled', void_reason = $1, voided_at = CURRENT_TIMESTAMP, voided_by = $2
+                 WHERE sale_id = $3
+                 RETURNING ${SALE_COLUMNS}`,
+                [String(reason).trim(), voided_by, sale_id]
+            );
+
+            await client.query(
+                `INSERT INTO sale_status_history (sale_id, from_status, to_status, changed_by, note)
+                 VALUES ($1, $2, 'cancelled', $3, $4)`,
+                [sale_id, currentStatus, voided_by, String(reason).trim()]
+            );
+
+            // 4) Give back the points spent on the sale and what its gift cards paid
+            await this.loyaltyService.syncSalePoints(client, updatedRes.rows[0]);
+            await this.giftCardsService.refundSale(client, sale_id, null, voided_by);
+
+            await client.query('COMMIT');
+
+            return SalesDTO.fromEntity(updatedRes.rows[0]);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to void sale: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete a sale by ID. Sales are never hard-deleted: this voids the sale
+     * (restocking its items) and keeps the row for audit.
+     * @returns {Promise<SalesDTO|null>} Voided sale DTO, or null if not found
+     */
+    async deleteSale(sale_id, reason = 'Sale deleted', voided_by = null) {
+        try {
+            return await this.voidSale(sale_id, reason, voided_by);
         } catch (error) {
             throw new Error(`Failed to delete sale: ${error.message}`);
         }
@@ -0,0 +1,454 @@
+import { SubscriptionsDTO } from '../domain/dto/SubscriptionsDTO.js';
+import { SubscriptionRunsDTO } from '../domain/dto/SubscriptionRunsDTO.js';
+import { SUBSCRIPTION_FREQUENCIES, OUT_OF_STOCK_ACTIONS } from '../domain/entities/Subscriptions.js';
+import { SalesRepository } from '../domain/repositories/SalesRepository.js';
+import { SalesServices } from './SalesServices.js';
+import { pool } from '../config/db.js';
+
+/**
+ * Add one delivery period to a YYYY-MM-DD date. Monthly deliveries keep the day of the month,
+ * moving to the month's last day when it is shorter (Jan 31 -> Feb 28, then Mar 28).
+ */
+function addFrequency(date, frequency) {
+    const d = new Date(`${date}T00:00:00Z`);
+    if (frequency === 'monthly') {
+        const day = d.getUTCDate();
+        d.setUTCDate(1);
+        d.setUTCMonth(d.getUTCMonth() + 1);
+        const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+        d.setUTCDate(Math.min(day, lastDay));
+    } else {
+        d.setUTCDate(d.getUTCDate() + (frequency === 'weekly' ? 7 : 14));
+    }
+    return d.toISOString().slice(0, 10);
+}
+
+// Times a run places its sale before giving up; each retry re-reads stock taken by orders placed meanwhile
+const MAX_ORDER_ATTEMPTS = 3;
+
+/** Add a number of days to a YYYY-MM-DD date */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * SubscriptionsServices - Business logic for recurring coffee subscriptions
+ * The scheduler calls runDueSubscriptions(); each due subscription becomes a sale through
+ * SalesServices.createSaleWithItems, and the outcome is recorded as a run the customer can see.
+ * Methods:
+ * - listSubscriptions(): Lists all subscriptions (admin)
+ * - getSubscriptionsByUser(user_id): Lists a customer's subscriptions with their recent runs
+ * - getSubscriptionById(id): Gets a subscription
+ * - createSubscription(user_id, data): Creates a subscription with its product mix
+ * - pauseSubscription(id) / resumeSubscription(id): Stops and restarts deliveries
+ * - skipNextDelivery(id): Skips the next delivery
+ * - cancelSubscription(id): Cancels a subscription for good
+ * - runDueSubscriptions(today): Creates the sales for every subscription that is due
+ * - getUpcomingDemand(days): Quantity per product and variant needed for the coming deliveries (admin)
+ */
+export class SubscriptionsServices {
+    constructor(subscriptionsRepository, salesService = new SalesServices(new SalesRepository())) {
+        this.subscriptionsRepository = subscriptionsRepository;
+        this.salesService = salesService;
+    }
+
+    /** Attach items (and optionally recent runs) to subscription entities */
+    async _toDTOs(subscriptions, { withRuns = false } = {}) {
+        if (subscriptions.length === 0) return [];
+        const ids = subscriptions.map(s => s.subscription_id);
+        const [items, runs] = await Promise.all([
+            this.subscriptionsRepository.findItems(ids),
+            withRuns ? this.subscriptionsRepository.findRuns(ids) : []
+        ]);
+        return subscriptions.map(subscription => SubscriptionsDTO.fromEntity(
+            subscription,
+            items.filter(i => i.subscription_id === subscription.subscription_id),
+            runs.filter(r => r.subscription_id === subscription.subscription_id).map(r => SubscriptionRunsDTO.fromEntity(r))
+        ));
+    }
+
+    /**
+     * Retrieve all subscriptions (active first by next delivery) with their items
+     * @returns {Promise<SubscriptionsDTO[]>} Array of subscription DTOs
+     */
+    async listSubscriptions() {
+        try {
+            return await this._toDTOs(await this.subscriptionsRepository.findAll());
+        } catch (error) {
+            throw new Error(`Failed to list subscriptions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a customer's subscriptions with their items and latest runs (`runs`)
+     * @param {number} user_id - Customer user ID
+     * @returns {Promise<SubscriptionsDTO[]>} Array of subscription DTOs
+     */
+    async getSubscriptionsByUser(user_id) {
+        try {
+            if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+            return await this._toDTOs(await this.subscriptionsRepository.findByUser(user_id), { withRuns: true });
+        } catch (error) {
+            throw new Error(`Failed to get subscriptions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a subscription with its items and latest runs
+     * @param {number} id - Subscription ID
+     * @returns {Promise<SubscriptionsDTO|null>} Subscription DTO or null if not found
+     */
+    async getSubscriptionById(id) {
+        try {
+            if (!id || isNaN(id)) throw new Error('Invalid subscription ID');
+            const subscription = await this.subscriptionsRepository.findById(id);
+            if (!subscription) return null;
+            const [dto] = await this._toDTOs([subscription], { withRuns: true });
+            return dto;
+        } catch (error) {
+            throw new Error(`Failed to get subscription: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a subscription and its items atomically using a database transaction
+     * @param {number} user_id - Customer user ID
+     * @param {Object} data
+     * @param {string} data.frequency - 'weekly', 'biweekly' or 'monthly'
+     * @param {string} [data.start_date] - First delivery (YYYY-MM-DD, default today)
+     * @param {string} [data.out_of_stock_action='notify'] - 'notify' or 'substitute'
+     * @param {Array} data.items - [{ product_id, variant_id, quantity }]; variant_id is required for products sold in
+     *   variants. The same product (and variant) on several lines is combined
+     * @returns {Promise<SubscriptionsDTO>} Created subscription
+     * @throws {Error} If the frequency, start date or items are not valid
+     */
+    async createSubscription(user_id, { frequency, start_date = null, out_of_stock_action = 'notify', items = [] } = {}) {
+        if (!user_id || isNaN(user_id)) throw new Error('Invalid user ID');
+        if (!SUBSCRIPTION_FREQUENCIES.includes(frequency)) {
+            throw new Error(`Frequency must be one of: ${SUBSCRIPTION_FREQUENCIES.join(', ')}`);
+        }
+        if (!OUT_OF_STOCK_ACTIONS.includes(out_of_stock_action)) {
+            throw new Error(`Out-of-stock action must be one of: ${OUT_OF_STOCK_ACTIONS.join(', ')}`);
+        }
+
+        // Lines keyed by product and variant, so the same bag on several lines is combined
+        const lines = new Map();
+        for (const item of items) {
+            const product_id = Number(item?.product_id);
+            const variant_id = item?.variant_id ? Number(item.variant_id) : null;
+            const quantity = Number(item?.quantity);
+            if (!Number.isInteger(product_id) || product_id < 1 || !Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('Each item must have a product_id and a positive whole quantity');
+            }
+            if (variant_id !== null && (!Number.isInteger(variant_id) || variant_id < 1)) {
+                throw new Error('Invalid variant_id');
+            }
+            const key = `${product_id}:${variant_id || ''}`;
+            const line = lines.get(key) || { product_id, variant_id, quantity: 0 };
+            line.quantity += quantity;
+            lines.set(key, line);
+        }
+        if (lines.size === 0) throw new Error('A subscription must have at least one product');
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const { rows: [{ today }] } = await client.query(`SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today`);
+            const firstDelivery = start_date || today;
+            if (firstDelivery < today) throw new Error('Start date cannot be in the past');
+
+            const productRes = await client.query(
+                `SELECT p.product_id, p.product_name, p.status,
+                        EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id) AS has_variants
+                 FROM products p WHERE p.product_id = ANY($1::int[])`,
+                [[...lines.values()].map(line => line.product_id)]
+            );
+            const variantIds = [...lines.values()].filter(line => line.variant_id).map(line => line.variant_id);
+            const variantRes = variantIds.length
+                ? await client.query(`SELECT variant_id, product_id, is_active FROM product_variants WHERE variant_id = ANY($1::int[])`, [variantIds])
+                : { rows: [] };
+            for (const { product_id, variant_id } of lines.values()) {
+                const product = productRes.rows.find(p => p.product_id === product_id);
+                if (!product) throw new Error(`Product ${product_id} not found`);
+                if (product.status !== 'available') throw new Error(`${product.product_name} is not available`);
+                if (variant_id) {
+                    const variant = variantRes.rows.find(v => v.variant_id === variant_id && v.product_id === product_id);
+                    if (!variant) throw new Error(`Variant ${variant_id} of ${product.product_name} not found`);
+                    if (!variant.is_active) throw new Error(`That size and grind of ${product.product_name} is not available`);
+                } else if (product.has_variants) {
+                    throw new Error(`Choose a bag size and grind for ${product.product_name}`);
+                }
+            }
+
+            const subRes = await client.query(
+                `INSERT INTO subscriptions (user_id, frequency, next_run_date, out_of_stock_action)
+                 VALUES ($1, $2, $3::date, $4)
+                 RETURNING subscription_id`,
+                [user_id, frequency, firstDelivery, out_of_stock_action]
+            );
+            const subscription_id = subRes.rows[0].subscription_id;
+            for (const { product_id, variant_id, quantity } of lines.values()) {
+                await client.query(
+                    `INSERT INTO subscription_items (subscription_id, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)`,
+                    [subscription_id, product_id, variant_id, quantity]
+                );
+            }
+
+            await client.query('COMMIT');
+            return this.getSubscriptionById(subscription_id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Failed to create subscription: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Pause an active subscription; the scheduler leaves it alone until it is resumed
+     * @param {number} id - Subscription ID
+     * @returns {Promise<SubscriptionsDTO|null>} Updated subscription or null if not found
+     */
+    async pauseSubscription(id) {
+        try {
+            const subscription = await this.subscriptionsRepository.findById(id);
+            if (!subscription) return null;
+            if (subscription.status !== 'active') throw new Error(`A ${subscription.status} subscription cannot be paused`);
+            await this.subscriptionsRepository.updateStatus(id, 'paused');
+            return this.getSubscriptionById(id);
+        } catch (error) {
+            throw new Error(`Failed to pause subscription: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resume a paused subscription. Delivery dates missed while paused are not ordered:
+     * the next delivery moves forward to today or later.
+     * @param {number} id - Subscription ID
+     * @returns {Promise<SubscriptionsDTO|null>} Updated subscription or null if not found
+     */
+    async resumeSubscription(id) {
+        try {
+            const subscription = await this.subscriptionsRepository.findById(id);
+            if (!subscription) return null;
+            if (subscription.status !== 'paused') throw new Error(`A ${subscription.status} subscription cannot be resumed`);
+
+            const today = await this.subscriptionsRepository.today();
+            let next = subscription.next_run_date;
+            while (next < today) next = addFrequency(next, subscription.frequency);
+            await this.subscriptionsRepository.setNextRunDate(id, next);
+            await this.subscriptionsRepository.updateStatus(id, 'active');
+            return this.getSubscriptionById(id);
+        } catch (error) {
+            throw new Error(`Failed to resume subscription: ${error.message}`);
+        }
+    }
+
+    /**
+     * Skip the next delivery: it is recorded as skipped and the next date moves one period on
+     * @param {number} id - Subscription ID
+     * @returns {Promise<SubscriptionsDTO|null>} Updated subscription or null if not found
+     */
+    async skipNextDelivery(id) {
+        try {
+            const subscription = await this.subscriptionsRepository.findById(id);
+            if (!subscription) return null;
+            if (subscription.status === 'cancelled') throw new Error('A cancelled subscription cannot be skipped');
+
+            await this.subscriptionsRepository.claimRun(id, subscription.next_run_date, 'skipped', 'Skipped by customer');
+            await this.subscriptionsRepository.setNextRunDate(id, addFrequency(subscription.next_run_date, subscription.frequency));
+            return this.getSubscriptionById(id);
+        } catch (error) {
+            throw new Error(`Failed to skip delivery: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel a subscription; cancelled subscriptions cannot be resumed
+     * @param {number} id - Subscription ID
+     * @returns {Promise<SubscriptionsDTO|null>} Updated subscription or null if not found
+     */
+    async cancelSubscription(id) {
+        try {
+            const subscription = await this.subscriptionsRepository.findById(id);
+            if (!subscription) return null;
+            if (subscription.status === 'cancelled') throw new Error('Subscription is already cancelled');
+            await this.subscriptionsRepository.updateStatus(id, 'cancelled');
+            return this.getSubscriptionById(id);
+        } catch (error) {
+            throw new Error(`Failed to cancel subscription: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decide what to order for a subscription given current stock (a variant's own stock for variant items).
+     * Products that take backorders are always ordered (units beyond stock are backordered). A product that is unavailable or short on stock is substituted (when the customer asked for it and a product of the same type
+     * is in stock) or left out; each case adds a note for the customer.
+     * @returns {Promise<{orderItems: Array, notes: string[]}>}
+     */
+    async _resolveStock(subscription, items) {
+        const variantIds = items.filter(i => i.variant_id).map(i => i.variant_id);
+        const [stock, variantStock] = await Promise.all([
+            this.subscriptionsRepository.findProductStock(items.map(i => i.product_id)),
+            variantIds.length ? this.subscriptionsRepository.findVariantStock(variantIds) : {}
+        ]);
+        const usedIds = items.map(i => i.product_id);
+        const orderItems = [];
+        const notes = [];
+
+        for (const item of items) {
+            // A product that has since been split into variants cannot be ordered without one
+            const product = item.variant_id
+                ? variantStock[item.variant_id]
+                : (stock[item.product_id]?.has_variants ? null : stock[item.product_id]);
+            const available = product && product.status === 'available' ? parseInt(product.quantity_in_stock, 10) || 0 : 0;
+            if (available >= item.quantity || (product?.status === 'available' && product.backorder_policy !== 'none')) {
+                orderItems.push({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity });
+                continue;
+            }
+
+            const itemName = item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name;
+
+            if (subscription.out_of_stock_action === 'substitute') {
+                const substitute = await this.subscriptionsRepository.findSubstitute(item.product_id, item.quantity, usedIds);
+                if (substitute) {
+                    orderItems.push({ product_id: substitute.product_id, quantity: item.quantity });
+                    usedIds.push(substitute.product_id);
+                    notes.push(`${itemName} was out of stock and was replaced with ${substitute.product_name}`);
+                    continue;
+                }
+            }
+            notes.push(`${itemName} was out of stock and was left out of this delivery`);
+        }
+
+        return { orderItems, notes };
+    }
+
+    /**
+     * Create the sale for one due subscription and record the run. The run is recorded first,
+     * so a due date that was already handled (e.g. by a concurrent scheduler) is not ordered twice.
+     * Stock is read before the sale locks it, so another order can take it in between. When the sale
+     * fails, stock is resolved again and, if that leaves out or substitutes lines, the sale is retried without them.
+     * The next delivery always moves past `today`, so missed dates are not ordered in a batch.
+     * @returns {Promise<SubscriptionRunsDTO|null>} The run, or null if there was nothing to do
+     */
+    async _runSubscription(id, today) {
+        const subscription = await this.subscriptionsRepository.findById(id);
+        if (!subscription || subscription.status !== 'active') return null;
+
+        let next = subscription.next_run_date;
+        while (next <= today) next = addFrequency(next, subscription.frequency);
+
+        const run = await this.subscriptionsRepository.claimRun(id, subscription.next_run_date);
+        if (!run) {
+            await this.subscriptionsRepository.setNextRunDate(id, next);
+            return null;
+        }
+
+        let outcome;
+        try {
+            const items = await this.subscriptionsRepository.findItems([id]);
+            let { orderItems, notes } = await this._resolveStock(subscription, items);
+            for (let attempt = 1; !outcome; attempt++) {
+                if (orderItems.length === 0) {
+                    outcome = { status: 'skipped', note: `Nothing could be ordered. ${notes.join('. ')}` };
+                    break;
+                }
+                try {
+                    const sale = await this.salesService.createSaleWithItems(subscription.user_id, orderItems);
+                    outcome = { status: 'created', sale_id: sale.sale_id, note: notes.length ? notes.join('. ') : null };
+                } catch (error) {
+                    // Retry only when fresh stock changes what would be ordered; otherwise the failure is not about stock
+                    const resolved = attempt < MAX_ORDER_ATTEMPTS ? await this._resolveStock(subscription, items) : null;
+                    if (!resolved || JSON.stringify(resolved.orderItems) === JSON.stringify(orderItems)) throw error;
+                    ({ orderItems, notes } = resolved);
+                }
+            }
+        } catch (error) {
+            outcome = { status: 'failed', note: error.message };
+        }
+
+        const completed = await this.subscriptionsRepository.completeRun(run.subscription_run_id, outcome);
+        await this.subscriptionsRepository.setNextRunDate(id, next);
+        return SubscriptionRunsDTO.fromEntity(completed);
+    }
+
+    /**
+     * Create the sales for every active subscription due on or before `today`.
+     * Safe to call repeatedly: each due date is ordered at most once.
+     * @param {string|null} [today=null] - Date to run for (YYYY-MM-DD, default the database's current date)
+     * @returns {Promise<{run_date: string, created: number, skipped: number, failed: number, runs: SubscriptionRunsDTO[]}>} Summary
+     */
+    async runDueSubscriptions(today = null) {
+        try {
+            const runDate = today || await this.subscriptionsRepository.today();
+            const ids = await this.subscriptionsRepository.findDueIds(runDate);
+            const runs = [];
+            for (const id of ids) {
+                const run = await this._runSubscription(id, runDate);
+                if (run) runs.push(run);
+            }
+            const count = status => runs.filter(r => r.status === status).length;
+            return { run_date: runDate, created: count('created'), skipped: count('skipped'), failed: count('failed'), runs };
+        } catch (error) {
+            throw new Error(`Failed to run subscriptions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Quantity per product (and variant) that active subscriptions will order in the coming days, against current stock
+     * @param {number} [days=30] - Days ahead to look
+     * @returns {Promise<{from: string, to: string, products: Array}>} Products ({ product_id, variant_id, product_name,
+     *   variant_name, quantity, deliveries, subscriptions, quantity_in_stock, shortfall }), largest demand first
+     */
+    async getUpcomingDemand(days = 30) {
+        try {
+            const from = await this.subscriptionsRepository.today();
+            const to = addDays(from, Math.max(1, parseInt(days, 10) || 30));
+
+            const active = (await this.subscriptionsRepository.findAll()).filter(s => s.status === 'active');
+            const items = active.length ? await this.subscriptionsRepository.findItems(active.map(s => s.subscription_id)) : [];
+
+            const demand = new Map();
+            for (const subscription of active) {
+                let deliveries = 0;
+                for (let date = subscription.next_run_date; date <= to; date = addFrequency(date, subscription.frequency)) {
+                    deliveries++;
+                }
+                if (deliveries === 0) continue;
+
+                items.filter(i => i.subscription_id === subscription.subscription_id).forEach(item => {
+                    const key = `${item.product_id}:${item.variant_id || ''}`;
+                    const entry = demand.get(key) || {
+                        product_id: item.product_id, variant_id: item.variant_id, product_name: item.product_name,
+                        variant_name: item.variant_name, quantity: 0, deliveries: 0, subscriptions: 0
+                    };
+                    entry.quantity += item.quantity * deliveries;
+                    entry.deliveries += deliveries;
+                    entry.subscriptions += 1;
+                    demand.set(key, entry);
+                });
+            }
+
+            const entries = [...demand.values()];
+            const variantIds = entries.filter(e => e.variant_id).map(e => e.variant_id);
+            const [stock, variantStock] = await Promise.all([
+                entries.length ? this.subscriptionsRepository.findProductStock(entries.map(e => e.product_id)) : {},
+                variantIds.length ? this.subscriptionsRepository.findVariantStock(variantIds) : {}
+            ]);
+            const products = entries.map(entry => {
+                const row = entry.variant_id ? variantStock[entry.variant_id] : stock[entry.product_id];
+                const quantity_in_stock = parseInt(row?.quantity_in_stock, 10) || 0;
+                return { ...entry, quantity_in_stock, shortfall: Math.max(0, entry.quantity - quantity_in_stock) };
+            }).sort((a, b) => b.quantity - a.quantity);
+
+            return { from, to, products };
+        } catch (error) {
+            throw new Error(`Failed to get upcoming demand: ${error.message}`);
+        }
+    }
+}
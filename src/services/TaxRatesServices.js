@@ -0,0 +1,114 @@
+import { TaxRatesDTO } from '../domain/dto/TaxRatesDTO.js';
+
+/**
+ * TaxRatesServices - Business logic for tax (VAT) rates
+ * Sale items keep the rate they were sold with, so changing or deleting a rate only affects new items.
+ * Methods:
+ * - listTaxRates(): Lists all tax rates
+ * - getTaxRateById(id): Gets a tax rate by ID
+ * - createTaxRate(data): Creates a tax rate
+ * - updateTaxRate(id, data): Updates a tax rate
+ * - deleteTaxRate(id): Deletes a tax rate
+ */
+export class TaxRatesServices {
+    constructor(taxRatesRepository) {
+        this.taxRatesRepository = taxRatesRepository;
+    }
+
+    /**
+     * Normalize tax rate input: a blank category_id means the default rate.
+     * @private
+     */
+    _normalize(data) {
+        const rate = parseFloat(data.rate);
+        if (!data.name || !String(data.name).trim()) throw new Error('Name is required');
+        if (isNaN(rate) || rate < 0 || rate > 100) throw new Error('Rate must be between 0 and 100');
+        const category_id = data.category_id === undefined || data.category_id === null || data.category_id === '' ? null : Number(data.category_id);
+        if (category_id !== null && (!Number.isInteger(category_id) || category_id < 1)) throw new Error('Invalid category ID');
+        return {
+            name: String(data.name).trim(),
+            category_id,
+            rate,
+            // Checkboxes post 'on'; the API sends booleans. Missing means active.
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+    }
+
+    /**
+     * Retrieve all tax rates and return DTOs
+     * @returns {Promise<TaxRatesDTO[]>} Array of tax rate DTOs
+     */
+    async listTaxRates() {
+        try {
+            const rates = await this.taxRatesRepository.findAll();
+            return rates.map(r => TaxRatesDTO.fromEntity(r));
+        } catch (error) {
+            throw new Error(`Failed to list tax rates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a tax rate by ID and return DTO, or null if not found
+     * @param {number} tax_rate_id - Tax rate ID
+     * @returns {Promise<TaxRatesDTO|null>} Tax rate DTO or null
+     */
+    async getTaxRateById(tax_rate_id) {
+        try {
+            if (!tax_rate_id || isNaN(tax_rate_id)) {
+                throw new Error('Invalid tax rate ID');
+            }
+            const rate = await this.taxRatesRepository.findById(tax_rate_id);
+            return rate ? TaxRatesDTO.fromEntity(rate) : null;
+        } catch (error) {
+            throw new Error(`Failed to get tax rate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a tax rate
+     * @param {Object} data - { name, category_id, rate, is_active }
+     * @returns {Promise<TaxRatesDTO>} Created tax rate DTO
+     */
+    async createTaxRate(data) {
+        try {
+            const rate = await this.taxRatesRepository.create(this._normalize(data));
+            return TaxRatesDTO.fromEntity(rate);
+        } catch (error) {
+            throw new Error(`Failed to create tax rate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a tax rate and return updated DTO or null
+     * @param {number} tax_rate_id - Tax rate ID
+     * @param {Object} data - { name, category_id, rate, is_active }
+     * @returns {Promise<TaxRatesDTO|null>} Updated tax rate DTO or null if not found
+     */
+    async updateTaxRate(tax_rate_id, data) {
+        try {
+            if (!tax_rate_id || isNaN(tax_rate_id)) {
+                throw new Error('Invalid tax rate ID');
+            }
+            const rate = await this.taxRatesRepository.update(tax_rate_id, this._normalize(data));
+            return rate ? TaxRatesDTO.fromEntity(rate) : null;
+        } catch (error) {
+            throw new Error(`Failed to update tax rate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a tax rate
+     * @param {number} tax_rate_id - Tax rate ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteTaxRate(tax_rate_id) {
+        try {
+            if (!tax_rate_id || isNaN(tax_rate_id)) {
+                throw new Error('Invalid tax rate ID');
+            }
+            return await this.taxRatesRepository.delete(tax_rate_id);
+        } catch (error) {
+            throw new Error(`Failed to delete tax rate: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,217 @@
+import { TimeSlotsDTO } from '../domain/dto/TimeSlotsDTO.js';
+import { SalesDTO } from '../domain/dto/SalesDTO.js';
+import { FULFILLMENT_TYPES } from '../domain/entities/TimeSlots.js';
+import { bookingWindow } from '../utils/fulfillment.js';
+import { pool } from '../config/db.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * TimeSlotsServices - Business logic for delivery and pickup time slots
+ * Slots repeat every day; capacity is the number of orders a slot takes per day.
+ * Methods:
+ * - listTimeSlots(): Lists all time slots
+ * - getTimeSlotById(id): Gets a time slot by ID
+ * - createTimeSlot(data): Creates a time slot
+ * - updateTimeSlot(id, data): Updates a time slot
+ * - deleteTimeSlot(id): Deletes a time slot
+ * - getAvailability(fulfillment_type, date): Lists a type's slots on a date with their remaining capacity
+ * - getBookableSlots(fulfillment_type): Lists the slots customers can still book in the booking window
+ * - getFulfillmentSchedule(date): Lists a day's deliveries and pickups grouped by slot
+ */
+export class TimeSlotsServices {
+    constructor(timeSlotsRepository) {
+        this.timeSlotsRepository = timeSlotsRepository;
+    }
+
+    /**
+     * Normalize time slot input
+     * @private
+     */
+    _normalize(data) {
+        const capacity = Number(data.capacity);
+        if (!FULFILLMENT_TYPES.includes(data.fulfillment_type)) {
+            throw new Error(`fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}`);
+        }
+        if (!TIME_PATTERN.test(data.start_time || '') || !TIME_PATTERN.test(data.end_time || '')) {
+            throw new Error('Start and end times must be HH:MM');
+        }
+        if (data.end_time <= data.start_time) throw new Error('End time must be after start time');
+        if (!Number.isInteger(capacity) || capacity < 1) throw new Error('Capacity must be a whole number of at least 1');
+        return {
+            fulfillment_type: data.fulfillment_type,
+            start_time: data.start_time,
+            end_time: data.end_time,
+            capacity,
+            // Checkboxes post 'on'; the API sends booleans. Missing means active.
+            is_active: data.is_active === undefined ? true : [true, 'true', 'on', '1', 1].includes(data.is_active)
+        };
+    }
+
+    /**
+     * Retrieve all time slots and return DTOs
+     * @returns {Promise<TimeSlotsDTO[]>} Array of time slot DTOs
+     */
+    async listTimeSlots() {
+        try {
+            const slots = await this.timeSlotsRepository.findAll();
+            return slots.map(slot => TimeSlotsDTO.fromEntity(slot));
+        } catch (error) {
+            throw new Error(`Failed to list time slots: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a time slot by ID and return DTO, or null if not found
+     * @param {number} time_slot_id - Time slot ID
+     * @returns {Promise<TimeSlotsDTO|null>} Time slot DTO or null
+     */
+    async getTimeSlotById(time_slot_id) {
+        try {
+            if (!time_slot_id || isNaN(time_slot_id)) {
+                throw new Error('Invalid time slot ID');
+            }
+            const slot = await this.timeSlotsRepository.findById(time_slot_id);
+            return slot ? TimeSlotsDTO.fromEntity(slot) : null;
+        } catch (error) {
+            throw new Error(`Failed to get time slot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a time slot
+     * @param {Object} data - { fulfillment_type, start_time, end_time, capacity, is_active }
+     * @returns {Promise<TimeSlotsDTO>} Created time slot DTO
+     */
+    async createTimeSlot(data) {
+        try {
+            const slot = await this.timeSlotsRepository.create(this._normalize(data));
+            return TimeSlotsDTO.fromEntity(slot);
+        } catch (error) {
+            throw new Error(`Failed to create time slot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a time slot and return updated DTO or null. Orders already booked keep their slot,
+     * even if the new capacity is lower.
+     * @param {number} time_slot_id - Time slot ID
+     * @param {Object} data - { fulfillment_type, start_time, end_time, capacity, is_active }
+     * @returns {Promise<TimeSlotsDTO|null>} Updated time slot DTO or null if not found
+     */
+    async updateTimeSlot(time_slot_id, data) {
+        try {
+            if (!time_slot_id || isNaN(time_slot_id)) {
+                throw new Error('Invalid time slot ID');
+            }
+            const slot = await this.timeSlotsRepository.update(time_slot_id, this._normalize(data));
+            return slot ? TimeSlotsDTO.fromEntity(slot) : null;
+        } catch (error) {
+            throw new Error(`Failed to update time slot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a time slot; orders booked in it keep their date and are listed without a slot
+     * @param {number} time_slot_id - Time slot ID
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteTimeSlot(time_slot_id) {
+        try {
+            if (!time_slot_id || isNaN(time_slot_id)) {
+                throw new Error('Invalid time slot ID');
+            }
+            return await this.timeSlotsRepository.delete(time_slot_id);
+        } catch (error) {
+            throw new Error(`Failed to delete time slot: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the active slots of a type on a date with their booked and remaining capacity
+     * @param {string} fulfillment_type - 'delivery' or 'pickup'
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<TimeSlotsDTO[]>} Slots with booked and remaining
+     */
+    async getAvailability(fulfillment_type, date) {
+        try {
+            if (!FULFILLMENT_TYPES.includes(fulfillment_type)) {
+                throw new Error(`fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}`);
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('Date must be YYYY-MM-DD');
+            const slots = await this.timeSlotsRepository.findForDates(fulfillment_type, date, date);
+            return slots.map(slot => TimeSlotsDTO.fromEntity(slot));
+        } catch (error) {
+            throw new Error(`Failed to get time slot availability: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the slots of a type that can still be booked, from today to the end of the booking window
+     * (FULFILLMENT_DAYS_AHEAD): full slots and slots of today that have already started are left out
+     * @param {string} fulfillment_type - 'delivery' or 'pickup'
+     * @returns {Promise<TimeSlotsDTO[]>} Bookable slots, by date and start time
+     */
+    async getBookableSlots(fulfillment_type) {
+        try {
+            const { today, now, last_date } = await bookingWindow(pool);
+            const slots = await this.timeSlotsRepository.findForDates(fulfillment_type, today, last_date);
+            return slots
+                .map(slot => TimeSlotsDTO.fromEntity(slot))
+                .filter(slot => slot.remaining > 0 && !(slot.date === today && slot.start_time <= now));
+        } catch (error) {
+            throw new Error(`Failed to get bookable time slots: ${error.message}`);
+        }
+    }
+
+    /**
+     * A day's scheduled orders for the fulfillment page: deliveries and pickups, each grouped by slot
+     * (slots in start order, with their booked count). Orders whose slot was deleted are grouped under a null slot.
+     * @param {string|null} [date=null] - Date (YYYY-MM-DD, default the database's current date)
+     * @returns {Promise<{date: string, deliveries: Array, pickups: Array, delivery_count: number, pickup_count: number}>}
+     *   Groups are { slot: TimeSlotsDTO|null, orders: [{ sale, customer_name, customer_phone, zone_name, item_count }] }
+     */
+    async getFulfillmentSchedule(date = null) {
+        try {
+            if (date == null) date = (await bookingWindow(pool)).today;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('Date must be YYYY-MM-DD');
+            const [slots, rows] = await Promise.all([
+                this.timeSlotsRepository.findAll(),
+                this.timeSlotsRepository.findOrdersForDate(date)
+            ]);
+            const orders = rows.map(row => ({
+                sale: SalesDTO.fromEntity(row),
+                customer_name: row.customer_name,
+                customer_phone: row.customer_phone,
+                zone_name: row.zone_name,
+                item_count: row.item_count
+            }));
+
+            const groupFor = (fulfillment_type) => {
+                const ofType = orders.filter(order => order.sale.fulfillment_type === fulfillment_type);
+                const groups = slots
+                    .filter(slot => slot.fulfillment_type === fulfillment_type)
+                    .map(slot => {
+                        const inSlot = ofType.filter(order => order.sale.time_slot_id === slot.time_slot_id);
+                        return { slot: TimeSlotsDTO.fromEntity({ ...slot, date, booked: inSlot.length }), orders: inSlot };
+                    })
+                    .filter(group => group.slot.is_active || group.orders.length > 0);
+                const unslotted = ofType.filter(order => !slots.some(slot => slot.time_slot_id === order.sale.time_slot_id));
+                if (unslotted.length > 0) groups.push({ slot: null, orders: unslotted });
+                return groups;
+            };
+
+            const deliveries = groupFor('delivery');
+            const pickups = groupFor('pickup');
+            return {
+                date,
+                deliveries,
+                pickups,
+                delivery_count: orders.filter(order => order.sale.fulfillment_type === 'delivery').length,
+                pickup_count: orders.filter(order => order.sale.fulfillment_type === 'pickup').length
+            };
+        } catch (error) {
+            throw new Error(`Failed to get fulfillment schedule: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Delivery / pickup scheduling for a sale, shared by the services that place orders.
+ * applyFulfillment takes a pg client and must run inside an open transaction, before the sale's totals are computed.
+ */
+import { FULFILLMENT_TYPES } from '../domain/entities/TimeSlots.js';
+import { FULFILLMENT_DAYS_AHEAD } from '../config/fulfillment.js';
+
+/**
+ * The database's current date (YYYY-MM-DD), the current time (HH:MM) and the last bookable date
+ */
+export async function bookingWindow(client) {
+  const { rows } = await client.query(
+    `SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today, TO_CHAR(LOCALTIME, 'HH24:MI') AS now,
+            TO_CHAR(CURRENT_DATE + $1::int - 1, 'YYYY-MM-DD') AS last_date`,
+    [FULFILLMENT_DAYS_AHEAD]
+  );
+  return rows[0];
+}
+
+/**
+ * Check a delivery or pickup choice and store it on a sale:
+ * - the date must be within the booking window, and a slot of today must not have started yet
+ * - the slot must be active, of the chosen type and not full on that date (the slot row is locked
+ *   so two orders cannot take its last place)
+ * - a delivery needs one of the customer's addresses in an active zone; the zone's fee becomes the
+ *   sale's delivery_fee and a copy of the address is kept on the sale
+ * @param {Object} client - pg client inside an open transaction
+ * @param {number} sale_id - Sale ID
+ * @param {number} user_id - Customer placing the order (owner of the address)
+ * @param {Object} fulfillment - { fulfillment_type, fulfillment_date, time_slot_id, address_id }
+ * @returns {Promise<void>}
+ */
+export async function applyFulfillment(client, sale_id, user_id, { fulfillment_type, fulfillment_date, time_slot_id, address_id } = {}) {
+  if (!FULFILLMENT_TYPES.includes(fulfillment_type)) {
+    throw new Error(`Choose ${FULFILLMENT_TYPES.join(' or ')}`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fulfillment_date || '')) {
+    throw new Error(`Choose a ${fulfillment_type} date`);
+  }
+  const { today, now, last_date } = await bookingWindow(client);
+  if (fulfillment_date < today || fulfillment_date > last_date) {
+    throw new Error(`${fulfillment_type === 'delivery' ? 'Deliveries' : 'Pickups'} can be booked from ${today} to ${last_date}`);
+  }
+
+  if (!Number.isInteger(Number(time_slot_id)) || Number(time_slot_id) < 1) {
+    throw new Error(`Choose a ${fulfillment_type} time slot`);
+  }
+  const slotRes = await client.query(
+    `SELECT time_slot_id, fulfillment_type, TO_CHAR(start_time, 'HH24:MI') AS start_time, TO_CHAR(end_time, 'HH24:MI') AS end_time,
+            capacity, is_active
+     FROM time_slots WHERE time_slot_id = $1 FOR UPDATE`,
+    [time_slot_id]
+  );
+  const slot = slotRes.rows[0];
+  if (!slot || !slot.is_active || slot.fulfillment_type !== fulfillment_type) {
+    throw new Error(`Choose an available ${fulfillment_type} time slot`);
+  }
+  const label = `${slot.start_time}–${slot.end_time}`;
+  if (fulfillment_date === today && slot.start_time <= now) {
+    throw new Error(`The ${label} slot has already started today`);
+  }
+  const bookedRes = await client.query(
+    `SELECT COUNT(*)::int AS booked FROM sales
+     WHERE time_slot_id = $1 AND fulfillment_date = $2::date AND status <> 'cancelled' AND sale_id <> $3`,
+    [time_slot_id, fulfillment_date, sale_id]
+  );
+  if (bookedRes.rows[0].booked >= slot.capacity) {
+    throw new Error(`The ${label} slot on ${fulfillment_date} is full`);
+  }
+
+  let delivery_zone_id = null;
+  let delivery_address = null;
+  let delivery_fee = 0;
+  if (fulfillment_type === 'delivery') {
+    if (!Number.isInteger(Number(address_id)) || Number(address_id) < 1) {
+      throw new Error('Choose a delivery address from your address book');
+    }
+    const addressRes = await client.query(
+      `SELECT a.street, a.city, a.phone_number, a.notes, z.delivery_zone_id, z.name AS zone_name, z.fee, z.is_active
+       FROM addresses a LEFT JOIN delivery_zones z ON z.delivery_zone_id = a.delivery_zone_id
+       WHERE a.address_id = $1 AND a.user_id = $2`,
+      [address_id, user_id]
+    );
+    const address = addressRes.rows[0];
+    if (!address) throw new Error('Choose a delivery address from your address book');
+    if (!address.delivery_zone_id || !address.is_active) {
+      throw new Error(`We do not deliver to ${address.zone_name || 'this address'}; choose another address or pickup`);
+    }
+    delivery_zone_id = address.delivery_zone_id;
+    delivery_fee = parseFloat(address.fee) || 0;
+    delivery_address = [
+      `${address.street}, ${address.city}`,
+      address.phone_number && `Phone: ${address.phone_number}`,
+      address.notes && `Notes: ${address.notes}`
+    ].filter(Boolean).join('\n');
+  }
+
+  await client.query(
+    `UPDATE sales
+     SET fulfillment_type = $1, fulfillment_date = $2, time_slot_id = $3, delivery_zone_id = $4, delivery_address = $5, delivery_fee = $6
+     WHERE sale_id = $7`,
+    [fulfillment_type, fulfillment_date, time_slot_id, delivery_zone_id, delivery_address, delivery_fee, sale_id]
+  );
+}
@@ -2,11 +2,32 @@
  * Helper utility functions for formatting and common operations
  */
 
+// Display settings per currency: LBP has no minor unit in circulation
+const CURRENCY_FORMATS = {
+  USD: { symbol: '$', decimals: 2 },
+  LBP: { symbol: 'LBP ', decimals: 0 }
+};
+
 /**
- * Format currency to 2 decimal places
+ * Format an amount in the given currency, e.g. "$1,234.50" or "LBP 110,475,000"
  */
-export function formatCurrency(amount) {
-  return parseFloat(amount || 0).toFixed(2);
+export function formatCurrency(amount, currency = 'USD') {
+  const { symbol, decimals } = CURRENCY_FORMATS[currency] || { symbol: `${currency} `, decimals: 2 };
+  const value = parseFloat(amount || 0);
+  const formatted = Math.abs(value).toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  return `${value < 0 ? '-' : ''}${symbol}${formatted}`;
+}
+
+/**
+ * Convert a USD amount to another currency at an exchange rate (units per 1 USD)
+ */
+export function convertFromUsd(amount, currency, rate) {
+  const value = parseFloat(amount || 0);
+  if (currency === 'USD') return value;
+  return value * parseFloat(rate || 0);
 }
 
 /**
@@ -43,4 +64,27 @@ export function formatDateTime(dateString) {
 export function capitalize(str) {
   if (!str) return '';
   return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-}
\ No newline at end of file
+}
+/**
+ * Cart owner for a request: the logged-in user's cart, or the session's cart for guests.
+ * Guests get a flag on their session so it is saved and their cart survives between requests.
+ */
+export function cartOwner(req) {
+  const userId = req.session?.user?.user_id || null;
+  if (!userId && req.session) req.session.has_cart = true;
+  return { user_id: userId, session_id: req.sessionID || null };
+}
+
+/**
+ * URL slug of a name: lower-case ASCII words joined by hyphens, e.g. "Café de Olla #2" -> "cafe-de-olla-2".
+ * Returns '' when nothing is left.
+ */
+export function slugify(text, maxLength = 80) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
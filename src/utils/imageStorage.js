@@ -0,0 +1,66 @@
+/**
+ * Storage adapter for uploaded images.
+ * Callers only save, remove and link files by name (e.g. "products/12/<uuid>-thumb.webp"), so another backend
+ * (an object store or CDN) can replace LocalDiskStorage by implementing the same three methods.
+ */
+import { mkdir, writeFile, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { IMAGE_STORAGE_DIR, IMAGE_URL_PATH } from '../config/images.js';
+
+export class LocalDiskStorage {
+    /**
+     * @param {string} root - Directory the files are written under
+     * @param {string} baseUrl - URL path that directory is served at (see app.js)
+     */
+    constructor(root, baseUrl) {
+        this.root = root;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Resolve a file name inside the root, refusing names that would escape it
+     * @private
+     */
+    _path(name) {
+        const filePath = path.resolve(this.root, name);
+        if (!filePath.startsWith(this.root + path.sep)) throw new Error(`Invalid file name: ${name}`);
+        return filePath;
+    }
+
+    /**
+     * Write a file, creating its directories as needed
+     * @param {string} name - File name relative to the root
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async save(name, data) {
+        const filePath = this._path(name);
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, data);
+    }
+
+    /**
+     * Delete a file; a file that is already gone is not an error
+     * @param {string} name - File name relative to the root
+     * @returns {Promise<void>}
+     */
+    async remove(name) {
+        try {
+            await unlink(this._path(name));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Public URL of a file
+     * @param {string} name - File name relative to the root
+     * @returns {string} URL path, e.g. /uploads/products/12/<uuid>-thumb.webp
+     */
+    url(name) {
+        return `${this.baseUrl}/${name}`;
+    }
+}
+
+// The storage the app writes to
+export const imageStorage = new LocalDiskStorage(IMAGE_STORAGE_DIR, IMAGE_URL_PATH);
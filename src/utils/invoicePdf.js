@@ -0,0 +1,165 @@
+/**
+ * Render a sale's invoice or receipt as a PDF with pdfkit.
+ * Layout only: InvoicesServices gathers the data and assigns the invoice number.
+ */
+import PDFDocument from 'pdfkit';
+import { formatCurrency, convertFromUsd } from './helpers.js';
+
+const PAGE_MARGIN = 50;
+// Item table columns: x position and width (points on an A4 page)
+const COLUMNS = {
+  item: { x: 50, width: 210 },
+  quantity: { x: 260, width: 50 },
+  price: { x: 310, width: 80 },
+  tax: { x: 390, width: 75 },
+  amount: { x: 465, width: 80 }
+};
+
+/**
+ * Write a label/value line right-aligned in the totals block
+ */
+function totalLine(doc, label, value, { bold = false, color = 'black' } = {}) {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color);
+  doc.text(label, 300, y, { width: 160, align: 'right' });
+  doc.text(value, 465, y, { width: 80, align: 'right' });
+  doc.fillColor('black');
+}
+
+/**
+ * Build the PDF and resolve with its bytes
+ * @param {Object} data
+ * @param {string} data.title - "Invoice" or "Receipt"
+ * @param {Object} data.business - Seller details (config/business.js)
+ * @param {Object} data.invoice - InvoicesDTO (label, issued_at)
+ * @param {Object} data.sale - SalesDTO
+ * @param {Object} data.customer - { first_name, last_name, email, phone_number }
+ * @param {Array} data.items - Sale items with product_name (and variant_name for variants)
+ * @param {Array} data.taxBreakdown - [{ rate, tax_amount }]
+ * @param {Array} data.payments - PaymentsDTO list
+ * @param {string|null} data.promoCode - Promo code used on the sale
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function buildInvoicePdf({ title, business, invoice, sale, customer, items, taxBreakdown, payments, promoCode }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${title} ${invoice.label}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Seller details
+    doc.font('Helvetica-Bold').fontSize(18).text(business.name, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9);
+    [business.address, business.phone, business.email, business.vat_number && `VAT No: ${business.vat_number}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+
+    // Document details
+    doc.font('Helvetica-Bold').fontSize(16).text(title.toUpperCase(), 300, PAGE_MARGIN, { width: 245, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    [
+      `Invoice No: ${invoice.label}`,
+      `Date: ${invoice.issued_at}`,
+      `Order: #${sale.sale_id} (${sale.sale_date})`,
+      `Status: ${sale.status.replace('_', ' ')}`,
+      sale.fulfillment_type && `${sale.fulfillment_type === 'delivery' ? 'Delivery' : 'Pickup'}: ${sale.fulfillment_date}`
+    ].filter(Boolean).forEach(line => doc.text(line, 300, doc.y, { width: 245, align: 'right' }));
+    if (sale.status === 'cancelled') {
+      doc.font('Helvetica-Bold').fontSize(14).fillColor('red').text('VOID', 300, doc.y + 4, { width: 245, align: 'right' });
+      doc.fillColor('black');
+    }
+
+    // Customer
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', PAGE_MARGIN, 150);
+    doc.font('Helvetica').fontSize(9);
+    const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+    [customerName || 'Walk-in customer', customer.email, customer.phone_number]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, PAGE_MARGIN));
+
+    // Line items
+    let y = 215;
+    doc.font('Helvetica-Bold').fontSize(9);
+    doc.text('Item', COLUMNS.item.x, y, { width: COLUMNS.item.width });
+    doc.text('Qty', COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+    doc.text('Unit Price', COLUMNS.price.x, y, { width: COLUMNS.price.width, align: 'right' });
+    doc.text('Tax', COLUMNS.tax.x, y, { width: COLUMNS.tax.width, align: 'right' });
+    doc.text('Amount', COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    y += 15;
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(545, y - 3).stroke();
+
+    doc.font('Helvetica');
+    items.forEach(item => {
+      if (y > 700) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+      const price = parseFloat(item.price_at_sale) || 0;
+      const quantity = parseInt(item.quantity, 10) || 0;
+      const product = item.product_name || `Product #${item.product_id}`;
+      const name = item.variant_name ? `${product} (${item.variant_name})` : product;
+      doc.text(item.price_tier ? `${name}\n${item.price_tier} price (list ${formatCurrency(item.list_price)})` : name,
+        COLUMNS.item.x, y, { width: COLUMNS.item.width });
+      const nameBottom = doc.y;
+      doc.text(String(quantity), COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+      doc.text(formatCurrency(price), COLUMNS.price.x, y, { width: COLUMNS.price.width, align: 'right' });
+      doc.text(`${formatCurrency(item.tax_amount)} (${parseFloat(item.tax_rate) || 0}%)`, COLUMNS.tax.x, y, { width: COLUMNS.tax.width, align: 'right' });
+      doc.text(formatCurrency(price * quantity), COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+      y = Math.max(doc.y, nameBottom, y + 12) + 4;
+    });
+    doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+
+    // Totals
+    doc.y = y + 8;
+    doc.fontSize(9);
+    totalLine(doc, 'Subtotal', formatCurrency(sale.subtotal));
+    const promoDiscount = sale.discount_amount - sale.loyalty_discount;
+    if (promoDiscount > 0) {
+      totalLine(doc, promoCode ? `Discount (${promoCode})` : 'Discount', `-${formatCurrency(promoDiscount)}`);
+    }
+    if (sale.loyalty_discount > 0) {
+      totalLine(doc, `Loyalty points (${sale.loyalty_points_redeemed} pts)`, `-${formatCurrency(sale.loyalty_discount)}`);
+    }
+    if (sale.delivery_fee > 0) {
+      totalLine(doc, 'Delivery fee', formatCurrency(sale.delivery_fee));
+    }
+    taxBreakdown.forEach(entry => {
+      totalLine(doc, `Tax at ${entry.rate}%${sale.prices_include_tax ? ' (included)' : ''}`, formatCurrency(entry.tax_amount));
+    });
+    totalLine(doc, sale.prices_include_tax ? 'Tax (incl.)' : 'Tax', formatCurrency(sale.tax_amount));
+    totalLine(doc, 'Total', formatCurrency(sale.total_amount), { bold: true });
+    if (sale.refunded_amount > 0) {
+      totalLine(doc, 'Refunded', `-${formatCurrency(sale.refunded_amount)}`, { color: 'red' });
+      totalLine(doc, 'Net Total', formatCurrency(sale.net_total), { bold: true });
+    }
+    if (sale.exchange_rate) {
+      totalLine(doc, `In LBP (1 USD = ${formatCurrency(sale.exchange_rate, 'LBP')})`,
+        formatCurrency(convertFromUsd(sale.net_total, 'LBP', sale.exchange_rate), 'LBP'));
+    }
+    if (sale.status !== 'cancelled') {
+      totalLine(doc, 'Paid', formatCurrency(sale.paid_amount));
+      totalLine(doc, 'Balance Due', formatCurrency(sale.balance_due), { bold: true });
+    }
+
+    // Payments
+    if (payments.length > 0) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Payments', PAGE_MARGIN);
+      doc.font('Helvetica').fontSize(9);
+      payments.forEach(payment => {
+        const method = payment.gift_card_code ? `gift card ...${payment.gift_card_code.slice(-4)}` : payment.method;
+        let line = `${payment.created_at}  ${method}  ${formatCurrency(payment.amount, payment.currency)}`;
+        if (payment.change_amount > 0) {
+          line += `  (change ${formatCurrency(payment.change_amount, payment.currency)})`;
+        }
+        doc.text(line, PAGE_MARGIN);
+      });
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Oblique').fontSize(9).text(`Thank you for choosing ${business.name}.`, PAGE_MARGIN, doc.y, { width: 495, align: 'center' });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Tiered pricing shared by the cart and sale creation.
+ * An order line is priced at the lowest of:
+ * - the product's retail unit_price
+ * - the public volume tier (price_list_id NULL) with the highest min_quantity the line reaches
+ * - the same from the customer's price list, if it is active
+ * A tier priced above retail never applies.
+ * A line for a bag size and grind (variant_id) only gets that variant's tiers, compared with the variant's own price.
+ */
+
+/**
+ * Label a tier for carts and receipts, e.g. "Volume 5+" or "Café Wholesale 20+"
+ * @param {{min_quantity: number, price_list_name: string|null}} tier
+ * @returns {string}
+ */
+export function tierLabel({ min_quantity, price_list_name = null }) {
+  const name = price_list_name || 'Volume';
+  return min_quantity > 1 ? `${name} ${min_quantity}+` : name;
+}
+
+/**
+ * Resolve the unit price a customer pays on each order line
+ * @param {Object} db - pg pool, or a client inside an open transaction
+ * @param {number|null} user_id - Customer; guests (null) only get the public tiers
+ * @param {Array<{product_id: number, variant_id?: number|null, quantity: number, unit_price: number|string}>} lines - unit_price is the retail
+ *   (or variant) price
+ * @returns {Promise<Array<{unit_price: number, list_price: number, price_tier: string|null}>>} One entry per line, in order;
+ *   price_tier is null when the retail price applies
+ */
+export async function resolveLinePrices(db, user_id, lines) {
+  const productIds = [...new Set(lines.map(line => Number(line.product_id)))];
+  if (productIds.length === 0) return [];
+
+  const { rows } = await db.query(
+    `SELECT t.product_id, t.variant_id, t.min_quantity, t.unit_price, pl.name AS price_list_name
+     FROM price_tiers t
+     LEFT JOIN price_lists pl ON pl.price_list_id = t.price_list_id
+     WHERE t.product_id = ANY($1::int[])
+       AND (t.price_list_id IS NULL
+            OR (pl.is_active AND t.price_list_id = (SELECT u.price_list_id FROM users u WHERE u.user_id = $2)))`,
+    [productIds, user_id || null]
+  );
+
+  return lines.map(line => {
+    const list_price = parseFloat(line.unit_price) || 0;
+    const quantity = Number(line.quantity) || 0;
+    const variantId = line.variant_id ? Number(line.variant_id) : null;
+    let best = null;
+    for (const tier of rows) {
+      if (tier.product_id !== Number(line.product_id) || tier.variant_id !== variantId || tier.min_quantity > quantity) continue;
+      if (parseFloat(tier.unit_price) < (best ? parseFloat(best.unit_price) : list_price)) best = tier;
+    }
+    return best
+      ? { unit_price: parseFloat(best.unit_price), list_price, price_tier: tierLabel(best) }
+      : { unit_price: list_price, list_price, price_tier: null };
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Resize uploaded product photos with sharp and keep their files in the image storage.
+ * An image is stored once per size in IMAGE_SIZES as "<storage_key>-<size>.webp".
+ */
+import sharp from 'sharp';
+import { IMAGE_SIZES } from '../config/images.js';
+import { imageStorage } from './imageStorage.js';
+
+// Input formats accepted from uploads (as reported by sharp, not by the browser)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+
+const fileName = (storage_key, size) => `${storage_key}-${size}.webp`;
+
+/**
+ * Resize an uploaded image to every size, rotated upright from its EXIF orientation and without metadata
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} [label] - Name used in error messages (the uploaded file name)
+ * @returns {Promise<{ files: Object<string, Buffer>, width: number, height: number }>} WebP file per size,
+ *   and the dimensions of the full-size image
+ */
+export async function renderImageSizes(buffer, label = 'The file') {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch {
+        metadata = null;
+    }
+    if (!metadata || !ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new Error(`${label} is not a supported image (use JPEG, PNG, WebP, GIF or AVIF)`);
+    }
+
+    const files = {};
+    let width = 0;
+    let height = 0;
+    for (const [size, { width: boxWidth, height: boxHeight, fit }] of Object.entries(IMAGE_SIZES)) {
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .resize(boxWidth, boxHeight, { fit, withoutEnlargement: fit === 'inside' })
+            .webp({ quality: 82 })
+            .toBuffer({ resolveWithObject: true });
+        files[size] = data;
+        if (size === 'full') {
+            width = info.width;
+            height = info.height;
+        }
+    }
+    return { files, width, height };
+}
+
+/**
+ * Save the resized files of an image
+ * @param {string} storage_key - Key shared by the image's files
+ * @param {Object<string, Buffer>} files - From renderImageSizes()
+ * @returns {Promise<void>}
+ */
+export async function storeImage(storage_key, files) {
+    await Promise.all(Object.entries(files).map(([size, data]) => imageStorage.save(fileName(storage_key, size), data)));
+}
+
+/**
+ * Delete every size of an image
+ * @param {string} storage_key - Key shared by the image's files
+ * @returns {Promise<void>}
+ */
+export async function removeImage(storage_key) {
+    await Promise.all(Object.keys(IMAGE_SIZES).map(size => imageStorage.remove(fileName(storage_key, size))));
+}
+
+/**
+ * Public URLs of an image's sizes
+ * @param {string} storage_key - Key shared by the image's files
+ * @returns {{ thumb_url: string, full_url: string }}
+ */
+export function imageUrls(storage_key) {
+    return {
+        thumb_url: imageStorage.url(fileName(storage_key, 'thumb')),
+        full_url: imageStorage.url(fileName(storage_key, 'full'))
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Sale totals helpers shared by the services that change a sale's items or discount.
+ * resolveTaxRate and recomputeSaleTotals take a pg client and must run inside an open transaction.
+ */
+import { SALE_COLUMNS } from '../domain/repositories/SalesRepository.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the tax rate (percent) for a product: the active rate of its category or, failing that,
+ * of the nearest parent category that has one, else the active default rate (category_id NULL), else 0.
+ * The rate is stamped on the sale item so later rate changes don't alter past sales.
+ */
+export async function resolveTaxRate(client, product_id) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(
+        (SELECT t.rate
+         FROM category_paths cp
+         CROSS JOIN LATERAL unnest(cp.id_path) WITH ORDINALITY AS ancestor(category_id, depth)
+         JOIN tax_rates t ON t.category_id = ancestor.category_id AND t.is_active
+         WHERE cp.category_id = p.category_id
+         ORDER BY ancestor.depth DESC LIMIT 1),
+        (SELECT t.rate FROM tax_rates t WHERE t.is_active AND t.category_id IS NULL),
+        0) AS rate
+     FROM products p WHERE p.product_id = $1`,
+    [product_id]
+  );
+  return rows[0] ? parseFloat(rows[0].rate) : 0;
+}
+
+/**
+ * Recompute a sale's subtotal, discount, tax and total from its sale_items and
+ * store each line's tax amount.
+ * - Without `discount_amount` the sale's current discount_percentage is kept.
+ * - With `discount_amount` (a redeemed promo code and/or loyalty points) that amount is used, and
+ *   discount_percentage becomes the effective rate on the whole subtotal.
+ * The loyalty_discount part of the discount never exceeds the whole discount.
+ * Tax is charged on each line after its share of the discount. Tax-inclusive sales
+ * extract it from the price; tax-exclusive sales add it to the total. The delivery fee
+ * is added to the total as is (no discount, no tax).
+ * @returns {Promise<Object>} Updated sale row (SALE_COLUMNS)
+ */
+export async function recomputeSaleTotals(client, sale_id, { discount_amount = null } = {}) {
+  const saleRes = await client.query(
+    `SELECT discount_percentage, prices_include_tax, delivery_fee FROM sales WHERE sale_id = $1`,
+    [sale_id]
+  );
+  const { prices_include_tax } = saleRes.rows[0];
+  const deliveryFee = parseFloat(saleRes.rows[0].delivery_fee) || 0;
+
+  const itemsRes = await client.query(
+    `SELECT sale_item_id, quantity, price_at_sale, tax_rate FROM sale_items WHERE sale_id = $1`,
+    [sale_id]
+  );
+  const lineTotal = (item) => parseFloat(item.price_at_sale) * parseInt(item.quantity, 10);
+  const subtotal = round2(itemsRes.rows.reduce((sum, item) => sum + lineTotal(item), 0));
+
+  let discountAmount;
+  let discountPercentage;
+  if (discount_amount != null) {
+    discountAmount = round2(Math.min(discount_amount, subtotal));
+    discountPercentage = subtotal > 0 ? round2((discountAmount / subtotal) * 100) : 0;
+  } else {
+    discountPercentage = parseFloat(saleRes.rows[0].discount_percentage) || 0;
+    discountAmount = round2((subtotal * discountPercentage) / 100);
+  }
+
+  const discountShare = subtotal > 0 ? discountAmount / subtotal : 0;
+  let taxAmount = 0;
+  for (const item of itemsRes.rows) {
+    const net = lineTotal(item) * (1 - discountShare);
+    const rate = parseFloat(item.tax_rate) || 0;
+    const lineTax = round2(prices_include_tax ? net - net / (1 + rate / 100) : (net * rate) / 100);
+    taxAmount += lineTax;
+    await client.query(
+      `UPDATE sale_items SET tax_amount = $1 WHERE sale_item_id = $2`,
+      [lineTax, item.sale_item_id]
+    );
+  }
+  taxAmount = round2(taxAmount);
+
+  const totalAmount = round2(subtotal - discountAmount + (prices_include_tax ? 0 : taxAmount) + deliveryFee);
+
+  const updatedRes = await client.query(
+    `UPDATE sales
+     SET subtotal = $1, discount_percentage = $2, discount_amount = $3, tax_amount = $4, total_amount = $5,
+         loyalty_discount = LEAST(loyalty_discount, $3)
+     WHERE sale_id = $6
+     RETURNING ${SALE_COLUMNS}`,
+    [subtotal, discountPercentage, discountAmount, taxAmount, totalAmount, sale_id]
+  );
+  return updatedRes.rows[0];
+}
+
+/**
+ * Sum sale items' tax per rate for a receipt or invoice tax breakdown.
+ * @returns {Array<{rate: number, tax_amount: number}>} One entry per non-zero rate
+ */
+export function groupTaxByRate(items) {
+  return Object.values(items.reduce((acc, item) => {
+    const rate = parseFloat(item.tax_rate) || 0;
+    acc[rate] = acc[rate] || { rate, tax_amount: 0 };
+    acc[rate].tax_amount += parseFloat(item.tax_amount) || 0;
+    return acc;
+  }, {})).filter(entry => entry.rate > 0);
+}
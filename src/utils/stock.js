@@ -0,0 +1,103 @@
+/**
+ * Stock helpers shared by the services that take units from stock or put them back.
+ * A product sold in variants (bag size and grind) keeps its stock on each product_variants row;
+ * any other product keeps it on its inventory row. Every helper takes a pg client and must run
+ * inside an open transaction.
+ */
+import { VARIANT_NAME_SQL } from '../domain/repositories/ProductVariantsRepository.js';
+
+/**
+ * Load a product (or one of its variants) for an order line and lock the row that holds its stock
+ * @param {Object} client - pg client inside an open transaction
+ * @param {number} product_id - Product ID
+ * @param {number|null} [variant_id=null] - Variant of the product, if it is sold in variants
+ * @returns {Promise<Object|null>} { product_name, variant_name, unit_price, status, backorder_policy, has_variants,
+ *   quantity_in_stock } or null if the product (or the variant of that product) does not exist.
+ *   unit_price is the variant's price for a variant; an inactive variant has status 'not available';
+ *   quantity_in_stock is null when a product without variants has no inventory record.
+ */
+export async function lockStock(client, product_id, variant_id = null) {
+  if (variant_id) {
+    const { rows } = await client.query(
+      `SELECT p.product_name, ${VARIANT_NAME_SQL} AS variant_name, v.unit_price,
+              CASE WHEN v.is_active THEN p.status ELSE 'not available' END AS status,
+              p.backorder_policy, TRUE AS has_variants, v.quantity_in_stock
+       FROM product_variants v JOIN products p ON p.product_id = v.product_id
+       WHERE v.variant_id = $1 AND v.product_id = $2
+       FOR UPDATE OF v`,
+      [variant_id, product_id]
+    );
+    return rows[0] || null;
+  }
+
+  const productRes = await client.query(
+    `SELECT p.product_name, NULL AS variant_name, p.unit_price, p.status, p.backorder_policy,
+            EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.product_id) AS has_variants
+     FROM products p WHERE p.product_id = $1`,
+    [product_id]
+  );
+  if (productRes.rowCount === 0) return null;
+
+  const invRes = await client.query(
+    `SELECT quantity_in_stock FROM inventory WHERE product_id = $1 FOR UPDATE`,
+    [product_id]
+  );
+  return { ...productRes.rows[0], quantity_in_stock: invRes.rowCount > 0 ? invRes.rows[0].quantity_in_stock : null };
+}
+
+/**
+ * Add units to (positive change) or take them from (negative change) a product's or variant's stock
+ * @param {Object} client - pg client inside an open transaction
+ * @param {number} product_id - Product ID
+ * @param {number|null} variant_id - Variant ID, or null for the product's inventory row
+ * @param {number} change - Units to add; negative to take
+ */
+export async function adjustStock(client, product_id, variant_id, change) {
+  if (variant_id) {
+    await client.query(
+      `UPDATE product_variants SET quantity_in_stock = quantity_in_stock + $1, last_updated = CURRENT_TIMESTAMP
+       WHERE variant_id = $2`,
+      [change, variant_id]
+    );
+  } else {
+    await client.query(
+      `UPDATE inventory SET quantity_in_stock = quantity_in_stock + $1, last_updated = CURRENT_TIMESTAMP
+       WHERE product_id = $2`,
+      [change, product_id]
+    );
+  }
+}
+
+/**
+ * Allocate units on hand to the backordered lines of a product or variant, oldest order first
+ * (cancelled orders skipped). The caller stores what is left as the new stock.
+ * @param {Object} client - pg client inside an open transaction
+ * @param {number} product_id - Product ID
+ * @param {number|null} variant_id - Variant ID, or null for lines of the product without a variant
+ * @param {number} available - Units on hand
+ * @returns {Promise<{allocations: Array<{sale_id: number, sale_item_id: number, quantity: number}>, available: number}>}
+ *   The allocations made and the units left over
+ */
+export async function allocateBackorders(client, product_id, variant_id, available) {
+  const allocations = [];
+  const { rows } = await client.query(
+    `SELECT si.sale_item_id, si.sale_id, si.backordered_quantity
+     FROM sale_items si JOIN sales s ON s.sale_id = si.sale_id
+     WHERE si.product_id = $1 AND si.variant_id IS NOT DISTINCT FROM $2
+       AND si.backordered_quantity > 0 AND s.status <> 'cancelled'
+     ORDER BY s.sale_date, si.sale_item_id
+     FOR UPDATE OF si`,
+    [product_id, variant_id || null]
+  );
+  for (const line of rows) {
+    if (available === 0) break;
+    const quantity = Math.min(available, line.backordered_quantity);
+    await client.query(
+      `UPDATE sale_items SET backordered_quantity = backordered_quantity - $1 WHERE sale_item_id = $2`,
+      [quantity, line.sale_item_id]
+    );
+    allocations.push({ sale_id: line.sale_id, sale_item_id: line.sale_item_id, quantity });
+    available -= quantity;
+  }
+  return { allocations, available };
+}
@@ -0,0 +1,24 @@
+/**
+ * AddressesValidators - express-validator rules for address book endpoints
+ * Exports:
+ * - addressParams: param validators for user_id and address_id
+ * - upsertAddress: body validators for creating/updating addresses
+ */
+import { body, param } from 'express-validator';
+
+// Validate :user_id and :address_id params are positive integers
+export const addressParams = [
+    param('user_id').isInt({ gt: 0 }).withMessage('user_id must be a positive integer'),
+    param('address_id').isInt({ gt: 0 }).withMessage('address_id must be a positive integer')
+];
+
+// Body validators for creating/updating addresses
+export const upsertAddress = [
+    body('label').optional({ checkFalsy: true }).isString().isLength({ max: 40 }).withMessage('label must be at most 40 characters'),
+    body('street').trim().notEmpty().withMessage('street is required'),
+    body('city').trim().notEmpty().withMessage('city is required').isLength({ max: 60 }).withMessage('city must be at most 60 characters'),
+    body('delivery_zone_id').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('delivery_zone_id must be a positive integer'),
+    body('phone_number').optional({ checkFalsy: true }).isString().isLength({ max: 20 }).withMessage('phone_number must be at most 20 characters'),
+    body('notes').optional({ checkFalsy: true }).isString().isLength({ max: 500 }).withMessage('notes must be at most 500 characters'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be a boolean')
+];
@@ -0,0 +1,49 @@
+/**
+ * CartsValidators - express-validator rules for cart endpoints
+ * Exports:
+ * - productIdParam: param validator for product_id
+ * - variantIdQuery: query validator for the optional variant_id of a line to remove
+ * - addCartItemValidator: body validators for adding a product to the cart
+ * - updateCartItemValidator: body validator for changing a quantity
+ * - checkoutValidator: body and header validators for checking out (promo code, delivery or pickup booking, order notes, loyalty points)
+ */
+import { param, body, query } from 'express-validator';
+import { idempotencyKeyHeader } from './SalesValidators.js';
+import { FULFILLMENT_TYPES } from '../domain/entities/TimeSlots.js';
+import { CUSTOMER_NOTES_MAX_LENGTH } from '../domain/entities/Sales.js';
+
+// Validate :product_id param is a positive integer
+export const productIdParam = [
+    param('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer')
+];
+
+// Optional variant of the line being removed (products sold in variants)
+export const variantIdQuery = [
+    query('variant_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer')
+];
+
+// Require a product and an optional positive quantity when adding to the cart; products sold in variants need a variant_id
+export const addCartItemValidator = [
+    body('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer'),
+    body('variant_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer'),
+    body('quantity').optional().isInt({ gt: 0 }).withMessage('quantity must be a positive integer')
+];
+
+// Require a quantity (0 removes the product) when updating a cart line, and the line's variant if it has one
+export const updateCartItemValidator = [
+    body('variant_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer'),
+    body('quantity').isInt({ min: 0 }).withMessage('quantity must be a whole number of 0 or more')
+];
+
+// Optional promo code, delivery or pickup booking, notes, loyalty points and Idempotency-Key header at checkout.
+// A booking needs a date and slot, and a delivery also needs an address (checked against the customer's address book).
+export const checkoutValidator = [
+    ...idempotencyKeyHeader,
+    body('promo_code').optional({ checkFalsy: true }).trim().isLength({ max: 40 }).withMessage('promo_code must be at most 40 characters'),
+    body('fulfillment_type').optional({ checkFalsy: true }).isIn(FULFILLMENT_TYPES).withMessage(`fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}`),
+    body('fulfillment_date').if(body('fulfillment_type').notEmpty()).isISO8601({ strict: true }).withMessage('fulfillment_date must be YYYY-MM-DD'),
+    body('time_slot_id').if(body('fulfillment_type').notEmpty()).isInt({ gt: 0 }).withMessage('time_slot_id must be a positive integer'),
+    body('address_id').if(body('fulfillment_type').equals('delivery')).isInt({ gt: 0 }).withMessage('address_id is required for delivery'),
+    body('customer_notes').optional({ checkFalsy: true }).isString().isLength({ max: CUSTOMER_NOTES_MAX_LENGTH }).withMessage(`customer_notes must be at most ${CUSTOMER_NOTES_MAX_LENGTH} characters`),
+    body('redeem_points').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('redeem_points must be a whole number of points')
+];
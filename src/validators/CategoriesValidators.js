@@ -0,0 +1,33 @@
+/**
+ * CategoriesValidators - express-validator rules for category endpoints
+ * Exports:
+ * - idParam: param validator for category_id
+ * - upsertCategory: body validators for creating/updating categories
+ * - deleteCategory: query validators for deleting (and merging) a category
+ * - salesReport: query validators for the category sales report
+ */
+import { body, param, query } from 'express-validator';
+import { CATEGORY_NAME_MAX_LENGTH } from '../domain/entities/Categories.js';
+
+// Validate :category_id param is a positive integer
+export const idParam = [
+    param('category_id').isInt({ gt: 0 }).withMessage('category_id must be a positive integer')
+];
+
+// Body validators for creating/updating categories (no parent_id: a top-level category)
+export const upsertCategory = [
+    body('name').isString().trim().notEmpty().withMessage('name is required')
+        .isLength({ max: CATEGORY_NAME_MAX_LENGTH }).withMessage(`name must be at most ${CATEGORY_NAME_MAX_LENGTH} characters`),
+    body('parent_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('parent_id must be a positive integer or null'),
+    body('description').optional({ nullable: true }).isString().withMessage('description must be a string')
+];
+
+// ?move_to= names the category that takes over the deleted one's products and subcategories
+export const deleteCategory = [
+    query('move_to').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('move_to must be a positive integer')
+];
+
+// Optional ?from= and ?to= dates for the sales report
+export const salesReport = [
+    query(['from', 'to']).optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('from and to must be dates (YYYY-MM-DD)')
+];
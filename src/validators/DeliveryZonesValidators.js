@@ -0,0 +1,19 @@
+/**
+ * DeliveryZonesValidators - express-validator rules for delivery zone endpoints
+ * Exports:
+ * - idParam: param validator for delivery_zone_id
+ * - upsertDeliveryZone: body validators for creating/updating delivery zones
+ */
+import { body, param } from 'express-validator';
+
+// Validate :delivery_zone_id param is a positive integer
+export const idParam = [
+    param('delivery_zone_id').isInt({ gt: 0 }).withMessage('delivery_zone_id must be a positive integer')
+];
+
+// Body validators for creating/updating delivery zones
+export const upsertDeliveryZone = [
+    body('name').trim().notEmpty().withMessage('name is required').isLength({ max: 60 }).withMessage('name must be at most 60 characters'),
+    body('fee').isFloat({ min: 0 }).withMessage('fee must be a non-negative number'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
@@ -0,0 +1,18 @@
+/**
+ * ExchangeRatesValidators - express-validator rules for exchange rate endpoints
+ * Exports:
+ * - idParam: param validator for exchange_rate_id
+ * - createExchangeRate: body validators for adding an exchange rate
+ */
+import { body, param } from 'express-validator';
+
+// Validate :exchange_rate_id param is a positive integer
+export const idParam = [
+    param('exchange_rate_id').isInt({ gt: 0 }).withMessage('exchange_rate_id must be a positive integer')
+];
+
+// Body validators for adding an exchange rate (LBP per 1 USD, optionally effective from a later date)
+export const createExchangeRate = [
+    body('rate').isFloat({ gt: 0 }).withMessage('rate must be a positive number'),
+    body('effective_from').optional({ checkFalsy: true }).isISO8601().withMessage('effective_from must be a valid date')
+];
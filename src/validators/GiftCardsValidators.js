@@ -0,0 +1,32 @@
+/**
+ * GiftCardsValidators - express-validator rules for gift card endpoints
+ * Exports:
+ * - idParam: param validator for gift_card_id
+ * - codeParam: param validator for a gift card code
+ * - issueGiftCard: body validators for issuing a gift card
+ * - voidGiftCard: body validators for voiding a gift card
+ */
+import { body, param } from 'express-validator';
+
+// Validate :gift_card_id param is a positive integer
+export const idParam = [
+    param('gift_card_id').isInt({ gt: 0 }).withMessage('gift_card_id must be a positive integer')
+];
+
+// Validate :code param looks like a gift card code (dashes optional)
+export const codeParam = [
+    param('code').trim().matches(/^[A-Za-z0-9-]{4,20}$/).withMessage('code must be 4-20 letters, digits or dashes')
+];
+
+// Body validators for issuing a gift card (amount in USD)
+export const issueGiftCard = [
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('recipient_name').optional({ nullable: true }).isString().trim()
+        .isLength({ max: 100 }).withMessage('recipient_name must be at most 100 characters'),
+    body('note').optional({ nullable: true }).isString().withMessage('note must be a string')
+];
+
+// Body validators for voiding a gift card
+export const voidGiftCard = [
+    body('reason').isString().trim().notEmpty().withMessage('reason is required')
+];
@@ -0,0 +1,24 @@
+/**
+ * PaymentsValidators - express-validator rules for payment endpoints
+ * Exports:
+ * - recordPaymentValidator: body validators for recording a payment against a sale
+ */
+import { body } from 'express-validator';
+import { CURRENCIES } from '../domain/entities/ExchangeRates.js';
+import { PAYMENT_METHODS } from '../domain/entities/Payments.js';
+
+const noTenders = body('tenders').not().exists();
+
+// Body validators for a payment: either a tenders array (split payment) or a single method/currency/amount
+// (gift card tenders also need the card's code)
+export const recordPaymentValidator = [
+    body('tenders').optional().isArray({ min: 1 }).withMessage('tenders must be a non-empty array'),
+    body('tenders.*.method').optional().isIn(PAYMENT_METHODS).withMessage(`method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('tenders.*.currency').isIn(CURRENCIES).withMessage(`currency must be one of: ${CURRENCIES.join(', ')}`),
+    body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('tenders.*').custom(tender => tender?.method !== 'gift_card' || Boolean(tender.gift_card_code)).withMessage('gift_card_code is required for gift card payments'),
+    body('method').if(noTenders).optional().isIn(PAYMENT_METHODS).withMessage(`method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('currency').if(noTenders).isIn(CURRENCIES).withMessage(`currency must be one of: ${CURRENCIES.join(', ')}`),
+    body('amount').if(noTenders).isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('gift_card_code').if(noTenders).if(body('method').equals('gift_card')).trim().notEmpty().withMessage('gift_card_code is required for gift card payments')
+];
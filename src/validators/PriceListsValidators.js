@@ -0,0 +1,42 @@
+/**
+ * PriceListsValidators - express-validator rules for price list, price tier and price list assignment endpoints
+ * Exports:
+ * - idParam: param validator for price_list_id
+ * - upsertPriceList: body validators for creating/updating price lists
+ * - tierParams: param validators for product_id and price_tier_id
+ * - saveTier: body validators for adding or re-pricing a tier
+ * - assignPriceList: body validators for setting a customer's price list
+ */
+import { body, param } from 'express-validator';
+
+// Validate :price_list_id param is a positive integer
+export const idParam = [
+    param('price_list_id').isInt({ gt: 0 }).withMessage('price_list_id must be a positive integer')
+];
+
+// Body validators for creating/updating price lists
+export const upsertPriceList = [
+    body('name').isString().trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('description').optional({ nullable: true }).isString().withMessage('description must be a string'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// Validate :product_id and :price_tier_id params are positive integers
+export const tierParams = [
+    param('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer'),
+    param('price_tier_id').isInt({ gt: 0 }).withMessage('price_tier_id must be a positive integer')
+];
+
+// Body validators for a tier (no price_list_id: a volume tier for everyone; variant_id is required for products with variants)
+export const saveTier = [
+    body('variant_id').optional({ nullable: true }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer or null'),
+    body('price_list_id').optional({ nullable: true }).isInt({ gt: 0 }).withMessage('price_list_id must be a positive integer or null'),
+    body('min_quantity').isInt({ gt: 0 }).withMessage('min_quantity must be a positive integer'),
+    body('unit_price').isFloat({ gt: 0 }).withMessage('unit_price must be a positive number')
+];
+
+// Body validators for assigning a price list (null clears it)
+export const assignPriceList = [
+    body('price_list_id').optional({ nullable: true }).isInt({ gt: 0 }).withMessage('price_list_id must be a positive integer or null')
+];
@@ -0,0 +1,28 @@
+/**
+ * ProductImagesValidators - express-validator rules for product image endpoints
+ * Exports:
+ * - imageParams: param validators for product_id and image_id
+ * - updateImage: body validators for changing an image's alt text or making it primary
+ * - reorderImages: body validator for a product's new gallery order
+ */
+import { body, param } from 'express-validator';
+import { ALT_TEXT_MAX_LENGTH } from '../domain/entities/ProductImages.js';
+
+// Validate :product_id and :image_id params are positive integers
+export const imageParams = [
+    param('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer'),
+    param('image_id').isInt({ gt: 0 }).withMessage('image_id must be a positive integer')
+];
+
+// Body validators for an image update (both optional; alt_text left out keeps the current one)
+export const updateImage = [
+    body('alt_text').optional({ nullable: true }).isString().isLength({ max: ALT_TEXT_MAX_LENGTH })
+        .withMessage(`alt_text must be at most ${ALT_TEXT_MAX_LENGTH} characters`),
+    body('is_primary').optional().isBoolean().withMessage('is_primary must be a boolean')
+];
+
+// Every image of the product, first image first
+export const reorderImages = [
+    body('image_ids').isArray({ min: 1 }).withMessage('image_ids must be a non-empty array'),
+    body('image_ids.*').isInt({ gt: 0 }).withMessage('image_ids must be positive integers')
+];
@@ -0,0 +1,23 @@
+/**
+ * ProductVariantsValidators - express-validator rules for product variant endpoints
+ * Exports:
+ * - variantParams: param validators for product_id and variant_id
+ * - upsertVariant: body validators for creating/updating a variant
+ */
+import { body, param } from 'express-validator';
+import { VARIANT_GRINDS } from '../domain/entities/ProductVariants.js';
+
+// Validate :product_id and :variant_id params are positive integers
+export const variantParams = [
+    param('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer'),
+    param('variant_id').isInt({ gt: 0 }).withMessage('variant_id must be a positive integer')
+];
+
+// Body validators for a variant (quantity_in_stock left out on update keeps the current stock)
+export const upsertVariant = [
+    body('weight_grams').isInt({ gt: 0 }).withMessage('weight_grams must be a positive integer'),
+    body('grind').isIn(VARIANT_GRINDS).withMessage(`grind must be one of: ${VARIANT_GRINDS.join(', ')}`),
+    body('unit_price').isFloat({ gt: 0 }).withMessage('unit_price must be a positive number'),
+    body('quantity_in_stock').optional({ nullable: true }).isInt({ min: 0 }).withMessage('quantity_in_stock must be a non-negative integer'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
@@ -5,6 +5,7 @@
  * - upsertProduct: body validators for creating/updating products
  */
 import { body, param } from 'express-validator';
+import { BACKORDER_POLICIES, COFFEE_PROCESSES, ROAST_LEVELS } from '../domain/entities/Products.js';
 // Validate :product_id param is a positive integer
 export const idParam = param('product_id')
     .isInt({ min: 1 }).withMessage('Product ID must be a positive integer');
@@ -12,8 +13,18 @@ export const idParam = param('product_id')
 // Body validators for creating/updating products
 export const upsertProduct = [
     body('product_name').notEmpty().withMessage('product_name is required'),
+    body('slug').optional({ values: 'falsy' }).isLength({ max: 80 }).matches(/[a-z0-9]/i)
+        .withMessage('slug must be at most 80 characters and contain letters or digits'),
     body('description').notEmpty().withMessage('description is required'),
     body('unit_price').isFloat({ gt: 0 }).withMessage('unit_price must be greater than 0'),
-    body('product_type').notEmpty().withMessage('product_type is required'),
-    body('status').isIn(['available', 'not available']).withMessage('status must be available or not available')
+    body('category_id').isInt({ gt: 0 }).withMessage('category_id must be a positive integer'),
+    body('status').isIn(['available', 'not available']).withMessage('status must be available or not available'),
+    body('backorder_policy').optional().isIn(BACKORDER_POLICIES).withMessage(`backorder_policy must be one of: ${BACKORDER_POLICIES.join(', ')}`),
+    body('expected_available_date').optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('expected_available_date must be a date (YYYY-MM-DD)'),
+    // Coffee details are optional; tasting_notes and brew_methods are arrays or comma-separated strings
+    body('origin_country').optional({ values: 'null' }).isLength({ max: 60 }).withMessage('origin_country must be at most 60 characters'),
+    body(['origin_region', 'farm', 'varietal']).optional({ values: 'null' }).isLength({ max: 100 }).withMessage('origin_region, farm and varietal must be at most 100 characters'),
+    body('process').optional({ values: 'falsy' }).isIn(COFFEE_PROCESSES).withMessage(`process must be one of: ${COFFEE_PROCESSES.join(', ')}`),
+    body('altitude_masl').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('altitude_masl must be a positive integer'),
+    body('roast_level').optional({ values: 'falsy' }).isIn(ROAST_LEVELS).withMessage(`roast_level must be one of: ${ROAST_LEVELS.join(', ')}`)
 ];
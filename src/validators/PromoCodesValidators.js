@@ -0,0 +1,26 @@
+/**
+ * PromoCodesValidators - express-validator rules for promo code endpoints
+ * Exports:
+ * - idParam: param validator for promo_code_id
+ * - upsertPromoCode: body validators for creating/updating promo codes
+ */
+import { body, param } from 'express-validator';
+import { PROMO_DISCOUNT_TYPES } from '../domain/entities/PromoCodes.js';
+
+// Validate :promo_code_id param is a positive integer
+export const idParam = [
+    param('promo_code_id').isInt({ gt: 0 }).withMessage('promo_code_id must be a positive integer')
+];
+
+// Body validators for creating/updating promo codes (limits are optional; blanks mean "no limit")
+export const upsertPromoCode = [
+    body('code').trim().matches(/^[A-Za-z0-9_-]{3,40}$/).withMessage('code must be 3-40 letters, digits, dashes or underscores'),
+    body('discount_type').isIn(PROMO_DISCOUNT_TYPES).withMessage(`discount_type must be one of: ${PROMO_DISCOUNT_TYPES.join(', ')}`),
+    body('discount_value').isFloat({ gt: 0 }).withMessage('discount_value must be a positive number'),
+    body('min_order_value').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('min_order_value must be a non-negative number'),
+    body('starts_at').optional({ checkFalsy: true }).isISO8601().withMessage('starts_at must be a valid date (ISO 8601 format)'),
+    body('ends_at').optional({ checkFalsy: true }).isISO8601().withMessage('ends_at must be a valid date (ISO 8601 format)'),
+    body('max_uses').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('max_uses must be a positive integer'),
+    body('max_uses_per_customer').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('max_uses_per_customer must be a positive integer'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
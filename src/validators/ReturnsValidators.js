@@ -0,0 +1,15 @@
+/**
+ * ReturnsValidators - express-validator rules for returns endpoints
+ * Exports:
+ * - createReturnValidator: body validators for returning items of a sale
+ */
+import { body } from 'express-validator';
+
+// Body validators for a return (items with sale_item_id/quantity, optional restock and reason)
+export const createReturnValidator = [
+    body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+    body('items.*.sale_item_id').isInt({ gt: 0 }).withMessage('sale_item_id must be a positive integer'),
+    body('items.*.quantity').isInt({ gt: 0 }).withMessage('quantity must be a positive integer'),
+    body('restock').optional().isBoolean().withMessage('restock must be a boolean').toBoolean(),
+    body('reason').optional({ checkFalsy: true }).isString().isLength({ max: 500 }).withMessage('reason must be at most 500 characters')
+];
@@ -0,0 +1,13 @@
+/**
+ * SaleCommentsValidators - express-validator rules for sale comment endpoints
+ * Exports:
+ * - addCommentValidator: body validators for adding an internal comment to a sale
+ */
+import { body } from 'express-validator';
+import { SALE_COMMENT_MAX_LENGTH } from '../domain/entities/SaleComments.js';
+
+// Body validators for a comment (non-empty text)
+export const addCommentValidator = [
+    body('body').isString().trim().notEmpty().withMessage('body is required')
+        .isLength({ max: SALE_COMMENT_MAX_LENGTH }).withMessage(`body must be at most ${SALE_COMMENT_MAX_LENGTH} characters`)
+];
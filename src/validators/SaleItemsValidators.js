@@ -16,10 +16,11 @@ export const saleIdParam = [
     param('sale_id').isInt({ gt: 0 }).withMessage('sale_id must be a positive integer')
 ];
 
-// Body validators for creating a sale item (sale_id, product_id, quantity, price_at_sale)
+// Body validators for creating a sale item (sale_id, product_id, variant_id, quantity, price_at_sale)
 export const createSaleItem = [
     body('sale_id').isInt({ gt: 0 }).withMessage('sale_id must be a positive integer'),
     body('product_id').isInt({ gt: 0 }).withMessage('product_id must be a positive integer'),
+    body('variant_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer if provided'),
     body('quantity').isInt({ gt: 0 }).withMessage('quantity must be a positive integer'),
     body('price_at_sale').isFloat({ gt: 0 }).withMessage('price_at_sale must be a positive number')
 ];
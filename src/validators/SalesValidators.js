@@ -4,10 +4,14 @@
  * - idParam: param validator for sale_id
  * - userIdParam: param validator for user_id
  * - upsertSales: body validators for creating/updating sales
- * - applyDiscountValidator: body validator for discount application
+ * - idempotencyKeyHeader: header validator for the optional Idempotency-Key on create
+ * - applyPromoCodeValidator: body validator for applying a promo code
+ * - updateStatusValidator: body validators for status transitions
+ * - voidSaleValidator: body validator for voiding a sale
  * - getSaleBetweenDates: query validators for date range (DD/MM/YYYY)
  */
-import { param, body, query } from 'express-validator';
+import { param, body, query, header } from 'express-validator';
+import { SALE_STATUSES } from '../domain/entities/Sales.js';
 // Validate :sale_id param is a positive integer
 export const idParam = [
     param('sale_id').isInt({ gt: 0 }).withMessage('sale_id must be a positive integer')
@@ -26,10 +30,25 @@ export const upsertSales = [
     body('sale_date').optional({ checkFalsy: true }).isISO8601().withMessage('sale_date must be a valid date (ISO 8601 format)')
 ];
 
-export const applyDiscountValidator = [
-    body('discount_percentage').isFloat({ min: 0, max: 100 }).withMessage('Discount percentage must be between 0 and 100')
+// Optional Idempotency-Key header when creating a sale (any client-generated string, e.g. a UUID)
+export const idempotencyKeyHeader = [
+    header('Idempotency-Key').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Idempotency-Key must be 1 to 255 characters')
 ];
-// Validate discount_percentage in body when applying a discount
+
+// Require a promo code when applying one to a sale
+export const applyPromoCodeValidator = [
+    body('code').trim().notEmpty().withMessage('code is required').isLength({ max: 40 }).withMessage('code must be at most 40 characters')
+];
+// Validate the target status (and optional note) when changing a sale's status
+export const updateStatusValidator = [
+    body('status').isIn(SALE_STATUSES).withMessage(`status must be one of: ${SALE_STATUSES.join(', ')}`),
+    body('note').optional({ checkFalsy: true }).isString().isLength({ max: 500 }).withMessage('note must be at most 500 characters')
+];
+// Require a reason when voiding a sale
+export const voidSaleValidator = [
+    body('reason').trim().notEmpty().withMessage('reason is required').isLength({ max: 500 }).withMessage('reason must be at most 500 characters')
+];
+// Validate the startDate/endDate query parameters (DD/MM/YYYY)
 export const getSaleBetweenDates = [
     query('startDate')
         .notEmpty()
@@ -0,0 +1,43 @@
+/**
+ * SubscriptionsValidators - express-validator rules for subscription endpoints
+ * Exports:
+ * - subscriptionIdParam: param validator for id
+ * - listSubscriptionsQuery: query validator for the optional user_id filter
+ * - createSubscriptionValidator: body validators for creating a subscription
+ * - runSubscriptionsValidator: body validator for running due subscriptions
+ * - demandQuery: query validator for the demand look-ahead
+ */
+import { param, body, query } from 'express-validator';
+import { SUBSCRIPTION_FREQUENCIES, OUT_OF_STOCK_ACTIONS } from '../domain/entities/Subscriptions.js';
+
+// Validate :id param is a positive integer
+export const subscriptionIdParam = [
+    param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer')
+];
+
+// Optional ?user_id= filter
+export const listSubscriptionsQuery = [
+    query('user_id').optional().isInt({ gt: 0 }).withMessage('user_id must be a positive integer')
+];
+
+// Customer, frequency, optional start date and out-of-stock action, and at least one item
+export const createSubscriptionValidator = [
+    body('user_id').isInt({ gt: 0 }).withMessage('user_id must be a positive integer'),
+    body('frequency').isIn(SUBSCRIPTION_FREQUENCIES).withMessage(`frequency must be one of: ${SUBSCRIPTION_FREQUENCIES.join(', ')}`),
+    body('start_date').optional({ checkFalsy: true }).isISO8601({ strict: true }).withMessage('start_date must be a date (YYYY-MM-DD)'),
+    body('out_of_stock_action').optional().isIn(OUT_OF_STOCK_ACTIONS).withMessage(`out_of_stock_action must be one of: ${OUT_OF_STOCK_ACTIONS.join(', ')}`),
+    body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+    body('items.*.product_id').isInt({ gt: 0 }).withMessage('Each item needs a positive integer product_id'),
+    body('items.*.variant_id').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('variant_id must be a positive integer'),
+    body('items.*.quantity').isInt({ gt: 0 }).withMessage('Each item needs a positive integer quantity')
+];
+
+// Optional date to run due subscriptions for
+export const runSubscriptionsValidator = [
+    body('date').optional({ checkFalsy: true }).isISO8601({ strict: true }).withMessage('date must be a date (YYYY-MM-DD)')
+];
+
+// Optional look-ahead in days (1-365)
+export const demandQuery = [
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365')
+];
@@ -0,0 +1,20 @@
+/**
+ * TaxRatesValidators - express-validator rules for tax rate endpoints
+ * Exports:
+ * - idParam: param validator for tax_rate_id
+ * - upsertTaxRate: body validators for creating/updating tax rates
+ */
+import { body, param } from 'express-validator';
+
+// Validate :tax_rate_id param is a positive integer
+export const idParam = [
+    param('tax_rate_id').isInt({ gt: 0 }).withMessage('tax_rate_id must be a positive integer')
+];
+
+// Body validators for creating/updating tax rates (blank category_id = default rate)
+export const upsertTaxRate = [
+    body('name').trim().notEmpty().withMessage('name is required').isLength({ max: 50 }).withMessage('name must be at most 50 characters'),
+    body('category_id').optional({ values: 'falsy' }).isInt({ gt: 0 }).withMessage('category_id must be a positive integer'),
+    body('rate').isFloat({ min: 0, max: 100 }).withMessage('rate must be between 0 and 100'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
@@ -0,0 +1,37 @@
+/**
+ * TimeSlotsValidators - express-validator rules for time slot endpoints
+ * Exports:
+ * - idParam: param validator for time_slot_id
+ * - upsertTimeSlot: body validators for creating/updating time slots
+ * - availabilityQuery: query validators for a type's availability on a date
+ * - scheduleQuery: query validator for the fulfillment schedule date
+ */
+import { body, param, query } from 'express-validator';
+import { FULFILLMENT_TYPES } from '../domain/entities/TimeSlots.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate :time_slot_id param is a positive integer
+export const idParam = [
+    param('time_slot_id').isInt({ gt: 0 }).withMessage('time_slot_id must be a positive integer')
+];
+
+// Body validators for creating/updating time slots (times as HH:MM)
+export const upsertTimeSlot = [
+    body('fulfillment_type').isIn(FULFILLMENT_TYPES).withMessage(`fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}`),
+    body('start_time').matches(TIME_PATTERN).withMessage('start_time must be HH:MM'),
+    body('end_time').matches(TIME_PATTERN).withMessage('end_time must be HH:MM'),
+    body('capacity').isInt({ min: 1 }).withMessage('capacity must be a whole number of at least 1'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// Require ?fulfillment_type= and ?date= (YYYY-MM-DD)
+export const availabilityQuery = [
+    query('fulfillment_type').isIn(FULFILLMENT_TYPES).withMessage(`fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}`),
+    query('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD')
+];
+
+// Require ?date= (YYYY-MM-DD)
+export const scheduleQuery = [
+    query('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD')
+];
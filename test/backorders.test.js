@@ -0,0 +1,93 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { InventoryRepository } from '../src/domain/repositories/InventoryRepository.js';
+import { InventoryServices } from '../src/services/InventoryServices.js';
+import { ReturnsRepository } from '../src/domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../src/services/ReturnsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const inventoryService = new InventoryServices(new InventoryRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+
+describe('backorders', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 2 });
+    });
+
+    after(() => pool.end());
+
+    const setPolicy = policy => pool.query('UPDATE products SET backorder_policy = $1 WHERE product_id = $2', [policy, seed.product_id]);
+    const order = quantity => salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity }]);
+
+    async function lineOf(sale_id) {
+        const { rows } = await pool.query('SELECT sale_item_id, quantity, backordered_quantity FROM sale_items WHERE sale_id = $1', [sale_id]);
+        return rows[0];
+    }
+
+    test('without a backorder policy an order beyond stock is rejected', async () => {
+        await setPolicy('none');
+        await assert.rejects(order(3), /only 2 in stock, 3 requested/);
+        assert.equal(await stockOf(seed.product_id), 2);
+    });
+
+    test('units beyond stock are backordered and only the units in stock are taken', async () => {
+        await setPolicy('backorder');
+
+        const sale = await order(5);
+        assert.equal((await lineOf(sale.sale_id)).backordered_quantity, 3);
+        assert.equal(await stockOf(seed.product_id), 0);
+    });
+
+    test('backordered units cannot be returned before they are delivered', async () => {
+        const { rows } = await pool.query('SELECT sale_id FROM sale_items WHERE backordered_quantity = 3');
+        const line = await lineOf(rows[0].sale_id);
+
+        await assert.rejects(
+            returnsService.createReturn(rows[0].sale_id, [{ sale_item_id: line.sale_item_id, quantity: 3 }]),
+            /Returnable: 2/
+        );
+    });
+
+    test('restocking allocates to waiting orders, oldest first, and skips cancelled ones', async () => {
+        await pool.query('UPDATE sale_items SET backordered_quantity = 0');
+        const oldest = await order(2);
+        const cancelled = await order(4);
+        const newest = await order(2);
+        await salesService.voidSale(cancelled.sale_id, 'Customer cancelled');
+        assert.equal((await lineOf(cancelled.sale_id)).backordered_quantity, 0);
+        assert.equal(await stockOf(seed.product_id), 0);
+
+        const restocked = await inventoryService.updateInventory(seed.product_id, 3);
+        assert.deepEqual(restocked.allocations.map(a => [a.sale_id, a.quantity]), [[oldest.sale_id, 2], [newest.sale_id, 1]]);
+        assert.equal(restocked.quantity_in_stock, 0);
+        assert.equal((await lineOf(newest.sale_id)).backordered_quantity, 1);
+
+        const again = await inventoryService.updateInventory(seed.product_id, 5);
+        assert.deepEqual(again.allocations.map(a => [a.sale_id, a.quantity]), [[newest.sale_id, 1]]);
+        assert.equal(await stockOf(seed.product_id), 4);
+    });
+
+    test('two orders racing for the last unit: one takes it, the other is backordered', async () => {
+        await inventoryService.updateInventory(seed.product_id, 1);
+
+        const sales = await Promise.all([order(1), order(1)]);
+        const lines = await Promise.all(sales.map(sale => lineOf(sale.sale_id)));
+        assert.deepEqual(lines.map(line => line.backordered_quantity).sort(), [0, 1]);
+        assert.equal(await stockOf(seed.product_id), 0);
+    });
+
+    test('two orders racing for the last unit without a backorder policy: one is rejected', async () => {
+        await setPolicy('none');
+        await pool.query('UPDATE inventory SET quantity_in_stock = 1 WHERE product_id = $1', [seed.product_id]);
+
+        const results = await Promise.allSettled([order(1), order(1)]);
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(await stockOf(seed.product_id), 0);
+    });
+});
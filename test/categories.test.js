@@ -0,0 +1,102 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, insertProduct } from './helpers/database.js';
+import { CategoriesRepository } from '../src/domain/repositories/CategoriesRepository.js';
+import { CategoriesServices } from '../src/services/CategoriesServices.js';
+import { ProductsRepository } from '../src/domain/repositories/ProductsRepository.js';
+import { ProductsServices } from '../src/services/ProductsServices.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { TaxRatesRepository } from '../src/domain/repositories/TaxRatesRepository.js';
+import { TaxRatesServices } from '../src/services/TaxRatesServices.js';
+
+const categoriesService = new CategoriesServices(new CategoriesRepository());
+const productsService = new ProductsServices(new ProductsRepository());
+const salesService = new SalesServices(new SalesRepository());
+const taxRatesService = new TaxRatesServices(new TaxRatesRepository());
+
+describe('product categories', { skip }, () => {
+    let seed;
+    let coffee;
+    let singleOrigin;
+    let ethiopia_id;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        coffee = await categoriesService.createCategory({ name: 'Coffee' });
+        singleOrigin = await categoriesService.createCategory({ name: ' Single   Origin ', parent_id: coffee.category_id });
+        ethiopia_id = await insertProduct({ product_name: 'Guji', unit_price: 20, stock: 100 });
+        await pool.query('UPDATE products SET category_id = $1 WHERE product_id = $2', [singleOrigin.category_id, ethiopia_id]);
+    });
+
+    after(() => pool.end());
+
+    const names = products => products.map(product => product.product_name).sort();
+
+    test('categories nest, and are listed in tree order with their path', async () => {
+        assert.equal(singleOrigin.path, 'Coffee › Single Origin');
+        assert.equal(singleOrigin.depth, 1);
+
+        const listed = await categoriesService.listCategories();
+        assert.deepEqual(listed.map(category => category.name), ['Beans', 'Coffee', 'Single Origin']);
+        assert.equal(listed.find(category => category.name === 'Coffee').available_count, 1);
+    });
+
+    test('a name is unique among siblings, and a category cannot move under its own subcategory', async () => {
+        await assert.rejects(
+            categoriesService.createCategory({ name: 'single origin', parent_id: coffee.category_id }),
+            /already a category named "single origin" there/
+        );
+        await categoriesService.createCategory({ name: 'Single Origin' });
+
+        await assert.rejects(
+            categoriesService.updateCategory(coffee.category_id, { name: 'Coffee', parent_id: singleOrigin.category_id }),
+            /cannot be moved under itself or one of its subcategories/
+        );
+    });
+
+    test('filtering by a category takes in its subcategories', async () => {
+        const inCoffee = await productsService.searchProducts({ categoryId: coffee.category_id, limit: null });
+        assert.deepEqual(names(inCoffee), ['Guji']);
+
+        const inBeans = await productsService.searchProducts({ categoryId: seed.category_id, limit: null });
+        assert.deepEqual(names(inBeans), ['House Blend']);
+    });
+
+    test('the sales report counts a subcategory\'s sales in its parents too', async () => {
+        await salesService.createSaleWithItems(seed.user_id, [
+            { product_id: ethiopia_id, quantity: 2 },
+            { product_id: seed.product_id, quantity: 1 }
+        ]);
+        const cancelled = await salesService.createSaleWithItems(seed.user_id, [{ product_id: ethiopia_id, quantity: 5 }]);
+        await salesService.voidSale(cancelled.sale_id, 'Customer cancelled');
+
+        const today = new Date().toISOString().slice(0, 10);
+        const report = await categoriesService.getSalesReport({ from: today, to: today });
+        const row = name => report.categories.find(category => category.path === name);
+
+        assert.deepEqual([row('Coffee').orders, row('Coffee').units, row('Coffee').item_sales], [1, 2, 40]);
+        assert.deepEqual([row('Coffee › Single Origin').units, row('Beans').units], [2, 1]);
+    });
+
+    test('a category with products is only deleted into another one, which takes its products and subcategories', async () => {
+        await assert.rejects(categoriesService.deleteCategory(coffee.category_id), /still has products or subcategories/);
+        await assert.rejects(
+            categoriesService.deleteCategory(coffee.category_id, singleOrigin.category_id),
+            /cannot be moved to a subcategory of the deleted category/
+        );
+
+        const tea = await categoriesService.createCategory({ name: 'Tea' });
+        const moved = await categoriesService.deleteCategory(coffee.category_id, tea.category_id);
+        assert.deepEqual(moved, { moved_products: 0, moved_subcategories: 1 });
+
+        const subcategory = await categoriesService.getCategoryById(singleOrigin.category_id);
+        assert.equal(subcategory.path, 'Tea › Single Origin');
+    });
+
+    test('a category a tax rate uses is kept', async () => {
+        await taxRatesService.createTaxRate({ name: 'Beans VAT', category_id: seed.category_id, rate: 11, is_active: true });
+        await assert.rejects(categoriesService.deleteCategory(seed.category_id), /has tax rates \(Beans VAT\)/);
+    });
+});
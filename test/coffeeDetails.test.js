@@ -0,0 +1,64 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, insertProduct } from './helpers/database.js';
+import { ProductsRepository } from '../src/domain/repositories/ProductsRepository.js';
+import { ProductsServices } from '../src/services/ProductsServices.js';
+
+const productsService = new ProductsServices(new ProductsRepository());
+
+describe('coffee details', { skip }, () => {
+    let seed;
+    let kenya_id;
+
+    /** Save coffee details on a product, keeping the rest of it as it is */
+    async function describeCoffee(product_id, details) {
+        const product = await productsService.getProductById(product_id);
+        return productsService.updateProduct(product_id, { ...product, ...details });
+    }
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 10 });
+        kenya_id = await insertProduct({ product_name: 'Nyeri AA', unit_price: 18 });
+        await describeCoffee(seed.product_id, {
+            origin_country: 'Brazil', process: 'natural', roast_level: 'dark',
+            tasting_notes: 'Chocolate, hazelnut', brew_methods: ['espresso', 'moka pot']
+        });
+        await describeCoffee(kenya_id, {
+            origin_country: 'Kenya', origin_region: 'Nyeri', process: 'Washed', roast_level: 'light',
+            tasting_notes: ' Blackcurrant ,grapefruit, blackcurrant', brew_methods: 'filter'
+        });
+    });
+
+    after(() => pool.end());
+
+    const names = products => products.map(product => product.product_name).sort();
+
+    test('details are normalized: known values lower-cased, lists trimmed and de-duplicated', async () => {
+        const kenya = await productsService.getProductById(kenya_id);
+        assert.equal(kenya.process, 'washed');
+        assert.deepEqual(kenya.tasting_notes, ['blackcurrant', 'grapefruit']);
+        assert.deepEqual(kenya.brew_methods, ['filter']);
+    });
+
+    test('unknown process, roast level or brew method is rejected', async () => {
+        await assert.rejects(describeCoffee(kenya_id, { process: 'anaerobic' }), /process must be one of/);
+        await assert.rejects(describeCoffee(kenya_id, { roast_level: 'burnt' }), /roast_level must be one of/);
+        await assert.rejects(describeCoffee(kenya_id, { brew_methods: ['siphon'] }), /brew_methods must be from/);
+    });
+
+    test('the catalog filters by origin, process, roast, tasting note and brew method', async () => {
+        const search = params => productsService.searchProducts({ limit: null, ...params });
+
+        assert.deepEqual(names(await search({ origin: 'nyeri' })), ['Nyeri AA']);
+        assert.deepEqual(names(await search({ process: 'natural' })), ['House Blend']);
+        assert.deepEqual(names(await search({ roastLevel: 'light' })), ['Nyeri AA']);
+        assert.deepEqual(names(await search({ tastingNote: 'choc' })), ['House Blend']);
+        assert.deepEqual(names(await search({ brewMethod: 'espresso' })), ['House Blend']);
+        assert.deepEqual(names(await search({ brewMethod: 'filter', roastLevel: 'dark' })), []);
+    });
+
+    test('the origin filter lists the countries of available products', async () => {
+        assert.deepEqual(await productsService.getOrigins(), ['Brazil', 'Kenya']);
+    });
+});
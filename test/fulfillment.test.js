@@ -0,0 +1,94 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { AddressesRepository } from '../src/domain/repositories/AddressesRepository.js';
+import { AddressesServices } from '../src/services/AddressesServices.js';
+import { DeliveryZonesRepository } from '../src/domain/repositories/DeliveryZonesRepository.js';
+import { DeliveryZonesServices } from '../src/services/DeliveryZonesServices.js';
+import { TimeSlotsRepository } from '../src/domain/repositories/TimeSlotsRepository.js';
+import { TimeSlotsServices } from '../src/services/TimeSlotsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const addressesService = new AddressesServices(new AddressesRepository());
+const deliveryZonesService = new DeliveryZonesServices(new DeliveryZonesRepository());
+const timeSlotsService = new TimeSlotsServices(new TimeSlotsRepository());
+
+describe('delivery and pickup scheduling', { skip }, () => {
+    let seed;
+    let tomorrow;
+    let address;
+    let closedAddress;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        ({ rows: [{ tomorrow }] } = await pool.query(`SELECT TO_CHAR(CURRENT_DATE + 1, 'YYYY-MM-DD') AS tomorrow`));
+
+        const zone = await deliveryZonesService.createDeliveryZone({ name: 'Achrafieh', fee: 3 });
+        const closed = await deliveryZonesService.createDeliveryZone({ name: 'Jounieh', fee: 5, is_active: false });
+        address = await addressesService.createAddress(seed.user_id, { street: 'Rue Sursock 12', city: 'Beirut', delivery_zone_id: zone.delivery_zone_id });
+        closedAddress = await addressesService.createAddress(seed.user_id, { street: 'Rue Maarad 3', city: 'Jounieh', delivery_zone_id: closed.delivery_zone_id });
+    });
+
+    after(() => pool.end());
+
+    const slot = (fulfillment_type, capacity = 5) => timeSlotsService.createTimeSlot({ fulfillment_type, start_time: '10:00', end_time: '12:00', capacity });
+    const order = fulfillment => salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity: 2 }], null, fulfillment);
+
+    test('a delivery adds the zone fee to the total and keeps a copy of the address', async () => {
+        const { time_slot_id } = await slot('delivery');
+
+        const sale = await order({ fulfillment_type: 'delivery', fulfillment_date: tomorrow, time_slot_id, address_id: address.address_id });
+        assert.equal(sale.delivery_fee, 3);
+        assert.equal(sale.total_amount, 23);
+        assert.equal(sale.delivery_address, 'Rue Sursock 12, Beirut');
+    });
+
+    test('a delivery to a zone that is not served or to someone else\'s address is refused', async () => {
+        const { time_slot_id } = await slot('delivery');
+        const fulfillment = { fulfillment_type: 'delivery', fulfillment_date: tomorrow, time_slot_id };
+
+        await assert.rejects(order({ ...fulfillment, address_id: closedAddress.address_id }), /We do not deliver to Jounieh/);
+        const { rows } = await pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, role)
+             VALUES ('Second', 'Customer', 'second@example.com', 'x', 'customer') RETURNING user_id`
+        );
+        await assert.rejects(
+            salesService.createSaleWithItems(rows[0].user_id, [{ product_id: seed.product_id, quantity: 1 }], null, { ...fulfillment, address_id: address.address_id }),
+            /Choose a delivery address from your address book/
+        );
+    });
+
+    test('a pickup has no fee and must use a pickup slot inside the booking window', async () => {
+        const pickup = await slot('pickup');
+        const delivery = await slot('delivery');
+
+        const sale = await order({ fulfillment_type: 'pickup', fulfillment_date: tomorrow, time_slot_id: pickup.time_slot_id });
+        assert.equal(sale.delivery_fee, 0);
+        assert.equal(sale.total_amount, 20);
+        await assert.rejects(order({ fulfillment_type: 'pickup', fulfillment_date: tomorrow, time_slot_id: delivery.time_slot_id }), /Choose an available pickup time slot/);
+        await assert.rejects(order({ fulfillment_type: 'pickup', fulfillment_date: '2000-01-01', time_slot_id: pickup.time_slot_id }), /Pickups can be booked from/);
+    });
+
+    test('a full slot is refused until one of its orders is cancelled', async () => {
+        const { time_slot_id } = await slot('pickup', 1);
+        const fulfillment = { fulfillment_type: 'pickup', fulfillment_date: tomorrow, time_slot_id };
+
+        const first = await order(fulfillment);
+        await assert.rejects(order(fulfillment), /slot on .* is full/);
+        await salesService.voidSale(first.sale_id, 'Customer cancelled');
+        await order(fulfillment);
+    });
+
+    test('two orders booking the last place in a slot at once: only one gets it', async () => {
+        const { time_slot_id } = await slot('pickup', 1);
+        const fulfillment = { fulfillment_type: 'pickup', fulfillment_date: tomorrow, time_slot_id };
+
+        const results = await Promise.allSettled([order(fulfillment), order(fulfillment)]);
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM sales WHERE time_slot_id = $1', [time_slot_id]);
+        assert.equal(rows[0].count, 1);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { PaymentsRepository } from '../src/domain/repositories/PaymentsRepository.js';
+import { PaymentsServices } from '../src/services/PaymentsServices.js';
+import { GiftCardsRepository } from '../src/domain/repositories/GiftCardsRepository.js';
+import { GiftCardsServices } from '../src/services/GiftCardsServices.js';
+import { ReturnsRepository } from '../src/domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../src/services/ReturnsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const paymentsService = new PaymentsServices(new PaymentsRepository());
+const giftCardsService = new GiftCardsServices(new GiftCardsRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+
+describe('gift cards', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const order = quantity => salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity }]);
+    const payWithCard = (sale_id, code, amount) => paymentsService.recordPayment(sale_id, [{ method: 'gift_card', amount, gift_card_code: code }]);
+
+    test('an issued card starts with its amount and an issue entry', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50, recipient_name: ' Rania ' });
+
+        assert.equal(card.balance, 50);
+        assert.equal(card.recipient_name, 'Rania');
+        assert.deepEqual(card.transactions.map(t => [t.type, t.amount]), [['issue', 50]]);
+        await assert.rejects(giftCardsService.issueGiftCard({ amount: 0 }), /Amount must be a positive number/);
+    });
+
+    test('a payment takes the amount from the card; the code is matched without case or dashes', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50 });
+        const sale = await order(3);
+
+        const { sale: paid, gift_cards } = await payWithCard(sale.sale_id, card.code.replace(/-/g, '').toLowerCase(), 30);
+        assert.equal(paid.paid_amount, 30);
+        assert.deepEqual(gift_cards, [{ code: card.code, balance: 20 }]);
+        const history = (await giftCardsService.lookupGiftCard(card.code)).transactions;
+        assert.ok(history.some(t => t.type === 'redeem' && t.amount === -30 && t.sale_id === sale.sale_id));
+    });
+
+    test('a card cannot pay more than its balance, and the whole payment fails', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 10 });
+        const sale = await order(3);
+
+        await assert.rejects(
+            paymentsService.recordPayment(sale.sale_id, [{ method: 'cash', amount: 5 }, { method: 'gift_card', amount: 20, gift_card_code: card.code }]),
+            new RegExp(`Gift card ${card.code} only has 10.00 USD left`)
+        );
+        assert.equal((await giftCardsService.lookupGiftCard(card.code)).balance, 10);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM payments WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].count, 0);
+    });
+
+    test('a voided card has its balance written off and cannot be spent', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 25 });
+        const sale = await order(1);
+
+        const voided = await giftCardsService.voidGiftCard(card.gift_card_id, 'Reported stolen');
+        assert.equal(voided.balance, 0);
+        assert.equal(voided.status, 'void');
+        await assert.rejects(payWithCard(sale.sale_id, card.code, 10), /is void/);
+        await assert.rejects(giftCardsService.voidGiftCard(card.gift_card_id, 'Again'), /is already void/);
+    });
+
+    test('two sales spending the same card at once cannot overdraw it', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50 });
+        const sales = await Promise.all([order(3), order(3)]);
+
+        const results = await Promise.allSettled(sales.map(sale => payWithCard(sale.sale_id, card.code, 30)));
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.match(results.find(result => result.status === 'rejected').reason.message, /only has 20.00 USD left/);
+        assert.equal((await giftCardsService.lookupGiftCard(card.code)).balance, 20);
+    });
+
+    test('voiding a sale credits its gift card payments back to the cards', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50 });
+        const sale = await order(3);
+        await payWithCard(sale.sale_id, card.code, 30);
+
+        await salesService.voidSale(sale.sale_id, 'Customer cancelled');
+        const credited = await giftCardsService.lookupGiftCard(card.code);
+        assert.equal(credited.balance, 50);
+        assert.ok(credited.transactions.some(t => t.type === 'refund' && t.amount === 30 && t.sale_id === sale.sale_id));
+    });
+
+    test('a refund credits each card its share of what it paid', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50 });
+        const sale = await order(3);
+        await paymentsService.recordPayment(sale.sale_id, [
+            { method: 'gift_card', amount: 15, gift_card_code: card.code },
+            { method: 'cash', amount: 15 }
+        ]);
+        const { rows } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+
+        const { gift_cards } = await returnsService.createReturn(sale.sale_id, [{ sale_item_id: rows[0].sale_item_id, quantity: 1 }], { restock: true });
+        assert.deepEqual(gift_cards.map(c => [c.code, c.amount, c.balance]), [[card.code, 5, 40]]);
+    });
+
+    test('a sale paid partly by gift card is voided once its cash is refunded, crediting the card the rest', async () => {
+        const card = await giftCardsService.issueGiftCard({ amount: 50 });
+        const sale = await order(4);
+        await paymentsService.recordPayment(sale.sale_id, [
+            { method: 'gift_card', amount: 30, gift_card_code: card.code },
+            { method: 'cash', amount: 10 }
+        ]);
+        await assert.rejects(salesService.voidSale(sale.sale_id, 'Customer cancelled'), /10\.00 USD was paid by cash/);
+
+        // Returning one of four bags refunds 10: 7.50 to the card and 2.50 in cash
+        const { rows } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        await returnsService.createReturn(sale.sale_id, [{ sale_item_id: rows[0].sale_item_id, quantity: 1 }], { restock: true });
+        await assert.rejects(salesService.voidSale(sale.sale_id, 'Customer cancelled'), /7\.50 USD was paid by cash/);
+
+        await returnsService.createReturn(sale.sale_id, [{ sale_item_id: rows[0].sale_item_id, quantity: 3 }], { restock: true });
+        await salesService.voidSale(sale.sale_id, 'Customer cancelled');
+        assert.equal((await giftCardsService.lookupGiftCard(card.code)).balance, 50);
+    });
+});
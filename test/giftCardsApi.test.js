@@ -0,0 +1,48 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { serveRouter } from './helpers/http.js';
+import { GiftCardsRoutes } from '../src/routes/giftCardsRoutes.js';
+
+describe('gift card API access', { skip }, () => {
+    let seed;
+    let api;
+    let customer;
+    let admin;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct();
+        const { rows } = await pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, role)
+             VALUES ('Rita', 'Roaster', 'rita@example.com', 'x', 'admin') RETURNING user_id`
+        );
+        customer = { user_id: seed.user_id, role: 'customer' };
+        admin = { user_id: rows[0].user_id, role: 'admin' };
+        api = await serveRouter('/api/gift-cards', GiftCardsRoutes);
+    });
+
+    after(async () => {
+        await api.close();
+        await pool.end();
+    });
+
+    test('guests and customers can neither issue nor look up gift cards', async () => {
+        assert.equal((await api.request(null, 'POST', '/api/gift-cards', { amount: 50 })).status, 401);
+        assert.equal((await api.request(customer, 'POST', '/api/gift-cards', { amount: 50 })).status, 403);
+        assert.equal((await api.request(customer, 'GET', '/api/gift-cards')).status, 403);
+
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM gift_cards');
+        assert.equal(rows[0].count, 0);
+    });
+
+    test('an admin issues a card and looks it up by code', async () => {
+        const issued = await api.request(admin, 'POST', '/api/gift-cards', { amount: 50 });
+        assert.equal(issued.status, 201);
+
+        assert.equal((await api.request(customer, 'GET', `/api/gift-cards/code/${issued.body.code}`)).status, 403);
+        const found = await api.request(admin, 'GET', `/api/gift-cards/code/${issued.body.code}`);
+        assert.equal(found.status, 200);
+        assert.equal(found.body.balance, 50);
+    });
+});
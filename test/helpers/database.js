@@ -0,0 +1,51 @@
+/**
+ * Test database helpers.
+ * The tests run against the database named in TEST_PGDATABASE, on the server set by PGHOST, PGPORT,
+ * PGUSER and PGPASSWORD. Every test file wipes that database and rebuilds it from database/schema.sql,
+ * so never point it at real data. Without TEST_PGDATABASE the database tests are skipped.
+ */
+import './env.js';
+import fs from 'node:fs';
+import { pool } from '../../src/config/db.js';
+
+export { pool };
+
+/** Reason passed to node:test's `skip` option when no test database is configured */
+export const skip = process.env.TEST_PGDATABASE ? false : 'TEST_PGDATABASE is not set';
+
+/** Drop everything in the test database and load a fresh schema */
+export async function resetDatabase() {
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public; CREATE SEQUENCE sales_sale_id_seq;');
+    await pool.query(fs.readFileSync(new URL('../../database/schema.sql', import.meta.url), 'utf8'));
+}
+
+/** Insert a product with `stock` units in inventory; resolves to its ID */
+export async function insertProduct({ product_name = 'House Blend', unit_price = 10, stock = 10, status = 'available' } = {}) {
+    const product = await pool.query(
+        `INSERT INTO products (product_name, slug, unit_price, category_id, status)
+         VALUES ($1, $4, $2, (SELECT category_id FROM categories WHERE name = 'Beans'), $3) RETURNING product_id`,
+        [product_name, unit_price, status, product_name.toLowerCase().replace(/\s+/g, '-')]
+    );
+    await pool.query(
+        'INSERT INTO inventory (product_id, quantity_in_stock) VALUES ($1, $2)',
+        [product.rows[0].product_id, stock]
+    );
+    return product.rows[0].product_id;
+}
+
+/** Insert a customer, a category and a product with `stock` units in inventory; resolves to their IDs */
+export async function seedProduct({ unit_price = 10, stock = 10 } = {}) {
+    const user = await pool.query(
+        `INSERT INTO users (first_name, last_name, email, password, role)
+         VALUES ('Test', 'Customer', 'customer@example.com', 'x', 'customer') RETURNING user_id`
+    );
+    const category = await pool.query(`INSERT INTO categories (name) VALUES ('Beans') RETURNING category_id`);
+    const product_id = await insertProduct({ unit_price, stock });
+    return { user_id: user.rows[0].user_id, category_id: category.rows[0].category_id, product_id };
+}
+
+/** Current stock of a product */
+export async function stockOf(product_id) {
+    const result = await pool.query('SELECT quantity_in_stock FROM inventory WHERE product_id = $1', [product_id]);
+    return result.rows[0].quantity_in_stock;
+}
@@ -0,0 +1,2 @@
+// Point the app's pool at the test database; imported before src/config/db.js builds the pool
+if (process.env.TEST_PGDATABASE) process.env.PGDATABASE = process.env.TEST_PGDATABASE;
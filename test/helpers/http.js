@@ -0,0 +1,64 @@
+/**
+ * HTTP test helpers.
+ * A router is mounted on a bare express app whose requests carry the given session user, so route guards
+ * and controllers are exercised without the rest of the app (sessions, views, static files).
+ */
+import express from 'express';
+import flash from 'connect-flash';
+
+/**
+ * Serve a router on a free port
+ * @param {string} mountPath - Path the router is mounted at, e.g. '/api/sales'
+ * @param {import('express').Router} router - Router under test
+ * @returns {Promise<{ request: Function, close: Function }>} `request(user, method, path, body)` resolves to
+ *   `{ status, body, location, flash }`: the body is parsed when the response is JSON, a redirect is not followed,
+ *   and `flash` holds the messages a page handler left for the next page. `user` is the session user, or null
+ *   for a guest; a URLSearchParams body is posted as a form, any other body as JSON.
+ */
+export async function serveRouter(mountPath, router) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use((req, res, next) => {
+        req.session = { user: JSON.parse(req.get('x-test-user') || 'null') };
+        next();
+    });
+    app.use(flash());
+    app.use((req, res, next) => {
+        // Hand the flash messages back in a header, since the session does not outlive the request
+        const redirect = res.redirect.bind(res);
+        res.redirect = (...args) => {
+            res.set('x-test-flash', JSON.stringify(req.session.flash || {}));
+            return redirect(...args);
+        };
+        next();
+    });
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(user, method, path, body) {
+        const form = body instanceof URLSearchParams;
+        const headers = { 'x-test-user': JSON.stringify(user) };
+        if (body !== undefined && !form) headers['content-type'] = 'application/json';
+        const res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined || form ? body : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        const text = await res.text();
+        const json = (res.headers.get('content-type') || '').includes('application/json');
+        return {
+            status: res.status,
+            body: json ? JSON.parse(text) : text,
+            location: res.headers.get('location'),
+            flash: JSON.parse(res.headers.get('x-test-flash') || '{}')
+        };
+    }
+
+    return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
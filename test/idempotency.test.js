@@ -0,0 +1,95 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { IdempotencyKeysRepository } from '../src/domain/repositories/IdempotencyKeysRepository.js';
+import { IdempotencyKeysServices } from '../src/services/IdempotencyKeysServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const idempotencyService = new IdempotencyKeysServices(new IdempotencyKeysRepository());
+
+const SCOPE = 'POST /api/sales';
+
+describe('idempotent order creation', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const payloadFor = quantity => ({ user_id: seed.user_id, items: [{ product_id: seed.product_id, quantity, price_at_sale: 10 }] });
+
+    const createOrder = (key, payload) => idempotencyService.execute(SCOPE, key, payload, async () => ({
+        status_code: 201,
+        response: await salesService.createSaleWithItems(payload.user_id, payload.items)
+    }));
+
+    async function saleCount() {
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM sales');
+        return rows[0].count;
+    }
+
+    test('a retry with the same key replays the original sale instead of creating another', async () => {
+        const before = await saleCount();
+        const stock = await stockOf(seed.product_id);
+
+        const first = await createOrder('retry-1', payloadFor(2));
+        const retry = await createOrder('retry-1', payloadFor(2));
+
+        assert.equal(first.outcome, 'created');
+        assert.equal(retry.outcome, 'replayed');
+        assert.equal(retry.status_code, 201);
+        assert.equal(retry.response.sale_id, first.response.sale_id);
+        assert.equal(await saleCount(), before + 1);
+        assert.equal(await stockOf(seed.product_id), stock - 2);
+    });
+
+    test('a key reused with a different body is reported and creates nothing', async () => {
+        await createOrder('mismatch-1', payloadFor(1));
+        const before = await saleCount();
+
+        const reused = await createOrder('mismatch-1', payloadFor(3));
+        assert.equal(reused.outcome, 'mismatch');
+        assert.equal(await saleCount(), before);
+    });
+
+    test('keys are scoped to their operation', async () => {
+        const sale = await createOrder('shared-key', payloadFor(1));
+        const other = await idempotencyService.execute('POST /sales/create', 'shared-key', payloadFor(1), async () => ({ status_code: 201, response: { ok: true } }));
+
+        assert.equal(sale.outcome, 'created');
+        assert.equal(other.outcome, 'created');
+    });
+
+    test('a failed request releases its key so it can be retried', async () => {
+        const before = await saleCount();
+        const tooMany = payloadFor(1000);
+
+        await assert.rejects(createOrder('failed-1', tooMany), /stock/);
+        assert.equal(await saleCount(), before);
+
+        await assert.rejects(createOrder('failed-1', tooMany), /stock/);
+
+        const fixed = await idempotencyService.execute(SCOPE, 'failed-1', tooMany, async () => ({ status_code: 201, response: { ok: true } }));
+        assert.equal(fixed.outcome, 'created');
+    });
+
+    test('a double submit sent at the same moment creates one sale', async () => {
+        const before = await saleCount();
+        const stock = await stockOf(seed.product_id);
+
+        const results = await Promise.all([createOrder('double-1', payloadFor(1)), createOrder('double-1', payloadFor(1))]);
+        const outcomes = results.map(result => result.outcome).sort();
+        assert.equal(outcomes[0], 'created');
+        assert.ok(['in_progress', 'replayed'].includes(outcomes[1]), `unexpected outcome ${outcomes[1]}`);
+
+        assert.equal(await saleCount(), before + 1);
+        assert.equal(await stockOf(seed.product_id), stock - 1);
+        const replay = await createOrder('double-1', payloadFor(1));
+        assert.equal(replay.response.sale_id, results.find(result => result.outcome === 'created').response.sale_id);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { InvoicesRepository } from '../src/domain/repositories/InvoicesRepository.js';
+import { InvoicesServices } from '../src/services/InvoicesServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const invoicesService = new InvoicesServices(new InvoicesRepository());
+
+describe('invoice numbering', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const order = () => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity: 1, price_at_sale: 10 }]
+    );
+
+    test('numbers are sequential and a sale keeps the number it was first given', async () => {
+        const first = await order();
+        const second = await order();
+
+        const a = await invoicesService.issueInvoice(first.sale_id);
+        const b = await invoicesService.issueInvoice(second.sale_id);
+        assert.equal(b.invoice.invoice_number, a.invoice.invoice_number + 1);
+        assert.match(a.invoice.label, /\d{6}$/);
+
+        const again = await invoicesService.issueInvoice(first.sale_id);
+        assert.equal(again.invoice.invoice_number, a.invoice.invoice_number);
+    });
+
+    test('a cancelled order without an invoice is not given a number', async () => {
+        const sale = await order();
+        await salesService.voidSale(sale.sale_id, 'Customer changed their mind');
+
+        await assert.rejects(invoicesService.issueInvoice(sale.sale_id), /Cannot issue an invoice for a cancelled order/);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM invoices WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].count, 0);
+    });
+
+    test('a missing sale resolves to null', async () => {
+        assert.equal(await invoicesService.issueInvoice(999999), null);
+    });
+
+    test('the receipt PDF is named after the invoice number', async () => {
+        const sale = await order();
+
+        const { filename, buffer } = await invoicesService.renderPdf(sale.sale_id, 'Receipt');
+        const { invoice } = await invoicesService.issueInvoice(sale.sale_id);
+        assert.equal(filename, `receipt-${invoice.label}.pdf`);
+        assert.equal(buffer.subarray(0, 5).toString(), '%PDF-');
+    });
+
+    test('invoices issued at the same time get distinct numbers without gaps', async () => {
+        const sales = await Promise.all(Array.from({ length: 5 }, order));
+        const { rows: before } = await pool.query('SELECT COALESCE(MAX(invoice_number), 0)::int AS max FROM invoices');
+
+        const issued = await Promise.all(sales.map(sale => invoicesService.issueInvoice(sale.sale_id)));
+        const numbers = issued.map(({ invoice }) => invoice.invoice_number).sort((x, y) => x - y);
+        assert.deepEqual(numbers, [1, 2, 3, 4, 5].map(n => before[0].max + n));
+    });
+
+    test('downloading the same sale twice at once yields one invoice', async () => {
+        const sale = await order();
+
+        const [a, b] = await Promise.all([invoicesService.issueInvoice(sale.sale_id), invoicesService.issueInvoice(sale.sale_id)]);
+        assert.equal(a.invoice.invoice_number, b.invoice.invoice_number);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM invoices WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].count, 1);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { ReturnsRepository } from '../src/domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../src/services/ReturnsServices.js';
+import { LoyaltyAccountsRepository } from '../src/domain/repositories/LoyaltyAccountsRepository.js';
+import { LoyaltyAccountsServices } from '../src/services/LoyaltyAccountsServices.js';
+import { SaleItemsRepository } from '../src/domain/repositories/SaleItemsRepository.js';
+import { SaleItemsServices } from '../src/services/SaleItemsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+const loyaltyService = new LoyaltyAccountsServices(new LoyaltyAccountsRepository());
+const saleItemsService = new SaleItemsServices(new SaleItemsRepository());
+
+describe('loyalty points', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const order = (quantity, redeem_points = 0) => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity }], null, null, null, redeem_points
+    );
+    const balance = async () => (await loyaltyService.getAccount(seed.user_id)).points_balance;
+
+    async function complete(sale_id) {
+        for (const status of ['paid', 'roasting', 'ready', 'picked_up', 'completed']) {
+            await salesService.changeStatus(sale_id, status);
+        }
+    }
+
+    test('a completed sale earns a point per USD, once', async () => {
+        const sale = await order(10);
+        assert.equal(await balance(), 0);
+
+        await complete(sale.sale_id);
+        assert.equal(await balance(), 100);
+        const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM loyalty_transactions WHERE sale_id = $1 AND type = 'earn'`, [sale.sale_id]);
+        assert.equal(rows[0].count, 1);
+    });
+
+    test('points are spent at checkout as a discount, and the customer cannot spend more than they have', async () => {
+        await assert.rejects(order(3, 101), /Not enough loyalty points \(balance: 100\)/);
+        assert.equal(await balance(), 100);
+
+        const sale = await order(3, 40);
+        assert.equal(sale.discount_amount, 0.4);
+        assert.equal(sale.total_amount, 29.6);
+        assert.equal(await balance(), 60);
+
+        await salesService.voidSale(sale.sale_id, 'Customer cancelled');
+        assert.equal(await balance(), 100);
+    });
+
+    test('a refund takes back the points it no longer earns', async () => {
+        const sale = await order(2);
+        await complete(sale.sale_id);
+        assert.equal(await balance(), 120);
+
+        const { rows } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        await returnsService.createReturn(sale.sale_id, [{ sale_item_id: rows[0].sale_item_id, quantity: 1 }], { restock: true });
+        assert.equal(await balance(), 110);
+    });
+
+    test('expired points are written off when the account is read', async () => {
+        await pool.query(`UPDATE loyalty_transactions SET expires_at = NOW() - INTERVAL '1 day' WHERE points_remaining > 0`);
+
+        const account = await loyaltyService.getAccount(seed.user_id);
+        assert.equal(account.points_balance, 0);
+        assert.ok(account.transactions.some(t => t.type === 'expire'));
+    });
+
+    test('two orders spending the same points at once: only one gets them', async () => {
+        await complete((await order(5)).sale_id);
+        assert.equal(await balance(), 50);
+
+        const results = await Promise.allSettled([order(1, 50), order(1, 50)]);
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.match(results.find(result => result.status === 'rejected').reason.message, /Not enough loyalty points/);
+        assert.equal(await balance(), 0);
+    });
+
+    test('editing the items of an order keeps the value of the points spent on it', async () => {
+        await complete((await order(10)).sale_id);
+        const sale = await order(3, 40);
+        const { rows: [{ sale_item_id }] } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 6 });
+        const { rows } = await pool.query('SELECT discount_amount, loyalty_discount, total_amount FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.deepEqual(Object.values(rows[0]).map(parseFloat), [0.4, 0.4, 59.6]);
+    });
+});
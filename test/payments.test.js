@@ -0,0 +1,109 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { ExchangeRatesRepository } from '../src/domain/repositories/ExchangeRatesRepository.js';
+import { ExchangeRatesServices } from '../src/services/ExchangeRatesServices.js';
+import { PaymentsRepository } from '../src/domain/repositories/PaymentsRepository.js';
+import { PaymentsServices } from '../src/services/PaymentsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const exchangeRatesService = new ExchangeRatesServices(new ExchangeRatesRepository());
+const paymentsService = new PaymentsServices(new PaymentsRepository());
+
+describe('payments', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const order = quantity => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity, price_at_sale: 10 }]
+    );
+
+    async function paymentCount(sale_id) {
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM payments WHERE sale_id = $1', [sale_id]);
+        return rows[0].count;
+    }
+
+    test('without an exchange rate, payments can only be taken in USD', async () => {
+        const sale = await order(1);
+        assert.equal(sale.exchange_rate, null);
+        await assert.rejects(
+            paymentsService.recordPayment(sale.sale_id, [{ currency: 'LBP', amount: 900000 }]),
+            /No exchange rate was set when this order was created/
+        );
+    });
+
+    test('the current rate is the latest one in effect, and a sale keeps the rate it was created with', async () => {
+        await exchangeRatesService.createExchangeRate({ rate: 89000, effective_from: '2024-01-01' });
+        await exchangeRatesService.createExchangeRate({ rate: 89500 });
+        await exchangeRatesService.createExchangeRate({ rate: 95000, effective_from: '2999-01-01' });
+        assert.equal((await exchangeRatesService.getCurrentExchangeRate()).rate, 89500);
+
+        const sale = await order(1);
+        await exchangeRatesService.createExchangeRate({ rate: 90000 });
+        const { rows } = await pool.query('SELECT exchange_rate FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(parseFloat(rows[0].exchange_rate), 89500);
+    });
+
+    test('an LBP cash payment is converted at the sale rate and change is given in whole pounds', async () => {
+        await exchangeRatesService.createExchangeRate({ rate: 90000 });
+        const sale = await order(2);
+
+        const { sale: paid, payments } = await paymentsService.recordPayment(sale.sale_id, [{ currency: 'LBP', amount: 2000000 }]);
+        assert.equal(payments[0].method, 'cash');
+        assert.equal(payments[0].amount_usd, 20);
+        assert.equal(payments[0].change_amount, 200000);
+        assert.equal(paid.paid_amount, 20);
+    });
+
+    test('split tenders are applied in order and paying in full marks the order paid', async () => {
+        const sale = await order(3);
+
+        const { sale: paid, payments } = await paymentsService.recordPayment(sale.sale_id, [
+            { method: 'card', currency: 'USD', amount: 12.5 },
+            { method: 'cash', currency: 'USD', amount: 20 }
+        ]);
+        assert.deepEqual(payments.map(p => [p.method, p.amount_usd, p.change_amount]), [['card', 12.5, 0], ['cash', 17.5, 2.5]]);
+        assert.equal(paid.paid_amount, 30);
+        assert.equal(paid.status, 'paid');
+
+        const history = await salesService.getStatusHistory(sale.sale_id);
+        assert.deepEqual(history.map(entry => [entry.to_status, entry.note]), [['paid', 'Paid in full']]);
+        await assert.rejects(paymentsService.recordPayment(sale.sale_id, [{ amount: 1 }]), /already paid in full/);
+    });
+
+    test('only cash gives change: an overpaying card tender fails the whole payment', async () => {
+        const sale = await order(2);
+
+        await assert.rejects(
+            paymentsService.recordPayment(sale.sale_id, [{ method: 'cash', amount: 5 }, { method: 'card', amount: 16 }]),
+            /A card payment cannot exceed the balance due of 15\.00 USD/
+        );
+        assert.equal(await paymentCount(sale.sale_id), 0);
+        const { rows } = await pool.query('SELECT paid_amount, status FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(parseFloat(rows[0].paid_amount), 0);
+        assert.equal(rows[0].status, 'pending');
+    });
+
+    test('two terminals paying the same balance at once take it only once', async () => {
+        const sale = await order(4);
+
+        const results = await Promise.allSettled([
+            paymentsService.recordPayment(sale.sale_id, [{ method: 'card', amount: 40 }]),
+            paymentsService.recordPayment(sale.sale_id, [{ method: 'transfer', amount: 40 }])
+        ]);
+        assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+        assert.match(results.find(r => r.status === 'rejected').reason.message, /already paid in full/);
+
+        assert.equal(await paymentCount(sale.sale_id), 1);
+        const { rows } = await pool.query('SELECT paid_amount FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(parseFloat(rows[0].paid_amount), 40);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, insertProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+
+describe('placing an order', { skip }, () => {
+    let seed;
+    let retired_id;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 5 });
+        retired_id = await insertProduct({ product_name: 'Old Roast', unit_price: 8, status: 'not available' });
+    });
+
+    after(() => pool.end());
+
+    async function saleCount() {
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM sales');
+        return rows[0].count;
+    }
+
+    test('lines are priced from the product, not from the request', async () => {
+        const sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity: 2, price_at_sale: 0.01 }]);
+
+        assert.equal(sale.subtotal, 20);
+        const { rows } = await pool.query('SELECT price_at_sale FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(parseFloat(rows[0].price_at_sale), 10);
+    });
+
+    test('every failing line is reported and nothing is saved', async () => {
+        const sales = await saleCount();
+        const stock = await stockOf(seed.product_id);
+
+        await assert.rejects(
+            salesService.createSaleWithItems(seed.user_id, [
+                { product_id: seed.product_id, quantity: 1 },
+                { product_id: retired_id, quantity: 1 },
+                { product_id: 999999, quantity: 1 },
+                { product_id: seed.product_id, quantity: 0 }
+            ]),
+            error => {
+                assert.match(error.message, /Line 2 \(Old Roast\): not available/);
+                assert.match(error.message, /Line 3: product 999999 does not exist/);
+                assert.match(error.message, /Line 4: product_id and a positive whole quantity are required/);
+                assert.doesNotMatch(error.message, /Line 1/);
+                return true;
+            }
+        );
+        assert.equal(await saleCount(), sales);
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+
+    test('a product on several lines is checked against the stock left by the earlier lines', async () => {
+        const stock = await stockOf(seed.product_id);
+
+        await assert.rejects(
+            salesService.createSaleWithItems(seed.user_id, [
+                { product_id: seed.product_id, quantity: stock - 1 },
+                { product_id: seed.product_id, quantity: 2 }
+            ]),
+            new RegExp(`Line 2 \\(House Blend\\): only 1 in stock, 2 requested`)
+        );
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, insertProduct } from './helpers/database.js';
+import { serveRouter } from './helpers/http.js';
+import { pagesRouter } from '../src/routes/pages.routes.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { PriceListsRepository } from '../src/domain/repositories/PriceListsRepository.js';
+import { PriceListsServices } from '../src/services/PriceListsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const priceListsService = new PriceListsServices(new PriceListsRepository());
+
+describe('price tiers and price lists', { skip }, () => {
+    let seed;
+    let wholesale;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        await priceListsService.saveTier({ product_id: seed.product_id, min_quantity: 5, unit_price: 9 });
+        wholesale = await priceListsService.createPriceList({ name: 'Café Wholesale' });
+        await priceListsService.saveTier({ product_id: seed.product_id, price_list_id: wholesale.price_list_id, min_quantity: 1, unit_price: 8 });
+    });
+
+    after(() => pool.end());
+
+    async function pricedLine(quantity) {
+        const sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity }]);
+        const { rows } = await pool.query('SELECT price_at_sale, list_price, price_tier FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        return [parseFloat(rows[0].price_at_sale), parseFloat(rows[0].list_price), rows[0].price_tier];
+    }
+
+    test('a line below every tier pays the retail price', async () => {
+        assert.deepEqual(await pricedLine(4), [10, 10, null]);
+    });
+
+    test('a line reaching a public volume tier gets its price', async () => {
+        assert.deepEqual(await pricedLine(5), [9, 10, 'Volume 5+']);
+    });
+
+    test('a customer on a price list gets its price, unless the list is inactive', async () => {
+        await priceListsService.assignPriceList(seed.user_id, wholesale.price_list_id);
+        assert.deepEqual(await pricedLine(2), [8, 10, 'Café Wholesale']);
+
+        await priceListsService.updatePriceList(wholesale.price_list_id, { name: 'Café Wholesale', is_active: false });
+        assert.deepEqual(await pricedLine(5), [9, 10, 'Volume 5+']);
+        await priceListsService.updatePriceList(wholesale.price_list_id, { name: 'Café Wholesale', is_active: true });
+        await priceListsService.assignPriceList(seed.user_id, null);
+    });
+
+    test('a tier priced above retail never applies', async () => {
+        await priceListsService.saveTier({ product_id: seed.product_id, min_quantity: 10, unit_price: 12 });
+        assert.deepEqual(await pricedLine(10), [9, 10, 'Volume 5+']);
+    });
+
+    test('saving the same quantity step re-prices the tier instead of adding one', async () => {
+        await priceListsService.saveTier({ product_id: seed.product_id, min_quantity: 5, unit_price: 8.5 });
+        const tiers = await priceListsService.listTiersForProduct(seed.product_id);
+        assert.equal(tiers.filter(tier => tier.price_list_id === null && tier.min_quantity === 5).length, 1);
+        assert.deepEqual(await pricedLine(5), [8.5, 10, 'Volume 5+']);
+    });
+
+    test('a customer cannot be given a price list that does not exist', async () => {
+        await assert.rejects(priceListsService.assignPriceList(seed.user_id, 999999), /Price list 999999 does not exist/);
+    });
+
+    test('a customer on a price list ordering a variant gets the list price for that variant', async () => {
+        const product_id = await insertProduct({ product_name: 'Espresso Blend', unit_price: 20 });
+        const { rows: [{ variant_id }] } = await pool.query(
+            `INSERT INTO product_variants (product_id, weight_grams, grind, unit_price, quantity_in_stock)
+             VALUES ($1, 1000, 'whole bean', 40, 20) RETURNING variant_id`,
+            [product_id]
+        );
+        await priceListsService.saveTier({ product_id, variant_id, price_list_id: wholesale.price_list_id, min_quantity: 1, unit_price: 32 });
+        await priceListsService.assignPriceList(seed.user_id, wholesale.price_list_id);
+
+        const sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id, variant_id, quantity: 2 }]);
+        const { rows } = await pool.query('SELECT price_at_sale, list_price, price_tier FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        assert.deepEqual([parseFloat(rows[0].price_at_sale), parseFloat(rows[0].list_price), rows[0].price_tier], [32, 40, 'Café Wholesale']);
+        await priceListsService.assignPriceList(seed.user_id, null);
+
+        await assert.rejects(
+            priceListsService.saveTier({ product_id, min_quantity: 5, unit_price: 30 }),
+            /choose the variant the tier is for/
+        );
+    });
+
+    test('the users page form assigns and clears a customer\'s price list', async () => {
+        const pages = await serveRouter('/', pagesRouter);
+        const admin = { user_id: null, role: 'admin' };
+        const priceListOf = async () => (await pool.query('SELECT price_list_id FROM users WHERE user_id = $1', [seed.user_id])).rows[0].price_list_id;
+
+        try {
+            const path = `/admin/users/${seed.user_id}/price-list`;
+            const assigned = await pages.request(admin, 'POST', path, new URLSearchParams({ price_list_id: wholesale.price_list_id }));
+            assert.deepEqual([assigned.status, assigned.location], [302, '/admin/users']);
+            assert.deepEqual(assigned.flash.success, ['Price list updated']);
+            assert.equal(await priceListOf(), wholesale.price_list_id);
+
+            const missing = await pages.request(admin, 'POST', path, new URLSearchParams({ price_list_id: '999999' }));
+            assert.deepEqual(missing.flash.error, ['Failed to assign price list: Price list 999999 does not exist']);
+            assert.equal(await priceListOf(), wholesale.price_list_id);
+
+            await pages.request(admin, 'POST', path, new URLSearchParams({ price_list_id: '' }));
+            assert.equal(await priceListOf(), null);
+        } finally {
+            await pages.close();
+        }
+    });
+});
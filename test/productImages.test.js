@@ -0,0 +1,90 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+
+// Uploads go to a throwaway directory; the storage reads it when first imported
+const storageDir = await mkdtemp(path.join(tmpdir(), 'roastery-images-'));
+process.env.IMAGE_STORAGE_DIR = storageDir;
+const { ProductImagesRepository } = await import('../src/domain/repositories/ProductImagesRepository.js');
+const { ProductImagesServices } = await import('../src/services/ProductImagesServices.js');
+
+const imagesService = new ProductImagesServices(new ProductImagesRepository());
+
+const photo = (width, height, name = 'photo.png') => sharp({
+    create: { width, height, channels: 3, background: { r: 120, g: 72, b: 40 } }
+}).png().toBuffer().then(buffer => ({ buffer, originalname: name }));
+
+describe('product images', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct();
+    });
+
+    after(async () => {
+        await pool.end();
+        await rm(storageDir, { recursive: true, force: true });
+    });
+
+    const storedFiles = async () => (await readdir(path.join(storageDir, 'products', String(seed.product_id)))).sort();
+
+    test('an upload is resized to a thumbnail and a bounded full image, and the first becomes primary', async () => {
+        const [image] = await imagesService.uploadImages(seed.product_id, [await photo(2400, 1200)], '  Bag front ');
+
+        assert.equal(image.alt_text, 'Bag front');
+        assert.equal(image.is_primary, true);
+        assert.deepEqual([image.width, image.height], [1600, 800]);
+        assert.match(image.thumb_url, new RegExp(`^/uploads/products/${seed.product_id}/.+-thumb\\.webp$`));
+
+        const files = await storedFiles();
+        assert.equal(files.length, 2);
+        const thumb = await sharp(path.join(storageDir, 'products', String(seed.product_id), files.find(file => file.endsWith('-thumb.webp')))).metadata();
+        assert.deepEqual([thumb.format, thumb.width, thumb.height], ['webp', 400, 400]);
+    });
+
+    test('a small image is never enlarged', async () => {
+        const [image] = await imagesService.uploadImages(seed.product_id, [await photo(300, 200)]);
+        assert.deepEqual([image.width, image.height, image.is_primary], [300, 200, false]);
+    });
+
+    test('one file that is not an image adds none of the upload', async () => {
+        const before = await storedFiles();
+        await assert.rejects(
+            imagesService.uploadImages(seed.product_id, [await photo(500, 500), { buffer: Buffer.from('not an image'), originalname: 'notes.txt' }]),
+            /notes\.txt is not a supported image/
+        );
+        assert.equal((await imagesService.listImages(seed.product_id)).length, 2);
+        assert.deepEqual(await storedFiles(), before);
+    });
+
+    test('images can be moved, reordered and made primary', async () => {
+        const [first, second] = await imagesService.listImages(seed.product_id);
+
+        const moved = await imagesService.moveImage(second.image_id, 'up');
+        assert.deepEqual(moved.map(image => image.image_id), [second.image_id, first.image_id]);
+
+        await assert.rejects(imagesService.reorderImages(seed.product_id, [first.image_id]), /each of the product's images once/);
+        const reordered = await imagesService.reorderImages(seed.product_id, [first.image_id, second.image_id]);
+        assert.deepEqual(reordered.map(image => image.image_id), [first.image_id, second.image_id]);
+
+        await imagesService.setPrimaryImage(second.image_id);
+        const images = await imagesService.listImages(seed.product_id);
+        assert.deepEqual(images.map(image => image.is_primary), [false, true]);
+    });
+
+    test('deleting the primary image promotes the next one and removes its files', async () => {
+        const [first, second] = await imagesService.listImages(seed.product_id);
+
+        assert.equal(await imagesService.deleteImage(second.image_id), true);
+        const images = await imagesService.listImages(seed.product_id);
+        assert.deepEqual(images.map(image => [image.image_id, image.is_primary]), [[first.image_id, true]]);
+        assert.equal((await storedFiles()).length, 2);
+
+        assert.equal(await imagesService.deleteImage(second.image_id), false);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase } from './helpers/database.js';
+import { ProductsRepository } from '../src/domain/repositories/ProductsRepository.js';
+import { ProductsServices } from '../src/services/ProductsServices.js';
+import { CategoriesRepository } from '../src/domain/repositories/CategoriesRepository.js';
+import { CategoriesServices } from '../src/services/CategoriesServices.js';
+
+const productsService = new ProductsServices(new ProductsRepository());
+const categoriesService = new CategoriesServices(new CategoriesRepository());
+
+describe('product slugs', { skip }, () => {
+    let categories;
+
+    before(async () => {
+        await resetDatabase();
+        categories = {};
+        for (const name of ['Beans', 'Single Origin', 'Espresso']) {
+            categories[name] = (await categoriesService.createCategory({ name })).category_id;
+        }
+    });
+
+    after(() => pool.end());
+
+    const newProduct = (product_name, { category = 'Beans', ...details } = {}) => productsService.createProduct({
+        product_name, unit_price: 12, category_id: categories[category], status: 'available', ...details
+    });
+
+    test('a new product gets its name as slug, numbered when the slug is taken', async () => {
+        const first = await newProduct('Ethiopia Yirgacheffe');
+        const second = await newProduct('Ethiopia  Yirgacheffé');
+        const third = await newProduct('ETHIOPIA YIRGACHEFFE');
+
+        assert.deepEqual([first.slug, second.slug, third.slug],
+            ['ethiopia-yirgacheffe', 'ethiopia-yirgacheffe-2', 'ethiopia-yirgacheffe-3']);
+    });
+
+    test('an all-digit slug is prefixed so it is not read as a product ID', async () => {
+        const product = await newProduct('1850');
+        assert.equal(product.slug, 'product-1850');
+    });
+
+    test('a typed slug is normalized and must be free', async () => {
+        const product = await newProduct('Decaf', { slug: ' Swiss Water Decaf ' });
+        assert.equal(product.slug, 'swiss-water-decaf');
+
+        await assert.rejects(newProduct('Other Decaf', { slug: 'Swiss water decaf' }), /"swiss-water-decaf" is already used/);
+        await assert.rejects(newProduct('Other Decaf', { slug: '---' }), /slug must contain letters or digits/);
+    });
+
+    test('renaming a product keeps its slug, so links to its page keep working', async () => {
+        const product = await productsService.getProductBySlug('Swiss-Water-Decaf');
+        const renamed = await productsService.updateProduct(product.product_id, { ...product, product_name: 'Mountain Decaf', slug: '' });
+
+        assert.equal(renamed.product_name, 'Mountain Decaf');
+        assert.equal(renamed.slug, 'swiss-water-decaf');
+        assert.equal(await productsService.getProductBySlug('mountain-decaf'), null);
+    });
+
+    test('related products share category, origin, roast or tasting notes, most alike first', async () => {
+        const shown = await newProduct('Huila', {
+            category: 'Single Origin', origin_country: 'Colombia', roast_level: 'medium', tasting_notes: 'caramel'
+        });
+        const sameOrigin = await newProduct('Nariño', { category: 'Single Origin', origin_country: 'Colombia' });
+        const sameNote = await newProduct('Santos', { category: 'Espresso', tasting_notes: 'Caramel, nut' });
+        await newProduct('Sold Out Huila', { category: 'Single Origin', origin_country: 'Colombia', status: 'not available' });
+
+        const related = await productsService.getRelatedProducts(shown, 10);
+        assert.deepEqual(related.map(product => product.product_id), [sameOrigin.product_id, sameNote.product_id]);
+    });
+});
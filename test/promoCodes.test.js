@@ -0,0 +1,115 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { PromoCodesRepository } from '../src/domain/repositories/PromoCodesRepository.js';
+import { PromoCodesServices } from '../src/services/PromoCodesServices.js';
+import { SaleItemsRepository } from '../src/domain/repositories/SaleItemsRepository.js';
+import { SaleItemsServices } from '../src/services/SaleItemsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const promoCodesService = new PromoCodesServices(new PromoCodesRepository());
+const saleItemsService = new SaleItemsServices(new SaleItemsRepository());
+
+describe('promo codes', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        await promoCodesService.createPromoCode({ code: 'save10', discount_type: 'percent', discount_value: 10 });
+        await promoCodesService.createPromoCode({ code: 'FIVEOFF', discount_type: 'fixed', discount_value: 5, max_uses_per_customer: 1 });
+        await promoCodesService.createPromoCode({ code: 'BIGORDER', discount_type: 'fixed', discount_value: 50, min_order_value: 40 });
+        await promoCodesService.createPromoCode({ code: 'EXPIRED', discount_type: 'percent', discount_value: 20, ends_at: '2020-01-01' });
+        await promoCodesService.createPromoCode({ code: 'TENOFF', discount_type: 'fixed', discount_value: 10 });
+    });
+
+    after(() => pool.end());
+
+    const order = (quantity, code) => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity, price_at_sale: 10 }], code
+    );
+
+    async function salesCount() {
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM sales');
+        return rows[0].count;
+    }
+
+    test('a percent code takes its share of the order and records the redemption', async () => {
+        const sale = await order(3, 'Save10');
+        assert.equal(sale.subtotal, 30);
+        assert.equal(sale.discount_amount, 3);
+        assert.equal(sale.total_amount, 27);
+
+        const { rows } = await pool.query('SELECT discount_amount FROM promo_code_redemptions WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(parseFloat(rows[0].discount_amount), 3);
+    });
+
+    test('a fixed code is never worth more than the order', async () => {
+        const sale = await order(5, 'BIGORDER');
+        assert.equal(sale.discount_amount, 50);
+        assert.equal(sale.total_amount, 0);
+    });
+
+    test('a code refused by its rules leaves no sale behind', async () => {
+        const before = await salesCount();
+        await assert.rejects(order(1, 'BIGORDER'), /requires a minimum order of \$40\.00/);
+        await assert.rejects(order(1, 'EXPIRED'), /is not valid at this time/);
+        await assert.rejects(order(1, 'NOPE'), /does not exist/);
+        assert.equal(await salesCount(), before);
+    });
+
+    test('the per-customer cap counts only sales that were not cancelled', async () => {
+        const first = await order(1, 'FIVEOFF');
+        await assert.rejects(order(1, 'FIVEOFF'), /already used promo code FIVEOFF the maximum number of times/);
+
+        await salesService.voidSale(first.sale_id, 'Customer cancelled');
+        const again = await order(2, 'FIVEOFF');
+        assert.equal(again.discount_amount, 5);
+    });
+
+    test('a code applied to an existing order replaces its previous one', async () => {
+        const sale = await order(4, 'SAVE10');
+        const updated = await salesService.applyPromoCode(sale.sale_id, 'bigorder');
+        assert.equal(updated.discount_amount, 40);
+
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM promo_code_redemptions WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].count, 1);
+    });
+
+    test('editing the items of an order works the code\'s discount out again: a fixed code keeps its amount', async () => {
+        const sale = await order(4, 'TENOFF');
+        const { rows: [{ sale_item_id }] } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+        const totals = async () => {
+            const { rows: [row] } = await pool.query(
+                `SELECT s.subtotal, s.discount_amount, s.total_amount, r.discount_amount AS redeemed
+                 FROM sales s JOIN promo_code_redemptions r ON r.sale_id = s.sale_id WHERE s.sale_id = $1`,
+                [sale.sale_id]
+            );
+            return Object.values(row).map(parseFloat);
+        };
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 6 });
+        assert.deepEqual(await totals(), [60, 10, 50, 10]);
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 1 });
+        assert.deepEqual(await totals(), [10, 10, 0, 10]);
+
+        await saleItemsService.createSaleItem(sale.sale_id, seed.product_id, 2, 10);
+        assert.deepEqual(await totals(), [30, 10, 20, 10]);
+    });
+
+    test('editing the items of an order keeps a percent code at its percentage', async () => {
+        const sale = await order(2, 'SAVE10');
+        const { rows: [{ sale_item_id }] } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 5 });
+        const { rows } = await pool.query(
+            `SELECT s.discount_amount, r.discount_amount AS redeemed
+             FROM sales s JOIN promo_code_redemptions r ON r.sale_id = s.sale_id WHERE s.sale_id = $1`,
+            [sale.sale_id]
+        );
+        assert.deepEqual([parseFloat(rows[0].discount_amount), parseFloat(rows[0].redeemed)], [5, 5]);
+    });
+});
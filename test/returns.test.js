@@ -0,0 +1,110 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { SaleItemsRepository } from '../src/domain/repositories/SaleItemsRepository.js';
+import { SaleItemsServices } from '../src/services/SaleItemsServices.js';
+import { ReturnsRepository } from '../src/domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../src/services/ReturnsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const saleItemsService = new SaleItemsServices(new SaleItemsRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+
+/** Order `quantity` of the product; resolves to the sale ID and its item's ID */
+async function order(seed, quantity) {
+    const sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity, price_at_sale: 10 }]);
+    const items = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+    return { sale_id: sale.sale_id, sale_item_id: items.rows[0].sale_item_id };
+}
+
+describe('returns', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 50 });
+    });
+
+    after(() => pool.end());
+
+    test('a partial return refunds the returned units and restocks them when asked', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 5);
+        const stock = await stockOf(seed.product_id);
+
+        const result = await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 2 }], { restock: true, reason: 'Damaged bag' });
+        assert.equal(result.refund_total, 20);
+        assert.equal(result.returns.length, 1);
+        assert.equal(result.sale.refunded_amount, 20);
+        assert.equal(await stockOf(seed.product_id), stock + 2);
+    });
+
+    test('units not restocked stay out of inventory', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 3);
+        const stock = await stockOf(seed.product_id);
+
+        const result = await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 3 }]);
+        assert.equal(result.refund_total, 30);
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+
+    test('more units than are left to return are refused and nothing is recorded', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 4);
+        await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 3 }], { restock: true });
+        const stock = await stockOf(seed.product_id);
+
+        await assert.rejects(
+            returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 2 }], { restock: true }),
+            /Cannot return 2 of sale item \d+\. Returnable: 1/
+        );
+        assert.equal((await returnsService.getReturnsBySaleId(sale_id)).length, 1);
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+
+    test('an item of another sale cannot be returned against this one', async () => {
+        const first = await order(seed, 1);
+        const second = await order(seed, 1);
+
+        await assert.rejects(
+            returnsService.createReturn(first.sale_id, [{ sale_item_id: second.sale_item_id, quantity: 1 }]),
+            /does not belong to sale/
+        );
+    });
+
+    test('items of a cancelled order cannot be returned', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 1);
+        await salesService.voidSale(sale_id, 'Customer cancelled');
+
+        await assert.rejects(returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 1 }]), /cancelled order/);
+    });
+
+    test('voiding a sale does not restock units a return already restocked', async () => {
+        const stock = await stockOf(seed.product_id);
+        const { sale_id, sale_item_id } = await order(seed, 5);
+        await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 2 }], { restock: true });
+        assert.equal(await stockOf(seed.product_id), stock - 3);
+
+        await salesService.voidSale(sale_id, 'Customer cancelled');
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+
+    test('deleting a sale item with returns is refused with a clear error', async () => {
+        const stock = await stockOf(seed.product_id);
+        const { sale_id, sale_item_id } = await order(seed, 5);
+        await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 2 }], { restock: true });
+
+        await assert.rejects(saleItemsService.deleteSaleItem(sale_item_id), /returned unit\(s\) and cannot be deleted/);
+        assert.equal(await stockOf(seed.product_id), stock - 3);
+    });
+
+    test('reducing a partly returned item restocks only the units still held', async () => {
+        const stock = await stockOf(seed.product_id);
+        const { sale_id, sale_item_id } = await order(seed, 5);
+        await returnsService.createReturn(sale_id, [{ sale_item_id, quantity: 2 }], { restock: true });
+
+        // 5 ordered, 2 returned: cutting the line to 3 gives back 2 of the 3 units still held
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 3 });
+        assert.equal(await stockOf(seed.product_id), stock - 1);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { SaleItemsRepository } from '../src/domain/repositories/SaleItemsRepository.js';
+import { SaleItemsServices } from '../src/services/SaleItemsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const saleItemsService = new SaleItemsServices(new SaleItemsRepository());
+
+/** Order `quantity` of the product; resolves to the sale ID and its item's ID */
+async function order(seed, quantity) {
+    const sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity, price_at_sale: 10 }]);
+    const items = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+    return { sale_id: sale.sale_id, sale_item_id: items.rows[0].sale_item_id };
+}
+
+async function totalsOf(sale_id) {
+    const { rows } = await pool.query('SELECT subtotal, total_amount FROM sales WHERE sale_id = $1', [sale_id]);
+    return { subtotal: parseFloat(rows[0].subtotal), total_amount: parseFloat(rows[0].total_amount) };
+}
+
+describe('editing sale items', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 20 });
+    });
+
+    after(() => pool.end());
+
+    test('raising the quantity takes only the difference from stock and updates the totals', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 2);
+        const stock = await stockOf(seed.product_id);
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 5 });
+        assert.equal(await stockOf(seed.product_id), stock - 3);
+        assert.deepEqual(await totalsOf(sale_id), { subtotal: 50, total_amount: 50 });
+    });
+
+    test('lowering the quantity puts the difference back', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 4);
+        const stock = await stockOf(seed.product_id);
+
+        await saleItemsService.updateSaleItem(sale_item_id, { quantity: 1 });
+        assert.equal(await stockOf(seed.product_id), stock + 3);
+        assert.deepEqual(await totalsOf(sale_id), { subtotal: 10, total_amount: 10 });
+    });
+
+    test('a raise beyond the stock is refused and changes nothing', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 1);
+        const stock = await stockOf(seed.product_id);
+
+        await assert.rejects(saleItemsService.updateSaleItem(sale_item_id, { quantity: stock + 2 }), /Insufficient stock/);
+        assert.equal(await stockOf(seed.product_id), stock);
+        assert.deepEqual(await totalsOf(sale_id), { subtotal: 10, total_amount: 10 });
+    });
+
+    test('deleting an item restocks it and recomputes the totals', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 3);
+        const stock = await stockOf(seed.product_id);
+
+        assert.equal(await saleItemsService.deleteSaleItem(sale_item_id), true);
+        assert.equal(await stockOf(seed.product_id), stock + 3);
+        assert.deepEqual(await totalsOf(sale_id), { subtotal: 0, total_amount: 0 });
+    });
+
+    test('items of a cancelled order cannot be changed', async () => {
+        const { sale_id, sale_item_id } = await order(seed, 1);
+        await salesService.voidSale(sale_id, 'Customer cancelled');
+        const stock = await stockOf(seed.product_id);
+
+        await assert.rejects(saleItemsService.updateSaleItem(sale_item_id, { quantity: 2 }), /cancelled order cannot be changed/);
+        assert.equal(await stockOf(seed.product_id), stock);
+    });
+});
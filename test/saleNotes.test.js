@@ -0,0 +1,54 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { SaleCommentsRepository } from '../src/domain/repositories/SaleCommentsRepository.js';
+import { SaleCommentsServices } from '../src/services/SaleCommentsServices.js';
+import { CUSTOMER_NOTES_MAX_LENGTH } from '../src/domain/entities/Sales.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const saleCommentsService = new SaleCommentsServices(new SaleCommentsRepository());
+
+describe('order notes and staff comments', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const order = customer_notes => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity: 1 }], null, null, customer_notes
+    );
+
+    test('the customer\'s note is trimmed and kept on the sale; a blank note is not stored', async () => {
+        assert.equal((await order('  Grind for espresso  ')).customer_notes, 'Grind for espresso');
+        assert.equal((await order('   ')).customer_notes, null);
+    });
+
+    test('a note over the limit is rejected and nothing is ordered', async () => {
+        const { rows: before } = await pool.query('SELECT COUNT(*)::int AS count FROM sales');
+        await assert.rejects(order('x'.repeat(CUSTOMER_NOTES_MAX_LENGTH + 1)), /Order notes must be at most/);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM sales');
+        assert.equal(rows[0].count, before[0].count);
+    });
+
+    test('staff comments are listed oldest first with their author', async () => {
+        const sale = await order(null);
+
+        await saleCommentsService.addComment(sale.sale_id, ' Called the customer ', seed.user_id);
+        await saleCommentsService.addComment(sale.sale_id, 'Packed');
+        const comments = await saleCommentsService.getCommentsBySaleId(sale.sale_id);
+        assert.deepEqual(comments.map(c => [c.body, c.author_name]), [['Called the customer', 'Test Customer'], ['Packed', null]]);
+    });
+
+    test('an empty comment or a comment on a missing sale is not added', async () => {
+        const sale = await order(null);
+
+        await assert.rejects(saleCommentsService.addComment(sale.sale_id, '   '), /Comment cannot be empty/);
+        assert.equal(await saleCommentsService.addComment(999999, 'Hello'), null);
+    });
+});
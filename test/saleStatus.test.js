@@ -0,0 +1,54 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+
+describe('order status lifecycle', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct();
+    });
+
+    after(() => pool.end());
+
+    const newSale = () => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity: 1, price_at_sale: 10 }]
+    );
+
+    test('a new sale starts as pending', async () => {
+        const sale = await newSale();
+        assert.equal(sale.status, 'pending');
+    });
+
+    test('each allowed transition is applied and logged in order', async () => {
+        const sale = await newSale();
+        for (const status of ['paid', 'roasting', 'ready', 'picked_up', 'completed']) {
+            const updated = await salesService.changeStatus(sale.sale_id, status, seed.user_id);
+            assert.equal(updated.status, status);
+        }
+
+        const history = await salesService.getStatusHistory(sale.sale_id);
+        assert.deepEqual(
+            history.map(entry => `${entry.from_status}>${entry.to_status}`),
+            ['pending>paid', 'paid>roasting', 'roasting>ready', 'ready>picked_up', 'picked_up>completed']
+        );
+    });
+
+    test('a transition the lifecycle does not allow is refused and not logged', async () => {
+        const sale = await newSale();
+        await assert.rejects(salesService.changeStatus(sale.sale_id, 'shipped'), /Cannot change order status from pending to shipped/);
+
+        const { rows } = await pool.query('SELECT status FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].status, 'pending');
+        assert.deepEqual(await salesService.getStatusHistory(sale.sale_id), []);
+    });
+
+    test('changing the status of a missing sale resolves to null', async () => {
+        assert.equal(await salesService.changeStatus(999999, 'paid'), null);
+    });
+});
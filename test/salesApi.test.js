@@ -0,0 +1,76 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct } from './helpers/database.js';
+import { serveRouter } from './helpers/http.js';
+import { SalesRoutes } from '../src/routes/salesRoutes.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+
+describe('sales API access', { skip }, () => {
+    let seed;
+    let api;
+    let customer;
+    let admin;
+    let sale;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        const { rows } = await pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, role)
+             VALUES ('Rita', 'Roaster', 'rita@example.com', 'x', 'admin') RETURNING user_id`
+        );
+        customer = { user_id: seed.user_id, role: 'customer' };
+        admin = { user_id: rows[0].user_id, role: 'admin' };
+        sale = await salesService.createSaleWithItems(seed.user_id, [{ product_id: seed.product_id, quantity: 1 }]);
+        api = await serveRouter('/api/sales', SalesRoutes);
+    });
+
+    after(async () => {
+        await api.close();
+        await pool.end();
+    });
+
+    test('only an admin may add a staff comment', async () => {
+        const path = `/api/sales/${sale.sale_id}/comments`;
+        assert.equal((await api.request(null, 'POST', path, { body: 'Re-ground bag 2' })).status, 401);
+        assert.equal((await api.request(customer, 'POST', path, { body: 'Re-ground bag 2' })).status, 403);
+
+        const created = await api.request(admin, 'POST', path, { body: 'Re-ground bag 2' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.body, 'Re-ground bag 2');
+    });
+
+    test('staff comments are listed to admins only', async () => {
+        const path = `/api/sales/${sale.sale_id}/comments`;
+        assert.deepEqual((await api.request(customer, 'GET', path)).body, []);
+
+        const listed = await api.request(admin, 'GET', path);
+        assert.deepEqual(listed.body.map(comment => comment.body), ['Re-ground bag 2']);
+    });
+
+    test('only an admin may move an order along, take payment, refund or void it', async () => {
+        const base = `/api/sales/${sale.sale_id}`;
+        const staffWork = [
+            ['PUT', `${base}/status`, { status: 'paid' }],
+            ['POST', `${base}/payments`, { method: 'cash', currency: 'USD', amount: 10 }],
+            ['POST', `${base}/returns`, { items: [{ sale_item_id: 1, quantity: 1 }] }],
+            ['POST', `${base}/void`, { reason: 'Customer cancelled' }],
+            ['DELETE', base, undefined]
+        ];
+        for (const [method, path, body] of staffWork) {
+            assert.equal((await api.request(null, method, path, body)).status, 401, `${method} ${path} as a guest`);
+            assert.equal((await api.request(customer, method, path, body)).status, 403, `${method} ${path} as a customer`);
+        }
+
+        const fresh = await salesService.getSaleById(sale.sale_id);
+        assert.equal(fresh.status, 'pending');
+        assert.equal(fresh.balance_due, fresh.total_amount);
+
+        const paid = await api.request(admin, 'POST', `${base}/payments`, { method: 'cash', currency: 'USD', amount: 10 });
+        assert.equal(paid.status, 201);
+        assert.equal(paid.body.sale.status, 'paid');
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, insertProduct, stockOf } from './helpers/database.js';
+import { SubscriptionsRepository } from '../src/domain/repositories/SubscriptionsRepository.js';
+import { SubscriptionsServices } from '../src/services/SubscriptionsServices.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+
+const subscriptionsService = new SubscriptionsServices(new SubscriptionsRepository());
+
+describe('subscriptions', { skip }, () => {
+    let seed;
+    let substitute_id;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ unit_price: 10, stock: 100 });
+        substitute_id = await insertProduct({ product_name: 'Guest Blend', unit_price: 11, stock: 100 });
+    });
+
+    after(() => pool.end());
+
+    const setStock = (product_id, quantity) => pool.query('UPDATE inventory SET quantity_in_stock = $1 WHERE product_id = $2', [quantity, product_id]);
+
+    async function subscribe(start_date, data = {}) {
+        const subscription = await subscriptionsService.createSubscription(seed.user_id, {
+            frequency: 'monthly',
+            start_date,
+            items: [{ product_id: seed.product_id, quantity: 2 }],
+            ...data
+        });
+        return subscription.subscription_id;
+    }
+
+    const runsFor = async (id, date) => (await subscriptionsService.runDueSubscriptions(date)).runs.filter(run => run.subscription_id === id);
+
+    test('a due subscription is ordered once and moves to its next delivery date', async () => {
+        const id = await subscribe('2999-01-31');
+        const stock = await stockOf(seed.product_id);
+
+        const [run] = await runsFor(id, '2999-01-31');
+        assert.equal(run.status, 'created');
+        assert.ok(run.sale_id);
+        assert.equal(await stockOf(seed.product_id), stock - 2);
+        assert.equal((await subscriptionsService.getSubscriptionById(id)).next_run_date, '2999-02-28');
+
+        assert.deepEqual(await runsFor(id, '2999-01-31'), []);
+        assert.equal(await stockOf(seed.product_id), stock - 2);
+        await subscriptionsService.cancelSubscription(id);
+    });
+
+    test('a start date in the past is rejected', async () => {
+        await assert.rejects(subscribe('2000-01-01'), /Start date cannot be in the past/);
+    });
+
+    test('an out-of-stock product is left out with a note when the customer asked to be notified', async () => {
+        const id = await subscribe('2999-03-01');
+        await setStock(seed.product_id, 1);
+
+        const [run] = await runsFor(id, '2999-03-01');
+        assert.equal(run.status, 'skipped');
+        assert.match(run.note, /House Blend was out of stock and was left out of this delivery/);
+        assert.equal(await stockOf(seed.product_id), 1);
+        await subscriptionsService.cancelSubscription(id);
+        await setStock(seed.product_id, 100);
+    });
+
+    test('an out-of-stock product is replaced by one of the same type when the customer asked for it', async () => {
+        const id = await subscribe('2999-04-01', { out_of_stock_action: 'substitute' });
+        await setStock(seed.product_id, 0);
+        const stock = await stockOf(substitute_id);
+
+        const [run] = await runsFor(id, '2999-04-01');
+        assert.equal(run.status, 'created');
+        assert.match(run.note, /House Blend was out of stock and was replaced with Guest Blend/);
+        assert.equal(await stockOf(substitute_id), stock - 2);
+        await subscriptionsService.cancelSubscription(id);
+        await setStock(seed.product_id, 100);
+    });
+
+    test('two schedulers running at once order each due delivery once', async () => {
+        const id = await subscribe('2999-05-01');
+        const stock = await stockOf(seed.product_id);
+
+        const summaries = await Promise.all([
+            subscriptionsService.runDueSubscriptions('2999-05-01'),
+            subscriptionsService.runDueSubscriptions('2999-05-01')
+        ]);
+        const runs = summaries.flatMap(summary => summary.runs).filter(run => run.subscription_id === id);
+        assert.equal(runs.length, 1);
+        assert.equal(await stockOf(seed.product_id), stock - 2);
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM subscription_runs WHERE subscription_id = $1', [id]);
+        assert.equal(rows[0].count, 1);
+        await subscriptionsService.cancelSubscription(id);
+    });
+
+    test('a line whose stock another order takes while the run is placed is left out, and the rest is ordered', async () => {
+        const decaf_id = await insertProduct({ product_name: 'Night Decaf', unit_price: 12, stock: 1 });
+        const id = await subscribe('2999-06-01', {
+            items: [{ product_id: seed.product_id, quantity: 2 }, { product_id: decaf_id, quantity: 1 }]
+        });
+        const stock = await stockOf(seed.product_id);
+
+        // Another order takes the last decaf between the run's stock check and its sale
+        const salesService = new SalesServices(new SalesRepository());
+        let attempts = 0;
+        const placeOrder = salesService.createSaleWithItems.bind(salesService);
+        salesService.createSaleWithItems = async (...args) => {
+            if (++attempts === 1) await setStock(decaf_id, 0);
+            return placeOrder(...args);
+        };
+        const scheduler = new SubscriptionsServices(new SubscriptionsRepository(), salesService);
+
+        const [run] = (await scheduler.runDueSubscriptions('2999-06-01')).runs.filter(r => r.subscription_id === id);
+        assert.equal(attempts, 2);
+        assert.equal(run.status, 'created');
+        assert.match(run.note, /Night Decaf was out of stock and was left out of this delivery/);
+        assert.equal(await stockOf(seed.product_id), stock - 2);
+
+        const { rows } = await pool.query('SELECT product_id, quantity FROM sale_items WHERE sale_id = $1', [run.sale_id]);
+        assert.deepEqual(rows.map(row => [row.product_id, row.quantity]), [[seed.product_id, 2]]);
+    });
+});
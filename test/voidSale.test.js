@@ -0,0 +1,88 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool, skip, resetDatabase, seedProduct, stockOf } from './helpers/database.js';
+import { SalesRepository } from '../src/domain/repositories/SalesRepository.js';
+import { SalesServices } from '../src/services/SalesServices.js';
+import { PaymentsRepository } from '../src/domain/repositories/PaymentsRepository.js';
+import { PaymentsServices } from '../src/services/PaymentsServices.js';
+import { ReturnsRepository } from '../src/domain/repositories/ReturnsRepository.js';
+import { ReturnsServices } from '../src/services/ReturnsServices.js';
+
+const salesService = new SalesServices(new SalesRepository());
+const paymentsService = new PaymentsServices(new PaymentsRepository());
+const returnsService = new ReturnsServices(new ReturnsRepository());
+
+describe('voiding a sale', { skip }, () => {
+    let seed;
+
+    before(async () => {
+        await resetDatabase();
+        seed = await seedProduct({ stock: 10 });
+    });
+
+    after(() => pool.end());
+
+    const newSale = quantity => salesService.createSaleWithItems(
+        seed.user_id, [{ product_id: seed.product_id, quantity, price_at_sale: 10 }]
+    );
+
+    test('returns the items to inventory and records why, when and by whom', async () => {
+        const sale = await newSale(3);
+        assert.equal(await stockOf(seed.product_id), 7);
+
+        const voided = await salesService.voidSale(sale.sale_id, ' Customer cancelled ', seed.user_id);
+        assert.equal(voided.status, 'cancelled');
+        assert.equal(await stockOf(seed.product_id), 10);
+
+        const { rows } = await pool.query('SELECT void_reason, voided_at, voided_by FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].void_reason, 'Customer cancelled');
+        assert.ok(rows[0].voided_at);
+        assert.equal(rows[0].voided_by, seed.user_id);
+        const history = await salesService.getStatusHistory(sale.sale_id);
+        assert.equal(history.at(-1).to_status, 'cancelled');
+    });
+
+    test('a sale is only voided once, so its items are only restocked once', async () => {
+        const sale = await newSale(2);
+        await salesService.voidSale(sale.sale_id, 'Duplicate order');
+
+        await assert.rejects(salesService.voidSale(sale.sale_id, 'Again'), /Cannot void a cancelled order/);
+        assert.equal(await stockOf(seed.product_id), 10);
+    });
+
+    test('a reason is required', async () => {
+        const sale = await newSale(1);
+        await assert.rejects(salesService.voidSale(sale.sale_id, '  '), /A reason is required/);
+        assert.equal(await stockOf(seed.product_id), 9);
+        await salesService.voidSale(sale.sale_id, 'Cleanup');
+    });
+
+    test('deleting a sale voids it instead of removing it', async () => {
+        const sale = await newSale(4);
+        await salesService.deleteSale(sale.sale_id);
+
+        const { rows } = await pool.query('SELECT status FROM sales WHERE sale_id = $1', [sale.sale_id]);
+        assert.equal(rows[0].status, 'cancelled');
+        assert.equal(await stockOf(seed.product_id), 10);
+    });
+
+    test('a sale paid by cash, card or transfer is only voided once its payments are refunded', async () => {
+        const sale = await newSale(2);
+        await paymentsService.recordPayment(sale.sale_id, [{ method: 'card', amount: 20 }]);
+        const { rows: items } = await pool.query('SELECT sale_item_id FROM sale_items WHERE sale_id = $1', [sale.sale_id]);
+
+        await assert.rejects(
+            salesService.voidSale(sale.sale_id, 'Customer cancelled'),
+            /20\.00 USD was paid by cash, card or transfer and has not been refunded/
+        );
+        assert.equal(await stockOf(seed.product_id), 8);
+
+        await returnsService.createReturn(sale.sale_id, [{ sale_item_id: items[0].sale_item_id, quantity: 1 }], { restock: true });
+        await assert.rejects(salesService.voidSale(sale.sale_id, 'Customer cancelled'), /10\.00 USD was paid/);
+
+        await returnsService.createReturn(sale.sale_id, [{ sale_item_id: items[0].sale_item_id, quantity: 1 }], { restock: true });
+        const voided = await salesService.voidSale(sale.sale_id, 'Customer cancelled');
+        assert.equal(voided.status, 'cancelled');
+        assert.equal(await stockOf(seed.product_id), 10);
+    });
+});